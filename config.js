@@ -1,9 +1,23 @@
 // ========== КОНФІГУРАЦІЯ ==========
-const API_KEY = 'M2IyOTFjNWM4ODA2OWU0NjU4ZDRkODAxZDVkMTQ4ZGNlMzUzYzc5NQ';
+// API ключ зберігається у властивості скрипта KEYCRM_API_KEY (Налаштування проєкту → Властивості скрипта).
+// Ключ, що раніше був записаний тут, лишився в історії git — його треба відкликати в KEYCRM і замінити новим
+const API_KEY = ''; // Лише запасний варіант — не зберігайте ключ у коді
 const SHEET_NAME = 'Допродажі';
 
+// ========== НАЛАШТУВАННЯ ==========
+// Лист з параметрами, які може змінювати власник без редактора скриптів
+// (період, дата нарахування, політика оплати, теги, скасовані статуси, рівні й шкали). Створюється функцією setupSettingsSheet().
+// Значення нижче — за замовчуванням для параметрів, яких немає на листі.
+// Структуровані правила (STATUS_POLICY, BONUS_RULES, CREDIT_RULES, COST_COMPONENTS тощо) задаються лише в цьому файлі
+const SETTINGS_SHEET_NAME = 'Налаштування';
+
 // ========== РІВНІ МЕНЕДЖЕРІВ ==========
-// Для кожного менеджера розраховуємо ЗП на всіх трьох рівнях
+// Параметри ЗП для кожного рівня (рівень менеджера визначає MANAGER_ASSIGNMENTS)
+// Замість порогу можна задати прогресивну шкалу для бонусу та/або ставки:
+//   bonusBrackets: [{ from: 0, percent: 0 }, { from: 150, percent: 40 }, { from: 300, percent: 60 }],
+//   bonusBracketMode: 'marginal', // 'marginal' — відсоток на частину маржі в діапазоні, 'whole' — на всю маржу
+//   rateBrackets / rateBracketMode — так само для ставки з вхідних замовлень
+// Без шкали діють rate (без порогу) та bonus (на всю маржу понад threshold)
 const MANAGER_LEVELS = {
   1: {
     name: 'Рівень 1',
@@ -25,6 +39,31 @@ const MANAGER_LEVELS = {
   }
 };
 
+// ========== ПРИЗНАЧЕННЯ РІВНІВ ==========
+// Рівень кожного менеджера за ID з KEYCRM. Кілька записів — історія змін:
+// діє запис з найпізнішою датою from, що не пізніша за дату замовлення.
+// Приклад: 12: [{ level: 1, from: '2025-01-01' }, { level: 2, from: '2025-09-01' }]
+const MANAGER_ASSIGNMENTS = {};
+// Опціональний лист з призначеннями: ID менеджера | ПІБ | Рівень | Діє з
+// Записи з листа доповнюють MANAGER_ASSIGNMENTS (при однаковій даті перевага за листом)
+const MANAGERS_SHEET_NAME = 'Менеджери';
+const DEFAULT_MANAGER_LEVEL = null; // Рівень для менеджерів без призначення (null — ЗП не нараховується)
+const SHOW_ALL_LEVELS = false; // Режим "що-якщо": показувати ЗП для всіх трьох рівнів замість призначеного
+
+// ========== ПЛАНИ МЕНЕДЖЕРІВ ==========
+// Місячний план за ID менеджера з KEYCRM (показники без значення не плануються):
+//   margin — маржа за місяць (грн), upsellCount — кількість замовлень з допродажем,
+//   upsellShare — частка замовлень з допродажем серед усіх замовлень менеджера (%)
+// Приклад: 7: { margin: 30000, upsellCount: 20, upsellShare: 15 }
+const MANAGER_PLANS = {};
+// Опціональний лист з планами: Місяць | ID менеджера | ПІБ | Маржа | Допродажі | Частка допродажів (%)
+// Місяць у форматі MM.YYYY (порожній — план на кожен місяць); план на конкретний місяць має перевагу
+const PLANS_SHEET_NAME = 'Плани';
+// Коефіцієнт бонусу за виконання плану (%, найменше з виконань запланованих показників):
+// діє останній діапазон з from не більшим за виконання. Порожній перелік — бонус не змінюється.
+// Приклад: [{ from: 100, multiplier: 1.1 }] — +10% до бонусу, якщо план виконано
+const PLAN_BONUS_MULTIPLIERS = [];
+
 // Константи для зворотної сумісності (використовуються в тестових функціях)
 // Беруться з рівня 2 (Middle)
 const MARGIN_THRESHOLD = MANAGER_LEVELS[2].threshold;
@@ -35,9 +74,117 @@ const FULL_ORDER_TAGS = ['Стара база', 'Відгук']; // Замовл
 // Статуси, які вважаємо скасованими/невдалими і не враховуємо
 const CANCELED_STATUS_IDS = [15, 16, 17, 19, 28, 29, 30, 31, 32, 35];
 
+// Політика статусів: 'pay' — ЗП нараховується, 'hold' — замовлення очікує виконання
+// (показується в секції "Очікують" листа "Розрахунок МП" і нараховується в місяці виконання),
+// 'skip' — не рахується, як скасоване. Ключі — ID статусу (statuses) та group_id (groups) KEYCRM;
+// ID статусу має пріоритет над групою, решта статусів отримує default ('hold', якщо не задано).
+// Скасовані статуси (CANCELED_STATUS_IDS, група 6) завжди 'skip'.
+// Порожня політика — нараховується за всіма нескасованими замовленнями.
+// Приклад: { groups: { 1: 'hold', 2: 'hold', 3: 'hold', 4: 'hold', 5: 'pay' }, statuses: { 21: 'skip' }, default: 'hold' }
+const STATUS_POLICY = {};
+
+// ========== ПРАВИЛА НАРАХУВАННЯ ==========
+// Категорію кожного товару визначає перше правило, всі умови match якого виконуються.
+// Умови (достатньо збігу з одним значенням переліку): tags, sources (ID джерела), skus, categories,
+// statuses (ID або назва), managers (ID або ПІБ), customFields: { 'uuid або назва поля': 'значення' },
+// upsellFlag: true/false (позначка допродажу товару). Порожній match підходить для будь-якого товару.
+// Порожній перелік — типовий набір: теги FULL_ORDER_TAGS → 'tagged', позначка допродажу → 'upsell', решта → 'incoming'.
+// Приклад:
+//   { name: 'Відгук', match: { tags: ['Відгук'] }, category: 'review' },
+//   { name: 'Подарунок', match: { skus: ['GIFT-01'] }, category: 'excluded' },
+//   { name: 'Допродаж', match: { upsellFlag: true }, category: 'upsell' },
+//   { name: 'Вхідний товар', match: {}, category: 'incoming' }
+const BONUS_RULES = [];
+// Категорії понад типові (upsell, tagged, incoming, excluded) або їх перевизначення:
+// kind — 'bonus' (бонус від маржі понад поріг), 'rate' (ставка) або 'excluded' (не рахується);
+// wholeOrder: true — у категорію йде все замовлення;
+// discountPolicy — як знижка замовлення зменшує маржу: 'ignore' (не враховується), 'by_value' (пропорційно до ціни),
+//   'by_margin' (пропорційно до маржі), 'incoming_first' (спершу на вхідні товари, залишок — на решту);
+//   incoming_first ділить знижку лише між товарами, що її приймають: товари категорій з 'ignore' і виключені
+//   не забирають ні першочергову частку, ні залишок; залишок, якому немає на кого лягти, не розподіляється;
+//   типово: upsell та incoming — 'ignore', tagged — 'by_value';
+// percent / threshold — власний відсоток і поріг замість параметрів рівня.
+// Параметри типової категорії можна перевизначити окремо: incoming: { discountPolicy: 'by_value' }
+// Приклад: review: { label: 'Відгук', kind: 'bonus', wholeOrder: true, discountPolicy: 'by_value', percent: 30, threshold: 0 }
+const BONUS_CATEGORIES = {};
+
+// ========== РОЗПОДІЛ МІЖ МЕНЕДЖЕРАМИ ==========
+// Хто отримує ЗП за позицію, якщо над замовленням працювали кілька менеджерів. Діє перше правило, що підійшло:
+// categories — ключі категорій нарахування (опціонально, без них — будь-яка), match — умови, як у BONUS_RULES.
+// shares — частки: from 'order' — менеджер замовлення; 'product' — поле товару field (ID або ПІБ менеджера);
+// 'customField' — користувацьке поле замовлення field (uuid або назва; ID або ПІБ менеджера); percent — відсоток
+// (сума — 100; одна частка без percent — 100%). Якщо поле не заповнено, частка належить менеджеру замовлення.
+// Порожній перелік — усе замовлення належить менеджеру замовлення.
+// Приклад:
+//   { name: 'Допродаж зі дзвінка', categories: ['upsell'], match: {}, shares: [{ from: 'customField', field: 'Допродаж зробив' }] },
+//   { name: 'Спільний продаж', categories: ['incoming'], match: { tags: ['Спільний'] },
+//     shares: [{ from: 'order', percent: 70 }, { from: 'customField', field: 'Допродаж зробив', percent: 30 }] }
+const CREDIT_RULES = [];
+
+// ========== ВИТРАТИ ЗАМОВЛЕННЯ ==========
+// Складові, які віднімаються від маржі замовлення до розрахунку ставок і бонусів.
+// Кожна складова — окремий стовпець "Розрахунок МП"; сума розподіляється між товарами замовлення пропорційно до ціни.
+//   from: 'payments' — кожен платіж (крім скасованих), ставка за ID методу оплати;
+//         'order'    — grand_total замовлення, ставка за by: 'source' (ID джерела) або 'delivery' (ID служби доставки);
+//         'expenses' — кожна витрата замовлення в KEYCRM, ставка за ID типу витрати.
+//   rates: { 'ID': { percent, fixed }, '*': { ... } } — сума = база × percent / 100 + fixed; '*' — для решти ID,
+//          без ставки база не враховується. fixed — у гривнях (база у валюті замовлення переводиться за курсом).
+// Приклад:
+//   { key: 'payment_fee', header: 'Комісія оплати (грн)', from: 'payments', rates: { 2: { percent: 1.5 } } },
+//   { key: 'marketplace', header: 'Комісія маркетплейсу (грн)', from: 'order', by: 'source', rates: { 5: { percent: 12 } } },
+//   { key: 'shipping', header: 'Доставка (грн)', from: 'order', by: 'delivery', rates: { 1: { fixed: 70 } } },
+//   { key: 'expenses', header: 'Витрати (грн)', from: 'expenses', rates: { '*': { percent: 100 } } }
+const COST_COMPONENTS = [];
+
+// ========== ВАЛЮТИ ==========
+// Якщо в таблиці є лист "Курси" (Дата | Валюта | Курс), суми замовлень в інших валютах переводяться
+// в BASE_CURRENCY за курсом на дату замовлення (останній курс не старший за MAX_RATE_AGE_DAYS днів).
+// Валюта береться з товару (currency, offer.currency; для собівартості — purchased_price_currency),
+// інакше — з замовлення. Замовлення без курсу не рахується і потрапляє в аудит з причиною.
+// Курси можна імпортувати з НБУ: importNbuRatesLastMonth() (валюти RATE_CURRENCIES)
+// або importNbuRatesFromFile(fileId) — JSON-файл у форматі НБУ на Google Drive.
+const BASE_CURRENCY = 'UAH';
+const RATES_SHEET_NAME = 'Курси';
+const RATE_CURRENCIES = ['USD', 'EUR'];
+const MAX_RATE_AGE_DAYS = 7; // НБУ не встановлює курс на вихідні — беремо останній попередній
+const NBU_RATES_API_URL = 'https://bank.gov.ua/NBU_Exchange/exchange_site';
+
+// ========== ЛИСТИ "ВИКОНАННЯ" ==========
+// Якщо листа "Виконання MM.YYYY" за місяць немає, він створюється копією листа-шаблону
+// (шаблон можна приховати). Без шаблону підсумки за такий місяць не записуються.
+const PERFORMANCE_TEMPLATE_SHEET_NAME = 'Шаблон Виконання';
+
+// ========== ПОВЕРНЕННЯ БОНУСІВ ==========
+// Якщо замовлення, нараховане в минулому місяці, скасовано або повернуто,
+// в поточному місяці з'являється від'ємний рядок "Повернення"
+const CLAWBACK_ENABLED = true;
+const PAYOUT_LEDGER_SHEET_NAME = '_Реєстр виплат'; // Прихований лист: яке замовлення в якому місяці нараховано
+
+// ========== ЗАКРИТТЯ МІСЯЦІВ ==========
+// closeLastMonth() / closeMonth(month, year) заморожують "Розрахунок МП MM.YYYY" у захищений знімок;
+// закритий місяць більше не перезаписується, а розбіжності потрапляють у лист коригувань
+const SNAPSHOT_SHEET_PREFIX = 'Знімок МП';
+const ADJUSTMENTS_SHEET_NAME = 'Коригування';
+
+// ========== АУДИТ РОЗРАХУНКУ ==========
+// Для кожного місяця, що перезаписується, створюється лист "Аудит M.YYYY":
+// звідки взято ціну й собівартість, частка знижки, причина класифікації, статус, поріг/шкала рівнів
+const AUDIT_ENABLED = true;
+const AUDIT_SHEET_PREFIX = 'Аудит';
+
+// ========== ПЕРЕГЛЯД ЗМІН ==========
+// mainDryRun() та кнопка "Порівняти" в бічній панелі рахують усе без запису в таблиці
+// і показують на цьому листі, що зміниться в "Розрахунок МП" та "Виконання"
+const PREVIEW_SHEET_NAME = 'Перегляд змін';
+
 // Налаштування API
 const API_BASE_URL = 'https://openapi.keycrm.app/v1';
 const API_LIMIT = 50;
+const MAX_API_PAGES = 1000; // Запобіжник від нескінченної пагінації
+const API_REQUESTS_PER_MINUTE = 60; // Документований ліміт KEYCRM
+const API_MAX_RETRIES = 5; // Повтори для 429, 5xx та мережевих помилок
+const API_RETRY_BASE_DELAY_MS = 1000; // Початкова затримка повтору (подвоюється з кожною спробою)
+const API_RETRY_MAX_DELAY_MS = 60 * 1000; // Максимальна затримка між повторами
 
 // Період: 'last_month', 'this_month', 'this_month_to_yesterday', 'last_30_days', 'custom', 'all'
 const DATE_FILTER = 'this_month_to_yesterday'; // Автоматично з першого числа місяця по вчора
@@ -45,3 +192,26 @@ const CUSTOM_START_DATE = '2025-12-30 00:00:00'; // Використовуєть
 const CUSTOM_END_DATE = '2025-12-30 23:59:59'; // Використовується тільки якщо DATE_FILTER = 'custom'
 const DATES_TIMEZONE = 'Europe/Kiev';
 const CONVERT_DATES_TO_UTC_FOR_API = true;
+
+// Дата нарахування: за нею замовлення потрапляє в період і в місяць ЗП
+// 'created' — створення (created_at); 'completed' — перехід у виконаний статус (status_changed_at);
+// 'closed' — закриття (closed_at); 'paid' — платіж, яким замовлення оплачено повністю
+const ATTRIBUTION_DATE = 'created';
+const COMPLETED_STATUS_IDS = []; // ID виконаних статусів понад групу "Виконано" (group_id 5)
+
+// Оплата замовлення (платежі KEYCRM зі статусом paid): 'ignore' — не враховується;
+// 'scale' — ЗП пропорційно до оплаченої частки суми замовлення, решта — в місяці доплати;
+// 'defer' — ЗП лише після повної оплати. Не оплачене ще показується в секції "Очікують"
+const PAYMENT_POLICY = 'ignore';
+
+// ========== ІНКРЕМЕНТАЛЬНА СИНХРОНІЗАЦІЯ ==========
+// Використовується функцією mainIncremental()
+const ORDER_STORE_SHEET_NAME = '_Кеш замовлень'; // Прихований лист з кешем замовлень
+const SYNC_OVERLAP_MINUTES = 5; // Перекриття вікна updated_at між запусками (на випадок розбіжності годинників)
+
+// ========== ВІДНОВЛЮВАНЕ ЗАВАНТАЖЕННЯ ==========
+// Якщо завантаження не вкладається в ліміт виконання Apps Script (6 хв),
+// стан зберігається і роботу продовжує тригер resumeFetchJob
+const FETCH_BUFFER_SHEET_NAME = '_Буфер завантаження'; // Прихований лист з уже отриманими сторінками
+const MAX_EXECUTION_MS = 4.5 * 60 * 1000; // Після цього часу зберігаємо стан і плануємо продовження
+const CONTINUATION_DELAY_MS = 60 * 1000; // Затримка перед запуском продовження
@@ -0,0 +1,3339 @@
+/**
+ * Рушій розрахунку ЗП: замовлення KEYCRM → рядки "Розрахунок МП" і підсумки по менеджерах.
+ * Не звертається до SpreadsheetApp, UrlFetchApp чи Logger — усе потрібне передається в rules,
+ * тому той самий код працює в Apps Script і в Node (node --test tests/).
+ *
+ * rules — об'єкт правил (у скрипті його будує getPayrollRules()):
+ *   managerLevels     — параметри рівнів { 1: { name, rate, bonus, threshold, ...шкали }, ... }
+ *   fullOrderTags     — теги замовлень, які рахуються повністю (типовий набір правил нарахування)
+ *   bonusRules        — правила нарахування [{ name, match, category, reason? }]; порожньо — типовий набір
+ *   bonusCategories   — категорії понад DEFAULT_BONUS_CATEGORIES { ключ: { label, kind, wholeOrder, discountPolicy, percent, threshold } }
+ *   costComponents    — складові витрат замовлення [{ key, header, from, by?, rates }] (див. ВИТРАТИ ЗАМОВЛЕННЯ)
+ *   canceledStatusIds — ID скасованих статусів
+ *   attributionDate   — дата нарахування: 'created' (за замовчуванням), 'completed', 'closed' або 'paid' (див. ДАТА НАРАХУВАННЯ)
+ *   completedStatusIds — ID виконаних статусів понад групу "Виконано" (для attributionDate 'completed')
+ *   statusPolicy      — політика статусів { statuses, groups, default }: pay / hold / skip (див. ПОЛІТИКА СТАТУСІВ)
+ *   assignments       — призначення рівнів [{ managerId, managerKey, level, from }]
+ *   defaultLevel      — рівень для менеджерів без призначення (null — ЗП не нараховується)
+ *   timezone          — часовий пояс для дат у рядках і для віднесення замовлень до місяця, наприклад 'Europe/Kiev'
+ */
+
+// ========== РОЗРАХУНОК ЗП ==========
+/**
+ * Повний розрахунок ЗП за замовленнями KEYCRM
+ * @param {Array} orders - Замовлення у форматі API KEYCRM
+ * @param {Object} rules - Правила розрахунку
+ * @returns {Object} { lines, heldLines, summaries, cancelledOrders, unassignedManagers }
+ */
+function calculatePayroll(orders, rules) {
+  const { upsales, incomingOrders, cancelledOrders } = classifyKeycrmOrders(orders || [], rules);
+  const { lines, heldLines, unassignedManagers } = buildPayrollLines(upsales, incomingOrders, rules);
+
+  return {
+    lines: lines,
+    heldLines: heldLines,
+    summaries: summarizePayrollByManager(lines, rules),
+    cancelledOrders: cancelledOrders,
+    unassignedManagers: unassignedManagers
+  };
+}
+
+/**
+ * Будує рядки "Розрахунок МП": допродажі, замовлення з тегами (по місяцях) та вхідні замовлення (по місяцях)
+ * Кожен рядок має month/year; після рядків кожної групи йдуть рядки "ПІДСУМОК" по менеджерах.
+ * Товари замовлень в очікуванні (held) рахуються окремо: heldLines — ЗП, яку нарахують після виконання,
+ * без рядків "ПІДСУМОК"; у lines і підсумки вони не потрапляють
+ * @param {Array} allOrders - Допродажі та товари замовлень з тегами з classifyKeycrmOrders
+ * @param {Array} incomingOrders - Вхідні товари з classifyKeycrmOrders
+ * @param {Object} rules - Правила розрахунку
+ * @returns {Object} { lines: Array, heldLines: Array, unassignedManagers: Array<{ managerId, managerName }> }
+ */
+function buildPayrollLines(allOrders, incomingOrders, rules) {
+  const isHeld = item => Boolean(item.held);
+  const isPaid = item => !item.held;
+  const heldLines = buildOrderLines(allOrders.filter(isHeld), (incomingOrders || []).filter(isHeld), rules)
+    .filter(line => line.date !== 'ПІДСУМОК')
+    .map(line => Object.assign(line, { held: true }));
+
+  return {
+    lines: buildOrderLines(allOrders.filter(isPaid), (incomingOrders || []).filter(isPaid), rules),
+    heldLines: heldLines,
+    unassignedManagers: findUnassignedManagers([...allOrders, ...(incomingOrders || [])], rules)
+  };
+}
+
+/**
+ * Рахує рядки розрахунку з підсумками по менеджерах для набору товарів (див. buildPayrollLines)
+ * @param {Array} allOrders - Допродажі та товари замовлень з тегами
+ * @param {Array} incomingOrders - Вхідні товари
+ * @param {Object} rules - Правила розрахунку
+ * @returns {Array} Рядки розрахунку
+ */
+function buildOrderLines(allOrders, incomingOrders, rules) {
+  // Розділяємо на допродажі та замовлення з тегами
+  const regularUpsales = allOrders.filter(u => !u.isSpecialTag);
+  const taggedOrders = allOrders.filter(u => u.isSpecialTag);
+
+  // Обробляємо допродажі (групуємо по замовленнях)
+  const upsalesResults = processUpsales(regularUpsales, rules);
+
+  // Обробляємо замовлення з тегами (групуємо товари по замовленнях)
+  const ordersMap = {};
+  taggedOrders.forEach(item => {
+    const orderId = item.orderId;
+    // Частини оплати і частки менеджерів одного замовлення — окремі рядки;
+    // товари з різною часткою менеджера теж, бо поріг рахується від маржі, поділеної на частку рядка
+    const orderKey = `${orderId}_${item.paymentTranche || 0}_${item.managerId || item.managerKey}_${item.creditShare || 1}`;
+    if (!ordersMap[orderKey]) {
+      ordersMap[orderKey] = {
+        orderId: orderId,
+        managerId: item.managerId,
+        managerName: item.managerName,
+        managerKey: item.managerKey,
+        date: item.date,
+        category: item.category,
+        discountPolicy: item.discountPolicy || 'ignore',
+        specialTagName: item.specialTagName,
+        paymentShare: item.paymentShare || 1,
+        paymentLabel: item.paymentLabel || '',
+        creditShare: item.creditShare || 1,
+        creditLabel: item.creditLabel || '',
+        products: []
+      };
+    }
+    ordersMap[orderKey].products.push(item);
+  });
+
+  const taggedResults = [];
+  Object.values(groupByMonth(Object.values(ordersMap), rules.timezone)).forEach(monthData => {
+    taggedResults.push(...processTaggedOrdersForMonth(monthData, rules));
+  });
+
+  // Обробляємо вхідні замовлення (ставка від маржі)
+  const incomingResults = [];
+  Object.values(groupByMonth(incomingOrders || [], rules.timezone)).forEach(monthData => {
+    incomingResults.push(...processIncomingOrdersForMonth(monthData, rules));
+  });
+
+  // Валюта та суми в оригінальній валюті (лише з увімкненою мультивалютністю)
+  const lines = [...upsalesResults, ...taggedResults, ...incomingResults];
+  lines.forEach(line => {
+    if (line.trace) Object.assign(line, summarizeLineCurrency(line.trace.items.map(item => item.currency)));
+  });
+  return lines;
+}
+
+/**
+ * Підсумки по менеджерах для листів "Виконання": ставка + бонус за кожен місяць
+ * Рахуються з рядків "ПІДСУМОК", без повторного розрахунку.
+ * Якщо в правилах є плани менеджерів, до підсумків додається виконання плану, а бонус множиться на коефіцієнт
+ * @param {Array} lines - Рядки розрахунку (зокрема повернення бонусів)
+ * @param {Object} rules - Правила розрахунку (managerPlans, planMultipliers; опціонально)
+ * @returns {Object} { "M.YYYY": [{ managerName, managerId, rateLevelN, bonusLevelN, rate, bonus, levels, plan? }] }
+ */
+function summarizePayrollByManager(lines, rules) {
+  const bonusesByMonth = groupByMonthKey(getManagerBonusesFromResults(lines || []));
+  const ratesByMonth = groupByMonthKey(getManagerRatesFromResults(lines || []));
+
+  const summaries = {};
+  const monthKeys = new Set([...Object.keys(bonusesByMonth), ...Object.keys(ratesByMonth)]);
+  monthKeys.forEach(key => {
+    summaries[key] = combineRatesAndBonuses(
+      aggregateRatesByManager(ratesByMonth[key] || []),
+      aggregateBonusesByManager(bonusesByMonth[key] || [])
+    );
+  });
+
+  if (rules && rules.managerPlans && rules.managerPlans.length > 0) {
+    applyManagerPlans(summaries, lines || [], rules);
+  }
+  return summaries;
+}
+
+/**
+ * Загальний підсумок листа "Розрахунок МП": сума рядків "ПІДСУМОК" по менеджерах
+ * ЗП рівня (zpLevelN) — бонус для допродажів/тегів або ставка для вхідних замовлень,
+ * cost_<ключ> — складові витрат замовлень
+ * @param {Array} lines - Рядки розрахунку одного місяця
+ * @returns {Object} { margin, payout, zpLevel1, zpLevel2, zpLevel3, cost_<ключ>... }
+ */
+function sumPayrollSubtotals(lines) {
+  const totals = { margin: 0, payout: 0, zpLevel1: 0, zpLevel2: 0, zpLevel3: 0 };
+  lines.forEach(line => {
+    if (line.date !== 'ПІДСУМОК') return;
+    totals.margin += line.margin || 0;
+    totals.payout += line.payout || 0;
+    for (let level = 1; level <= 3; level++) {
+      const amount = line[`bonusLevel${level}`] !== undefined ? line[`bonusLevel${level}`] : line[`rateLevel${level}`];
+      totals[`zpLevel${level}`] += amount || 0;
+    }
+    Object.keys(line.costs || {}).forEach(key => {
+      totals[`cost_${key}`] = (totals[`cost_${key}`] || 0) + line.costs[key];
+    });
+  });
+  Object.keys(totals).forEach(key => {
+    totals[key] = round2(totals[key]);
+  });
+  return totals;
+}
+
+/**
+ * Повертає менеджерів, яким на дату хоча б одного замовлення не призначено рівень
+ * @param {Array} items - Товари з classifyKeycrmOrders (з датою замовлення в ISO)
+ * @param {Object} rules - Правила розрахунку
+ * @returns {Array} Масив { managerId, managerName } без повторів
+ */
+function findUnassignedManagers(items, rules) {
+  const unassigned = {};
+  items.forEach(item => {
+    if (findManagerAssignment(rules.assignments || [], item.managerId, item.managerName, item.date)) return;
+    const key = item.managerId || item.managerKey || normalizeManagerName(item.managerName).key;
+    unassigned[key] = { managerId: item.managerId || null, managerName: item.managerName };
+  });
+  return Object.values(unassigned);
+}
+
+/**
+ * Групує записи з полем date за ключем місяця "M.YYYY" (записи без дати пропускаються)
+ * @param {Array} items - Записи
+ * @param {string} timezone - Часовий пояс, за яким визначається місяць
+ * @returns {Object} { "M.YYYY": Array }
+ */
+function groupByMonth(items, timezone) {
+  const byMonth = {};
+  items.forEach(item => {
+    const { month, year } = getMonthYearFromDateString(item.date, timezone);
+    if (!month || !year) return;
+    const monthYearKey = `${month}.${year}`;
+    if (!byMonth[monthYearKey]) {
+      byMonth[monthYearKey] = [];
+    }
+    byMonth[monthYearKey].push(item);
+  });
+  return byMonth;
+}
+
+/**
+ * Групує записи з полями month/year за ключем "M.YYYY"
+ * @param {Array} items - Записи
+ * @returns {Object} { "M.YYYY": Array }
+ */
+function groupByMonthKey(items) {
+  const byMonth = {};
+  items.forEach(item => {
+    if (!item.month || !item.year) return;
+    const key = `${item.month}.${item.year}`;
+    if (!byMonth[key]) {
+      byMonth[key] = [];
+    }
+    byMonth[key].push(item);
+  });
+  return byMonth;
+}
+
+// ========== КЛАСИФІКАЦІЯ ЗАМОВЛЕНЬ ==========
+/**
+ * Розбиває замовлення KEYCRM на позиції з бонусом (допродажі, замовлення за тегом) та вхідні позиції зі ставкою
+ * Категорію кожного товару визначає перше правило з rules.bonusRules, що підійшло (див. ПРАВИЛА НАРАХУВАННЯ)
+ * Скасовані / невдалі замовлення (та статуси 'skip' політики статусів) не розраховуються, а повертаються окремим списком;
+ * товари замовлень у статусах 'hold' позначаються held: true (див. buildPayrollLines)
+ * @param {Array} orders - Масив замовлень у форматі API
+ * @param {Object} rules - Правила розрахунку (canceledStatusIds, statusPolicy, paymentPolicy, creditRules, bonusRules, bonusCategories, fullOrderTags, attributionDate)
+ * Дата позицій — дата нарахування (getOrderPayrollDate); замовлення без неї не рахуються.
+ * З політикою оплати позиція ділиться на частини оплати (getOrderPaymentTranches) з paymentShare / paymentLabel,
+ * за правилами rules.creditRules — на частки менеджерів (getCreditShares) з creditShare / creditLabel
+ * Кожна позиція має trace: звідки взято ціну та собівартість, причину класифікації і статус замовлення
+ * @returns {Object} Об'єкт { upsales: Array, incomingOrders: Array, cancelledOrders: Array, excludedOrders: Array }
+ */
+function classifyKeycrmOrders(orders, rules) {
+  const allUpsales = [];
+  const incomingOrders = [];
+  const cancelledOrders = [];
+  const excludedOrders = [];
+  const bonusRules = getBonusRules(rules);
+  const categories = getBonusCategories(rules);
+  // Менеджерів з полів (правила розподілу заслуги) впізнаємо за менеджерами замовлень
+  const directory = collectManagerDirectory(orders);
+
+  orders.forEach((order) => {
+    const statusId = parseInt(order.status?.id || order.status_id || 0, 10);
+    const statusGroupId = order.status?.group_id ? parseInt(order.status.group_id, 10) : null;
+    const policyAction = getStatusPolicyAction(order, rules);
+    if (policyAction === 'skip') {
+      // Пропускаємо скасовані / невдалі замовлення, але запам'ятовуємо їх для повернення бонусів
+      cancelledOrders.push({
+        orderId: order.id,
+        statusId: statusId,
+        statusName: order.status?.name || '',
+        statusGroupId: statusGroupId
+      });
+      excludedOrders.push({
+        orderId: order.id,
+        date: getOrderAttributionDate(order, rules) || normalizeApiDate(order.created_at),
+        managerId: order.manager?.id || order.manager_id || null,
+        managerName: normalizeManagerName(order.manager?.full_name || order.manager?.name || order.manager_name).displayName,
+        reason: statusGroupId === CANCELED_STATUS_GROUP_ID
+          ? `Статус ${formatOrderStatus(order)} у групі скасованих (6)`
+          : rules.canceledStatusIds.indexOf(statusId) !== -1
+            ? `Статус ${formatOrderStatus(order)} у переліку скасованих`
+            : `Статус ${formatOrderStatus(order)} не оплачується (політика статусів)`
+      });
+      return;
+    }
+
+    const managerId = order.manager?.id || order.manager_id || null;
+    const rawManagerName = order.manager?.full_name || order.manager?.name || order.manager_name || 'Невідомий менеджер';
+    const { displayName: managerName, key: managerKey } = normalizeManagerName(rawManagerName);
+    const status = formatOrderStatus(order);
+    // Частини нарахування за оплатою (без політики оплати — одна частина на дату нарахування)
+    const tranches = getOrderPaymentTranches(order, rules);
+    const date = tranches.length > 0 ? tranches[0].date : null;
+    // Невиконане замовлення рахується, але ЗП за ним лише показується в очікуванні
+    const held = policyAction === 'hold';
+    if (!date) {
+      // Ще не виконане / не оплачене замовлення нарахується в місяці, коли з'явиться дата нарахування
+      excludedOrders.push({
+        orderId: order.id,
+        date: normalizeApiDate(order.created_at),
+        managerId: managerId,
+        managerName: managerName,
+        missingAttributionDate: true,
+        reason: describeMissingAttributionDate(order, rules)
+      });
+      return;
+    }
+    const productsArray = Array.isArray(order.products) ? order.products : [];
+    // Суми в іншій валюті переводимо в базову за курсом на дату замовлення
+    const exchange = createOrderExchange(order, rules);
+
+    // Товари без ціни продажу не рахуються; для решти шукаємо перше правило, що підійшло
+    const positions = [];
+    productsArray.forEach(product => {
+      const originalPrice = getProductPriceSold(product);
+      if (originalPrice <= 0) return;
+      const quantity = parseFloat(product.quantity || 1);
+      const currency = exchange.convertProduct(product, originalPrice, getProductPurchasedPrice(product), quantity);
+      positions.push({
+        product: product,
+        priceSold: currency.priceSold,
+        purchasedPrice: currency.purchasedPrice,
+        quantity: quantity,
+        value: currency.priceSold * quantity,
+        margin: (currency.priceSold - currency.purchasedPrice) * quantity,
+        currency: currency.original,
+        match: matchBonusRule(bonusRules, order, product)
+      });
+    });
+
+    // Без курсу суму не перевести — замовлення не рахується, доки курс не з'явиться в таблиці курсів
+    if (exchange.missing.length > 0) {
+      excludedOrders.push({
+        orderId: order.id,
+        date: date,
+        managerId: managerId,
+        managerName: managerName,
+        missingRate: true,
+        reason: `Немає курсу ${exchange.missing.join(', ')} на ${formatDisplayDate(date, rules.timezone).slice(0, 10)}`
+      });
+      return;
+    }
+
+    // Категорія "усе замовлення" (наприклад, тег "Стара база") забирає всі товари замовлення
+    const wholeOrderMatch = positions
+      .map(position => position.match)
+      .find(match => match && categories[match.rule.category].wholeOrder);
+    if (wholeOrderMatch) {
+      positions.forEach(position => {
+        position.match = wholeOrderMatch;
+      });
+    }
+
+    // grand_total вже містить знижку на замовлення, тому розраховуємо різницю;
+    // знижка товару (total_discount) вже врахована в price_sold
+    const totalOrderValue = positions.reduce((sum, position) => sum + position.value, 0);
+    const grandTotal = parseFloat(order.grand_total || 0) * exchange.orderRate;
+    const actualOrderDiscount = totalOrderValue > grandTotal ? totalOrderValue - grandTotal : 0;
+    const discountParts = allocateOrderDiscount(positions, actualOrderDiscount, categories);
+    // Витрати замовлення (доставка, комісії, витрати KEYCRM) зменшують маржу до розрахунку ставок і бонусів
+    const costParts = allocateOrderCosts(positions, calculateOrderCosts(order, rules.costComponents || [], exchange.orderRate), categories);
+
+    const excludedByRule = {};
+    positions.forEach(({ product, priceSold, purchasedPrice, quantity, value, margin: productMargin, currency, match }, index) => {
+      if (!match) {
+        addExcludedPosition(excludedByRule, 'Жодне правило нарахування не підійшло', product);
+        return;
+      }
+
+      const category = categories[match.rule.category];
+      if (category.kind === 'excluded') {
+        addExcludedPosition(excludedByRule, match.reason, product);
+        return;
+      }
+
+      const orderDiscountPart = discountParts[index];
+      const costs = costParts[index];
+      const margin = productMargin - orderDiscountPart - sumCosts(costs);
+      const discountPolicy = getDiscountPolicy(category);
+      const trace = traceProductSource(product, match.reason, status);
+      const credits = getCreditShares(order, product, match.rule.category, rules, { managerId, managerName, managerKey }, directory);
+
+      if (category.kind === 'rate') {
+        addCreditShares(incomingOrders, {
+          orderId: order.id,
+          name: getProductName(product, 'Вхідне замовлення'),
+          salePrice: priceSold,
+          purchasedPrice: purchasedPrice,
+          quantity: quantity,
+          productMargin: margin,
+          managerId: managerId,
+          managerName: managerName,
+          managerKey: managerKey,
+          date: date,
+          category: match.rule.category,
+          isSpecialTag: false,
+          discountPolicy: discountPolicy,
+          orderDiscountPart: orderDiscountPart,
+          costs: costs,
+          currency: currency,
+          held: held,
+          trace: trace
+        }, credits, tranches);
+        return;
+      }
+
+      addCreditShares(allUpsales, {
+        orderId: order.id,
+        upsellId: product.id || product.product_id || order.id,
+        name: category.wholeOrder ? getProductName(product) : getProductName(product, 'Невідома допродажа'),
+        salePrice: value,
+        costPrice: purchasedPrice * quantity + orderDiscountPart,
+        managerId: managerId,
+        managerName: managerName,
+        managerKey: managerKey,
+        date: date,
+        quantity: quantity,
+        category: match.rule.category,
+        isSpecialTag: Boolean(category.wholeOrder),
+        specialTagName: category.wholeOrder ? match.rule.name : null,
+        productDiscount: parseFloat(product.total_discount || 0),
+        discountPolicy: discountPolicy,
+        orderDiscountPart: orderDiscountPart,
+        costs: costs,
+        currency: currency,
+        margin: margin,
+        held: held,
+        trace: trace
+      }, credits, tranches);
+    });
+
+    Object.keys(excludedByRule).forEach(reason => {
+      const names = excludedByRule[reason];
+      excludedOrders.push({
+        orderId: order.id,
+        date: date,
+        managerId: managerId,
+        managerName: managerName,
+        reason: names.length === positions.length ? reason : `${reason} (товари: ${names.join(', ')})`
+      });
+    });
+  });
+
+  return {
+    upsales: allUpsales,
+    incomingOrders: incomingOrders,
+    cancelledOrders: cancelledOrders,
+    excludedOrders: excludedOrders
+  };
+}
+
+/**
+ * Запам'ятовує товар, що не враховується, під причиною виключення
+ * @param {Object} excludedByRule - { причина: [назви товарів] }
+ * @param {string} reason - Причина
+ * @param {Object} product - Товар KEYCRM
+ */
+function addExcludedPosition(excludedByRule, reason, product) {
+  if (!excludedByRule[reason]) {
+    excludedByRule[reason] = [];
+  }
+  excludedByRule[reason].push(getProductName(product));
+}
+
+/**
+ * Розподіляє знижку замовлення між товарами за політикою категорії кожного товару:
+ * ignore — не розподіляється; by_value — пропорційно до ціни продажу; by_margin — пропорційно до маржі;
+ * incoming_first — спершу на вхідні товари (kind 'rate') в межах їхньої ціни, залишок — пропорційно до ціни решти.
+ * incoming_first ділить знижку лише між товарами, що її приймають (політика не ignore, товар не виключений):
+ * товар з ignore не забирає ні першочергову частку, ні залишок; залишок, якому немає на кого лягти, не розподіляється.
+ * В by_value та by_margin частка товару з політикою ignore чи виключеного товару не перекладається на інші товари
+ * @param {Array} positions - Товари замовлення { value, margin, match }
+ * @param {number} orderDiscount - Знижка замовлення (грн)
+ * @param {Object} categories - Категорії з getBonusCategories
+ * @returns {Array<number>} Частка знижки для кожного товару
+ */
+function allocateOrderDiscount(positions, orderDiscount, categories) {
+  const categoryOf = position => (position.match ? categories[position.match.rule.category] : null);
+  const isIncoming = position => Boolean(categoryOf(position)) && categoryOf(position).kind === 'rate';
+  const takesDiscount = position => Boolean(categoryOf(position)) && categoryOf(position).kind !== 'excluded' &&
+    getDiscountPolicy(categoryOf(position)) !== 'ignore';
+  const sumPositive = (list, field) => list.reduce((sum, position) => sum + Math.max(0, position[field]), 0);
+
+  const totalValue = sumPositive(positions, 'value');
+  const totalMargin = sumPositive(positions, 'margin');
+  const incomingValue = sumPositive(positions.filter(position => takesDiscount(position) && isIncoming(position)), 'value');
+  const incomingDiscount = Math.min(orderDiscount, incomingValue);
+  const restValue = sumPositive(positions.filter(position => takesDiscount(position) && !isIncoming(position)), 'value');
+
+  return positions.map(position => {
+    const category = categoryOf(position);
+    if (!category || category.kind === 'excluded' || orderDiscount <= 0) {
+      return 0;
+    }
+    switch (getDiscountPolicy(category)) {
+      case 'by_value':
+        return totalValue > 0 ? orderDiscount * (position.value / totalValue) : 0;
+      case 'by_margin':
+        return totalMargin > 0 ? orderDiscount * (Math.max(0, position.margin) / totalMargin) : 0;
+      case 'incoming_first':
+        if (isIncoming(position)) {
+          return incomingValue > 0 ? incomingDiscount * (position.value / incomingValue) : 0;
+        }
+        return restValue > 0 ? (orderDiscount - incomingDiscount) * (position.value / restValue) : 0;
+      default:
+        return 0;
+    }
+  });
+}
+
+/**
+ * Політика розподілу знижки замовлення для категорії
+ * @param {Object} category - Категорія з getBonusCategories
+ * @returns {string} Ключ з DISCOUNT_POLICY_LABELS ('ignore', якщо не задано)
+ */
+function getDiscountPolicy(category) {
+  return category.discountPolicy || 'ignore';
+}
+
+/**
+ * Описує розподіл знижки для стовпця "Знижка замовлення"
+ * @param {string} policy - Політика з getDiscountPolicy
+ * @param {number} amount - Знижка, віднесена на рядок (грн)
+ * @returns {string} Наприклад "Пропорційно до ціни: 150" або "Не враховується"
+ */
+function describeDiscountAllocation(policy, amount) {
+  const label = DISCOUNT_POLICY_LABELS[policy] || policy;
+  return policy === 'ignore' ? label : `${label}: ${round2(amount)}`;
+}
+
+// Поля з ціною продажу та закупівельною ціною в порядку пріоритету (береться перше непорожнє)
+const PRICE_SOLD_FIELDS = ['price_sold', 'price', 'sale_price', 'offer.price', 'offer.sale_price'];
+const PURCHASED_PRICE_FIELDS = ['purchased_price', 'offer.purchased_price', 'cost', 'cost_price', 'offer.cost', 'offer.cost_price'];
+
+/**
+ * Отримує ціну продажу товару з різних можливих полів
+ * @param {Object} product - Об'єкт товару
+ * @returns {number} Ціна продажу
+ */
+function getProductPriceSold(product) {
+  return findProductField(product, PRICE_SOLD_FIELDS).value;
+}
+
+/**
+ * Отримує закупівельну ціну товару з різних можливих полів
+ * @param {Object} product - Об'єкт товару
+ * @returns {number} Закупівельна ціна
+ */
+function getProductPurchasedPrice(product) {
+  return findProductField(product, PURCHASED_PRICE_FIELDS).value;
+}
+
+/**
+ * Знаходить перше непорожнє поле товару з переліку ("offer.price" — поле пропозиції)
+ * @param {Object} product - Об'єкт товару
+ * @param {Array<string>} fields - Поля в порядку пріоритету
+ * @returns {Object} { value: number, source: string|null } — значення і назва поля
+ */
+function findProductField(product, fields) {
+  const offer = product.offer || {};
+  for (let field of fields) {
+    const value = field.startsWith('offer.') ? offer[field.slice('offer.'.length)] : product[field];
+    if (value) {
+      return { value: parseFloat(value), source: field };
+    }
+  }
+  return { value: 0, source: null };
+}
+
+/**
+ * Повертає перше непорожнє текстове поле товару з переліку ("offer.currency" — поле пропозиції)
+ * @param {Object} product - Об'єкт товару
+ * @param {Array<string>} fields - Поля в порядку пріоритету
+ * @returns {string|null} Значення або null
+ */
+function findProductText(product, fields) {
+  const offer = product.offer || {};
+  for (let field of fields) {
+    const value = field.startsWith('offer.') ? offer[field.slice('offer.'.length)] : product[field];
+    if (value) {
+      return String(value);
+    }
+  }
+  return null;
+}
+
+/**
+ * Описує походження позиції для аудиту
+ * @param {Object} product - Об'єкт товару з KEYCRM
+ * @param {string} reason - Причина класифікації (допродаж, тег, вхідний товар)
+ * @param {string} status - Статус замовлення з formatOrderStatus
+ * @returns {Object} { priceSource, costSource, reason, status }
+ */
+function traceProductSource(product, reason, status) {
+  return {
+    priceSource: findProductField(product, PRICE_SOLD_FIELDS).source,
+    costSource: findProductField(product, PURCHASED_PRICE_FIELDS).source,
+    reason: reason,
+    status: status
+  };
+}
+
+/**
+ * Форматує статус замовлення для аудиту: ID і назва
+ * @param {Object} order - Замовлення KEYCRM
+ * @returns {string} Наприклад '12 "Виконано"'
+ */
+function formatOrderStatus(order) {
+  const statusId = order.status?.id || order.status_id || '—';
+  return order.status?.name ? `${statusId} "${order.status.name}"` : String(statusId);
+}
+
+/**
+ * Отримує назву товару з різних можливих полів
+ * @param {Object} product - Об'єкт товару
+ * @param {string} defaultName - Назва за замовчуванням
+ * @returns {string} Назва товару
+ */
+function getProductName(product, defaultName = 'Товар') {
+  const offer = product.offer || {};
+  return product.name || product.product_name || offer.name || defaultName;
+}
+
+function isProductUpsell(product) {
+  return Boolean(getUpsellFlagSource(product));
+}
+
+/**
+ * Повертає поле, яким товар позначено як допродаж
+ * @param {Object} product - Об'єкт товару
+ * @returns {string|null} Наприклад "upsale" або "offer.upsale"; null, якщо це не допродаж
+ */
+function getUpsellFlagSource(product) {
+  const offer = product.offer || {};
+  const flags = ['upsale', 'upsell', 'is_upsell'];
+  const productFlag = flags.find(flag => product[flag] === true);
+  if (productFlag) {
+    return productFlag;
+  }
+  const offerFlag = flags.find(flag => offer[flag] === true);
+  return offerFlag ? `offer.${offerFlag}` : null;
+}
+
+function normalizeManagerName(name) {
+  const fallback = 'Невідомий менеджер';
+  if (name === undefined || name === null) {
+    return { displayName: fallback, key: fallback.toLowerCase() };
+  }
+  
+  const collapsed = name.toString().trim().replace(/\s+/g, ' ');
+  const displayName = collapsed || fallback;
+  const key = displayName.toLowerCase();
+  
+  return { displayName, key };
+}
+
+function normalizeTagValue(value) {
+  if (value === undefined || value === null) return '';
+  return value.toString().trim().toLowerCase();
+}
+
+/**
+ * Повертає назву першого тегу замовлення, що збігається з переліком
+ * @param {Object} order - Об'єкт замовлення
+ * @param {string|Array<string>} tagNames - Назви тегів для пошуку
+ * @returns {string|null} Назва знайденого тегу або null
+ */
+function getOrderTagName(order, tagNames) {
+  if (!order || !tagNames) {
+    return null;
+  }
+
+  const targets = Array.isArray(tagNames) ? tagNames : [tagNames];
+  const normalizedTargets = targets.map(normalizeTagValue).filter(Boolean);
+  if (normalizedTargets.length === 0) {
+    return null;
+  }
+  
+  // Отримуємо теги з різних можливих полів
+  const tagsRaw = order.tags;
+  if (!tagsRaw) {
+    return null;
+  }
+  
+  // Переконуємося, що tags - це масив
+  const tagsArray = Array.isArray(tagsRaw) ? tagsRaw : [tagsRaw];
+  if (tagsArray.length === 0) {
+    return null;
+  }
+  
+  // Проходимо по всіх тегах
+  for (let tag of tagsArray) {
+    if (!tag) continue;
+    
+    // Якщо тег - це рядок, перевіряємо його напряму
+    if (typeof tag === 'string') {
+      const normalized = normalizeTagValue(tag);
+      if (normalized && normalizedTargets.includes(normalized)) {
+        // Знаходимо відповідний target за індексом
+        const targetIndex = normalizedTargets.indexOf(normalized);
+        return targets[targetIndex] || tag;
+      }
+    } 
+    // Якщо тег - це об'єкт (структура KEYCRM: {id, name, alias, color, ...})
+    else if (tag && typeof tag === 'object') {
+      // Перевіряємо name (основна назва тегу)
+      if (tag.name) {
+        const normalizedName = normalizeTagValue(tag.name);
+        if (normalizedName && normalizedTargets.includes(normalizedName)) {
+          // Повертаємо оригінальну назву з targets (щоб зберегти точну назву)
+          const targetIndex = normalizedTargets.indexOf(normalizedName);
+          return targets[targetIndex] || tag.name;
+        }
+      }
+      
+      // Перевіряємо alias (системна назва, може бути латиницею)
+      // Якщо в targets є кирилична назва "Відгук", а alias = "vidguk", 
+      // то збігу не буде, але це нормально - ми шукаємо по name
+      if (tag.alias) {
+        const normalizedAlias = normalizeTagValue(tag.alias);
+        if (normalizedAlias && normalizedTargets.includes(normalizedAlias)) {
+          const targetIndex = normalizedTargets.indexOf(normalizedAlias);
+          return targets[targetIndex] || tag.name || tag.alias;
+        }
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Перевіряє, чи замовлення має вказаний тег або один з переліку
+ * @param {Object} order - Об'єкт замовлення
+ * @param {string|Array<string>} tagName - Назва(и) тегу для пошуку
+ * @returns {boolean} true, якщо замовлення має тег
+ */
+function hasOrderTag(order, tagName) {
+  return Boolean(getOrderTagName(order, tagName));
+}
+
+// ========== ДАТА НАРАХУВАННЯ ==========
+// Звідки береться дата, за якою замовлення відноситься до місяця ЗП
+const ATTRIBUTION_DATE_SOURCES = ['created', 'completed', 'closed', 'paid'];
+// Група статусів KEYCRM "Виконано"
+const COMPLETED_STATUS_GROUP_ID = 5;
+
+/**
+ * Повертає дату нарахування замовлення за rules.attributionDate
+ * created — created_at; completed — status_changed_at, якщо замовлення у виконаному статусі;
+ * closed — closed_at; paid — дата платежу, яким сума оплачених платежів досягла grand_total
+ * @param {Object} order - Замовлення KEYCRM
+ * @param {Object} rules - Правила розрахунку (attributionDate, completedStatusIds)
+ * @returns {string|null} Дата у форматі ISO або null, якщо замовлення ще не виконано / не закрито / не оплачено
+ */
+function getOrderAttributionDate(order, rules) {
+  switch (rules.attributionDate || 'created') {
+    case 'created':
+      return normalizeApiDate(order.created_at);
+    case 'completed':
+      return isCompletedOrder(order, rules) && order.status_changed_at ? normalizeApiDate(order.status_changed_at) : null;
+    case 'closed':
+      return order.closed_at ? normalizeApiDate(order.closed_at) : null;
+    case 'paid':
+      return findFullPaymentDate(order);
+    default:
+      throw new Error(`Невідома дата нарахування "${rules.attributionDate}", можливі: ${ATTRIBUTION_DATE_SOURCES.join(', ')}`);
+  }
+}
+
+/**
+ * Пояснює, чому замовлення без дати нарахування не рахується
+ * @param {Object} order - Замовлення KEYCRM
+ * @param {Object} rules - Правила розрахунку (attributionDate)
+ * @returns {string} Причина для аудиту
+ */
+function describeMissingAttributionDate(order, rules) {
+  switch (rules.attributionDate) {
+    case 'completed':
+      return `Замовлення ще не виконано (статус ${formatOrderStatus(order)})`;
+    case 'closed':
+      return 'Замовлення ще не закрито (немає closed_at)';
+    case 'paid':
+      return `Замовлення ще не оплачено повністю (оплачено ${round2(sumPaidPayments(order))} з ${round2(parseFloat(order.grand_total || 0))})`;
+    default:
+      return 'Немає дати створення замовлення';
+  }
+}
+
+/**
+ * Чи перебуває замовлення у виконаному статусі: група "Виконано" або ID з rules.completedStatusIds
+ * @param {Object} order - Замовлення KEYCRM
+ * @param {Object} rules - Правила розрахунку (completedStatusIds)
+ * @returns {boolean}
+ */
+function isCompletedOrder(order, rules) {
+  const statusId = parseInt(order.status?.id || order.status_id || 0, 10);
+  const statusGroupId = order.status?.group_id ? parseInt(order.status.group_id, 10) : null;
+  return statusGroupId === COMPLETED_STATUS_GROUP_ID || (rules.completedStatusIds || []).indexOf(statusId) !== -1;
+}
+
+/**
+ * Знаходить дату повної оплати: оплачені платежі (include=payments) сумуються за датою платежу,
+ * поки не покриють grand_total
+ * @param {Object} order - Замовлення KEYCRM
+ * @returns {string|null} Дата платежу у форматі ISO або null, якщо замовлення оплачено не повністю
+ */
+function findFullPaymentDate(order) {
+  const grandTotal = parseFloat(order.grand_total || 0);
+  const payments = getPaidPayments(order)
+    .sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime());
+
+  let paid = 0;
+  for (let i = 0; i < payments.length; i++) {
+    paid += payments[i].amount;
+    if (grandTotal > 0 && paid >= grandTotal - 0.005) {
+      return payments[i].date;
+    }
+  }
+  return null;
+}
+
+/**
+ * Сума оплачених платежів замовлення
+ * @param {Object} order - Замовлення KEYCRM
+ * @returns {number} Сума
+ */
+function sumPaidPayments(order) {
+  return getPaidPayments(order).reduce((sum, payment) => sum + payment.amount, 0);
+}
+
+/**
+ * Оплачені платежі замовлення з датою платежу (payment_date, інакше created_at)
+ * @param {Object} order - Замовлення KEYCRM
+ * @returns {Array} Масив { amount, date }
+ */
+function getPaidPayments(order) {
+  return (Array.isArray(order.payments) ? order.payments : [])
+    .filter(payment => payment.status === 'paid' && (payment.payment_date || payment.created_at))
+    .map(payment => ({
+      amount: parseFloat(payment.amount || 0),
+      date: normalizeApiDate(payment.payment_date || payment.created_at)
+    }));
+}
+
+// ========== ПОЛІТИКА СТАТУСІВ ==========
+// Дії політики статусів: нарахувати ЗП, відкласти до виконання, не рахувати
+const STATUS_POLICY_ACTIONS = ['pay', 'hold', 'skip'];
+// Група статусів KEYCRM "Скасовано"
+const CANCELED_STATUS_GROUP_ID = 6;
+
+/**
+ * Чи задано політику статусів (rules.statusPolicy з правилами для статусів або груп)
+ * @param {Object} rules - Правила розрахунку (statusPolicy)
+ * @returns {boolean}
+ */
+function isStatusPolicyEnabled(rules) {
+  const policy = rules.statusPolicy;
+  return Boolean(policy) && (Object.keys(policy.statuses || {}).length > 0 || Object.keys(policy.groups || {}).length > 0);
+}
+
+/**
+ * Визначає дію для замовлення за його статусом: скасовані (rules.canceledStatusIds, група 6) — завжди 'skip';
+ * далі правило для ID статусу, для group_id, default політики ('hold'). Без політики — 'pay'
+ * @param {Object} order - Замовлення KEYCRM
+ * @param {Object} rules - Правила розрахунку (canceledStatusIds, statusPolicy)
+ * @returns {string} 'pay', 'hold' або 'skip'
+ */
+function getStatusPolicyAction(order, rules) {
+  const statusId = parseInt(order.status?.id || order.status_id || 0, 10);
+  const statusGroupId = order.status?.group_id ? parseInt(order.status.group_id, 10) : null;
+  if (statusGroupId === CANCELED_STATUS_GROUP_ID || (statusId && (rules.canceledStatusIds || []).indexOf(statusId) !== -1)) {
+    return 'skip';
+  }
+  if (!isStatusPolicyEnabled(rules)) {
+    return 'pay';
+  }
+
+  const policy = rules.statusPolicy;
+  const byStatus = (policy.statuses || {})[statusId];
+  if (byStatus) return byStatus;
+  const byGroup = statusGroupId ? (policy.groups || {})[statusGroupId] : null;
+  if (byGroup) return byGroup;
+  return policy.default || 'hold';
+}
+
+/**
+ * Дата, за якою замовлення потрапляє в місяць ЗП: дата нарахування (getOrderAttributionDate).
+ * З політикою статусів оплачуване замовлення, виконане пізніше за дату нарахування
+ * (зокрема те, що раніше очікувало), нараховується в місяці виконання (status_changed_at).
+ * Утримане ('hold') замовлення без дати нарахування (наприклад, не виконане) показується в "Очікують"
+ * на дату останньої зміни статусу (або створення)
+ * @param {Object} order - Замовлення KEYCRM
+ * @param {Object} rules - Правила розрахунку (attributionDate, statusPolicy, canceledStatusIds)
+ * @returns {string|null} Дата у форматі ISO або null
+ */
+function getOrderPayrollDate(order, rules) {
+  const date = getOrderAttributionDate(order, rules);
+  if (!date && getStatusPolicyAction(order, rules) === 'hold') {
+    return normalizeApiDate(order.status_changed_at || order.created_at);
+  }
+  if (!date || !order.status_changed_at || !isStatusPolicyEnabled(rules) || getStatusPolicyAction(order, rules) !== 'pay') {
+    return date;
+  }
+  return laterDate(date, normalizeApiDate(order.status_changed_at));
+}
+
+/**
+ * Перевіряє політику статусів: дії — з STATUS_POLICY_ACTIONS, ключі — числові ID
+ * @param {Object} policy - Політика статусів { statuses, groups, default }
+ * @returns {Array<string>} Перелік помилок (порожній, якщо все гаразд)
+ */
+function validateStatusPolicy(policy) {
+  const errors = [];
+  if (!policy) return errors;
+
+  ['statuses', 'groups'].forEach(field => {
+    Object.keys(policy[field] || {}).forEach(id => {
+      const action = policy[field][id];
+      if (!/^\d+$/.test(id)) {
+        errors.push(`${field}.${id}: ключ має бути числовим ID KEYCRM`);
+      }
+      if (STATUS_POLICY_ACTIONS.indexOf(action) === -1) {
+        errors.push(`${field}.${id}: невідома дія "${action}", можливі: ${STATUS_POLICY_ACTIONS.join(', ')}`);
+      }
+    });
+  });
+  if (policy.default !== undefined && STATUS_POLICY_ACTIONS.indexOf(policy.default) === -1) {
+    errors.push(`default: невідома дія "${policy.default}", можливі: ${STATUS_POLICY_ACTIONS.join(', ')}`);
+  }
+  return errors;
+}
+
+// ========== ОПЛАТА ЗАМОВЛЕННЯ ==========
+// Як оплата замовлення (include=payments) впливає на ЗП: не враховується; ЗП пропорційно до оплаченої
+// частки grand_total (решта — після доплати); уся ЗП — після повної оплати
+const PAYMENT_POLICIES = ['ignore', 'scale', 'defer'];
+
+/**
+ * Ділить нарахування замовлення на частини за оплатою (rules.paymentPolicy)
+ * ignore — одна частина на дату нарахування (getOrderPayrollDate);
+ * defer — не оплачене повністю замовлення очікує (held), оплачене нараховується не раніше дати повної оплати;
+ * scale — платежі до дати нарахування дають першу частину, пізніші — частини в місяцях платежів,
+ * неоплачений залишок очікує. Замовлення без grand_total і в очікуванні за статусом не діляться
+ * @param {Object} order - Замовлення KEYCRM
+ * @param {Object} rules - Правила розрахунку (paymentPolicy, attributionDate, statusPolicy, timezone)
+ * @returns {Array} [{ date, share, held, label }] — частка grand_total і позначка для аркуша; [] без дати нарахування
+ */
+function getOrderPaymentTranches(order, rules) {
+  const date = getOrderPayrollDate(order, rules);
+  if (!date) {
+    return [];
+  }
+  const policy = rules.paymentPolicy || 'ignore';
+  if (PAYMENT_POLICIES.indexOf(policy) === -1) {
+    throw new Error(`Невідома політика оплати "${policy}", можливі: ${PAYMENT_POLICIES.join(', ')}`);
+  }
+  const grandTotal = parseFloat(order.grand_total || 0);
+  if (policy === 'ignore' || grandTotal <= 0 || getStatusPolicyAction(order, rules) === 'hold') {
+    return [{ date: date, share: 1, held: false, label: '' }];
+  }
+
+  if (policy === 'defer') {
+    const paidAt = findFullPaymentDate(order);
+    return paidAt
+      ? [{ date: laterDate(date, paidAt), share: 1, held: false, label: '' }]
+      : [{ date: date, share: 1, held: true, label: `Не оплачено повністю (оплачено ${formatSharePercent(sumPaidPayments(order) / grandTotal)})` }];
+  }
+
+  // Платежі одного місяця складаються в одну частину; переплата понад grand_total не рахується
+  const tranches = [];
+  let paidShare = 0;
+  getPaidPayments(order)
+    .sort((a, b) => new Date(a.date).getTime() - new Date(b.date).getTime())
+    .forEach(payment => {
+      const share = Math.min(payment.amount / grandTotal, 1 - paidShare);
+      if (share <= 0) return;
+      paidShare += share;
+      const trancheDate = laterDate(date, payment.date);
+      const { month, year } = getMonthYearFromDateString(trancheDate, rules.timezone);
+      const last = tranches[tranches.length - 1];
+      if (last && last.month === month && last.year === year) {
+        last.share += share;
+      } else {
+        tranches.push({ date: trancheDate, share: share, held: false, month: month, year: year });
+      }
+    });
+
+  const result = tranches.map((tranche, index) => ({
+    date: tranche.date,
+    share: tranche.share,
+    held: false,
+    label: `${index === 0 ? 'Оплачено' : 'Доплата'} ${formatSharePercent(tranche.share)}`
+  }));
+  const unpaidShare = 1 - paidShare;
+  if (unpaidShare > 0.00001) {
+    result.push({
+      date: tranches.length > 0 ? tranches[tranches.length - 1].date : date,
+      share: unpaidShare,
+      held: true,
+      label: `Не оплачено ${formatSharePercent(unpaidShare)}`
+    });
+  }
+  // Повністю оплачене до дати нарахування замовлення не позначається
+  if (result.length === 1 && !result[0].held) {
+    result[0].label = '';
+  }
+  return result;
+}
+
+/**
+ * Додає позицію замовлення окремо для кожної частини оплати (getOrderPaymentTranches):
+ * суми, знижка, витрати і маржа множаться на частку, дата — дата частини
+ * @param {Array} target - Масив позицій, змінюється на місці
+ * @param {Object} item - Позиція з classifyKeycrmOrders
+ * @param {Array} tranches - Частини оплати
+ */
+function addPaymentTranches(target, item, tranches) {
+  tranches.forEach((tranche, index) => {
+    target.push(Object.assign({}, item, scaleItemAmounts(item, tranche.share), {
+      date: tranche.date,
+      held: item.held || tranche.held,
+      paymentShare: tranche.share,
+      paymentTranche: index,
+      paymentLabel: tranche.label
+    }));
+  });
+}
+
+/**
+ * Суми позиції, помножені на частку: ціни, собівартість, маржа, частка знижки, витрати і суми у валюті
+ * @param {Object} item - Позиція з classifyKeycrmOrders
+ * @param {number} share - Частка від 0 до 1
+ * @returns {Object} Поля позиції з новими сумами (лише ті, що є в позиції)
+ */
+function scaleItemAmounts(item, share) {
+  const scaled = {
+    orderDiscountPart: (item.orderDiscountPart || 0) * share,
+    costs: {}
+  };
+  ['salePrice', 'purchasedPrice', 'costPrice', 'productMargin', 'margin'].forEach(field => {
+    if (item[field] !== undefined) scaled[field] = item[field] * share;
+  });
+  Object.keys(item.costs || {}).forEach(key => {
+    scaled.costs[key] = item.costs[key] * share;
+  });
+  if (item.currency) {
+    scaled.currency = Object.assign({}, item.currency, {
+      originalSalePrice: item.currency.originalSalePrice * share,
+      originalCostPrice: item.currency.originalCostPrice * share
+    });
+  }
+  return scaled;
+}
+
+/**
+ * Пізніша з двох дат
+ * @param {string} a - Дата у форматі ISO
+ * @param {string} b - Дата у форматі ISO
+ * @returns {string} Дата у форматі ISO
+ */
+function laterDate(a, b) {
+  return new Date(b).getTime() > new Date(a).getTime() ? b : a;
+}
+
+/**
+ * Частка (оплати, менеджера) у відсотках для аркуша: 0.4 → "40%"
+ * @param {number} share - Частка від 0 до 1
+ * @returns {string} Відсоток
+ */
+function formatSharePercent(share) {
+  return `${round2(share * 100)}%`;
+}
+
+// ========== РОЗПОДІЛ МІЖ МЕНЕДЖЕРАМИ ==========
+// Звідки береться менеджер частки: менеджер замовлення, поле товару або користувацьке поле замовлення
+const CREDIT_SHARE_SOURCES = ['order', 'product', 'customField'];
+
+/**
+ * Довідник менеджерів замовлень (order.manager), щоб упізнати менеджера з поля за ID або ПІБ
+ * @param {Array} orders - Замовлення KEYCRM
+ * @returns {Object} { byId: { ID: ПІБ }, byKey: { ключ ПІБ: { managerId, managerName } } }
+ */
+function collectManagerDirectory(orders) {
+  const directory = { byId: {}, byKey: {} };
+  orders.forEach(order => {
+    const managerId = order.manager?.id || order.manager_id;
+    const rawName = order.manager?.full_name || order.manager?.name || order.manager_name;
+    if (!managerId || !rawName) return;
+    const { displayName, key } = normalizeManagerName(rawName);
+    directory.byId[String(managerId)] = displayName;
+    directory.byKey[key] = { managerId: managerId, managerName: displayName };
+  });
+  return directory;
+}
+
+/**
+ * Ділить заслугу за позицію між менеджерами за першим правилом rules.creditRules, що підійшло:
+ * categories правила (ключі категорій нарахування, опціонально) містять категорію позиції, а умови match
+ * виконуються — як у правилах нарахування. Без правила, а також за частку, менеджера якої в полі не вказано,
+ * заслуга належить менеджеру замовлення
+ * @param {Object} order - Замовлення KEYCRM
+ * @param {Object} product - Товар замовлення
+ * @param {string} categoryKey - Категорія позиції
+ * @param {Object} rules - Правила розрахунку (creditRules)
+ * @param {Object} orderManager - Менеджер замовлення { managerId, managerName, managerKey }
+ * @param {Object} directory - Довідник з collectManagerDirectory
+ * @returns {Array} [{ managerId, managerName, managerKey, share, reason }]; частки одного менеджера складаються
+ */
+function getCreditShares(order, product, categoryKey, rules, orderManager, directory) {
+  const candidates = (rules.creditRules || []).filter(rule => !rule.categories || rule.categories.indexOf(categoryKey) !== -1);
+  const match = matchBonusRule(candidates, order, product);
+  if (!match) {
+    return [Object.assign({ share: 1, reason: '' }, orderManager)];
+  }
+
+  const shares = [];
+  match.rule.shares.forEach(spec => {
+    const share = (spec.percent !== undefined ? spec.percent : 100) / 100;
+    const value = spec.from === 'product' ? findProductText(product, [spec.field])
+      : spec.from === 'customField' ? findCustomFieldValue(order, spec.field)
+      : null;
+    const manager = value ? resolveCreditManager(value, directory) : null;
+    const source = spec.from === 'product' ? `поле товару "${spec.field}"`
+      : spec.from === 'customField' ? `поле "${spec.field}"`
+      : 'менеджер замовлення';
+    const target = manager || orderManager;
+    const reason = `${formatSharePercent(share)} — ${source}${manager || spec.from === 'order' ? '' : ' не заповнено, менеджер замовлення'}`;
+
+    const existing = shares.find(item => getCreditManagerKey(item) === getCreditManagerKey(target));
+    if (existing) {
+      existing.share += share;
+      existing.reason += `; ${reason}`;
+    } else {
+      shares.push(Object.assign({ share: share, reason: reason }, target));
+    }
+  });
+  shares.forEach(item => {
+    item.reason = `${match.rule.name}: ${item.reason}`;
+  });
+  return shares;
+}
+
+/**
+ * Менеджер з поля: числове значення — ID, інше — ПІБ (ID знаходиться за довідником, якщо менеджер вів замовлення)
+ * @param {string} value - Значення поля
+ * @param {Object} directory - Довідник з collectManagerDirectory
+ * @returns {Object} { managerId, managerName, managerKey }
+ */
+function resolveCreditManager(value, directory) {
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    const name = directory.byId[text] || `Менеджер ${text}`;
+    return { managerId: parseInt(text, 10), managerName: name, managerKey: normalizeManagerName(name).key };
+  }
+  const { displayName, key } = normalizeManagerName(text);
+  const known = directory.byKey[key];
+  return { managerId: known ? known.managerId : null, managerName: known ? known.managerName : displayName, managerKey: key };
+}
+
+/**
+ * Ключ менеджера частки: ID, а без нього — ключ ПІБ
+ * @param {Object} manager - { managerId, managerKey }
+ * @returns {string} Ключ
+ */
+function getCreditManagerKey(manager) {
+  return manager.managerId ? String(manager.managerId) : manager.managerKey;
+}
+
+/**
+ * Значення користувацького поля замовлення (include=custom_fields) за uuid або назвою поля
+ * @param {Object} order - Замовлення KEYCRM
+ * @param {string} fieldName - uuid або назва поля
+ * @returns {string|null} Перше непорожнє значення або null
+ */
+function findCustomFieldValue(order, fieldName) {
+  const fields = Array.isArray(order.custom_fields) ? order.custom_fields : [];
+  const field = fields.find(item => [item.uuid, item.name].map(normalizeTagValue).includes(normalizeTagValue(fieldName)));
+  if (!field) {
+    return null;
+  }
+  const values = (Array.isArray(field.value) ? field.value : [field.value])
+    .filter(value => value !== undefined && value !== null && String(value).trim() !== '');
+  return values.length > 0 ? String(values[0]) : null;
+}
+
+/**
+ * Додає позицію окремо для частки кожного менеджера (getCreditShares), а кожну частку — за частинами оплати:
+ * суми множаться на частку, у trace.reason додається пояснення розподілу
+ * @param {Array} target - Масив позицій, змінюється на місці
+ * @param {Object} item - Позиція з classifyKeycrmOrders (з менеджером замовлення)
+ * @param {Array} credits - Частки менеджерів
+ * @param {Array} tranches - Частини оплати
+ */
+function addCreditShares(target, item, credits, tranches) {
+  credits.forEach(credit => {
+    const shared = Object.assign({}, item, scaleItemAmounts(item, credit.share), {
+      managerId: credit.managerId,
+      managerName: credit.managerName,
+      managerKey: credit.managerKey,
+      creditShare: credit.share,
+      creditLabel: credit.share < 1 ? `Частка ${formatSharePercent(credit.share)}` : ''
+    });
+    if (credit.reason) {
+      shared.trace = Object.assign({}, item.trace, { reason: `${item.trace.reason}; ${credit.reason}` });
+    }
+    addPaymentTranches(target, shared, tranches);
+  });
+}
+
+/**
+ * Перевіряє правила розподілу заслуги між менеджерами
+ * @param {Array} creditRules - Правила [{ name, categories?, match, shares: [{ from, field?, percent? }] }]
+ * @param {Object} categories - Категорії з getBonusCategories
+ * @returns {Array<string>} Помилки (порожній масив, якщо все гаразд)
+ */
+function validateCreditRules(creditRules, categories) {
+  const errors = [];
+  (creditRules || []).forEach((rule, index) => {
+    const label = `Правило розподілу ${index + 1}${rule.name ? ` "${rule.name}"` : ''}`;
+    if (!rule.name) {
+      errors.push(`${label}: не задано name`);
+    }
+    (rule.categories || []).forEach(key => {
+      if (!categories[key]) errors.push(`${label}: невідома категорія "${key}"`);
+    });
+    Object.keys(rule.match || {}).forEach(condition => {
+      if (!BONUS_RULE_CONDITIONS[condition]) errors.push(`${label}: невідома умова "${condition}"`);
+    });
+    if (!Array.isArray(rule.shares) || rule.shares.length === 0) {
+      errors.push(`${label}: не задано shares`);
+      return;
+    }
+    let total = 0;
+    rule.shares.forEach((spec, specIndex) => {
+      const specLabel = `${label}, частка ${specIndex + 1}`;
+      if (CREDIT_SHARE_SOURCES.indexOf(spec.from) === -1) {
+        errors.push(`${specLabel}: from має бути одним з ${CREDIT_SHARE_SOURCES.join(', ')}`);
+      }
+      if (spec.from !== 'order' && !spec.field) {
+        errors.push(`${specLabel}: для from '${spec.from}' не задано field`);
+      }
+      if (spec.percent !== undefined && (typeof spec.percent !== 'number' || spec.percent <= 0)) {
+        errors.push(`${specLabel}: percent має бути додатним числом`);
+      }
+      total += spec.percent !== undefined ? spec.percent : 100;
+    });
+    if (Math.abs(total - 100) > 0.001) {
+      errors.push(`${label}: сума percent часток має бути 100, а не ${total}`);
+    }
+  });
+  return errors;
+}
+
+// ========== ВАЛЮТИ ==========
+// Поля з валютою ціни продажу та закупівельної ціни товару (перше непорожнє);
+// без валюти товару діє валюта замовлення, без валюти закупівлі — валюта продажу
+const SALE_CURRENCY_FIELDS = ['currency', 'currency_code', 'offer.currency', 'offer.currency_code'];
+const PURCHASED_CURRENCY_FIELDS = ['purchased_price_currency', 'purchased_currency', 'offer.purchased_price_currency', 'offer.purchased_currency'];
+
+/**
+ * Готує переведення сум замовлення в базову валюту за курсами rules.exchangeRates на дату замовлення
+ * Без rules.exchangeRates (мультивалютність вимкнена) суми не змінюються
+ * @param {Object} order - Замовлення KEYCRM
+ * @param {Object} rules - Правила розрахунку (baseCurrency, exchangeRates, maxRateAgeDays)
+ * @returns {Object} { orderRate, missing, convertProduct(product, price, cost, quantity) }
+ */
+function createOrderExchange(order, rules) {
+  const enabled = Boolean(rules.exchangeRates);
+  const baseCurrency = normalizeCurrencyCode(rules.baseCurrency) || 'UAH';
+  const date = normalizeApiDate(order.created_at);
+  const orderCurrency = normalizeCurrencyCode(order.currency || order.currency_code) || baseCurrency;
+  const missing = [];
+
+  const rateOf = currency => {
+    if (!enabled || currency === baseCurrency) return 1;
+    const rate = findExchangeRate(rules.exchangeRates, currency, date, rules.maxRateAgeDays);
+    if (rate === null) {
+      if (missing.indexOf(currency) === -1) missing.push(currency);
+      return 0;
+    }
+    return rate;
+  };
+  const orderRate = rateOf(orderCurrency);
+
+  return {
+    orderRate: orderRate,
+    missing: missing,
+    convertProduct: (product, price, cost, quantity) => {
+      if (!enabled) {
+        return { priceSold: price, purchasedPrice: cost, original: null };
+      }
+      const saleCurrency = normalizeCurrencyCode(findProductText(product, SALE_CURRENCY_FIELDS)) || orderCurrency;
+      const costCurrency = normalizeCurrencyCode(findProductText(product, PURCHASED_CURRENCY_FIELDS)) || saleCurrency;
+      const saleRate = rateOf(saleCurrency);
+      const costRate = rateOf(costCurrency);
+      return {
+        priceSold: price * saleRate,
+        purchasedPrice: cost * costRate,
+        original: {
+          saleCurrency: saleCurrency,
+          costCurrency: costCurrency,
+          saleRate: saleRate,
+          costRate: costRate,
+          originalSalePrice: price * quantity,
+          originalCostPrice: cost * quantity
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Знаходить курс валюти на дату: останній запис таблиці курсів з датою не пізніше за дату замовлення
+ * @param {Object} exchangeRates - { 'USD': [{ from: мс, rate }] } за зростанням from
+ * @param {string} currency - Код валюти
+ * @param {string} dateString - Дата замовлення (ISO)
+ * @param {number} maxAgeDays - Найстаріший допустимий курс, днів (опціонально; без нього — будь-який попередній)
+ * @returns {number|null} Курс (грн за одиницю валюти) або null, якщо курсу немає
+ */
+function findExchangeRate(exchangeRates, currency, dateString, maxAgeDays) {
+  const time = new Date(dateString).getTime();
+  let found = null;
+  (exchangeRates[currency] || []).forEach(entry => {
+    if (entry.from <= time) found = entry;
+  });
+  if (!found || (maxAgeDays && time - found.from > (maxAgeDays + 1) * 24 * 60 * 60 * 1000)) {
+    return null;
+  }
+  return found.rate;
+}
+
+/**
+ * Підсумок валют позицій для рядка "Розрахунок МП": валюта, суми в ній і курс
+ * Якщо в рядку кілька валют продажу чи закупівлі, суми в оригінальній валюті не складаються
+ * @param {Array} currencies - Валютні дані позицій (original з createOrderExchange; null — мультивалютність вимкнена)
+ * @returns {Object} { currencyLabel, originalSalePrice, originalCostPrice, exchangeRate } або {} без валютних даних
+ */
+function summarizeLineCurrency(currencies) {
+  const list = currencies.filter(Boolean);
+  if (list.length === 0) {
+    return {};
+  }
+
+  const unique = field => [...new Set(list.map(currency => currency[field]))];
+  const [saleCurrency, ...otherSale] = unique('saleCurrency');
+  const [costCurrency, ...otherCost] = unique('costCurrency');
+  if (otherSale.length > 0 || otherCost.length > 0) {
+    return { currencyLabel: 'Кілька валют', originalSalePrice: '', originalCostPrice: '', exchangeRate: '' };
+  }
+
+  const sameCurrency = saleCurrency === costCurrency;
+  return {
+    currencyLabel: sameCurrency ? saleCurrency : `${saleCurrency} / ${costCurrency}`,
+    originalSalePrice: round2(list.reduce((sum, currency) => sum + currency.originalSalePrice, 0)),
+    originalCostPrice: round2(list.reduce((sum, currency) => sum + currency.originalCostPrice, 0)),
+    exchangeRate: sameCurrency ? list[0].saleRate : `${list[0].saleRate} / ${list[0].costRate}`
+  };
+}
+
+/**
+ * Нормалізує код валюти: "usd " → "USD"; "грн" і "UAH" вважаються однією валютою
+ * @param {*} value - Код валюти з KEYCRM або таблиці курсів
+ * @returns {string} Код валюти або порожній рядок
+ */
+function normalizeCurrencyCode(value) {
+  const code = value === undefined || value === null ? '' : value.toString().trim().toUpperCase();
+  return code === 'ГРН' ? 'UAH' : code;
+}
+
+// ========== ВИТРАТИ ЗАМОВЛЕННЯ ==========
+// Звідки береться база складової витрат (from): кожен платіж, замовлення загалом або кожна витрата KEYCRM
+const COST_COMPONENT_SOURCES = ['payments', 'order', 'expenses'];
+// Ключ ставки для from: 'order' — джерело замовлення або служба доставки
+const COST_COMPONENT_ORDER_KEYS = ['source', 'delivery'];
+
+/**
+ * Рахує складові витрат замовлення за rules.costComponents
+ * Кожна складова — сума по базах: база × percent / 100 + fixed, ставка — за ID (метод оплати, джерело,
+ * служба доставки або тип витрати), '*' — для решти ID; бази без ставки не враховуються.
+ * Бази — суми замовлення у його валюті, тож переводяться за курсом; fixed задано в гривнях і додається як є
+ * @param {Object} order - Замовлення KEYCRM (з include=payments / shipping / expenses за потреби)
+ * @param {Array} components - Складові [{ key, header, from, by?, rates }]
+ * @param {number} orderRate - Курс валюти замовлення (грн за одиницю, за замовчуванням 1)
+ * @returns {Object} { ключ складової: сума (грн) }
+ */
+function calculateOrderCosts(order, components, orderRate = 1) {
+  const costs = {};
+  components.forEach(component => {
+    let amount = 0;
+    getCostComponentBases(order, component).forEach(base => {
+      const rate = component.rates[String(base.id)] || component.rates['*'];
+      if (!rate) return;
+      amount += base.amount * orderRate * ((rate.percent || 0) / 100) + (rate.fixed || 0);
+    });
+    costs[component.key] = round2(amount);
+  });
+  return costs;
+}
+
+/**
+ * Бази складової витрат: [{ id, amount }]
+ * payments — платежі (крім скасованих) за методом оплати; order — grand_total за джерелом або службою доставки;
+ * expenses — витрати замовлення за типом витрати
+ * @param {Object} order - Замовлення KEYCRM
+ * @param {Object} component - Складова витрат
+ * @returns {Array} Масив { id, amount }
+ */
+function getCostComponentBases(order, component) {
+  if (component.from === 'payments') {
+    return (Array.isArray(order.payments) ? order.payments : [])
+      .filter(payment => payment.status !== 'canceled')
+      .map(payment => ({ id: payment.payment_method_id || payment.payment_method?.id, amount: parseFloat(payment.amount || 0) }));
+  }
+  if (component.from === 'expenses') {
+    return (Array.isArray(order.expenses) ? order.expenses : [])
+      .map(expense => ({ id: expense.expense_type_id || expense.type?.id, amount: parseFloat(expense.amount || 0) }));
+  }
+  const id = component.by === 'delivery'
+    ? (order.shipping?.delivery_service_id || order.delivery_service_id)
+    : order.source_id;
+  return [{ id: id, amount: parseFloat(order.grand_total || 0) }];
+}
+
+/**
+ * Розподіляє витрати замовлення між товарами, що враховуються, пропорційно до ціни продажу
+ * @param {Array} positions - Товари замовлення { value, match }
+ * @param {Object} orderCosts - Результат calculateOrderCosts
+ * @param {Object} categories - Категорії з getBonusCategories
+ * @returns {Array<Object>} Для кожного товару { ключ складової: частка (грн) }
+ */
+function allocateOrderCosts(positions, orderCosts, categories) {
+  const isCounted = position => Boolean(position.match) && categories[position.match.rule.category].kind !== 'excluded';
+  const countedValue = positions.filter(isCounted).reduce((sum, position) => sum + position.value, 0);
+
+  return positions.map(position => {
+    const shares = {};
+    Object.keys(orderCosts).forEach(key => {
+      shares[key] = isCounted(position) && countedValue > 0 ? orderCosts[key] * (position.value / countedValue) : 0;
+    });
+    return shares;
+  });
+}
+
+/**
+ * Додає складові витрат до накопичених сум
+ * @param {Object} target - { ключ: сума }, змінюється на місці
+ * @param {Object} costs - { ключ: сума }
+ * @returns {Object} target
+ */
+function addCosts(target, costs) {
+  Object.keys(costs || {}).forEach(key => {
+    target[key] = (target[key] || 0) + costs[key];
+  });
+  return target;
+}
+
+/**
+ * Сума всіх складових витрат
+ * @param {Object} costs - { ключ: сума }
+ * @returns {number} Сума
+ */
+function sumCosts(costs) {
+  return Object.keys(costs || {}).reduce((sum, key) => sum + costs[key], 0);
+}
+
+/**
+ * Округлює складові витрат до копійок
+ * @param {Object} costs - { ключ: сума }
+ * @returns {Object} Нова копія з округленими сумами
+ */
+function roundCosts(costs) {
+  const rounded = {};
+  Object.keys(costs || {}).forEach(key => {
+    rounded[key] = round2(costs[key]);
+  });
+  return rounded;
+}
+
+/**
+ * Перевіряє опис складових витрат
+ * @param {Array} components - Складові [{ key, header, from, by?, rates }]
+ * @returns {Array<string>} Помилки (порожній масив, якщо все гаразд)
+ */
+function validateCostComponents(components) {
+  const errors = [];
+  const keys = {};
+  components.forEach((component, index) => {
+    const label = `Складова витрат ${index + 1}${component.key ? ` "${component.key}"` : ''}`;
+    if (!component.key) {
+      errors.push(`${label}: не задано key`);
+    } else if (keys[component.key]) {
+      errors.push(`${label}: key повторюється`);
+    }
+    keys[component.key] = true;
+    if (!component.header) {
+      errors.push(`${label}: не задано header`);
+    }
+    if (COST_COMPONENT_SOURCES.indexOf(component.from) === -1) {
+      errors.push(`${label}: from має бути одним з ${COST_COMPONENT_SOURCES.join(', ')}`);
+    }
+    if (component.from === 'order' && COST_COMPONENT_ORDER_KEYS.indexOf(component.by) === -1) {
+      errors.push(`${label}: для from 'order' by має бути одним з ${COST_COMPONENT_ORDER_KEYS.join(', ')}`);
+    }
+    if (!component.rates || typeof component.rates !== 'object') {
+      errors.push(`${label}: не задано rates`);
+      return;
+    }
+    Object.keys(component.rates).forEach(id => {
+      const rate = component.rates[id];
+      if (!rate || ['percent', 'fixed'].some(field => rate[field] !== undefined && typeof rate[field] !== 'number')) {
+        errors.push(`${label}: ставка "${id}" має бути { percent, fixed } з числами`);
+      }
+    });
+  });
+  return errors;
+}
+
+// ========== ПРАВИЛА НАРАХУВАННЯ ==========
+// Категорії за замовчуванням: kind — 'bonus' (бонус від маржі понад поріг), 'rate' (ставка) або 'excluded' (не рахується);
+// wholeOrder — товар цієї категорії забирає в неї все замовлення;
+// discountPolicy — як знижка замовлення зменшує маржу товарів категорії (див. DISCOUNT_POLICY_LABELS);
+// percent / threshold (опціонально) — власний відсоток і поріг категорії замість параметрів рівня
+const DEFAULT_BONUS_CATEGORIES = {
+  upsell: { label: 'Допродаж', kind: 'bonus', discountPolicy: 'ignore' },
+  tagged: { label: 'За тегом', kind: 'bonus', wholeOrder: true, discountPolicy: 'by_value' },
+  incoming: { label: 'Вхідне замовлення', kind: 'rate', discountPolicy: 'ignore' },
+  excluded: { label: 'Не враховано', kind: 'excluded' }
+};
+
+// Політики розподілу знижки замовлення (різниця між сумою товарів і grand_total)
+const DISCOUNT_POLICY_LABELS = {
+  ignore: 'Не враховується',
+  by_value: 'Пропорційно до ціни',
+  by_margin: 'Пропорційно до маржі',
+  incoming_first: 'Спершу на вхідні'
+};
+
+// Умови правила: значення — перелік, достатньо збігу з одним елементом; різні умови мають виконуватися всі
+const BONUS_RULE_CONDITIONS = {
+  tags: (order, product, values) => {
+    const tag = getOrderTagName(order, values);
+    return tag ? `тег "${tag}"` : null;
+  },
+  sources: (order, product, values) => describeListMatch('джерело', values, [order.source_id, order.source?.name]),
+  skus: (order, product, values) => describeListMatch('SKU', values, [product.sku, product.offer?.sku]),
+  categories: (order, product, values) => {
+    const offer = product.offer || {};
+    return describeListMatch('категорія', values, [
+      product.category_id, product.category?.name, offer.category_id, offer.product?.category_id, offer.product?.category?.name
+    ]);
+  },
+  customFields: (order, product, expected) => describeCustomFieldsMatch(order, expected),
+  statuses: (order, product, values) => describeListMatch('статус', values, [order.status?.id || order.status_id, order.status?.name]),
+  managers: (order, product, values) => describeListMatch('менеджер', values, [
+    order.manager?.id || order.manager_id, order.manager?.full_name || order.manager?.name || order.manager_name
+  ]),
+  upsellFlag: (order, product, expected) => {
+    const flag = getUpsellFlagSource(product);
+    if (Boolean(flag) !== Boolean(expected)) return null;
+    return flag ? `позначка ${flag}` : 'без позначки допродажу';
+  }
+};
+
+/**
+ * Типовий набір правил — поведінка до появи правил:
+ * теги FULL_ORDER_TAGS рахують усе замовлення, товари з позначкою допродажу — бонус, решта — ставка
+ * @param {Array<string>} fullOrderTags - Теги замовлень, які рахуються повністю
+ * @returns {Array} Правила [{ name, match, category, reason? }]
+ */
+function getDefaultBonusRules(fullOrderTags) {
+  return [
+    ...fullOrderTags.map(tag => ({
+      name: tag,
+      match: { tags: [tag] },
+      category: 'tagged',
+      reason: `Тег "${tag}": рахується все замовлення`
+    })),
+    { name: 'Допродаж', match: { upsellFlag: true }, category: 'upsell' },
+    { name: 'Вхідний товар', match: { upsellFlag: false }, category: 'incoming' }
+  ];
+}
+
+/**
+ * Правила нарахування з rules.bonusRules або типовий набір, якщо їх не задано
+ * @param {Object} rules - Правила розрахунку
+ * @returns {Array} Правила в порядку перевірки
+ */
+function getBonusRules(rules) {
+  return rules.bonusRules && rules.bonusRules.length > 0
+    ? rules.bonusRules
+    : getDefaultBonusRules(rules.fullOrderTags || []);
+}
+
+/**
+ * Категорії за замовчуванням, доповнені rules.bonusCategories
+ * Параметри типової категорії перевизначаються окремо: { tagged: { discountPolicy: 'by_margin' } } зберігає label і kind
+ * @param {Object} rules - Правила розрахунку
+ * @returns {Object} { ключ: { label, kind, wholeOrder?, discountPolicy?, percent?, threshold? } }
+ */
+function getBonusCategories(rules) {
+  const categories = Object.assign({}, DEFAULT_BONUS_CATEGORIES);
+  Object.keys(rules.bonusCategories || {}).forEach(key => {
+    categories[key] = Object.assign({}, DEFAULT_BONUS_CATEGORIES[key], rules.bonusCategories[key]);
+  });
+  return categories;
+}
+
+/**
+ * Знаходить перше правило, всі умови якого виконуються для товару замовлення
+ * @param {Array} bonusRules - Правила в порядку перевірки
+ * @param {Object} order - Замовлення KEYCRM
+ * @param {Object} product - Товар замовлення
+ * @returns {Object|null} { rule, reason } — правило і пояснення для аудиту; null, якщо не підійшло жодне
+ */
+function matchBonusRule(bonusRules, order, product) {
+  for (let rule of bonusRules) {
+    const descriptions = [];
+    const matched = Object.keys(rule.match || {}).every(condition => {
+      const description = BONUS_RULE_CONDITIONS[condition](order, product, rule.match[condition]);
+      if (description) descriptions.push(description);
+      return Boolean(description);
+    });
+    if (matched) {
+      return {
+        rule: rule,
+        reason: rule.reason || (descriptions.length > 0 ? `${rule.name}: ${descriptions.join(', ')}` : rule.name)
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Перевіряє правила та категорії до розрахунку
+ * @param {Array} bonusRules - Правила нарахування
+ * @param {Object} categories - Категорії з getBonusCategories
+ * @returns {Array<string>} Помилки (порожній масив, якщо все гаразд)
+ */
+function validateBonusRules(bonusRules, categories) {
+  const errors = [];
+  Object.keys(categories).forEach(key => {
+    const category = categories[key];
+    if (['bonus', 'rate', 'excluded'].indexOf(category.kind) === -1) {
+      errors.push(`Категорія "${key}": kind має бути 'bonus', 'rate' або 'excluded'`);
+    }
+    if (category.discountPolicy !== undefined && !DISCOUNT_POLICY_LABELS[category.discountPolicy]) {
+      errors.push(`Категорія "${key}": discountPolicy має бути одним з ${Object.keys(DISCOUNT_POLICY_LABELS).join(', ')}`);
+    }
+    ['percent', 'threshold'].forEach(field => {
+      if (category[field] !== undefined && typeof category[field] !== 'number') {
+        errors.push(`Категорія "${key}": ${field} має бути числом`);
+      }
+    });
+  });
+
+  bonusRules.forEach((rule, index) => {
+    const label = `Правило ${index + 1}${rule.name ? ` "${rule.name}"` : ''}`;
+    if (!rule.name) {
+      errors.push(`${label}: не задано name`);
+    }
+    if (!categories[rule.category]) {
+      errors.push(`${label}: невідома категорія "${rule.category}"`);
+    }
+    Object.keys(rule.match || {}).forEach(condition => {
+      const value = rule.match[condition];
+      if (!BONUS_RULE_CONDITIONS[condition]) {
+        errors.push(`${label}: невідома умова "${condition}"`);
+      } else if (condition === 'customFields' ? (!value || typeof value !== 'object' || Array.isArray(value)) : (condition !== 'upsellFlag' && !Array.isArray(value))) {
+        errors.push(`${label}: умова "${condition}" має бути ${condition === 'customFields' ? 'об\'єктом { поле: значення }' : 'переліком'}`);
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Параметри рівнів для категорії: власні percent / threshold категорії замінюють відсоток і шкалу рівня
+ * @param {Object} rules - Правила розрахунку
+ * @param {string} categoryKey - Ключ категорії позиції
+ * @returns {Object} Параметри рівнів у форматі rules.managerLevels
+ */
+function getCategoryLevels(rules, categoryKey) {
+  const category = getBonusCategories(rules)[categoryKey] || {};
+  if (category.percent === undefined && category.threshold === undefined) {
+    return rules.managerLevels;
+  }
+
+  const kind = category.kind === 'rate' ? 'rate' : 'bonus';
+  const levels = {};
+  Object.keys(rules.managerLevels).forEach(level => {
+    const config = Object.assign({}, rules.managerLevels[level]);
+    const percent = category.percent !== undefined ? category.percent : config[kind];
+    delete config[`${kind}Brackets`];
+    delete config[`${kind}BracketMode`];
+    if (kind === 'bonus') {
+      config.bonus = percent;
+      config.threshold = category.threshold !== undefined ? category.threshold : config.threshold;
+    } else if (category.threshold !== undefined) {
+      // Ставка без шкали рахується без порогу, тому поріг категорії задаємо однокроковою шкалою
+      config.rateBrackets = [{ from: category.threshold, percent: percent }];
+      config.rateBracketMode = 'whole';
+    } else {
+      config.rate = percent;
+    }
+    levels[level] = config;
+  });
+  return levels;
+}
+
+/**
+ * Описує збіг значення замовлення/товару з переліком правила (без урахування регістру)
+ * @param {string} label - Назва умови для пояснення
+ * @param {Array} values - Значення з правила
+ * @param {Array} candidates - Значення замовлення або товару (ID, назва)
+ * @returns {string|null} Наприклад 'SKU "CASE-01"'; null, якщо збігу немає
+ */
+function describeListMatch(label, values, candidates) {
+  const targets = (values || []).map(normalizeTagValue);
+  const found = candidates.find(candidate => {
+    const normalized = normalizeTagValue(candidate);
+    return normalized && targets.includes(normalized);
+  });
+  return found !== undefined ? `${label} "${found}"` : null;
+}
+
+/**
+ * Перевіряє користувацькі поля замовлення (include=custom_fields): збіг за uuid або назвою поля
+ * @param {Object} order - Замовлення KEYCRM
+ * @param {Object} expected - { поле: значення або перелік значень }
+ * @returns {string|null} Пояснення збігу або null
+ */
+function describeCustomFieldsMatch(order, expected) {
+  const fields = Array.isArray(order.custom_fields) ? order.custom_fields : [];
+  const descriptions = [];
+  const matched = Object.keys(expected || {}).every(fieldName => {
+    const field = fields.find(item => [item.uuid, item.name].map(normalizeTagValue).includes(normalizeTagValue(fieldName)));
+    if (!field) return false;
+    const values = Array.isArray(field.value) ? field.value : [field.value];
+    const wanted = Array.isArray(expected[fieldName]) ? expected[fieldName] : [expected[fieldName]];
+    const description = describeListMatch(`поле "${fieldName}" =`, wanted, values);
+    if (description) descriptions.push(description);
+    return Boolean(description);
+  });
+  return matched && descriptions.length > 0 ? descriptions.join(', ') : null;
+}
+
+// ========== РЯДКИ РОЗРАХУНКУ ==========
+/**
+ * Обробляє допродажі та розраховує маржу та бонуси
+ * Якщо в одному замовленні кілька допродажів, їх суми та собівартості складаються
+ * Бонус розраховується від загальної суми допродажів в замовленні
+ * @param {Array} upsales - Масив допродажів
+ * @param {Object} rules - Правила розрахунку
+ * @returns {Array} Масив оброблених результатів
+ */
+function processUpsales(upsales, rules) {
+  const results = [];
+  const managerTotals = {};
+  const ordersMap = {};
+
+  upsales.forEach((upsell) => {
+    const orderId = upsell.orderId;
+    const quantity = upsell.quantity || 1;
+    const productSalePrice = upsell.salePrice || 0;
+    const productCostPrice = upsell.costPrice || 0;
+    // Товари різних категорій одного замовлення (різні частини оплати, менеджери і частки менеджера) рахуються окремими рядками
+    const orderKey = `${orderId}_${upsell.category || 'upsell'}_${upsell.paymentTranche || 0}_${upsell.managerId || upsell.managerKey}_${upsell.creditShare || 1}`;
+    
+    if (!ordersMap[orderKey]) {
+      ordersMap[orderKey] = {
+        orderId: orderId,
+        category: upsell.category || 'upsell',
+        products: [],
+        totalSalePrice: 0,
+        totalCostPrice: 0,
+        totalMargin: 0,
+        orderDiscount: 0,
+        costs: {},
+        discountPolicy: upsell.discountPolicy || 'ignore',
+        managerId: upsell.managerId,
+        managerName: upsell.managerName,
+        managerKey: upsell.managerKey,
+        date: upsell.date,
+        paymentShare: upsell.paymentShare || 1,
+        paymentLabel: upsell.paymentLabel || '',
+        creditShare: upsell.creditShare || 1,
+        creditLabel: upsell.creditLabel || ''
+      };
+    }
+    
+    // Використовуємо готову маржу, якщо вона є (з урахуванням знижок), інакше рахуємо
+    const productMargin = upsell.margin !== undefined 
+      ? upsell.margin 
+      : (productSalePrice - productCostPrice);
+    
+    ordersMap[orderKey].products.push({
+      name: upsell.name,
+      salePrice: productSalePrice,
+      costPrice: productCostPrice,
+      quantity: quantity,
+      margin: productMargin,
+      isSpecialTag: upsell.isSpecialTag || false,
+      specialTagName: upsell.specialTagName || null,
+      trace: traceLineItem(upsell, productSalePrice, productCostPrice, productMargin)
+    });
+    
+    ordersMap[orderKey].totalSalePrice += productSalePrice;
+    ordersMap[orderKey].totalCostPrice += productCostPrice;
+    ordersMap[orderKey].totalMargin += productMargin;
+    ordersMap[orderKey].orderDiscount += upsell.orderDiscountPart || 0;
+    addCosts(ordersMap[orderKey].costs, upsell.costs);
+  });
+
+  Object.values(ordersMap).forEach((orderData) => {
+    // Використовуємо загальну маржу, яка вже враховує знижки
+    const margin = orderData.totalMargin;
+    // Розраховуємо бонуси для всіх 3 рівнів (з відсотком і порогом категорії, якщо вони задані)
+    const managerLevels = getCategoryLevels(rules, orderData.category);
+    const lineShare = getLineShare(orderData);
+    const bonuses = calculateShareLevelAmounts(margin, managerLevels, 'bonus', lineShare.share);
+    // Бонус за рівнем, призначеним менеджеру на дату замовлення
+    const level = resolveManagerLevel(rules, orderData.managerId, orderData.managerName, orderData.date);
+    const payout = selectLevelAmount(bonuses, 'bonus', level);
+
+    // Перевіряємо, чи це замовлення з одним із спецтегів
+    const specialProduct = orderData.products.find(p => p.isSpecialTag === true);
+    const specialTagName = specialProduct ? specialProduct.specialTagName : null;
+    const isSpecialTag = Boolean(specialTagName);
+
+    const productNames = orderData.products.map(p => p.name).join(', ');
+    const productsCount = orderData.products.length;
+    let upsellName;
+    let typeLabel;
+
+    if (isSpecialTag) {
+      upsellName = specialTagName || 'Замовлення за тегом';
+      typeLabel = 'За тегом';
+    } else if (productsCount > 1) {
+      upsellName = `${productsCount} допродажів: ${productNames}`;
+      typeLabel = getBonusCategories(rules)[orderData.category].label;
+    } else {
+      upsellName = productNames;
+      typeLabel = getBonusCategories(rules)[orderData.category].label;
+    }
+
+    // Визначаємо місяць і рік з дати замовлення
+    const { month, year } = getMonthYearFromDateString(orderData.date, rules.timezone);
+    const managerKey = orderData.managerId || orderData.managerKey || orderData.managerName || 'Без менеджера';
+
+    results.push({
+      date: formatDisplayDate(orderData.date, rules.timezone),
+      managerName: orderData.managerName,
+      managerId: orderData.managerId,
+      managerKey: managerKey,
+      upsellName: upsellName,
+      salePrice: orderData.totalSalePrice,
+      costPrice: orderData.totalCostPrice,
+      margin: margin,
+      bonusLevel1: bonuses.bonusLevel1,
+      bonusLevel2: bonuses.bonusLevel2,
+      bonusLevel3: bonuses.bonusLevel3,
+      level: level,
+      levelLabel: formatLevelLabel(level),
+      payout: payout,
+      discountPolicy: orderData.discountPolicy,
+      orderDiscount: round2(orderData.orderDiscount),
+      discountLabel: describeDiscountAllocation(orderData.discountPolicy, orderData.orderDiscount),
+      costs: roundCosts(orderData.costs),
+      orderId: orderData.orderId,
+      upsellId: orderData.orderId,
+      quantity: productsCount,
+      typeLabel: typeLabel,
+      category: orderData.category,
+      paymentLabel: orderData.paymentLabel,
+      creditLabel: orderData.creditLabel,
+      month: month,
+      year: year,
+      trace: {
+        items: orderData.products.map(p => p.trace),
+        levels: explainShareLevelAmounts(margin, managerLevels, 'bonus', lineShare)
+      }
+    });
+
+    // Групуємо по менеджерах і місяцях
+    const monthYearKey = `${month}.${year}`;
+    const totalsKey = `${managerKey}_${monthYearKey}`;
+
+    if (!managerTotals[totalsKey]) {
+      managerTotals[totalsKey] = {
+        managerName: orderData.managerName,
+        managerId: orderData.managerId,
+        managerKey: managerKey,
+        month: month,
+        year: year,
+        totalMargin: 0,
+        totalBonusLevel1: 0,
+        totalBonusLevel2: 0,
+        totalBonusLevel3: 0,
+        totalPayout: 0,
+        costs: {},
+        levels: [],
+        count: 0
+      };
+    }
+
+    managerTotals[totalsKey].totalMargin += margin;
+    managerTotals[totalsKey].totalBonusLevel1 += bonuses.bonusLevel1;
+    managerTotals[totalsKey].totalBonusLevel2 += bonuses.bonusLevel2;
+    managerTotals[totalsKey].totalBonusLevel3 += bonuses.bonusLevel3;
+    managerTotals[totalsKey].totalPayout += payout;
+    addCosts(managerTotals[totalsKey].costs, orderData.costs);
+    addLevelToList(managerTotals[totalsKey].levels, level);
+    managerTotals[totalsKey].count += productsCount;
+  });
+
+  Object.values(managerTotals).forEach(total => {
+    results.push({
+      date: 'ПІДСУМОК',
+      managerName: total.managerName,
+      managerId: total.managerId,
+      upsellName: `Всього: ${total.count} допродажів`,
+      salePrice: '',
+      costPrice: '',
+      margin: total.totalMargin,
+      bonusLevel1: total.totalBonusLevel1,
+      bonusLevel2: total.totalBonusLevel2,
+      bonusLevel3: total.totalBonusLevel3,
+      levels: total.levels,
+      levelLabel: formatLevelLabel(total.levels),
+      payout: total.totalPayout,
+      costs: roundCosts(total.costs),
+      orderId: '',
+      upsellId: '',
+      typeLabel: 'Підсумок',
+      month: total.month,
+      year: total.year
+    });
+  });
+  
+  return results;
+}
+
+/**
+ * Обробляє замовлення з тегами для конкретного місяця
+ * @param {Array} orders - Масив замовлень з тегами
+ * @param {Object} rules - Правила розрахунку
+ * @returns {Array} Масив оброблених результатів
+ */
+function processTaggedOrdersForMonth(orders, rules) {
+  const results = [];
+  const managerTotals = {};
+  
+  orders.forEach(order => {
+    // Підсумовуємо маржі всіх товарів в замовленні
+    let totalSalePrice = 0;
+    let totalCostPrice = 0;
+    let totalMargin = 0;
+    let orderDiscount = 0;
+    const costs = {};
+    const traceItems = [];
+    
+    order.products.forEach(product => {
+      const salePrice = product.salePrice || 0;
+      const costPrice = product.costPrice || 0;
+      const margin = product.margin !== undefined 
+        ? product.margin 
+        : (salePrice - costPrice);
+      
+      totalSalePrice += salePrice;
+      totalCostPrice += costPrice;
+      totalMargin += margin;
+      orderDiscount += product.orderDiscountPart || 0;
+      addCosts(costs, product.costs);
+      traceItems.push(traceLineItem(product, salePrice, costPrice, margin));
+    });
+    
+    // Розраховуємо бонуси для всіх 3 рівнів (з відсотком і порогом категорії, якщо вони задані)
+    const managerLevels = getCategoryLevels(rules, order.category);
+    const lineShare = getLineShare(order);
+    const bonuses = calculateShareLevelAmounts(totalMargin, managerLevels, 'bonus', lineShare.share);
+    const level = resolveManagerLevel(rules, order.managerId, order.managerName, order.date);
+    const payout = selectLevelAmount(bonuses, 'bonus', level);
+
+    const { month, year } = getMonthYearFromDateString(order.date, rules.timezone);
+    const managerKey = order.managerId || order.managerKey || order.managerName || 'Без менеджера';
+
+    // Записуємо замовлення як один рядок
+    results.push({
+      date: formatDisplayDate(order.date, rules.timezone),
+      managerName: order.managerName,
+      managerId: order.managerId,
+      managerKey: managerKey,
+      typeLabel: getBonusCategories(rules)[order.category || 'tagged'].label,
+      category: order.category || 'tagged',
+      orderName: order.specialTagName || 'Замовлення за тегом',
+      salePrice: totalSalePrice,
+      costPrice: totalCostPrice,
+      margin: totalMargin,
+      bonusLevel1: bonuses.bonusLevel1,
+      bonusLevel2: bonuses.bonusLevel2,
+      bonusLevel3: bonuses.bonusLevel3,
+      level: level,
+      levelLabel: formatLevelLabel(level),
+      payout: payout,
+      discountPolicy: order.discountPolicy,
+      orderDiscount: round2(orderDiscount),
+      discountLabel: describeDiscountAllocation(order.discountPolicy, orderDiscount),
+      costs: roundCosts(costs),
+      orderId: order.orderId,
+      paymentLabel: order.paymentLabel || '',
+      creditLabel: order.creditLabel || '',
+      month: month,
+      year: year,
+      trace: {
+        items: traceItems,
+        levels: explainShareLevelAmounts(totalMargin, managerLevels, 'bonus', lineShare)
+      }
+    });
+
+    // Групуємо по менеджерах
+    const monthYearKey = `${month}.${year}`;
+    const totalsKey = `${managerKey}_${monthYearKey}`;
+
+    if (!managerTotals[totalsKey]) {
+      managerTotals[totalsKey] = {
+        managerName: order.managerName,
+        managerId: order.managerId,
+        managerKey: managerKey,
+        month: month,
+        year: year,
+        totalMargin: 0,
+        totalBonusLevel1: 0,
+        totalBonusLevel2: 0,
+        totalBonusLevel3: 0,
+        totalPayout: 0,
+        costs: {},
+        levels: [],
+        count: 0
+      };
+    }
+
+    managerTotals[totalsKey].totalMargin += totalMargin;
+    managerTotals[totalsKey].totalBonusLevel1 += bonuses.bonusLevel1;
+    managerTotals[totalsKey].totalBonusLevel2 += bonuses.bonusLevel2;
+    managerTotals[totalsKey].totalBonusLevel3 += bonuses.bonusLevel3;
+    managerTotals[totalsKey].totalPayout += payout;
+    addCosts(managerTotals[totalsKey].costs, costs);
+    addLevelToList(managerTotals[totalsKey].levels, level);
+    managerTotals[totalsKey].count += 1;
+  });
+
+  // Додаємо підсумки
+  Object.values(managerTotals).forEach(total => {
+    results.push({
+      date: 'ПІДСУМОК',
+      managerName: total.managerName,
+      managerId: total.managerId,
+      managerKey: total.managerKey,
+      typeLabel: 'Підсумок',
+      orderName: `Всього: ${total.count} замовлень за тегами`,
+      salePrice: '',
+      costPrice: '',
+      margin: total.totalMargin,
+      bonusLevel1: total.totalBonusLevel1,
+      bonusLevel2: total.totalBonusLevel2,
+      bonusLevel3: total.totalBonusLevel3,
+      levels: total.levels,
+      levelLabel: formatLevelLabel(total.levels),
+      payout: total.totalPayout,
+      costs: roundCosts(total.costs),
+      orderId: '',
+      month: total.month,
+      year: total.year
+    });
+  });
+  
+  return results;
+}
+
+/**
+ * Обробляє вхідні замовлення для конкретного місяця (для ставки 3% від маржі)
+ * Групує товари по замовленнях перед записом
+ * @param {Array} orders - Масив вхідних замовлень (товарів)
+ * @param {Object} rules - Правила розрахунку
+ * @returns {Array} Масив оброблених результатів
+ */
+function processIncomingOrdersForMonth(orders, rules) {
+  const results = [];
+  const managerTotals = {};
+
+  // Групуємо товари по замовленнях
+  const ordersMap = {};
+  orders.forEach(item => {
+    const orderId = item.orderId;
+    const category = item.category || 'incoming';
+    const orderKey = `${orderId}_${category}_${item.paymentTranche || 0}_${item.managerId || item.managerKey}_${item.creditShare || 1}`;
+    const quantity = parseFloat(item.quantity || 1);
+    const salePrice = parseFloat(item.salePrice || 0);
+    const purchasedPrice = parseFloat(item.purchasedPrice || 0);
+    const totalAmount = salePrice * quantity;
+    // Частка знижки замовлення входить у собівартість, як і в замовленнях за тегом
+    const orderDiscountPart = item.orderDiscountPart || 0;
+    const totalCost = purchasedPrice * quantity + orderDiscountPart;
+    // Використовуємо вже пораховану маржу, або рахуємо
+    const productMargin = item.productMargin !== undefined
+      ? item.productMargin
+      : (salePrice - purchasedPrice) * quantity - orderDiscountPart;
+
+    if (!ordersMap[orderKey]) {
+      ordersMap[orderKey] = {
+        orderId: orderId,
+        category: category,
+        managerId: item.managerId,
+        managerName: item.managerName,
+        managerKey: item.managerKey,
+        date: item.date,
+        totalAmount: 0,
+        totalCost: 0,
+        totalMargin: 0,
+        orderDiscount: 0,
+        costs: {},
+        discountPolicy: item.discountPolicy || 'ignore',
+        paymentShare: item.paymentShare || 1,
+        paymentLabel: item.paymentLabel || '',
+        creditShare: item.creditShare || 1,
+        creditLabel: item.creditLabel || '',
+        productNames: [],
+        traceItems: []
+      };
+    }
+
+    ordersMap[orderKey].traceItems.push(traceLineItem(item, totalAmount, totalCost, productMargin));
+    ordersMap[orderKey].totalAmount += totalAmount;
+    ordersMap[orderKey].totalCost += totalCost;
+    ordersMap[orderKey].totalMargin += productMargin;
+    ordersMap[orderKey].orderDiscount += orderDiscountPart;
+    addCosts(ordersMap[orderKey].costs, item.costs);
+    if (item.name && !ordersMap[orderKey].productNames.includes(item.name)) {
+      ordersMap[orderKey].productNames.push(item.name);
+    }
+  });
+
+  // Створюємо один рядок на замовлення
+  Object.values(ordersMap).forEach(order => {
+    // Розраховуємо ставки для всіх 3 рівнів (з відсотком і порогом категорії, якщо вони задані)
+    const managerLevels = getCategoryLevels(rules, order.category);
+    const lineShare = getLineShare(order);
+    const rates = calculateShareLevelAmounts(order.totalMargin, managerLevels, 'rate', lineShare.share);
+    const level = resolveManagerLevel(rules, order.managerId, order.managerName, order.date);
+    const payout = selectLevelAmount(rates, 'rate', level);
+
+    const { month, year } = getMonthYearFromDateString(order.date, rules.timezone);
+    const managerKey = order.managerId || order.managerKey || order.managerName || 'Без менеджера';
+
+    // Формуємо назву замовлення з назв товарів
+    const orderName = order.productNames.length > 0
+      ? (order.productNames.length === 1
+          ? order.productNames[0]
+          : `${order.productNames.length} товарів: ${order.productNames.slice(0, 3).join(', ')}${order.productNames.length > 3 ? '...' : ''}`)
+      : 'Вхідне замовлення';
+
+    results.push({
+      date: formatDisplayDate(order.date, rules.timezone),
+      managerName: order.managerName,
+      managerId: order.managerId,
+      managerKey: managerKey,
+      typeLabel: getBonusCategories(rules)[order.category].label,
+      category: order.category,
+      orderName: orderName,
+      salePrice: order.totalAmount,
+      costPrice: order.totalCost,
+      margin: order.totalMargin,
+      rateLevel1: rates.rateLevel1,
+      rateLevel2: rates.rateLevel2,
+      rateLevel3: rates.rateLevel3,
+      level: level,
+      levelLabel: formatLevelLabel(level),
+      payout: payout,
+      discountPolicy: order.discountPolicy,
+      orderDiscount: round2(order.orderDiscount),
+      discountLabel: describeDiscountAllocation(order.discountPolicy, order.orderDiscount),
+      costs: roundCosts(order.costs),
+      orderId: order.orderId,
+      paymentLabel: order.paymentLabel,
+      creditLabel: order.creditLabel,
+      month: month,
+      year: year,
+      trace: {
+        items: order.traceItems,
+        levels: explainShareLevelAmounts(order.totalMargin, managerLevels, 'rate', lineShare)
+      }
+    });
+
+    // Групуємо по менеджерах
+    const monthYearKey = `${month}.${year}`;
+    const totalsKey = `${managerKey}_${monthYearKey}`;
+
+    if (!managerTotals[totalsKey]) {
+      managerTotals[totalsKey] = {
+        managerName: order.managerName,
+        managerId: order.managerId,
+        managerKey: managerKey,
+        month: month,
+        year: year,
+        totalIncoming: 0,
+        totalCost: 0,
+        totalMargin: 0,
+        totalRateLevel1: 0,
+        totalRateLevel2: 0,
+        totalRateLevel3: 0,
+        totalPayout: 0,
+        costs: {},
+        levels: [],
+        count: 0
+      };
+    }
+
+    managerTotals[totalsKey].totalIncoming += order.totalAmount;
+    managerTotals[totalsKey].totalCost += order.totalCost;
+    managerTotals[totalsKey].totalMargin += order.totalMargin;
+    managerTotals[totalsKey].totalRateLevel1 += rates.rateLevel1;
+    managerTotals[totalsKey].totalRateLevel2 += rates.rateLevel2;
+    managerTotals[totalsKey].totalRateLevel3 += rates.rateLevel3;
+    managerTotals[totalsKey].totalPayout += payout;
+    addCosts(managerTotals[totalsKey].costs, order.costs);
+    addLevelToList(managerTotals[totalsKey].levels, level);
+    managerTotals[totalsKey].count += 1;
+  });
+
+  // Додаємо підсумки
+  Object.values(managerTotals).forEach(total => {
+    results.push({
+      date: 'ПІДСУМОК',
+      managerName: total.managerName,
+      managerId: total.managerId,
+      managerKey: total.managerKey,
+      typeLabel: 'Підсумок',
+      orderName: `Всього: ${total.count} вхідних замовлень`,
+      salePrice: total.totalIncoming,
+      costPrice: total.totalCost,
+      margin: total.totalMargin,
+      rateLevel1: total.totalRateLevel1,
+      rateLevel2: total.totalRateLevel2,
+      rateLevel3: total.totalRateLevel3,
+      levels: total.levels,
+      levelLabel: formatLevelLabel(total.levels),
+      payout: total.totalPayout,
+      costs: roundCosts(total.costs),
+      orderId: '',
+      month: total.month,
+      year: total.year
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Трасування однієї позиції рядка розрахунку для аудиту
+ * @param {Object} item - Позиція з classifyKeycrmOrders (з полем trace)
+ * @param {number} salePrice - Сума продажу позиції
+ * @param {number} costPrice - Собівартість позиції (зі знижкою, якщо вона розподілена)
+ * @param {number} margin - Маржа позиції
+ * @returns {Object} { name, quantity, salePrice, costPrice, discountShare, margin, priceSource, costSource, reason, status, currency }
+ *   і валютні поля summarizeLineCurrency
+ */
+function traceLineItem(item, salePrice, costPrice, margin) {
+  const trace = item.trace || {};
+  return Object.assign({
+    name: item.name,
+    quantity: item.quantity || 1,
+    salePrice: salePrice,
+    costPrice: costPrice,
+    discountShare: round2(item.orderDiscountPart || 0),
+    margin: margin,
+    priceSource: trace.priceSource || null,
+    costSource: trace.costSource || null,
+    reason: trace.reason || '',
+    status: trace.status || '',
+    currency: item.currency || null
+  }, summarizeLineCurrency([item.currency]));
+}
+
+// ========== РІВНІ ТА ШКАЛИ ==========
+/**
+ * Визначає рівень менеджера на дату замовлення
+ * @param {Object} rules - Правила розрахунку (assignments, defaultLevel)
+ * @param {string|number} managerId - ID менеджера в KEYCRM
+ * @param {string} managerName - ПІБ менеджера
+ * @param {string} dateString - Дата замовлення (ISO)
+ * @returns {number|null} Номер рівня або rules.defaultLevel, якщо призначення немає
+ */
+function resolveManagerLevel(rules, managerId, managerName, dateString) {
+  const assignment = findManagerAssignment(rules.assignments || [], managerId, managerName, dateString);
+  if (!assignment) {
+    return rules.defaultLevel !== undefined ? rules.defaultLevel : null;
+  }
+  return assignment.level;
+}
+
+/**
+ * Знаходить призначення рівня, що діє для менеджера на дату замовлення
+ * @param {Array} assignments - Записи { managerId, managerKey, level, from }
+ * @param {string|number} managerId - ID менеджера в KEYCRM
+ * @param {string} managerName - ПІБ менеджера
+ * @param {string} dateString - Дата замовлення (ISO)
+ * @returns {Object|null} Запис призначення або null, якщо призначення немає
+ */
+function findManagerAssignment(assignments, managerId, managerName, dateString) {
+  const id = managerId !== undefined && managerId !== null ? String(managerId) : null;
+  const nameKey = managerName ? normalizeManagerName(managerName).key : null;
+  const orderTime = dateString ? new Date(dateString).getTime() : Date.now();
+
+  let matched = null;
+  assignments.forEach(assignment => {
+    const isSameManager = assignment.managerId
+      ? assignment.managerId === id
+      : assignment.managerKey === nameKey;
+    if (!isSameManager) return;
+    if (assignment.from !== null && assignment.from > orderTime) return;
+
+    const matchedFrom = matched && matched.from !== null ? matched.from : -Infinity;
+    const assignmentFrom = assignment.from !== null ? assignment.from : -Infinity;
+    if (!matched || assignmentFrom >= matchedFrom) {
+      matched = assignment;
+    }
+  });
+
+  return matched;
+}
+
+/**
+ * Розраховує бонус для всіх трьох рівнів менеджерів
+ * Без шкали: відсоток від усієї маржі, якщо маржа > порогу;
+ * зі шкалою bonusBrackets — за правилом bonusBracketMode
+ * @param {number} margin - Маржа замовлення/допродажу
+ * @param {Object} managerLevels - Параметри рівнів (rules.managerLevels)
+ * @returns {Object} Об'єкт з бонусами для кожного рівня
+ */
+function calculateBonusForAllLevels(margin, managerLevels) {
+  const result = {};
+  for (let level = 1; level <= 3; level++) {
+    const { brackets, mode } = getLevelBrackets(managerLevels[level], 'bonus');
+    result[`bonusLevel${level}`] = applyBrackets(margin, brackets, mode);
+  }
+  return result;
+}
+
+/**
+ * Розраховує ставку для всіх трьох рівнів менеджерів
+ * Без шкали: відсоток від маржі вхідних замовлень (без порогу);
+ * зі шкалою rateBrackets — за правилом rateBracketMode
+ * @param {number} margin - Маржа вхідного замовлення
+ * @param {Object} managerLevels - Параметри рівнів (rules.managerLevels)
+ * @returns {Object} Об'єкт зі ставками для кожного рівня
+ */
+function calculateRateForAllLevels(margin, managerLevels) {
+  const result = {};
+  for (let level = 1; level <= 3; level++) {
+    const { brackets, mode } = getLevelBrackets(managerLevels[level], 'rate');
+    result[`rateLevel${level}`] = applyBrackets(margin, brackets, mode);
+  }
+  return result;
+}
+
+/**
+ * Повертає шкалу відсотків рівня для бонусу або ставки.
+ * Якщо шкалу не задано, будується еквівалент старих параметрів:
+ * бонус — bonus% від усієї маржі понад threshold, ставка — rate% від усієї маржі.
+ * @param {Object} config - Параметри рівня з rules.managerLevels
+ * @param {string} kind - 'bonus' або 'rate'
+ * @returns {Object} { brackets: [{ from, percent }] за зростанням from, mode: 'marginal' | 'whole' }
+ */
+function getLevelBrackets(config, kind) {
+  const brackets = config[`${kind}Brackets`];
+  if (!brackets || brackets.length === 0) {
+    return kind === 'bonus'
+      ? { brackets: [{ from: config.threshold, percent: config.bonus }], mode: 'whole' }
+      : { brackets: [{ from: -Infinity, percent: config.rate }], mode: 'whole' };
+  }
+
+  const mode = config[`${kind}BracketMode`] || 'marginal';
+  if (mode !== 'marginal' && mode !== 'whole') {
+    throw new Error(`Невідомий режим шкали ${kind}BracketMode для "${config.name}": ${mode}`);
+  }
+  brackets.forEach(bracket => {
+    if (typeof bracket.from !== 'number' || typeof bracket.percent !== 'number') {
+      throw new Error(`Некоректна шкала ${kind}Brackets для "${config.name}": потрібні числові from і percent`);
+    }
+  });
+
+  return { brackets: [...brackets].sort((a, b) => a.from - b.from), mode: mode };
+}
+
+/**
+ * Застосовує шкалу відсотків до маржі
+ * marginal — кожен відсоток діє лише на частину маржі у своєму діапазоні (як податкова шкала);
+ * whole — відсоток найвищого досягнутого діапазону (маржа > from) діє на всю маржу
+ * @param {number} margin - Маржа
+ * @param {Array} brackets - Шкала [{ from, percent }] за зростанням from
+ * @param {string} mode - 'marginal' або 'whole'
+ * @returns {number} Сума, округлена до копійок
+ */
+function applyBrackets(margin, brackets, mode) {
+  if (mode === 'whole') {
+    let percent = 0;
+    brackets.forEach(bracket => {
+      if (margin > bracket.from) percent = bracket.percent;
+    });
+    return round2(margin * (percent / 100));
+  }
+
+  let amount = 0;
+  brackets.forEach((bracket, index) => {
+    const next = brackets[index + 1];
+    const upper = next ? Math.min(margin, next.from) : margin;
+    if (upper > bracket.from) {
+      amount += (upper - bracket.from) * (bracket.percent / 100);
+    }
+  });
+  return round2(amount);
+}
+
+/**
+ * Пояснює розрахунок бонусу або ставки для кожного рівня: поріг/шкала, відсоток, сума
+ * @param {number} margin - Маржа
+ * @param {Object} managerLevels - Параметри рівнів (rules.managerLevels)
+ * @param {string} kind - 'bonus' або 'rate'
+ * @returns {Array} [{ level, rule, amount }] для рівнів 1–3
+ */
+function explainLevelAmounts(margin, managerLevels, kind) {
+  const explanations = [];
+  for (let level = 1; level <= 3; level++) {
+    const { brackets, mode } = getLevelBrackets(managerLevels[level], kind);
+    explanations.push({
+      level: level,
+      rule: describeBracketCalculation(margin, brackets, mode),
+      amount: applyBrackets(margin, brackets, mode)
+    });
+  }
+  return explanations;
+}
+
+/**
+ * Частка замовлення, яку становить рядок: частка оплати × частка менеджера
+ * @param {Object} data - Згруповані позиції рядка (paymentShare, creditShare)
+ * @returns {Object} { share, label } — label для пояснення, наприклад "× 40% оплати × 30% частки менеджера"
+ */
+function getLineShare(data) {
+  const paymentShare = data.paymentShare || 1;
+  const creditShare = data.creditShare || 1;
+  const parts = [];
+  if (paymentShare !== 1) parts.push(`× ${formatSharePercent(paymentShare)} оплати`);
+  if (creditShare !== 1) parts.push(`× ${formatSharePercent(creditShare)} частки менеджера`);
+  return { share: paymentShare * creditShare, label: parts.join(' ') };
+}
+
+/**
+ * Бонуси або ставки рядка, що є частиною замовлення (частина оплати, частка менеджера): поріг і шкала
+ * застосовуються до маржі всього замовлення (margin / share), а сума множиться на частку —
+ * частини в сумі дають ЗП всього замовлення
+ * @param {number} margin - Маржа частини
+ * @param {Object} managerLevels - Параметри рівнів (rules.managerLevels)
+ * @param {string} kind - 'bonus' або 'rate'
+ * @param {number} share - Частка замовлення (getLineShare; без частин — 1)
+ * @returns {Object} { bonusLevelN } або { rateLevelN }
+ */
+function calculateShareLevelAmounts(margin, managerLevels, kind, share) {
+  const calculate = kind === 'rate' ? calculateRateForAllLevels : calculateBonusForAllLevels;
+  if (!share || share === 1) {
+    return calculate(margin, managerLevels);
+  }
+  const amounts = calculate(margin / share, managerLevels);
+  Object.keys(amounts).forEach(key => {
+    amounts[key] = round2(amounts[key] * share);
+  });
+  return amounts;
+}
+
+/**
+ * Пояснення розрахунку для частини замовлення (див. calculateShareLevelAmounts)
+ * @param {number} margin - Маржа частини
+ * @param {Object} managerLevels - Параметри рівнів (rules.managerLevels)
+ * @param {string} kind - 'bonus' або 'rate'
+ * @param {Object} lineShare - Частка з getLineShare
+ * @returns {Array} [{ level, rule, amount }] для рівнів 1–3
+ */
+function explainShareLevelAmounts(margin, managerLevels, kind, lineShare) {
+  if (lineShare.share === 1) {
+    return explainLevelAmounts(margin, managerLevels, kind);
+  }
+  return explainLevelAmounts(margin / lineShare.share, managerLevels, kind).map(explanation => ({
+    level: explanation.level,
+    rule: `${explanation.rule} ${lineShare.label}`,
+    amount: round2(explanation.amount * lineShare.share)
+  }));
+}
+
+/**
+ * Описує словами, як applyBrackets отримала суму
+ * @param {number} margin - Маржа
+ * @param {Array} brackets - Шкала [{ from, percent }] за зростанням from
+ * @param {string} mode - 'marginal' або 'whole'
+ * @returns {string} Наприклад "маржа 400 > порогу 175 → 55% від усієї маржі"
+ */
+function describeBracketCalculation(margin, brackets, mode) {
+  const value = round2(margin);
+  if (mode === 'whole') {
+    let reached = null;
+    brackets.forEach(bracket => {
+      if (margin > bracket.from) reached = bracket;
+    });
+    if (!reached) {
+      return `маржа ${value} ≤ порогу ${brackets[0].from} → 0%`;
+    }
+    const condition = reached.from === -Infinity ? 'без порогу' : `маржа ${value} > порогу ${reached.from}`;
+    return `${condition} → ${reached.percent}% від усієї маржі`;
+  }
+
+  const slices = [];
+  brackets.forEach((bracket, index) => {
+    const next = brackets[index + 1];
+    const upper = next ? Math.min(margin, next.from) : margin;
+    if (upper > bracket.from) {
+      slices.push(`${bracket.from}–${round2(upper)}: ${bracket.percent}%`);
+    }
+  });
+  return slices.length > 0
+    ? `шкала частинами: ${slices.join(', ')}`
+    : `маржа ${value} нижче шкали → 0%`;
+}
+
+/**
+ * Коротко описує відсотки рівня для заголовків: "3%/50%" або шкалу "0→40→60%"
+ * @param {Object} config - Параметри рівня з rules.managerLevels
+ * @param {string} kind - 'bonus' або 'rate'
+ * @returns {string} Опис
+ */
+function describeLevelPercent(config, kind) {
+  const brackets = config[`${kind}Brackets`];
+  if (!brackets || brackets.length === 0) {
+    return `${config[kind]}%`;
+  }
+  return `${getLevelBrackets(config, kind).brackets.map(bracket => bracket.percent).join('→')}%`;
+}
+
+/**
+ * Вибирає суму для призначеного рівня з результату calculateBonusForAllLevels/calculateRateForAllLevels
+ * @param {Object} amounts - Об'єкт з полями bonusLevelN або rateLevelN
+ * @param {string} prefix - 'bonus' або 'rate'
+ * @param {number|null} level - Призначений рівень
+ * @returns {number} Сума для рівня (0, якщо рівень не призначено)
+ */
+function selectLevelAmount(amounts, prefix, level) {
+  if (!level) {
+    return 0;
+  }
+  return amounts[`${prefix}Level${level}`] || 0;
+}
+
+/**
+ * Форматує перелік рівнів для відображення в таблиці
+ * @param {number|Array<number>} levels - Рівень або масив рівнів
+ * @returns {string} Наприклад "Р2" або "Р1/Р2"; "Не призначено", якщо рівня немає
+ */
+function formatLevelLabel(levels) {
+  const list = (Array.isArray(levels) ? levels : [levels]).filter(Boolean);
+  if (list.length === 0) {
+    return 'Не призначено';
+  }
+  return [...new Set(list)].sort().map(level => `Р${level}`).join('/');
+}
+
+/**
+ * Додає рівень до переліку рівнів підсумку (без повторів)
+ * @param {Array} levels - Масив рівнів
+ * @param {number|null} level - Рівень для додавання
+ */
+function addLevelToList(levels, level) {
+  if (level && !levels.includes(level)) {
+    levels.push(level);
+  }
+}
+
+// ========== ПІДСУМКИ ПО МЕНЕДЖЕРАХ ==========
+/**
+ * Отримує бонуси менеджерів з результатів (рядки з "ПІДСУМОК")
+ * Зберігає інформацію про місяць і рік для групування
+ * @param {Array} results - Масив результатів
+ * @returns {Array} Масив об'єктів з бонусами менеджерів
+ */
+function getManagerBonusesFromResults(results) {
+  const bonuses = [];
+
+  results.forEach(result => {
+    // Беремо ТІЛЬКИ рядки з "ПІДСУМОК" та типом "Підсумок"
+    // Ігноруємо вхідні замовлення - вони мають rateLevel замість bonusLevel
+    const isIncomingOrder = (
+      result.orderName &&
+      typeof result.orderName === 'string' &&
+      result.orderName.toLowerCase().includes('вхідних замовлень')
+    ) || (
+      result.rateLevel1 !== undefined // Вхідні мають rateLevel, а не bonusLevel
+    );
+
+    // Перевіряємо, чи є бонуси хоча б на одному рівні (повернення — від'ємні суми)
+    const hasBonuses = Boolean(result.bonusLevel1 || result.bonusLevel2 || result.bonusLevel3);
+
+    if (result.date === 'ПІДСУМОК' &&
+        result.typeLabel === 'Підсумок' &&
+        !isIncomingOrder &&
+        hasBonuses) {
+      bonuses.push({
+        managerName: result.managerName,
+        managerId: result.managerId,
+        bonusLevel1: result.bonusLevel1 || 0,
+        bonusLevel2: result.bonusLevel2 || 0,
+        bonusLevel3: result.bonusLevel3 || 0,
+        bonus: result.payout || 0,
+        levels: result.levels || [],
+        margin: result.margin,
+        month: result.month,
+        year: result.year
+      });
+    }
+  });
+
+  return bonuses;
+}
+
+/**
+ * Агрегує бонуси по менеджеру, щоб допродажі і замовлення з тегами
+ * записувалися одним рядком на лист "Виконання"
+ * @param {Array} bonuses - Масив бонусів за місяць
+ * @returns {Array} Масив агрегованих бонусів по кожному менеджеру
+ */
+function aggregateBonusesByManager(bonuses) {
+  const aggregated = {};
+
+  bonuses.forEach(bonus => {
+    const managerName = bonus.managerName || 'Невідомий менеджер';
+    const { key: normalizedKey } = normalizeManagerName(managerName);
+    const managerKey = bonus.managerId || normalizedKey || managerName;
+
+    if (!aggregated[managerKey]) {
+      aggregated[managerKey] = {
+        managerName: managerName,
+        managerId: bonus.managerId,
+        bonusLevel1: 0,
+        bonusLevel2: 0,
+        bonusLevel3: 0,
+        bonus: 0,
+        levels: [],
+        margin: 0,
+        month: bonus.month,
+        year: bonus.year
+      };
+    }
+
+    aggregated[managerKey].bonusLevel1 = round2(aggregated[managerKey].bonusLevel1 + (bonus.bonusLevel1 || 0));
+    aggregated[managerKey].bonusLevel2 = round2(aggregated[managerKey].bonusLevel2 + (bonus.bonusLevel2 || 0));
+    aggregated[managerKey].bonusLevel3 = round2(aggregated[managerKey].bonusLevel3 + (bonus.bonusLevel3 || 0));
+    aggregated[managerKey].bonus = round2(aggregated[managerKey].bonus + (bonus.bonus || 0));
+    (bonus.levels || []).forEach(level => addLevelToList(aggregated[managerKey].levels, level));
+    aggregated[managerKey].margin = round2(aggregated[managerKey].margin + (bonus.margin || 0));
+  });
+
+  return Object.values(aggregated);
+}
+
+/**
+ * Отримує ставки менеджерів з результатів (рядки з "ПІДСУМОК" для вхідних замовлень)
+ * Зберігає інформацію про місяць і рік для групування
+ * @param {Array} results - Масив результатів
+ * @returns {Array} Масив об'єктів зі ставками менеджерів
+ */
+function getManagerRatesFromResults(results) {
+  const rates = [];
+
+  results.forEach(result => {
+    // Беремо ТІЛЬКИ рядки з "ПІДСУМОК" для вхідних замовлень
+    // Вони мають rateLevel1/2/3 замість bonusLevel1/2/3
+    const isIncomingOrder = result.rateLevel1 !== undefined;
+
+    // Перевіряємо, чи є ставки хоча б на одному рівні (повернення — від'ємні суми)
+    const hasRates = Boolean(result.rateLevel1 || result.rateLevel2 || result.rateLevel3);
+
+    if (result.date === 'ПІДСУМОК' &&
+        result.typeLabel === 'Підсумок' &&
+        isIncomingOrder &&
+        hasRates) {
+      rates.push({
+        managerName: result.managerName,
+        managerId: result.managerId,
+        totalIncoming: result.salePrice || 0,
+        rateLevel1: result.rateLevel1 || 0,
+        rateLevel2: result.rateLevel2 || 0,
+        rateLevel3: result.rateLevel3 || 0,
+        rateAmount: result.payout || 0,
+        levels: result.levels || [],
+        month: result.month,
+        year: result.year
+      });
+    }
+  });
+
+  return rates;
+}
+
+/**
+ * Агрегує ставки по менеджеру
+ * @param {Array} rates - Масив ставок за місяць
+ * @returns {Array} Масив агрегованих ставок по кожному менеджеру
+ */
+function aggregateRatesByManager(rates) {
+  const aggregated = {};
+
+  rates.forEach(rate => {
+    const managerName = rate.managerName || 'Невідомий менеджер';
+    const { key: normalizedKey } = normalizeManagerName(managerName);
+    const managerKey = rate.managerId || normalizedKey || managerName;
+
+    if (!aggregated[managerKey]) {
+      aggregated[managerKey] = {
+        managerName: managerName,
+        managerId: rate.managerId,
+        totalIncoming: 0,
+        rateLevel1: 0,
+        rateLevel2: 0,
+        rateLevel3: 0,
+        rateAmount: 0,
+        levels: [],
+        month: rate.month,
+        year: rate.year
+      };
+    }
+
+    aggregated[managerKey].totalIncoming = round2(aggregated[managerKey].totalIncoming + (rate.totalIncoming || 0));
+    aggregated[managerKey].rateLevel1 = round2(aggregated[managerKey].rateLevel1 + (rate.rateLevel1 || 0));
+    aggregated[managerKey].rateLevel2 = round2(aggregated[managerKey].rateLevel2 + (rate.rateLevel2 || 0));
+    aggregated[managerKey].rateLevel3 = round2(aggregated[managerKey].rateLevel3 + (rate.rateLevel3 || 0));
+    aggregated[managerKey].rateAmount = round2(aggregated[managerKey].rateAmount + (rate.rateAmount || 0));
+    (rate.levels || []).forEach(level => addLevelToList(aggregated[managerKey].levels, level));
+  });
+
+  return Object.values(aggregated);
+}
+
+/**
+ * Об'єднує ставки та бонуси по менеджеру для одного місяця
+ * @param {Array} rates - Агреговані ставки (вхідні замовлення)
+ * @param {Array} bonuses - Агреговані бонуси (допродажі/теги)
+ * @returns {Array} Масив з підсумком по менеджеру
+ */
+function combineRatesAndBonuses(rates, bonuses) {
+  const map = {};
+
+  const addIfMissing = (key, name, id) => {
+    if (!map[key]) {
+      map[key] = {
+        managerName: name || 'Невідомий менеджер',
+        managerId: id || null,
+        // Ставки для 3 рівнів
+        rateLevel1: 0,
+        rateLevel2: 0,
+        rateLevel3: 0,
+        // Бонуси для 3 рівнів
+        bonusLevel1: 0,
+        bonusLevel2: 0,
+        bonusLevel3: 0,
+        // Суми за призначеним рівнем
+        rate: 0,
+        bonus: 0,
+        levels: []
+      };
+    }
+  };
+
+  rates.forEach(rate => {
+    const { key: normalizedKey } = normalizeManagerName(rate.managerName || '');
+    const mapKey = rate.managerId || normalizedKey || rate.managerName || 'unknown';
+    addIfMissing(mapKey, rate.managerName, rate.managerId);
+    map[mapKey].rateLevel1 = round2(map[mapKey].rateLevel1 + (rate.rateLevel1 || 0));
+    map[mapKey].rateLevel2 = round2(map[mapKey].rateLevel2 + (rate.rateLevel2 || 0));
+    map[mapKey].rateLevel3 = round2(map[mapKey].rateLevel3 + (rate.rateLevel3 || 0));
+    map[mapKey].rate = round2(map[mapKey].rate + (rate.rateAmount || 0));
+    (rate.levels || []).forEach(level => addLevelToList(map[mapKey].levels, level));
+  });
+
+  bonuses.forEach(bonus => {
+    const { key: normalizedKey } = normalizeManagerName(bonus.managerName || '');
+    const mapKey = bonus.managerId || normalizedKey || bonus.managerName || 'unknown';
+    addIfMissing(mapKey, bonus.managerName, bonus.managerId);
+    map[mapKey].bonusLevel1 = round2(map[mapKey].bonusLevel1 + (bonus.bonusLevel1 || 0));
+    map[mapKey].bonusLevel2 = round2(map[mapKey].bonusLevel2 + (bonus.bonusLevel2 || 0));
+    map[mapKey].bonusLevel3 = round2(map[mapKey].bonusLevel3 + (bonus.bonusLevel3 || 0));
+    map[mapKey].bonus = round2(map[mapKey].bonus + (bonus.bonus || 0));
+    (bonus.levels || []).forEach(level => addLevelToList(map[mapKey].levels, level));
+  });
+
+  return Object.values(map);
+}
+
+// ========== ПЛАНИ МЕНЕДЖЕРІВ ==========
+// Показники плану: маржа за місяць, кількість замовлень з допродажем
+// і частка таких замовлень серед усіх замовлень менеджера (%)
+const PLAN_METRICS = [
+  { key: 'margin', label: 'Маржа' },
+  { key: 'upsellCount', label: 'Допродажі' },
+  { key: 'upsellShare', label: 'Частка допродажів' }
+];
+
+/**
+ * Додає до підсумків по менеджерах виконання плану та множить бонус на коефіцієнт за виконання
+ * Менеджер з планом, але без нарахувань за місяць, додається до підсумків з нулями
+ * @param {Object} summaries - Підсумки з summarizePayrollByManager (змінюються на місці)
+ * @param {Array} lines - Рядки розрахунку
+ * @param {Object} rules - Правила розрахунку (managerPlans, planMultipliers)
+ */
+function applyManagerPlans(summaries, lines, rules) {
+  const actualsByMonth = calculatePlanActuals(lines);
+  const monthKeys = new Set([...Object.keys(summaries), ...Object.keys(actualsByMonth)]);
+  rules.managerPlans.forEach(plan => {
+    if (plan.month) monthKeys.add(plan.month);
+  });
+
+  monthKeys.forEach(monthKey => {
+    const rows = summaries[monthKey] || [];
+    const actuals = actualsByMonth[monthKey] || {};
+    const rowKey = row => row.managerId ? String(row.managerId) : normalizeManagerName(row.managerName || '').key;
+
+    // Менеджери з планом на місяць, яких немає серед підсумків
+    rules.managerPlans.forEach(plan => {
+      if (plan.month && plan.month !== monthKey) return;
+      if (rows.some(row => findManagerPlan([plan], row.managerId, row.managerName, monthKey))) return;
+      rows.push(combineRatesAndBonuses([], [{ managerName: plan.managerName || `ID ${plan.managerId}`, managerId: plan.managerId }])[0]);
+    });
+
+    rows.forEach(row => {
+      const plan = findManagerPlan(rules.managerPlans, row.managerId, row.managerName, monthKey);
+      if (!plan) return;
+      const actual = actuals[rowKey(row)] || { margin: 0, upsellCount: 0, upsellShare: 0 };
+      row.plan = calculatePlanCompletion(actual, plan, rules.planMultipliers || []);
+
+      // Коефіцієнт діє лише на нарахований бонус: повернення не збільшуються
+      row.bonusBeforePlan = row.bonus;
+      if (row.bonus > 0) {
+        row.bonus = round2(row.bonus * row.plan.multiplier);
+        for (let level = 1; level <= 3; level++) {
+          row[`bonusLevel${level}`] = round2(row[`bonusLevel${level}`] * row.plan.multiplier);
+        }
+      }
+    });
+
+    if (rows.length > 0) summaries[monthKey] = rows;
+  });
+}
+
+/**
+ * Фактичні показники плану по менеджерах за кожен місяць (рядки повернень не враховуються)
+ * @param {Array} lines - Рядки розрахунку
+ * @returns {Object} { "M.YYYY": { ключ менеджера: { margin, upsellCount, upsellShare } } }
+ */
+function calculatePlanActuals(lines) {
+  const byMonth = {};
+  lines.forEach(line => {
+    if (line.date === 'ПІДСУМОК' || !line.trace) return;
+    const monthKey = `${line.month}.${line.year}`;
+    const managerKey = line.managerId ? String(line.managerId) : normalizeManagerName(line.managerName || '').key;
+    if (!byMonth[monthKey]) byMonth[monthKey] = {};
+    if (!byMonth[monthKey][managerKey]) {
+      byMonth[monthKey][managerKey] = { margin: 0, orders: {}, upsellOrders: {} };
+    }
+    const actual = byMonth[monthKey][managerKey];
+    actual.margin += line.margin || 0;
+    actual.orders[line.orderId] = true;
+    if (line.category === 'upsell') actual.upsellOrders[line.orderId] = true;
+  });
+
+  Object.keys(byMonth).forEach(monthKey => {
+    Object.keys(byMonth[monthKey]).forEach(managerKey => {
+      const actual = byMonth[monthKey][managerKey];
+      const orders = Object.keys(actual.orders).length;
+      const upsellCount = Object.keys(actual.upsellOrders).length;
+      byMonth[monthKey][managerKey] = {
+        margin: round2(actual.margin),
+        upsellCount: upsellCount,
+        upsellShare: orders > 0 ? round2(upsellCount / orders * 100) : 0
+      };
+    });
+  });
+  return byMonth;
+}
+
+/**
+ * Знаходить план менеджера на місяць: план саме на цей місяць має перевагу над планом на кожен місяць
+ * @param {Array} plans - Плани { managerId, managerKey, managerName, month, margin, upsellCount, upsellShare }
+ * @param {string|number} managerId - ID менеджера в KEYCRM
+ * @param {string} managerName - ПІБ менеджера (для планів без ID)
+ * @param {string} monthKey - Місяць "M.YYYY"
+ * @returns {Object|null} План або null
+ */
+function findManagerPlan(plans, managerId, managerName, monthKey) {
+  const nameKey = normalizeManagerName(managerName || '').key;
+  const matches = plans.filter(plan => {
+    const sameManager = plan.managerId
+      ? Boolean(managerId) && String(managerId) === plan.managerId
+      : Boolean(plan.managerKey) && plan.managerKey === nameKey;
+    return sameManager && (!plan.month || plan.month === monthKey);
+  });
+  // Пізніший запис (лист після config.js) перекриває попередній того ж рівня
+  const monthly = matches.filter(plan => plan.month);
+  return monthly.length > 0 ? monthly[monthly.length - 1] : (matches[matches.length - 1] || null);
+}
+
+/**
+ * Рахує виконання плану за кожним заданим показником і коефіцієнт бонусу
+ * Загальне виконання — найменше з виконань заданих показників (план виконано, коли виконано всі)
+ * @param {Object} actual - Факт { margin, upsellCount, upsellShare }
+ * @param {Object} plan - План з findManagerPlan
+ * @param {Array} multipliers - Коефіцієнти [{ from: % виконання, multiplier }]
+ * @returns {Object} { metrics: [{ key, label, plan, actual, completion }], completion, multiplier }
+ */
+function calculatePlanCompletion(actual, plan, multipliers) {
+  const metrics = PLAN_METRICS.map(metric => {
+    const target = plan[metric.key];
+    const hasTarget = typeof target === 'number' && target > 0;
+    return {
+      key: metric.key,
+      label: metric.label,
+      plan: hasTarget ? target : null,
+      actual: actual[metric.key] || 0,
+      completion: hasTarget ? round2((actual[metric.key] || 0) / target * 100) : null
+    };
+  });
+
+  const completions = metrics.filter(metric => metric.completion !== null).map(metric => metric.completion);
+  const completion = completions.length > 0 ? Math.min(...completions) : null;
+  return {
+    metrics: metrics,
+    completion: completion,
+    multiplier: completion === null ? 1 : findPlanMultiplier(multipliers, completion)
+  };
+}
+
+/**
+ * Коефіцієнт бонусу за виконання плану: останній діапазон, поріг from якого не перевищує виконання
+ * @param {Array} multipliers - [{ from: % виконання, multiplier }]
+ * @param {number} completion - Виконання плану, %
+ * @returns {number} Коефіцієнт (1, якщо жоден діапазон не підходить)
+ */
+function findPlanMultiplier(multipliers, completion) {
+  let multiplier = 1;
+  multipliers.slice().sort((a, b) => a.from - b.from).forEach(bracket => {
+    if (completion >= bracket.from) multiplier = bracket.multiplier;
+  });
+  return multiplier;
+}
+
+/**
+ * Перевіряє коефіцієнти бонусу за виконання плану
+ * @param {Array} multipliers - [{ from, multiplier }]
+ * @returns {Array<string>} Помилки (порожній масив — все гаразд)
+ */
+function validatePlanMultipliers(multipliers) {
+  const errors = [];
+  (multipliers || []).forEach((bracket, index) => {
+    if (!bracket || typeof bracket.from !== 'number' || bracket.from < 0) {
+      errors.push(`Коефіцієнт ${index + 1}: from має бути невід'ємним числом (% виконання)`);
+    }
+    if (!bracket || typeof bracket.multiplier !== 'number' || bracket.multiplier < 0) {
+      errors.push(`Коефіцієнт ${index + 1}: multiplier має бути невід'ємним числом`);
+    }
+  });
+  return errors;
+}
+
+// ========== АУДИТ РОЗРАХУНКУ ==========
+/**
+ * Розгортає трасування рядків у рядки листа "Аудит": для кожного замовлення —
+ * позиції (поля ціни, частка знижки, причина класифікації, статус), потім крок "Розрахунок"
+ * (поріг або шкала кожного рівня, призначений рівень, ЗП). Не враховані замовлення — з причиною.
+ * @param {Array} lines - Рядки розрахунку
+ * @param {Array} excludedOrders - Не враховані замовлення з classifyKeycrmOrders
+ * @param {Object} rules - Правила розрахунку (timezone)
+ * @returns {Array} Рядки аудиту з полями month/year для розподілу по листах
+ */
+function buildAuditRows(lines, excludedOrders, rules) {
+  const rows = [];
+
+  lines.forEach(line => {
+    if (line.date === 'ПІДСУМОК') return;
+    const base = {
+      month: line.month,
+      year: line.year,
+      date: line.date,
+      orderId: line.orderId,
+      managerName: line.managerName,
+      typeLabel: line.typeLabel
+    };
+    const lineName = line.orderName || line.upsellName || '';
+
+    // Рядки без трасування (повернення бонусів) показуємо як є
+    if (!line.trace) {
+      rows.push(Object.assign({}, base, {
+        step: line.typeLabel,
+        name: lineName,
+        margin: line.margin,
+        levelLabel: line.levelLabel,
+        payout: line.payout
+      }));
+      return;
+    }
+
+    line.trace.items.forEach(item => {
+      rows.push(Object.assign({}, base, { step: 'Позиція' }, item));
+    });
+    rows.push(Object.assign({}, base, {
+      step: 'Розрахунок',
+      name: lineName,
+      salePrice: line.salePrice,
+      costPrice: line.costPrice,
+      discountShare: line.orderDiscount,
+      margin: line.margin,
+      currencyLabel: line.currencyLabel,
+      originalSalePrice: line.originalSalePrice,
+      exchangeRate: line.exchangeRate,
+      reason: describeLineDeductions(line, rules.costComponents || []),
+      rule: line.trace.levels.map(explanation => `Р${explanation.level}: ${explanation.rule} = ${explanation.amount}`).join('; '),
+      levelLabel: line.levelLabel,
+      payout: line.payout
+    }));
+  });
+
+  (excludedOrders || []).forEach(order => {
+    const { month, year } = getMonthYearFromDateString(order.date, rules.timezone);
+    rows.push({
+      month: month,
+      year: year,
+      date: formatDisplayDate(order.date, rules.timezone),
+      orderId: order.orderId,
+      managerName: order.managerName,
+      typeLabel: 'Не враховано',
+      step: 'Не враховано',
+      reason: order.reason,
+      payout: 0
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Описує для аудиту, що зменшило маржу рядка: знижка замовлення і складові витрат
+ * @param {Object} line - Рядок розрахунку
+ * @param {Array} components - Складові витрат (для назв стовпців)
+ * @returns {string} Наприклад "Знижка замовлення — Пропорційно до ціни: 150; Доставка (грн): 70"
+ */
+function describeLineDeductions(line, components) {
+  const parts = line.discountLabel ? [`Знижка замовлення — ${line.discountLabel}`] : [];
+  components.forEach(component => {
+    const amount = (line.costs || {})[component.key];
+    if (amount) parts.push(`${component.header}: ${amount}`);
+  });
+  return parts.join('; ');
+}
+
+// ========== ДОПОМІЖНІ ФУНКЦІЇ ==========
+/**
+ * Округлює число до 2 знаків після коми
+ * @param {number} value - Число для округлення
+ * @returns {number} Округлене число
+ */
+function round2(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * Нормалізує дату з API: якщо рядок без мітки часового поясу, трактуємо як UTC.
+ * KeyCRM повертає created_at в UTC у форматі "2025-12-31 23:44:00" (без Z).
+ * Без нормалізації JavaScript парсить такий рядок як локальний час,
+ * що зсуває дату на 2-3 години і може змінити місяць/рік.
+ * @param {string} dateString - Дата з API
+ * @returns {string} Нормалізована дата у форматі ISO з міткою UTC
+ */
+function normalizeApiDate(dateString) {
+  if (!dateString) return new Date().toISOString();
+  if (typeof dateString !== 'string') return dateString;
+  // Якщо вже є мітка часового поясу — не чіпаємо
+  if (dateString.includes('Z') || dateString.includes('+') || /T\d{2}:\d{2}:\d{2}[+-]/.test(dateString)) {
+    return dateString;
+  }
+  // Додаємо 'T' і 'Z' щоб JavaScript коректно парсив як UTC
+  return dateString.replace(' ', 'T') + 'Z';
+}
+
+/**
+ * Повертає складові дати (рік, місяць, день, години, хвилини, секунди) у заданому часовому поясі
+ * за реальними правилами поясу (перехід на літній/зимовий час). Без timezone — у локальному поясі.
+ * @param {Date|string} date - Дата або рядок ISO
+ * @param {string} timezone - Часовий пояс, наприклад 'Europe/Kiev'
+ * @returns {Object} { year, month (1-12), day, hour, minute, second }
+ */
+function getZonedDateParts(date, timezone) {
+  const value = date instanceof Date ? date : new Date(date);
+  if (!timezone) {
+    return {
+      year: value.getFullYear(),
+      month: value.getMonth() + 1,
+      day: value.getDate(),
+      hour: value.getHours(),
+      minute: value.getMinutes(),
+      second: value.getSeconds()
+    };
+  }
+
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(value);
+  const part = type => parseInt(parts.find(item => item.type === type).value, 10);
+  return {
+    year: part('year'),
+    month: part('month'),
+    day: part('day'),
+    hour: part('hour'),
+    minute: part('minute'),
+    second: part('second')
+  };
+}
+
+/**
+ * Перетворює місцевий час у часовому поясі на точний момент UTC.
+ * Зсув поясу визначається двічі: для моменту поблизу переходу на літній/зимовий час
+ * перша оцінка може потрапити по інший бік переходу.
+ * Поля, що виходять за межі (day: 0, month: 13), нормалізуються як у Date.UTC.
+ * @param {Object} parts - { year, month (1-12), day, hour?, minute?, second? }
+ * @param {string} timezone - Часовий пояс, наприклад 'Europe/Kiev'
+ * @returns {Date} Момент UTC
+ */
+function zonedTimeToUtc(parts, timezone) {
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour || 0, parts.minute || 0, parts.second || 0);
+  const offsetAt = (time) => {
+    const zoned = getZonedDateParts(new Date(time), timezone);
+    return Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second) - time;
+  };
+
+  const firstGuess = wallClock - offsetAt(wallClock);
+  const offset = offsetAt(firstGuess);
+  return new Date(wallClock - offset);
+}
+
+/**
+ * Повертає межі календарного місяця в часовому поясі як точні моменти UTC
+ * @param {number} month - Місяць (1-12)
+ * @param {number} year - Рік
+ * @param {string} timezone - Часовий пояс, наприклад 'Europe/Kiev'
+ * @returns {Object} { start: Date (00:00:00 першого дня), end: Date (23:59:59 останнього дня) }
+ */
+function getZonedMonthRange(month, year, timezone) {
+  const start = zonedTimeToUtc({ year: year, month: month, day: 1 }, timezone);
+  const nextMonthStart = zonedTimeToUtc({ year: year, month: month + 1, day: 1 }, timezone);
+  return {
+    start: start,
+    end: new Date(nextMonthStart.getTime() - 1000)
+  };
+}
+
+/**
+ * Визначає місяць і рік з дати (ISO string або інший формат)
+ * Момент часу (ISO) відноситься до місяця за часовим поясом: замовлення о 23:44 UTC 31-го
+ * за київським часом уже належить наступному місяцю.
+ * @param {string} dateString - Дата в різних форматах
+ * @param {string} timezone - Часовий пояс, наприклад 'Europe/Kiev' (без нього — локальний пояс)
+ * @returns {Object} Об'єкт з полями month та year
+ */
+function getMonthYearFromDateString(dateString, timezone) {
+  if (!dateString) {
+    return { month: null, year: null };
+  }
+  
+  try {
+    let date;
+    
+    // Спробуємо парсити ISO формат
+    if (typeof dateString === 'string' && dateString.includes('T')) {
+      date = new Date(dateString);
+    } else if (typeof dateString === 'string' && dateString.includes('.')) {
+      // Формат "dd.MM.yyyy HH:mm"
+      const parts = dateString.split(' ');
+      const datePart = parts[0]; // "dd.MM.yyyy"
+      const dateParts = datePart.split('.');
+      
+      if (dateParts.length === 3) {
+        const day = parseInt(dateParts[0]);
+        const month = parseInt(dateParts[1]);
+        const year = parseInt(dateParts[2]);
+        
+        return { month: month, year: year };
+      }
+    } else {
+      date = new Date(dateString);
+    }
+    
+    if (date && !isNaN(date.getTime())) {
+      const { month, year } = getZonedDateParts(date, timezone);
+      return { month: month, year: year };
+    }
+  } catch (e) {
+    // Некоректна дата — місяць невідомий
+  }
+  
+  return { month: null, year: null };
+}
+
+/**
+ * Форматує дату для відображення як "dd.MM.yyyy HH:mm" у заданому часовому поясі
+ * @param {string} dateString - Дата в форматі ISO
+ * @param {string} timezone - Часовий пояс, наприклад 'Europe/Kiev'
+ * @returns {string} Відформатована дата
+ */
+function formatDisplayDate(dateString, timezone) {
+  if (!dateString) return '';
+
+  try {
+    const parts = getZonedDateParts(new Date(dateString), timezone);
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(parts.day)}.${pad(parts.month)}.${parts.year} ${pad(parts.hour)}:${pad(parts.minute)}`;
+  } catch (e) {
+    return dateString;
+  }
+}
+
+// Експорт для Node (в Apps Script усі функції й так глобальні)
+if (typeof module !== 'undefined') {
+  module.exports = {
+    calculatePayroll: calculatePayroll,
+    buildPayrollLines: buildPayrollLines,
+    summarizePayrollByManager: summarizePayrollByManager,
+    applyManagerPlans: applyManagerPlans,
+    calculatePlanActuals: calculatePlanActuals,
+    findManagerPlan: findManagerPlan,
+    calculatePlanCompletion: calculatePlanCompletion,
+    findPlanMultiplier: findPlanMultiplier,
+    validatePlanMultipliers: validatePlanMultipliers,
+    sumPayrollSubtotals: sumPayrollSubtotals,
+    findUnassignedManagers: findUnassignedManagers,
+    groupByMonth: groupByMonth,
+    groupByMonthKey: groupByMonthKey,
+    classifyKeycrmOrders: classifyKeycrmOrders,
+    getProductPriceSold: getProductPriceSold,
+    getProductPurchasedPrice: getProductPurchasedPrice,
+    findProductField: findProductField,
+    findProductText: findProductText,
+    createOrderExchange: createOrderExchange,
+    findExchangeRate: findExchangeRate,
+    normalizeCurrencyCode: normalizeCurrencyCode,
+    summarizeLineCurrency: summarizeLineCurrency,
+    traceProductSource: traceProductSource,
+    formatOrderStatus: formatOrderStatus,
+    getProductName: getProductName,
+    isProductUpsell: isProductUpsell,
+    getUpsellFlagSource: getUpsellFlagSource,
+    normalizeManagerName: normalizeManagerName,
+    normalizeTagValue: normalizeTagValue,
+    getOrderTagName: getOrderTagName,
+    hasOrderTag: hasOrderTag,
+    addExcludedPosition: addExcludedPosition,
+    allocateOrderDiscount: allocateOrderDiscount,
+    calculateOrderCosts: calculateOrderCosts,
+    getCostComponentBases: getCostComponentBases,
+    allocateOrderCosts: allocateOrderCosts,
+    addCosts: addCosts,
+    sumCosts: sumCosts,
+    roundCosts: roundCosts,
+    validateCostComponents: validateCostComponents,
+    getDiscountPolicy: getDiscountPolicy,
+    describeDiscountAllocation: describeDiscountAllocation,
+    getDefaultBonusRules: getDefaultBonusRules,
+    getBonusRules: getBonusRules,
+    getBonusCategories: getBonusCategories,
+    matchBonusRule: matchBonusRule,
+    validateBonusRules: validateBonusRules,
+    getCategoryLevels: getCategoryLevels,
+    describeListMatch: describeListMatch,
+    describeCustomFieldsMatch: describeCustomFieldsMatch,
+    processUpsales: processUpsales,
+    processTaggedOrdersForMonth: processTaggedOrdersForMonth,
+    processIncomingOrdersForMonth: processIncomingOrdersForMonth,
+    traceLineItem: traceLineItem,
+    resolveManagerLevel: resolveManagerLevel,
+    findManagerAssignment: findManagerAssignment,
+    calculateBonusForAllLevels: calculateBonusForAllLevels,
+    calculateRateForAllLevels: calculateRateForAllLevels,
+    calculateShareLevelAmounts: calculateShareLevelAmounts,
+    explainShareLevelAmounts: explainShareLevelAmounts,
+    getLineShare: getLineShare,
+    getLevelBrackets: getLevelBrackets,
+    applyBrackets: applyBrackets,
+    explainLevelAmounts: explainLevelAmounts,
+    describeBracketCalculation: describeBracketCalculation,
+    describeLevelPercent: describeLevelPercent,
+    selectLevelAmount: selectLevelAmount,
+    formatLevelLabel: formatLevelLabel,
+    addLevelToList: addLevelToList,
+    getManagerBonusesFromResults: getManagerBonusesFromResults,
+    aggregateBonusesByManager: aggregateBonusesByManager,
+    getManagerRatesFromResults: getManagerRatesFromResults,
+    aggregateRatesByManager: aggregateRatesByManager,
+    combineRatesAndBonuses: combineRatesAndBonuses,
+    buildAuditRows: buildAuditRows,
+    describeLineDeductions: describeLineDeductions,
+    round2: round2,
+    normalizeApiDate: normalizeApiDate,
+    getMonthYearFromDateString: getMonthYearFromDateString,
+    getOrderAttributionDate: getOrderAttributionDate,
+    getOrderPayrollDate: getOrderPayrollDate,
+    getOrderPaymentTranches: getOrderPaymentTranches,
+    addPaymentTranches: addPaymentTranches,
+    scaleItemAmounts: scaleItemAmounts,
+    collectManagerDirectory: collectManagerDirectory,
+    getCreditShares: getCreditShares,
+    resolveCreditManager: resolveCreditManager,
+    findCustomFieldValue: findCustomFieldValue,
+    addCreditShares: addCreditShares,
+    validateCreditRules: validateCreditRules,
+    getStatusPolicyAction: getStatusPolicyAction,
+    validateStatusPolicy: validateStatusPolicy,
+    findFullPaymentDate: findFullPaymentDate,
+    getZonedDateParts: getZonedDateParts,
+    zonedTimeToUtc: zonedTimeToUtc,
+    getZonedMonthRange: getZonedMonthRange,
+    formatDisplayDate: formatDisplayDate
+  };
+}
@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, loadFixture } = require('./harness');
+
+const env = createEnvironment();
+
+test('getMonthYearFromDateString відносить пізній вечір UTC до місяця за київським часом', () => {
+  assert.deepEqual(env.call("getMonthYearFromDateString('2025-12-31T22:30:00Z')"), { month: 1, year: 2026 });
+  assert.deepEqual(env.call("getMonthYearFromDateString('2025-12-31T21:59:00Z')"), { month: 12, year: 2025 });
+  assert.deepEqual(env.call("getMonthYearFromDateString('2025-06-30T20:59:00Z')"), { month: 6, year: 2025 });
+  assert.deepEqual(env.call("getMonthYearFromDateString('15.03.2025 10:00')"), { month: 3, year: 2025 });
+  assert.deepEqual(env.call("getMonthYearFromDateString('')"), { month: null, year: null });
+});
+
+test('межі періодів для API враховують перехід на літній і зимовий час у DATES_TIMEZONE', () => {
+  assert.deepEqual(env.call('getMonthDateRange(3, 2025)'), { start: '2025-02-28 22:00:00', end: '2025-03-31 20:59:59' });
+  assert.deepEqual(env.call('getMonthDateRange(10, 2025)'), { start: '2025-09-30 21:00:00', end: '2025-10-31 21:59:59' });
+  assert.deepEqual(env.call('getMonthDateRange(12, 2025)'), { start: '2025-11-30 22:00:00', end: '2025-12-31 21:59:59' });
+
+  // Кастомний період, що закінчується в день переходу на зимовий час (26.10.2025)
+  env.call("settingsCache = Object.assign({}, getSettings(), { customStartDate: '2025-10-01 00:00:00', customEndDate: '2025-10-26 23:59:59' })");
+  try {
+    assert.deepEqual(env.call("getDateRange('custom')"), { start: '2025-09-30 21:00:00', end: '2025-10-26 21:59:59' });
+  } finally {
+    env.call('settingsCache = null');
+  }
+  assert.deepEqual(env.call("getMonthKeysForDateRange({ start: '2025-11-30 22:00:00', end: '2025-12-31 21:59:59' })"), ['12.2025']);
+});
+
+test('getOrderTagName знаходить тег без урахування регістру та пробілів', () => {
+  assert.equal(env.call("getOrderTagName({ tags: [{ name: '  стара БАЗА ' }] }, FULL_ORDER_TAGS)"), 'Стара база');
+  assert.equal(env.call("getOrderTagName({ tags: ['Відгук'] }, FULL_ORDER_TAGS)"), 'Відгук');
+  assert.equal(env.call("getOrderTagName({ tags: [{ name: 'Опт' }] }, FULL_ORDER_TAGS)"), null);
+  assert.equal(env.call("getOrderTagName({ tags: [] }, FULL_ORDER_TAGS)"), null);
+  assert.equal(env.call("getOrderTagName({}, FULL_ORDER_TAGS)"), null);
+});
+
+test('calculateBonusForAllLevels нараховує бонус лише понад поріг рівня', () => {
+  assert.deepEqual(env.call('calculateBonusForAllLevels(150, MANAGER_LEVELS)'), { bonusLevel1: 0, bonusLevel2: 0, bonusLevel3: 0 });
+  assert.deepEqual(env.call('calculateBonusForAllLevels(151, MANAGER_LEVELS)'), { bonusLevel1: 75.5, bonusLevel2: 0, bonusLevel3: 0 });
+  assert.deepEqual(env.call('calculateBonusForAllLevels(400, MANAGER_LEVELS)'), { bonusLevel1: 200, bonusLevel2: 220, bonusLevel3: 240 });
+});
+
+test('calculateRateForAllLevels рахує ставку від усієї маржі, зокрема від’ємної', () => {
+  assert.deepEqual(env.call('calculateRateForAllLevels(2000, MANAGER_LEVELS)'), { rateLevel1: 60, rateLevel2: 80, rateLevel3: 100 });
+  assert.deepEqual(env.call('calculateRateForAllLevels(-100, MANAGER_LEVELS)'), { rateLevel1: -3, rateLevel2: -4, rateLevel3: -5 });
+});
+
+test('applyBrackets застосовує шкалу на частину маржі або на всю маржу', () => {
+  const brackets = '[{ from: 0, percent: 0 }, { from: 150, percent: 40 }, { from: 300, percent: 60 }]';
+  assert.equal(env.call(`applyBrackets(500, ${brackets}, 'marginal')`), 180);
+  assert.equal(env.call(`applyBrackets(500, ${brackets}, 'whole')`), 300);
+  assert.equal(env.call(`applyBrackets(150, ${brackets}, 'whole')`), 0);
+  assert.equal(env.call(`applyBrackets(200, ${brackets}, 'marginal')`), 20);
+});
+
+test('classifyOrders розподіляє знижку замовлення з тегом пропорційно ціні товарів', () => {
+  const orders = JSON.stringify(loadFixture('orders_12_2025').created[0].data);
+  const { upsales, incomingOrders, cancelledOrders } = env.call(`classifyOrders(${orders})`);
+
+  const tagged = upsales.filter(item => item.isSpecialTag);
+  assert.deepEqual(tagged.map(item => [item.name, item.orderDiscountPart, item.costPrice, item.margin]), [
+    ['Навушники', 100, 700, 300],
+    ['Чохол', 50, 250, 250]
+  ]);
+  assert.equal(tagged[0].specialTagName, 'Стара база');
+  assert.equal(tagged[0].managerName, 'Олена Коваль');
+
+  // Знижка не застосовується до допродажів у замовленнях без тегів
+  const upsell = upsales.find(item => !item.isSpecialTag);
+  assert.deepEqual([upsell.name, upsell.margin, upsell.orderDiscountPart], ['Захисне скло', 400, 0]);
+
+  assert.deepEqual(incomingOrders.map(item => [item.name, item.productMargin]), [['Смартфон', 2000]]);
+  assert.deepEqual(cancelledOrders, []);
+});
+
+test('classifyOrders не розраховує скасовані замовлення, а повертає їх окремо', () => {
+  const orders = JSON.stringify(loadFixture('orders_12_2025').created[1].data);
+  const { upsales, cancelledOrders } = env.call(`classifyOrders(${orders})`);
+
+  assert.deepEqual(upsales.map(item => item.orderId), [1004]);
+  assert.deepEqual(cancelledOrders, [{ orderId: 1003, statusId: 15, statusName: 'Скасовано', statusGroupId: 6 }]);
+});
+
+test('діапазон з бічної панелі та дати з листа не залежать від часового поясу скрипта', () => {
+  const scriptTimezone = process.env.TZ;
+  process.env.TZ = 'America/New_York';
+  try {
+    assert.deepEqual(env.call("getSidebarDateRange({ mode: 'range', start: '2025-10-01', end: '2025-10-26' })"), { start: '2025-09-30 21:00:00', end: '2025-10-26 21:59:59' });
+    assert.equal(env.call("new Date(parseSheetDate('05.12.2025')).toISOString()"), '2025-12-04T22:00:00.000Z');
+    // Клітинка з датою 05.12.2025 — північ за київським часом, а скрипт працює в іншому поясі
+    assert.equal(env.call("new Date(parseSheetDate(new Date('2025-12-04T22:00:00Z'))).toISOString()"), '2025-12-04T22:00:00.000Z');
+    assert.equal(env.call("isNaN(parseSheetDate('не дата'))"), true);
+    // Місяць плану з клітинки-дати 01.12.2025 (північ за київським часом)
+    assert.equal(env.call("createManagerPlan(7, null, new Date('2025-11-30T22:00:00Z'), { margin: 1000 }).month"), '12.2025');
+  } finally {
+    process.env.TZ = scriptTimezone;
+  }
+});
+
+test('період імпорту курсів НБУ рахується за DATES_TIMEZONE, а не за поясом скрипта', () => {
+  const scriptTimezone = process.env.TZ;
+  process.env.TZ = 'America/New_York';
+  try {
+    const ratesEnv = createEnvironment({ keycrm: () => ({ code: 200, body: [] }) });
+    ratesEnv.call("void (Session.getScriptTimeZone = () => 'America/New_York')");
+    ratesEnv.call("importNbuRatesForPeriod(parseZonedDateTime('2025-12-01 00:00:00'), parseZonedDateTime('2025-12-31 23:59:59'))");
+    assert.deepEqual(ratesEnv.requests.map(url => url.match(/start=(\d+)&end=(\d+)&valcode=(\w+)/).slice(1)), [
+      ['20251201', '20251231', 'usd'],
+      ['20251201', '20251231', 'eur']
+    ]);
+  } finally {
+    process.env.TZ = scriptTimezone;
+  }
+});
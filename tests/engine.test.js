@@ -0,0 +1,581 @@
+// Місяць замовлення визначається в локальному часі — як у таблиці
+process.env.TZ = 'Europe/Kiev';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture } = require('./harness');
+const {
+  calculatePayroll,
+  sumPayrollSubtotals,
+  explainLevelAmounts,
+  findProductField,
+  classifyKeycrmOrders,
+  matchBonusRule,
+  validateBonusRules,
+  getBonusCategories,
+  calculateOrderCosts,
+  validateCostComponents,
+  findExchangeRate,
+  summarizePayrollByManager,
+  zonedTimeToUtc,
+  getZonedMonthRange,
+  getOrderAttributionDate,
+  getStatusPolicyAction,
+  getOrderPayrollDate,
+  validateStatusPolicy,
+  getOrderPaymentTranches,
+  getCreditShares,
+  collectManagerDirectory,
+  validateCreditRules
+} = require('../payroll_engine');
+
+// Рушій не потребує фейків Apps Script: усі правила передаються явно
+const RULES = {
+  managerLevels: {
+    1: { name: 'Рівень 1', rate: 3, bonus: 50, threshold: 150 },
+    2: { name: 'Рівень 2', rate: 4, bonus: 55, threshold: 175 },
+    3: { name: 'Рівень 3', rate: 5, bonus: 60, threshold: 200 }
+  },
+  fullOrderTags: ['Стара база', 'Відгук'],
+  canceledStatusIds: [15, 16, 17],
+  assignments: [
+    { managerId: '7', managerKey: null, level: 2, from: null },
+    { managerId: '8', managerKey: null, level: 1, from: null }
+  ],
+  defaultLevel: null,
+  timezone: 'Europe/Kiev'
+};
+
+function loadOrders() {
+  const recorded = loadFixture('orders_12_2025');
+  return recorded.created.flatMap(page => page.data);
+}
+
+test('calculatePayroll повертає рядки, підсумки по менеджерах і скасовані замовлення', () => {
+  const { lines, summaries, cancelledOrders, unassignedManagers } = calculatePayroll(loadOrders(), RULES);
+
+  const december = lines.filter(line => line.month === 12 && line.year === 2025 && line.date !== 'ПІДСУМОК');
+  assert.deepEqual(december.map(line => [line.date, line.typeLabel, line.orderId, line.margin, line.levelLabel, line.payout]), [
+    ['05.12.2025 12:15', 'Допродаж', 1001, 400, 'Р2', 220],
+    ['10.12.2025 16:00', 'За тегом', 1002, 550, 'Р1', 275],
+    ['05.12.2025 12:15', 'Вхідне замовлення', 1001, 2000, 'Р2', 80]
+  ]);
+
+  // У січні лише допродаж нижче порогу — підсумку без нарахувань немає
+  assert.deepEqual(Object.keys(summaries), ['12.2025']);
+  assert.deepEqual(summaries['12.2025'].map(row => [row.managerName, row.rate, row.bonus, row.levels]), [
+    ['Іван Петренко', 80, 220, [2]],
+    ['Олена Коваль', 0, 275, [1]]
+  ]);
+
+  assert.deepEqual(cancelledOrders.map(order => order.orderId), [1003]);
+  assert.deepEqual(unassignedManagers, []);
+});
+
+test('менеджер без призначення отримує рівень за замовчуванням і потрапляє в перелік', () => {
+  const rules = Object.assign({}, RULES, { assignments: [], defaultLevel: 3 });
+  const { lines, unassignedManagers } = calculatePayroll(loadOrders(), rules);
+
+  const upsell = lines.find(line => line.orderId === 1001 && line.typeLabel === 'Допродаж');
+  assert.deepEqual([upsell.level, upsell.payout], [3, 240]);
+  assert.deepEqual(unassignedManagers, [
+    { managerId: 7, managerName: 'Іван Петренко' },
+    { managerId: 8, managerName: 'Олена Коваль' }
+  ]);
+});
+
+test('sumPayrollSubtotals підсумовує лише рядки "ПІДСУМОК"', () => {
+  const { lines } = calculatePayroll(loadOrders(), RULES);
+  const december = lines.filter(line => line.month === 12 && line.year === 2025);
+
+  assert.deepEqual(sumPayrollSubtotals(december), {
+    margin: 2950,
+    payout: 575,
+    zpLevel1: 200 + 275 + 60,
+    zpLevel2: 220 + 302.5 + 80,
+    zpLevel3: 240 + 330 + 100
+  });
+});
+
+test('трасування показує поле ціни та пояснює шкалу рівня', () => {
+  assert.deepEqual(findProductField({ price: 0, offer: { price: '120.5' } }, ['price_sold', 'price', 'offer.price']), { value: 120.5, source: 'offer.price' });
+  assert.deepEqual(findProductField({}, ['price_sold']), { value: 0, source: null });
+
+  const levels = Object.assign({}, RULES.managerLevels, {
+    1: { name: 'Рівень 1', rate: 3, bonus: 50, threshold: 150, bonusBrackets: [{ from: 0, percent: 0 }, { from: 150, percent: 40 }, { from: 300, percent: 60 }] }
+  });
+  assert.deepEqual(explainLevelAmounts(500, levels, 'bonus')[0], {
+    level: 1,
+    rule: 'шкала частинами: 0–150: 0%, 150–300: 40%, 300–500: 60%',
+    amount: 180
+  });
+  assert.deepEqual(explainLevelAmounts(100, levels, 'bonus')[1], { level: 2, rule: 'маржа 100 ≤ порогу 175 → 0%', amount: 0 });
+});
+
+test('правила нарахування задають категорію, її відсоток і поріг та виключають товари', () => {
+  const rules = Object.assign({}, RULES, {
+    bonusRules: [
+      { name: 'Стара база', match: { tags: ['Стара база'] }, category: 'repeat_base' },
+      { name: 'Допродаж', match: { upsellFlag: true, managers: ['7'] }, category: 'upsell' },
+      { name: 'Інше', match: {}, category: 'excluded' }
+    ],
+    bonusCategories: {
+      repeat_base: { label: 'Повторна база', kind: 'bonus', wholeOrder: true, discountPolicy: 'by_value', percent: 10, threshold: 0 }
+    }
+  });
+  const { upsales, incomingOrders, excludedOrders } = classifyKeycrmOrders(loadOrders(), rules);
+  assert.equal(incomingOrders.length, 0);
+  assert.deepEqual(upsales.map(item => [item.orderId, item.category, item.trace.reason]), [
+    [1001, 'upsell', 'Допродаж: позначка upsale, менеджер "7"'],
+    [1002, 'repeat_base', 'Стара база: тег "Стара база"'],
+    [1002, 'repeat_base', 'Стара база: тег "Стара база"'],
+    [1004, 'upsell', 'Допродаж: позначка offer.upsale, менеджер "7"']
+  ]);
+  assert.deepEqual(excludedOrders.map(order => [order.orderId, order.reason]), [
+    [1001, 'Інше (товари: Смартфон)'],
+    [1003, 'Статус 15 "Скасовано" у групі скасованих (6)']
+  ]);
+
+  const { lines } = calculatePayroll(loadOrders(), rules);
+  const tagged = lines.find(line => line.orderId === 1002);
+  assert.deepEqual([tagged.typeLabel, tagged.margin, tagged.levelLabel, tagged.payout], ['Повторна база', 550, 'Р1', 55]);
+  assert.equal(tagged.trace.levels[0].rule, 'маржа 550 > порогу 0 → 10% від усієї маржі');
+});
+
+test('умови за джерелом і користувацьким полем та перевірка правил', () => {
+  const order = {
+    id: 2001,
+    created_at: '2025-12-15 10:00:00',
+    grand_total: 900,
+    source_id: 4,
+    status: { id: 12, name: 'Виконано', group_id: 4 },
+    manager: { id: 8, full_name: 'Олена Коваль' },
+    custom_fields: [{ uuid: 'OR_1001', name: 'Відгук залишено', value: 'Так' }],
+    products: [{ id: 9, name: 'Чохол', sku: 'CASE-01', price_sold: 900, purchased_price: 400, quantity: 1 }]
+  };
+  const bonusRules = [
+    { name: 'Відгук', match: { sources: [4], customFields: { 'Відгук залишено': 'так' } }, category: 'review' },
+    { name: 'Вхідний товар', match: {}, category: 'incoming' }
+  ];
+  const bonusCategories = { review: { label: 'Відгук', kind: 'rate', percent: 10, threshold: 300 } };
+  const rules = Object.assign({}, RULES, { bonusRules: bonusRules, bonusCategories: bonusCategories });
+
+  const { lines } = calculatePayroll([order], rules);
+  assert.deepEqual([lines[0].typeLabel, lines[0].margin, lines[0].payout], ['Відгук', 500, 50]);
+  assert.equal(lines[0].trace.items[0].reason, 'Відгук: джерело "4", поле "Відгук залишено" = "Так"');
+
+  const skuRule = matchBonusRule([{ name: 'Чохли', match: { skus: ['case-01'] }, category: 'upsell' }], order, order.products[0]);
+  assert.equal(skuRule.reason, 'Чохли: SKU "CASE-01"');
+
+  assert.deepEqual(validateBonusRules([
+    { name: 'Подарунок', match: { sku: ['GIFT'] }, category: 'gift' },
+    { match: { tags: 'Відгук' }, category: 'upsell' }
+  ], getBonusCategories({ bonusCategories: { gift: { label: 'Подарунок', kind: 'free' } } })), [
+    'Категорія "gift": kind має бути \'bonus\', \'rate\' або \'excluded\'',
+    'Правило 1 "Подарунок": невідома умова "sku"',
+    'Правило 2: не задано name',
+    'Правило 2: умова "tags" має бути переліком'
+  ]);
+});
+
+test('політика знижки категорії розподіляє знижку замовлення і записується в рядок', () => {
+  const order = {
+    id: 3001,
+    created_at: '2025-12-20 10:00:00',
+    grand_total: 900,
+    status: { id: 12, name: 'Виконано', group_id: 4 },
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    products: [
+      { id: 1, name: 'Смартфон', price_sold: 600, purchased_price: 400, quantity: 1 },
+      { id: 2, name: 'Скло', price_sold: 200, purchased_price: 50, quantity: 2, upsale: true }
+    ]
+  };
+  const discountParts = policy => {
+    const rules = Object.assign({}, RULES, {
+      bonusCategories: { upsell: { discountPolicy: policy }, incoming: { discountPolicy: policy } }
+    });
+    const { upsales, incomingOrders } = classifyKeycrmOrders([order], rules);
+    return [incomingOrders[0].orderDiscountPart, upsales[0].orderDiscountPart];
+  };
+
+  assert.deepEqual(discountParts('ignore'), [0, 0]);
+  assert.deepEqual(discountParts('by_value'), [60, 40]);
+  assert.deepEqual(discountParts('by_margin'), [40, 60]);
+  assert.deepEqual(discountParts('incoming_first'), [100, 0]);
+
+  const rules = Object.assign({}, RULES, { bonusCategories: { incoming: { discountPolicy: 'incoming_first' } } });
+  const { lines } = calculatePayroll([order], rules);
+  const incoming = lines.find(line => line.typeLabel === 'Вхідне замовлення');
+  const upsell = lines.find(line => line.typeLabel === 'Допродаж');
+  assert.deepEqual([incoming.costPrice, incoming.margin, incoming.discountPolicy, incoming.discountLabel], [500, 100, 'incoming_first', 'Спершу на вхідні: 100']);
+  assert.deepEqual([upsell.margin, upsell.discountLabel], [300, 'Не враховується']);
+});
+
+test('incoming_first ділить знижку лише між товарами, що її приймають', () => {
+  const order = {
+    id: 3002,
+    created_at: '2025-12-20 10:00:00',
+    grand_total: 300,
+    status: { id: 12, name: 'Виконано', group_id: 4 },
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    products: [
+      { id: 1, name: 'Навушники', price_sold: 300, purchased_price: 200, quantity: 1 },
+      { id: 2, name: 'Скло', price_sold: 200, purchased_price: 50, quantity: 2, upsale: true }
+    ]
+  };
+  const discountParts = (incomingPolicy, upsellPolicy) => {
+    const rules = Object.assign({}, RULES, {
+      bonusCategories: { incoming: { discountPolicy: incomingPolicy }, upsell: { discountPolicy: upsellPolicy } }
+    });
+    const { upsales, incomingOrders } = classifyKeycrmOrders([order], rules);
+    return [incomingOrders[0].orderDiscountPart, upsales[0].orderDiscountPart];
+  };
+
+  // Знижка 400: вхідний товар забирає свою ціну, решта — на допродаж
+  assert.deepEqual(discountParts('incoming_first', 'incoming_first'), [300, 100]);
+  // Вхідні з ignore не забирають першочергову частку — уся знижка на допродажі
+  assert.deepEqual(discountParts('ignore', 'incoming_first'), [0, 400]);
+  // Допродажі з ignore залишку не отримують, 100 понад ціну вхідного товару не розподіляються
+  assert.deepEqual(discountParts('incoming_first', 'ignore'), [300, 0]);
+});
+
+test('складові витрат рахуються за доставкою та витратами KEYCRM і перевіряються', () => {
+  const order = {
+    grand_total: 1000,
+    shipping: { delivery_service_id: 1 },
+    expenses: [{ expense_type_id: 4, amount: 35 }, { expense_type_id: 9, amount: 15 }]
+  };
+  assert.deepEqual(calculateOrderCosts(order, [
+    { key: 'shipping', header: 'Доставка (грн)', from: 'order', by: 'delivery', rates: { 1: { fixed: 70 }, '*': { fixed: 90 } } },
+    { key: 'expenses', header: 'Витрати (грн)', from: 'expenses', rates: { 4: { percent: 100 } } }
+  ]), { shipping: 70, expenses: 35 });
+
+  assert.deepEqual(validateCostComponents([
+    { key: 'fee', header: 'Комісія', from: 'order', rates: { '*': { percent: '2' } } },
+    { key: 'fee', from: 'refunds', rates: {} }
+  ]), [
+    'Складова витрат 1 "fee": для from \'order\' by має бути одним з source, delivery',
+    'Складова витрат 1 "fee": ставка "*" має бути { percent, fixed } з числами',
+    'Складова витрат 2 "fee": key повторюється',
+    'Складова витрат 2 "fee": не задано header',
+    'Складова витрат 2 "fee": from має бути одним з payments, order, expenses'
+  ]);
+});
+
+test('валюта товару і закупівлі переводиться окремо, застарілий курс не використовується', () => {
+  const exchangeRates = { USD: [{ from: new Date(2025, 11, 1).getTime(), rate: 40 }], EUR: [{ from: new Date(2025, 11, 1).getTime(), rate: 46 }] };
+  const order = {
+    id: 4001,
+    created_at: '2025-12-03 10:00:00',
+    currency: 'EUR',
+    grand_total: 30,
+    status: { id: 12, name: 'Виконано', group_id: 4 },
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    products: [
+      { id: 1, name: 'Кабель', price_sold: 10, purchased_price: 5, purchased_price_currency: 'USD', quantity: 1 },
+      { id: 2, name: 'Скло', price_sold: 20, purchased_price: 100, offer: { purchased_price_currency: 'грн' }, quantity: 1 }
+    ]
+  };
+  const rules = Object.assign({}, RULES, { baseCurrency: 'UAH', exchangeRates: exchangeRates, maxRateAgeDays: 7 });
+
+  const { lines } = calculatePayroll([order], rules);
+  assert.deepEqual([lines[0].salePrice, lines[0].costPrice, lines[0].margin], [1380, 300, 1080]);
+  assert.deepEqual([lines[0].currencyLabel, lines[0].originalSalePrice, lines[0].originalCostPrice], ['Кілька валют', '', '']);
+  assert.deepEqual([lines[0].trace.items[0].currencyLabel, lines[0].trace.items[0].exchangeRate], ['EUR / USD', '46 / 40']);
+
+  assert.equal(findExchangeRate(exchangeRates, 'USD', '2025-12-08T20:00:00.000Z', 7), 40);
+  assert.equal(findExchangeRate(exchangeRates, 'USD', '2025-12-10T10:00:00.000Z', 7), null);
+  assert.equal(findExchangeRate(exchangeRates, 'USD', '2025-11-30T10:00:00.000Z'), null);
+
+  const { excludedOrders } = classifyKeycrmOrders([Object.assign({}, order, { created_at: '2025-12-20 10:00:00' })], rules);
+  assert.deepEqual(excludedOrders.map(item => [item.orderId, item.reason]), [[4001, 'Немає курсу EUR, USD на 20.12.2025']]);
+});
+
+test('витрати валютного замовлення: відсоток від бази за курсом, fixed у гривнях', () => {
+  const order = {
+    id: 4002,
+    created_at: '2025-12-03 10:00:00',
+    currency: 'USD',
+    grand_total: 100,
+    status: { id: 12, name: 'Виконано', group_id: 4 },
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    products: [{ id: 1, name: 'Навушники', price_sold: 100, purchased_price: 50, quantity: 1 }]
+  };
+  const rules = Object.assign({}, RULES, {
+    baseCurrency: 'UAH',
+    exchangeRates: { USD: [{ from: new Date(2025, 11, 1).getTime(), rate: 40 }] },
+    costComponents: [{ key: 'fee', header: 'Комісія (грн)', from: 'order', by: 'source', rates: { '*': { percent: 10, fixed: 70 } } }]
+  });
+
+  // 4000 грн × 10% + 70 грн
+  const { lines } = calculatePayroll([order], rules);
+  assert.deepEqual([lines[0].salePrice, lines[0].costPrice, lines[0].costs.fee, lines[0].margin], [4000, 2000, 470, 1530]);
+});
+
+test('план на конкретний місяць перекриває загальний, менеджер без замовлень отримує 0%', () => {
+  const { lines } = calculatePayroll(loadOrders(), RULES);
+  const rules = {
+    managerPlans: [
+      { managerId: '7', managerKey: null, managerName: 'Іван Петренко', month: null, margin: 1000 },
+      { managerId: '7', managerKey: null, managerName: 'Іван Петренко', month: '12.2025', margin: 4800 },
+      { managerId: null, managerKey: 'марія шевчук', managerName: 'Марія Шевчук', month: '12.2025', upsellCount: 3 }
+    ],
+    planMultipliers: [{ from: 0, multiplier: 0.5 }, { from: 100, multiplier: 1.2 }]
+  };
+
+  const summaries = summarizePayrollByManager(lines, rules);
+  assert.deepEqual(summaries['12.2025'].map(row => [row.managerName, row.plan && row.plan.completion, row.bonus, row.bonusLevel2]), [
+    ['Іван Петренко', 50, 110, 110],
+    ['Олена Коваль', undefined, 275, 302.5],
+    ['Марія Шевчук', 0, 0, 0]
+  ]);
+  // У січні діє загальний план: маржа 100 з 1000, бонусу немає — множити нічого
+  assert.deepEqual(summaries['1.2026'].map(row => [row.managerName, row.plan.completion, row.plan.multiplier, row.bonus]), [
+    ['Іван Петренко', 10, 0.5, 0]
+  ]);
+});
+
+test('межі місяця будуються за правилами поясу, замовлення відноситься до місяця в поясі rules.timezone', () => {
+  // 30.03.2025 та 26.10.2025 — дні переходу на літній і зимовий час у Києві
+  assert.equal(zonedTimeToUtc({ year: 2025, month: 3, day: 30 }, 'Europe/Kiev').toISOString(), '2025-03-29T22:00:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2025, month: 3, day: 30, hour: 23, minute: 59, second: 59 }, 'Europe/Kiev').toISOString(), '2025-03-30T20:59:59.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2025, month: 10, day: 26 }, 'Europe/Kiev').toISOString(), '2025-10-25T21:00:00.000Z');
+  assert.equal(zonedTimeToUtc({ year: 2025, month: 10, day: 26, hour: 23, minute: 59, second: 59 }, 'Europe/Kiev').toISOString(), '2025-10-26T21:59:59.000Z');
+
+  const march = getZonedMonthRange(3, 2025, 'Europe/Kiev');
+  assert.deepEqual([march.start.toISOString(), march.end.toISOString()], ['2025-02-28T22:00:00.000Z', '2025-03-31T20:59:59.000Z']);
+  const january = getZonedMonthRange(1, 2026, 'America/New_York');
+  assert.deepEqual([january.start.toISOString(), january.end.toISOString()], ['2026-01-01T05:00:00.000Z', '2026-02-01T04:59:59.000Z']);
+
+  const order = {
+    id: 5001,
+    created_at: '2025-12-31 23:44:00',
+    status: { id: 12, name: 'Виконано', group_id: 4 },
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    products: [{ id: 1, name: 'Смартфон', price_sold: 3000, purchased_price: 1000, quantity: 1 }]
+  };
+  const kyiv = calculatePayroll([order], RULES).lines.find(line => line.orderId === 5001);
+  assert.deepEqual([kyiv.month, kyiv.year, kyiv.date], [1, 2026, '01.01.2026 01:44']);
+  const utc = calculatePayroll([order], Object.assign({}, RULES, { timezone: 'UTC' })).lines.find(line => line.orderId === 5001);
+  assert.deepEqual([utc.month, utc.year, utc.date], [12, 2025, '31.12.2025 23:44']);
+});
+
+test('дата нарахування: створення, виконання, закриття або повна оплата', () => {
+  const order = {
+    id: 6001,
+    created_at: '2025-11-28 10:00:00',
+    status_changed_at: '2025-12-01 09:00:00',
+    closed_at: '2025-12-02 12:00:00',
+    grand_total: 900,
+    status: { id: 40, name: 'Отримано', group_id: 4 },
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    payments: [
+      { amount: 400, status: 'paid', payment_date: '2025-12-05 10:00:00' },
+      { amount: 900, status: 'canceled', payment_date: '2025-11-28 10:00:00' },
+      { amount: 500, status: 'paid', payment_date: '2025-12-04 10:00:00' }
+    ],
+    products: [{ id: 1, name: 'Навушники', price_sold: 900, purchased_price: 500, quantity: 1, upsale: true }]
+  };
+  const withDate = attributionDate => Object.assign({}, RULES, { attributionDate: attributionDate });
+
+  assert.equal(getOrderAttributionDate(order, RULES), '2025-11-28T10:00:00Z');
+  assert.equal(getOrderAttributionDate(order, withDate('completed')), null);
+  assert.equal(getOrderAttributionDate(order, Object.assign(withDate('completed'), { completedStatusIds: [40] })), '2025-12-01T09:00:00Z');
+  assert.equal(getOrderAttributionDate(order, withDate('closed')), '2025-12-02T12:00:00Z');
+  assert.equal(getOrderAttributionDate(order, withDate('paid')), '2025-12-05T10:00:00Z');
+  assert.throws(() => getOrderAttributionDate(order, withDate('shipped')), /Невідома дата нарахування "shipped"/);
+
+  // Замовлення відноситься до місяця дати нарахування
+  const { lines } = calculatePayroll([order], withDate('paid'));
+  assert.deepEqual([lines[0].month, lines[0].year, lines[0].date], [12, 2025, '05.12.2025 12:00']);
+
+  const unpaid = Object.assign({}, order, { payments: order.payments.slice(0, 2) });
+  const { upsales, excludedOrders } = classifyKeycrmOrders([unpaid], withDate('paid'));
+  assert.deepEqual(upsales, []);
+  assert.deepEqual(excludedOrders.map(item => [item.orderId, item.reason]), [[6001, 'Замовлення ще не оплачено повністю (оплачено 400 з 900)']]);
+  assert.deepEqual(classifyKeycrmOrders([order], withDate('completed')).excludedOrders.map(item => item.reason),
+    ['Замовлення ще не виконано (статус 40 "Отримано")']);
+});
+
+test('політика статусів: pay / hold / skip за ID статусу та групою, очікувані рядки поза підсумками', () => {
+  const statusPolicy = { groups: { 3: 'hold', 5: 'pay' }, statuses: { 21: 'skip', 40: 'pay' } };
+  const rules = Object.assign({}, RULES, { statusPolicy: statusPolicy });
+  const order = (id, status, statusChangedAt) => ({
+    id: id,
+    created_at: '2025-12-05 10:00:00',
+    status_changed_at: statusChangedAt,
+    status: status,
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    products: [{ id: 1, name: 'Навушники', price_sold: 900, purchased_price: 500, quantity: 1, upsale: true }]
+  });
+
+  assert.equal(getStatusPolicyAction(order(1, { id: 3, group_id: 3 }), rules), 'hold');
+  assert.equal(getStatusPolicyAction(order(2, { id: 40, group_id: 3 }), rules), 'pay');
+  assert.equal(getStatusPolicyAction(order(3, { id: 21, group_id: 5 }), rules), 'skip');
+  assert.equal(getStatusPolicyAction(order(4, { id: 15, group_id: 5 }), rules), 'skip');
+  assert.equal(getStatusPolicyAction(order(5, { id: 50, group_id: 2 }), rules), 'hold');
+  assert.equal(getStatusPolicyAction(order(5, { id: 50, group_id: 2 }), RULES), 'pay');
+
+  // Виконане пізніше за дату нарахування — нараховується в місяці виконання
+  assert.equal(getOrderPayrollDate(order(6, { id: 12, group_id: 5 }, '2026-01-02 08:00:00'), rules), '2026-01-02T08:00:00Z');
+  assert.equal(getOrderPayrollDate(order(6, { id: 12, group_id: 5 }, '2026-01-02 08:00:00'), RULES), '2025-12-05T10:00:00Z');
+
+  const { lines, heldLines, summaries, cancelledOrders } = calculatePayroll([
+    order(7, { id: 12, group_id: 5 }, '2025-12-06 10:00:00'),
+    order(8, { id: 3, group_id: 3 }, '2025-12-06 10:00:00'),
+    order(9, { id: 21, group_id: 4 }, '2025-12-06 10:00:00')
+  ], rules);
+  assert.deepEqual(lines.filter(line => line.date !== 'ПІДСУМОК').map(line => line.orderId), [7]);
+  assert.deepEqual(heldLines.map(line => [line.orderId, line.payout, line.held, line.month]), [[8, 220, true, 12]]);
+  assert.deepEqual(summaries['12.2025'].map(row => [row.managerName, row.bonus]), [['Іван Петренко', 220]]);
+  assert.deepEqual(cancelledOrders.map(item => item.orderId), [9]);
+
+  assert.deepEqual(validateStatusPolicy({ groups: { 5: 'paid' }, statuses: { abc: 'hold' }, default: 'later' }), [
+    'statuses.abc: ключ має бути числовим ID KEYCRM',
+    'groups.5: невідома дія "paid", можливі: pay, hold, skip',
+    'default: невідома дія "later", можливі: pay, hold, skip'
+  ]);
+});
+
+test('політика оплати: бонус ділиться за часткою оплати, залишок очікує доплати', () => {
+  const payment = (amount, date, status = 'paid') => ({ amount: amount, status: status, payment_date: date });
+  const order = payments => ({
+    id: 1,
+    created_at: '2025-12-05 10:00:00',
+    grand_total: 800,
+    status: { id: 12, group_id: 5 },
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    payments: payments,
+    products: [{ id: 1, name: 'Навушники', price_sold: 800, purchased_price: 500, quantity: 1, upsale: true }]
+  });
+  const partlyPaid = order([
+    payment(320, '2025-12-03 09:00:00'),
+    payment(240, '2026-01-10 09:00:00'),
+    payment(500, '2026-01-11 09:00:00', 'canceled')
+  ]);
+  const scale = Object.assign({}, RULES, { paymentPolicy: 'scale' });
+  const defer = Object.assign({}, RULES, { paymentPolicy: 'defer' });
+  const round = value => Math.round(value * 100) / 100;
+
+  assert.deepEqual(getOrderPaymentTranches(partlyPaid, RULES), [{ date: '2025-12-05T10:00:00Z', share: 1, held: false, label: '' }]);
+  assert.deepEqual(getOrderPaymentTranches(partlyPaid, scale).map(tranche => [tranche.date, round(tranche.share), tranche.held, tranche.label]), [
+    ['2025-12-05T10:00:00Z', 0.4, false, 'Оплачено 40%'],
+    ['2026-01-10T09:00:00Z', 0.3, false, 'Доплата 30%'],
+    ['2026-01-10T09:00:00Z', 0.3, true, 'Не оплачено 30%']
+  ]);
+
+  // Поріг рахується від маржі всього замовлення (300 > 175), тож частина з маржею 120 теж отримує бонус
+  const { lines, heldLines } = calculatePayroll([partlyPaid], scale);
+  const describe = line => [line.month, round(line.margin), line.payout, line.paymentLabel];
+  assert.deepEqual(lines.filter(line => line.date !== 'ПІДСУМОК').map(describe), [
+    [12, 120, 66, 'Оплачено 40%'],
+    [1, 90, 49.5, 'Доплата 30%']
+  ]);
+  assert.deepEqual(heldLines.map(describe), [[1, 90, 49.5, 'Не оплачено 30%']]);
+  assert.ok(lines[0].trace.levels[1].rule.endsWith('× 40% оплати'));
+
+  // defer: до повної оплати вся ЗП очікує, після — нараховується в місяці повної оплати
+  assert.deepEqual(getOrderPaymentTranches(partlyPaid, defer), [
+    { date: '2025-12-05T10:00:00Z', share: 1, held: true, label: 'Не оплачено повністю (оплачено 70%)' }
+  ]);
+  const fullyPaid = order([payment(320, '2025-12-03 09:00:00'), payment(480, '2026-02-01 09:00:00')]);
+  assert.deepEqual(getOrderPaymentTranches(fullyPaid, defer), [{ date: '2026-02-01T09:00:00Z', share: 1, held: false, label: '' }]);
+  assert.deepEqual(calculatePayroll([fullyPaid], defer).lines.map(line => [line.month, line.payout]), [[2, 165], [2, 165]]);
+});
+
+test('розподіл заслуги: допродаж — менеджеру з поля, вхідне замовлення ділиться 70/30, суми сходяться із замовленням', () => {
+  const creditRules = [
+    { name: 'Допродаж зі дзвінка', categories: ['upsell'], match: {}, shares: [{ from: 'customField', field: 'Допродаж зробив' }] },
+    { name: 'Спільний продаж', categories: ['incoming'], match: {}, shares: [
+      { from: 'order', percent: 70 },
+      { from: 'customField', field: 'Допродаж зробив', percent: 30 }
+    ] }
+  ];
+  const rules = Object.assign({}, RULES, { creditRules: creditRules });
+  const order = {
+    id: 1,
+    created_at: '2025-12-05 10:00:00',
+    grand_total: 10900,
+    status: { id: 12, group_id: 5 },
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    custom_fields: [{ uuid: 'OR_1001', name: 'Допродаж зробив', value: 'олена  коваль' }],
+    products: [
+      { id: 1, name: 'Смартфон', price_sold: 10000, purchased_price: 8000, quantity: 1 },
+      { id: 2, name: 'Навушники', price_sold: 900, purchased_price: 500, quantity: 1, upsale: true }
+    ]
+  };
+  // Інше замовлення Олени дає її ID для впізнавання за ПІБ
+  const other = { id: 2, created_at: '2025-12-06 10:00:00', grand_total: 0, manager: { id: 8, full_name: 'Олена Коваль' }, products: [] };
+
+  const { lines } = calculatePayroll([order, other], rules);
+  const orderLines = lines.filter(line => line.date !== 'ПІДСУМОК');
+  assert.deepEqual(orderLines.map(line => [line.typeLabel, line.managerId, line.managerName, line.margin, line.payout, line.creditLabel]), [
+    ['Допродаж', 8, 'Олена Коваль', 400, 200, ''],
+    ['Вхідне замовлення', 7, 'Іван Петренко', 1400, 56, 'Частка 70%'],
+    ['Вхідне замовлення', 8, 'Олена Коваль', 600, 18, 'Частка 30%']
+  ]);
+  // Маржа часток дорівнює маржі замовлення, кожна частка — в підсумку свого менеджера
+  const incoming = orderLines.filter(line => line.typeLabel === 'Вхідне замовлення');
+  assert.equal(incoming.reduce((sum, line) => sum + line.margin, 0), 2000);
+  assert.equal(incoming.reduce((sum, line) => sum + line.salePrice, 0), 10000);
+  assert.deepEqual(lines.filter(line => line.date === 'ПІДСУМОК' && line.rateLevel1 !== undefined).map(line => [line.managerName, line.margin]), [
+    ['Іван Петренко', 1400],
+    ['Олена Коваль', 600]
+  ]);
+  assert.ok(incoming[1].trace.levels[0].rule.endsWith('× 30% частки менеджера'));
+  assert.ok(incoming[1].trace.items[0].reason.endsWith('Спільний продаж: 30% — поле "Допродаж зробив"'));
+
+  // Поле товару з ID менеджера; незаповнене поле — частка менеджера замовлення
+  const byProduct = Object.assign({}, RULES, { creditRules: [
+    { name: 'Менеджер позиції', match: {}, shares: [{ from: 'product', field: 'manager_id', percent: 50 }, { from: 'customField', field: 'Немає', percent: 50 }] }
+  ] });
+  const orderManager = { managerId: 7, managerName: 'Іван Петренко', managerKey: 'іван петренко' };
+  const directory = collectManagerDirectory([order, other]);
+  assert.deepEqual(getCreditShares(order, { manager_id: 8 }, 'incoming', byProduct, orderManager, directory).map(item => [item.managerId, item.share]), [
+    [8, 0.5],
+    [7, 0.5]
+  ]);
+  assert.deepEqual(getCreditShares(order, {}, 'incoming', byProduct, orderManager, directory).map(item => [item.managerId, item.share, item.reason]), [
+    [7, 1, 'Менеджер позиції: 50% — поле товару "manager_id" не заповнено, менеджер замовлення; 50% — поле "Немає" не заповнено, менеджер замовлення']
+  ]);
+
+  assert.deepEqual(validateCreditRules([
+    { name: 'Без поля', categories: ['vip'], match: { colors: ['red'] }, shares: [{ from: 'customField', percent: 60 }, { from: 'team', percent: 30 }] }
+  ], getBonusCategories(RULES)), [
+    'Правило розподілу 1 "Без поля": невідома категорія "vip"',
+    'Правило розподілу 1 "Без поля": невідома умова "colors"',
+    'Правило розподілу 1 "Без поля", частка 1: для from \'customField\' не задано field',
+    'Правило розподілу 1 "Без поля", частка 2: from має бути одним з order, product, customField',
+    'Правило розподілу 1 "Без поля", частка 2: для from \'team\' не задано field',
+    'Правило розподілу 1 "Без поля": сума percent часток має бути 100, а не 90'
+  ]);
+});
+
+test('розподіл заслуги: товари з різною часткою менеджера в одному замовленні рахуються окремими рядками', () => {
+  const rules = Object.assign({}, RULES, { creditRules: [
+    { name: 'Менеджер позиції', categories: ['upsell'], match: {}, shares: [{ from: 'product', field: 'manager_id', percent: 50 }, { from: 'order', percent: 50 }] }
+  ] });
+  const shared = { id: 1, name: 'Чохол', price_sold: 1000, purchased_price: 600, quantity: 1, upsale: true, manager_id: 8 };
+  const own = { id: 2, name: 'Скло', price_sold: 900, purchased_price: 500, quantity: 1, upsale: true };
+  const orderWith = products => ({
+    id: 1,
+    created_at: '2025-12-05 10:00:00',
+    grand_total: 1900,
+    status: { id: 12, group_id: 5 },
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    products: products
+  });
+
+  // Порядок товарів не впливає на рядки: кожен рядок має одну частку, поріг — від маржі товару
+  const byManager = products => calculatePayroll([orderWith(products)], rules).lines
+    .filter(line => line.date !== 'ПІДСУМОК')
+    .map(line => [line.managerId, line.upsellName, line.margin, line.payout, line.creditLabel])
+    .sort((a, b) => a[0] - b[0] || a[1].localeCompare(b[1]));
+  const expected = [
+    [7, 'Скло', 400, 220, ''],
+    [7, 'Чохол', 200, 110, 'Частка 50%'],
+    [8, 'Чохол', 200, 100, 'Частка 50%']
+  ];
+  assert.deepEqual(byManager([shared, own]), expected);
+  assert.deepEqual(byManager([own, shared]), expected);
+});
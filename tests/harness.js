@@ -0,0 +1,395 @@
+/**
+ * Офлайн-середовище для тестів: завантажує config.js, payroll_engine.js та upsales_calculator.js
+ * у vm-контекст з фейковими сервісами Apps Script і відтворює записані відповіді KEYCRM.
+ *
+ * Запуск усіх тестів: node --test tests/
+ */
+
+// Дати в скрипті рахуються в локальному часі — фіксуємо часовий пояс таблиці
+process.env.TZ = 'Europe/Kiev';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const SCRIPT_FILES = ['config.js', 'payroll_engine.js', 'upsales_calculator.js'];
+const TIMEZONE = 'Europe/Kiev';
+
+/**
+ * Лист таблиці в пам'яті. Зберігає лише значення клітинок;
+ * методи форматування (кольори, шрифти, ширина стовпців тощо) нічого не роблять.
+ * @param {string} name - Назва листа
+ * @returns {Object} Фейковий Sheet
+ */
+function createSheet(name) {
+  const cells = new Map();
+  const cellKey = (row, col) => `${row}:${col}`;
+  const isFilled = value => value !== '' && value !== undefined && value !== null;
+
+  const sheet = {
+    hidden: false,
+    notes: {},
+    filter: null,
+    getName: () => name,
+    getLastRow() {
+      let last = 0;
+      cells.forEach((value, key) => {
+        if (isFilled(value)) last = Math.max(last, Number(key.split(':')[0]));
+      });
+      return last;
+    },
+    getLastColumn() {
+      let last = 0;
+      cells.forEach((value, key) => {
+        if (isFilled(value)) last = Math.max(last, Number(key.split(':')[1]));
+      });
+      return last;
+    },
+    getRange(row, col, numRows = 1, numCols = 1) {
+      if (typeof row !== 'number') {
+        throw new Error(`A1-нотація не підтримується у фейковому листі: ${row}`);
+      }
+      return createRange(sheet, cells, cellKey, row, col, numRows, numCols);
+    },
+    getDataRange() {
+      return sheet.getRange(1, 1, Math.max(1, sheet.getLastRow()), Math.max(1, sheet.getLastColumn()));
+    },
+    clearContents() {
+      cells.clear();
+      return sheet;
+    },
+    clear() {
+      cells.clear();
+      return sheet;
+    },
+    getFilter: () => sheet.filter,
+    hideSheet() {
+      sheet.hidden = true;
+      return sheet;
+    },
+    showSheet() {
+      sheet.hidden = false;
+      return sheet;
+    },
+    isSheetHidden: () => sheet.hidden,
+    protect() {
+      const protection = {
+        editors: ['owner@example.com'],
+        description: '',
+        setDescription(description) { protection.description = description; return protection; },
+        getEditors: () => protection.editors.slice(),
+        removeEditors() { protection.editors = []; return protection; },
+        canDomainEdit: () => false,
+        setDomainEdit: () => protection
+      };
+      sheet.protection = protection;
+      return protection;
+    },
+    /**
+     * Значення листа як масив рядків (до останньої заповненої клітинки)
+     * @returns {Array<Array>} Значення
+     */
+    dump() {
+      const lastRow = sheet.getLastRow();
+      const lastCol = sheet.getLastColumn();
+      return lastRow ? sheet.getRange(1, 1, lastRow, lastCol).getValues() : [];
+    }
+  };
+
+  return withNoOpMethods(sheet, sheet);
+}
+
+/**
+ * Діапазон клітинок фейкового листа
+ */
+function createRange(sheet, cells, cellKey, row, col, numRows, numCols) {
+  const forEachCell = callback => {
+    for (let i = 0; i < numRows; i++) {
+      for (let j = 0; j < numCols; j++) callback(row + i, col + j, i, j);
+    }
+  };
+
+  const range = {
+    getSheet: () => sheet,
+    getRow: () => row,
+    getColumn: () => col,
+    getA1Notation() {
+      const cell = (r, c) => {
+        let letters = '';
+        for (let n = c; n > 0; n = Math.floor((n - 1) / 26)) letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+        return `${letters}${r}`;
+      };
+      return numRows === 1 && numCols === 1 ? cell(row, col) : `${cell(row, col)}:${cell(row + numRows - 1, col + numCols - 1)}`;
+    },
+    getNumRows: () => numRows,
+    getNumColumns: () => numCols,
+    getValues() {
+      const values = Array.from({ length: numRows }, () => new Array(numCols).fill(''));
+      forEachCell((r, c, i, j) => {
+        const value = cells.get(cellKey(r, c));
+        values[i][j] = value === undefined ? '' : value;
+      });
+      return values;
+    },
+    getValue() {
+      const value = cells.get(cellKey(row, col));
+      return value === undefined ? '' : value;
+    },
+    setValues(values) {
+      if (values.length !== numRows || values.some(line => line.length !== numCols)) {
+        throw new Error(`setValues: розмір даних ${values.length}x${values[0] && values[0].length} не відповідає діапазону ${numRows}x${numCols}`);
+      }
+      forEachCell((r, c, i, j) => cells.set(cellKey(r, c), values[i][j]));
+      return range;
+    },
+    setValue(value) {
+      cells.set(cellKey(row, col), value);
+      return range;
+    },
+    setNote(note) {
+      sheet.notes[cellKey(row, col)] = note;
+      return range;
+    },
+    clearContent() {
+      forEachCell((r, c) => cells.delete(cellKey(r, c)));
+      return range;
+    },
+    createFilter() {
+      if (sheet.filter) {
+        throw new Error('На листі вже є фільтр');
+      }
+      sheet.filter = { range: [row, col, numRows, numCols], remove() { sheet.filter = null; } };
+      return sheet.filter;
+    },
+    clear() {
+      return range.clearContent();
+    }
+  };
+
+  return withNoOpMethods(range, range);
+}
+
+/**
+ * Повертає проксі, у якому невідомі методи (форматування) нічого не роблять
+ * і повертають self для ланцюжків викликів
+ */
+function withNoOpMethods(target, self) {
+  return new Proxy(target, {
+    get(object, property) {
+      if (property in object || typeof property === 'symbol') return object[property];
+      return () => self;
+    }
+  });
+}
+
+/**
+ * Фейкова таблиця з листами
+ * @returns {Object} Фейковий Spreadsheet
+ */
+function createSpreadsheet() {
+  const sheets = [];
+  const namedRanges = [];
+  const spreadsheet = {
+    sheets: sheets,
+    getId: () => 'test-spreadsheet',
+    getSheets: () => sheets.slice(),
+    getSheetByName: name => sheets.find(sheet => sheet.getName() === name) || null,
+    insertSheet(name, options) {
+      if (sheets.some(sheet => sheet.getName() === name)) {
+        throw new Error(`Лист "${name}" вже існує`);
+      }
+      const sheet = createSheet(name);
+      // Як у Apps Script: { template } — копія значень листа-шаблону
+      const template = options && options.template;
+      if (template && template.getLastRow() > 0) {
+        const values = template.dump();
+        sheet.getRange(1, 1, values.length, values[0].length).setValues(values);
+      }
+      sheets.push(sheet);
+      return sheet;
+    },
+    deleteSheet(sheet) {
+      sheets.splice(sheets.indexOf(sheet), 1);
+    },
+    // Іменовані діапазони: зберігаються як посилання на діапазон фейкового листа
+    getNamedRanges: () => namedRanges.slice(),
+    getRangeByName(name) {
+      const named = namedRanges.find(item => item.getName() === name);
+      return named ? named.getRange() : null;
+    },
+    setNamedRange(name, range) {
+      if (namedRanges.some(item => item.getName() === name)) {
+        throw new Error(`Іменований діапазон "${name}" вже існує`);
+      }
+      let current = range;
+      const named = {
+        getName: () => name,
+        getRange: () => current,
+        setRange(newRange) { current = newRange; return named; },
+        remove() { namedRanges.splice(namedRanges.indexOf(named), 1); }
+      };
+      namedRanges.push(named);
+    }
+  };
+  return spreadsheet;
+}
+
+/**
+ * Форматує дату в часовому поясі як Utilities.formatDate (підтримує yyyy, MM, dd, HH, mm, ss)
+ */
+function formatDate(date, timezone, pattern) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = type => parts.find(item => item.type === type).value;
+  return pattern
+    .replace('yyyy', part('year'))
+    .replace('MM', part('month'))
+    .replace('dd', part('day'))
+    .replace('HH', part('hour'))
+    .replace('mm', part('minute'))
+    .replace('ss', part('second'));
+}
+
+/**
+ * Відтворює записані відповіді KEYCRM /order за номером сторінки.
+ * Запити за updated_between (пошук пізніх скасувань) отримують порожню сторінку,
+ * якщо для них не передано окремий набір сторінок.
+ * @param {Object} recorded - { created: [сторінки], updated: [сторінки] }
+ * @returns {Function} Обробник запиту (url) → { code, body }
+ */
+function replayKeycrm(recorded) {
+  return url => {
+    const decoded = decodeURIComponent(url);
+    if (!decoded.includes('/order?')) {
+      return { code: 404, body: { message: 'Not found' } };
+    }
+    const page = parseInt((decoded.match(/[?&]page=(\d+)/) || [])[1] || '1', 10);
+    const pages = decoded.includes('filter[updated_between]') ? (recorded.updated || []) : (recorded.created || []);
+    return {
+      code: 200,
+      body: pages[page - 1] || { data: [], meta: { current_page: page, last_page: pages.length, total: 0 } }
+    };
+  };
+}
+
+/**
+ * Відповідає на запити KEYCRM /order одним набором замовлень (одна сторінка).
+ * Запити пізніх скасувань (filter[status_id]) отримують порожню сторінку.
+ * Масив не копіюється: тест може змінити замовлення між запусками.
+ * @param {Array} orders - Замовлення у форматі API
+ * @returns {Function} Обробник запиту (url) → { code, body }
+ */
+function ordersKeycrm(orders) {
+  return url => {
+    const data = decodeURIComponent(url).includes('filter[status_id]') ? [] : orders;
+    return { code: 200, body: { data: data, meta: { current_page: 1, last_page: 1, total: data.length } } };
+  };
+}
+
+/**
+ * Завантажує JSON-фікстуру з tests/fixtures
+ * @param {string} name - Назва файлу без розширення
+ * @returns {*} Вміст фікстури
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.json`), 'utf8'));
+}
+
+/**
+ * Створює середовище Apps Script і завантажує скрипт
+ * @param {Object} options - { keycrm: обробник запитів (url) → { code, body, headers }, properties: {} }
+ * @returns {Object} { spreadsheet, logs, properties, requests, sleeps (паузи Utilities.sleep, мс), triggers, call(expression) }
+ */
+function createEnvironment(options = {}) {
+  const spreadsheet = createSpreadsheet();
+  const logs = [];
+  const requests = [];
+  const sleeps = [];
+  const properties = Object.assign({ KEYCRM_API_KEY: 'test-api-key' }, options.properties);
+  const triggers = [];
+  const keycrm = options.keycrm || replayKeycrm({});
+
+  const context = {
+    console: console,
+    SpreadsheetApp: {
+      getActiveSpreadsheet: () => spreadsheet,
+      newDataValidation() {
+        const builder = { requireValueInList: () => builder, build: () => ({}) };
+        return builder;
+      }
+    },
+    Logger: { log: message => logs.push(String(message)) },
+    Session: { getScriptTimeZone: () => TIMEZONE },
+    Utilities: {
+      DigestAlgorithm: { SHA_256: 'sha256' },
+      Charset: { UTF_8: 'utf8' },
+      sleep: ms => sleeps.push(ms),
+      formatDate: formatDate,
+      computeDigest(algorithm, value) {
+        // Apps Script повертає байти зі знаком (-128..127)
+        return Array.from(crypto.createHash(algorithm).update(value, 'utf8').digest()).map(byte => (byte > 127 ? byte - 256 : byte));
+      }
+    },
+    PropertiesService: {
+      getScriptProperties: () => ({
+        getProperty: key => (key in properties ? properties[key] : null),
+        setProperty(key, value) { properties[key] = String(value); },
+        deleteProperty(key) { delete properties[key]; }
+      })
+    },
+    ScriptApp: {
+      newTrigger(handler) {
+        const builder = { timeBased: () => builder, after: () => builder, create: () => triggers.push({ getHandlerFunction: () => handler }) };
+        return builder;
+      },
+      getProjectTriggers: () => triggers.slice(),
+      deleteTrigger(trigger) { triggers.splice(triggers.indexOf(trigger), 1); }
+    },
+    UrlFetchApp: {
+      fetch(url) {
+        requests.push(decodeURIComponent(url));
+        const response = keycrm(url);
+        return {
+          getResponseCode: () => response.code || 200,
+          getContentText: () => JSON.stringify(response.body),
+          getHeaders: () => response.headers || {}
+        };
+      }
+    }
+  };
+
+  vm.createContext(context);
+  const source = SCRIPT_FILES.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n');
+  vm.runInContext(source, context, { filename: 'apps-script-bundle.js' });
+
+  return {
+    spreadsheet: spreadsheet,
+    logs: logs,
+    properties: properties,
+    requests: requests,
+    sleeps: sleeps,
+    triggers: triggers,
+    /**
+     * Виконує вираз у контексті скрипта (доступні всі глобальні функції та константи)
+     * Результат проходить через JSON, щоб порівнювати об'єкти з іншого vm-контексту
+     * @param {string} expression - Вираз JavaScript
+     * @returns {*} Результат
+     */
+    call(expression) {
+      const result = vm.runInContext(expression, context);
+      return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+    }
+  };
+}
+
+module.exports = { createEnvironment, replayKeycrm, ordersKeycrm, loadFixture };
@@ -0,0 +1,848 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, replayKeycrm, ordersKeycrm, loadFixture } = require('./harness');
+
+const PREMIYA_HEADERS = [
+  'Дата', 'Менеджер', 'ID Менеджера', 'Тип', 'Назва замовлення', 'Ціна продажу (грн)',
+  'Собівартість (грн)', 'Маржа (грн)', 'Знижка замовлення', 'Рівень', 'ЗП (грн)', 'ID Замовлення'
+];
+
+/**
+ * Таблиця з листом призначень рівнів і листом "Виконання 12.2025"
+ */
+function createDecemberEnvironment() {
+  const env = createEnvironment({ keycrm: replayKeycrm(loadFixture('orders_12_2025')) });
+
+  env.spreadsheet.insertSheet('Менеджери').getRange(1, 1, 3, 4).setValues([
+    ['ID менеджера', 'ПІБ', 'Рівень', 'Діє з'],
+    [7, 'Іван Петренко', 2, ''],
+    [8, 'Олена Коваль', 1, '']
+  ]);
+
+  const performance = env.spreadsheet.insertSheet('Виконання 12.2025');
+  performance.getRange(1, 1, 2, 2).setValues([['План', 100000], ['Факт', 90000]]);
+  performance.getRange(1, 6).setValue('ЗП менеджерів з продажу');
+
+  return env;
+}
+
+test('розрахунок за грудень записує точні рядки "Розрахунок МП" та "Виконання"', () => {
+  const env = createDecemberEnvironment();
+
+  const completed = env.call("startFetchJob(getMonthDateRange(12, 2025), 'created_between', 'pipeline')");
+  assert.equal(completed, true);
+
+  assert.deepEqual(env.spreadsheet.getSheetByName('Розрахунок МП 12.2025').dump(), [
+    PREMIYA_HEADERS,
+    ['05.12.2025 12:15', 'Іван Петренко', 7, 'Допродаж', 'Захисне скло', 500, 100, 400, 'Не враховується', 'Р2', 220, 1001],
+    ['ПІДСУМОК', 'Іван Петренко', 7, 'Підсумок', 'Всього: 1 допродажів', '', '', 400, '', 'Р2', 220, ''],
+    ['10.12.2025 16:00', 'Олена Коваль', 8, 'За тегом', 'Стара база', 1500, 950, 550, 'Пропорційно до ціни: 150', 'Р1', 275, 1002],
+    ['ПІДСУМОК', 'Олена Коваль', 8, 'Підсумок', 'Всього: 1 замовлень за тегами', '', '', 550, '', 'Р1', 275, ''],
+    ['05.12.2025 12:15', 'Іван Петренко', 7, 'Вхідне замовлення', 'Смартфон', 10000, 8000, 2000, 'Не враховується', 'Р2', 80, 1001],
+    ['ПІДСУМОК', 'Іван Петренко', 7, 'Підсумок', 'Всього: 1 вхідних замовлень', 10000, 8000, 2000, '', 'Р2', 80, ''],
+    ['ЗАГАЛЬНИЙ ПІДСУМОК', '', '', '', '', '', '', 2950, '', '', 575, '']
+  ]);
+
+  // Замовлення, створене 31.12 о 22:30 UTC, належить січню за київським часом
+  assert.deepEqual(env.spreadsheet.getSheetByName('Розрахунок МП 1.2026').dump(), [
+    PREMIYA_HEADERS,
+    ['01.01.2026 00:30', 'Іван Петренко', 7, 'Допродаж', 'Кабель', 400, 300, 100, 'Не враховується', 'Р2', 0, 1004],
+    ['ПІДСУМОК', 'Іван Петренко', 7, 'Підсумок', 'Всього: 1 допродажів', '', '', 100, '', 'Р2', 0, ''],
+    ['ЗАГАЛЬНИЙ ПІДСУМОК', '', '', '', '', '', '', 100, '', '', 0, '']
+  ]);
+
+  assert.deepEqual(env.spreadsheet.getSheetByName('Виконання 12.2025').dump(), [
+    ['План', 100000, '', '', '', 'ЗП менеджерів з продажу', '', '', '', ''],
+    ['Факт', 90000, '', '', '', 'ПІБ', 'Рівень', 'Ставка', 'Бонуси', 'Разом'],
+    ['', '', '', '', '', 'Іван Петренко', 'Р2', 80, 220, 300],
+    ['', '', '', '', '', 'Олена Коваль', 'Р1', 0, 275, 275]
+  ]);
+});
+
+test('завантаження проходить усі сторінки та шукає пізні скасування за updated_between', () => {
+  const env = createDecemberEnvironment();
+  env.call("startFetchJob(getMonthDateRange(12, 2025), 'created_between', 'pipeline')");
+
+  const range = 'filter[created_between]=2025-11-30 22:00:00, 2025-12-31 21:59:59';
+  assert.deepEqual(env.requests, [
+    `https://openapi.keycrm.app/v1/order?page=1&limit=50&include=products.offer,manager,tags,status,custom_fields&${range}`,
+    `https://openapi.keycrm.app/v1/order?page=2&limit=50&include=products.offer,manager,tags,status,custom_fields&${range}`,
+    'https://openapi.keycrm.app/v1/order?page=1&limit=50&include=products.offer,manager,tags,status,custom_fields' +
+      '&filter[updated_between]=2025-11-30 22:00:00, 2025-12-31 21:59:59&filter[status_id]=15,16,17,19,28,29,30,31,32,35'
+  ]);
+  assert.equal(env.spreadsheet.getSheetByName('_Буфер завантаження').getLastRow(), 0);
+  assert.equal(env.properties.KEYCRM_FETCH_JOB, undefined);
+});
+
+test('повторний запуск не дублює рядки', () => {
+  const env = createDecemberEnvironment();
+  env.call("startFetchJob(getMonthDateRange(12, 2025), 'created_between', 'pipeline')");
+  const first = env.spreadsheet.getSheetByName('Розрахунок МП 12.2025').dump();
+
+  env.call("startFetchJob(getMonthDateRange(12, 2025), 'created_between', 'pipeline')");
+  assert.deepEqual(env.spreadsheet.getSheetByName('Розрахунок МП 12.2025').dump(), first);
+});
+
+test('лист "Аудит" пояснює кожне замовлення і дозволяє фільтр за ID', () => {
+  const env = createDecemberEnvironment();
+  env.call("startFetchJob(getMonthDateRange(12, 2025), 'created_between', 'pipeline')");
+  env.call("startFetchJob(getMonthDateRange(12, 2025), 'created_between', 'pipeline')");
+
+  const audit = env.spreadsheet.getSheetByName('Аудит 12.2025');
+  const [headers, ...rows] = audit.dump();
+  const column = header => headers.indexOf(header);
+  const pick = (row, names) => names.map(name => row[column(name)]);
+
+  assert.deepEqual(audit.filter.range, [1, 1, rows.length + 1, headers.length]);
+
+  const taggedOrder = rows.filter(row => row[column('ID Замовлення')] === 1002);
+  assert.deepEqual(taggedOrder.map(row => pick(row, ['Крок', 'Позиція', 'Частка знижки (грн)', 'Маржа (грн)', 'Поле ціни', 'Класифікація', 'ЗП (грн)'])), [
+    ['Позиція', 'Навушники', 100, 300, 'price_sold', 'Тег "Стара база": рахується все замовлення', ''],
+    ['Позиція', 'Чохол', 50, 250, 'price_sold', 'Тег "Стара база": рахується все замовлення', ''],
+    ['Розрахунок', 'Стара база', 150, 550, '', 'Знижка замовлення — Пропорційно до ціни: 150', 275]
+  ]);
+  assert.equal(
+    taggedOrder[2][column('Поріг / шкала рівнів')],
+    'Р1: маржа 550 > порогу 150 → 50% від усієї маржі = 275; ' +
+      'Р2: маржа 550 > порогу 175 → 55% від усієї маржі = 302.5; ' +
+      'Р3: маржа 550 > порогу 200 → 60% від усієї маржі = 330'
+  );
+
+  const cancelled = rows.find(row => row[column('ID Замовлення')] === 1003);
+  assert.deepEqual(pick(cancelled, ['Крок', 'Класифікація', 'ЗП (грн)']), ['Не враховано', 'Статус 15 "Скасовано" у групі скасованих (6)', 0]);
+});
+
+test('пробний запуск показує зміни на листі "Перегляд змін" і не змінює таблиці', () => {
+  const env = createDecemberEnvironment();
+  env.call("startFetchJob(getMonthDateRange(12, 2025), 'created_between', 'pipeline')");
+  const premiya = env.spreadsheet.getSheetByName('Розрахунок МП 12.2025').dump();
+  const performance = env.spreadsheet.getSheetByName('Виконання 12.2025').dump();
+  const audit = env.spreadsheet.getSheetByName('Аудит 12.2025').dump();
+
+  // Олену підвищено до Р2; призначення кешуються в межах одного виконання
+  env.spreadsheet.getSheetByName('Менеджери').getRange(3, 3).setValue(2);
+  env.call('managerAssignmentsCache = null');
+
+  const result = env.call("runSidebarPeriod({ mode: 'month', month: '2025-12', dryRun: true })");
+  assert.deepEqual(result, { completed: true, dryRun: true });
+
+  assert.deepEqual(env.spreadsheet.getSheetByName('Розрахунок МП 12.2025').dump(), premiya);
+  assert.deepEqual(env.spreadsheet.getSheetByName('Виконання 12.2025').dump(), performance);
+  assert.deepEqual(env.spreadsheet.getSheetByName('Аудит 12.2025').dump(), audit);
+
+  const [, orderHeaders, orderChange, , managerHeaders, managerChange] = env.spreadsheet.getSheetByName('Перегляд змін').dump();
+  assert.deepEqual(orderHeaders[1], 'Зміна');
+  assert.deepEqual(orderChange, ['12.2025', 'Змінено', 1002, 'Олена Коваль', 'За тегом', 'Стара база', 550, 550, 275, 302.5, 27.5, '']);
+  assert.deepEqual(managerHeaders.slice(0, 3), ['Місяць', 'Менеджер', 'Рівень']);
+  assert.deepEqual(managerChange.slice(0, 10), ['12.2025', 'Олена Коваль', 'Р1 → Р2', 0, 0, 0, 275, 302.5, 27.5, 27.5]);
+});
+
+test('складові витрат віднімаються від маржі й мають власні стовпці', () => {
+  const recorded = loadFixture('orders_12_2025');
+  const orders = recorded.created.flatMap(page => page.data);
+  orders.find(order => order.id === 1001).source_id = 5;
+  orders.find(order => order.id === 1002).payments = [
+    { payment_method_id: 3, amount: 1350, status: 'paid' },
+    { payment_method_id: 3, amount: 200, status: 'canceled' }
+  ];
+  const env = createEnvironment({ keycrm: replayKeycrm(recorded) });
+  env.spreadsheet.insertSheet('Менеджери').getRange(1, 1, 3, 4).setValues([
+    ['ID менеджера', 'ПІБ', 'Рівень', 'Діє з'],
+    [7, 'Іван Петренко', 2, ''],
+    [8, 'Олена Коваль', 1, '']
+  ]);
+  env.call(`COST_COMPONENTS.push(
+    { key: 'payment_fee', header: 'Комісія оплати (грн)', from: 'payments', rates: { 3: { percent: 2 } } },
+    { key: 'marketplace', header: 'Комісія маркетплейсу (грн)', from: 'order', by: 'source', rates: { 5: { percent: 10 } } }
+  )`);
+
+  env.call("startFetchJob(getMonthDateRange(12, 2025), 'created_between', 'pipeline')");
+
+  assert.ok(env.requests[0].includes('include=products.offer,manager,tags,status,custom_fields,payments&'));
+  const [headers, ...rows] = env.spreadsheet.getSheetByName('Розрахунок МП 12.2025').dump();
+  assert.deepEqual(headers.slice(6, 10), ['Собівартість (грн)', 'Комісія оплати (грн)', 'Комісія маркетплейсу (грн)', 'Маржа (грн)']);
+  assert.deepEqual(rows.map(row => [row[0], row[3], row.slice(7, 10), row[12]].flat()), [
+    ['05.12.2025 12:15', 'Допродаж', 0, 50, 350, 192.5],
+    ['ПІДСУМОК', 'Підсумок', 0, 50, 350, 192.5],
+    ['10.12.2025 16:00', 'За тегом', 27, 0, 523, 261.5],
+    ['ПІДСУМОК', 'Підсумок', 27, 0, 523, 261.5],
+    ['05.12.2025 12:15', 'Вхідне замовлення', 0, 1000, 1000, 40],
+    ['ПІДСУМОК', 'Підсумок', 0, 1000, 1000, 40],
+    ['ЗАГАЛЬНИЙ ПІДСУМОК', '', 27, 1050, 1873, 494]
+  ]);
+});
+
+test('суми в іншій валюті переводяться в гривні за курсом з листа "Курси"', () => {
+  const recorded = loadFixture('orders_12_2025');
+  const orders = recorded.created.flatMap(page => page.data);
+  const tagged = orders.find(order => order.id === 1002);
+  tagged.currency = 'USD';
+  tagged.grand_total = 33.75;
+  tagged.products[0].price_sold = 25;
+  tagged.products[0].purchased_price = 15;
+  tagged.products[1].price_sold = 6.25;
+  tagged.products[1].purchased_price = 2.5;
+  orders.find(order => order.id === 1001).currency = 'EUR';
+  const env = createEnvironment({ keycrm: replayKeycrm(recorded) });
+  env.spreadsheet.insertSheet('Менеджери').getRange(1, 1, 3, 4).setValues([
+    ['ID менеджера', 'ПІБ', 'Рівень', 'Діє з'],
+    [7, 'Іван Петренко', 2, ''],
+    [8, 'Олена Коваль', 1, '']
+  ]);
+  env.spreadsheet.insertSheet('Курси').getRange(1, 1, 3, 3).setValues([
+    ['Дата', 'Валюта', 'Курс'],
+    ['08.12.2025', 'USD', 40],
+    ['11.12.2025', 'usd', '41,5']
+  ]);
+
+  env.call("startFetchJob(getMonthDateRange(12, 2025), 'created_between', 'pipeline')");
+
+  // Замовлення в євро без курсу не рахується, доларове — за курсом 40 (останній до дати замовлення)
+  const [headers, ...rows] = env.spreadsheet.getSheetByName('Розрахунок МП 12.2025').dump();
+  assert.deepEqual(headers.slice(4, 12), [
+    'Назва замовлення', 'Валюта', 'Ціна продажу (валюта)', 'Собівартість (валюта)', 'Курс',
+    'Ціна продажу (грн)', 'Собівартість (грн)', 'Маржа (грн)'
+  ]);
+  assert.deepEqual(rows.map(row => [row[0], ...row.slice(5, 12), row[14]]), [
+    ['10.12.2025 16:00', 'USD', 37.5, 20, 40, 1500, 950, 550, 275],
+    ['ПІДСУМОК', '', '', '', '', '', '', 550, 275],
+    ['ЗАГАЛЬНИЙ ПІДСУМОК', '', '', '', '', '', '', 550, 275]
+  ]);
+
+  const [auditHeaders, ...audit] = env.spreadsheet.getSheetByName('Аудит 12.2025').dump();
+  const column = header => auditHeaders.indexOf(header);
+  assert.deepEqual(audit.slice(0, 2).map(row => [row[column('Позиція')], row[column('Ціна продажу (грн)')], row[column('Валюта')], row[column('Ціна продажу (валюта)')], row[column('Курс')]]), [
+    ['Навушники', 1000, 'USD', 25, 40],
+    ['Чохол', 500, 'USD', 12.5, 40]
+  ]);
+  assert.deepEqual(audit.find(row => row[0] === 1001)[column('Класифікація')], 'Немає курсу EUR на 05.12.2025');
+  assert.ok(env.logs.includes('⚠️ Не враховано 1 замовлень: немає курсу валюти на дату замовлення (лист "Курси")'));
+
+  // Імпорт у форматі НБУ замінює курс на ту саму дату й сортує лист
+  env.call(`mergeRatesIntoSheet(parseNbuRates(JSON.stringify([
+    { r030: 978, txt: 'Євро', rate: 48.7, cc: 'EUR', exchangedate: '05.12.2025' },
+    { r030: 840, txt: 'Долар США', rate: 4130, units: 100, cc: 'USD', exchangedate: '11.12.2025' }
+  ])))`);
+  assert.deepEqual(env.call('getExchangeRates()'), {
+    EUR: [{ from: new Date(2025, 11, 5).getTime(), rate: 48.7 }],
+    USD: [{ from: new Date(2025, 11, 8).getTime(), rate: 40 }, { from: new Date(2025, 11, 11).getTime(), rate: 41.3 }]
+  });
+});
+
+test('план менеджера: факт, виконання і коефіцієнт бонусу на листі "Виконання"', () => {
+  const env = createDecemberEnvironment();
+  env.spreadsheet.insertSheet('Плани').getRange(1, 1, 3, 6).setValues([
+    ['Місяць', 'ID менеджера', 'ПІБ', 'Маржа', 'Допродажі', 'Частка допродажів (%)'],
+    ['', 7, 'Іван Петренко', 2000, 1, 50],
+    ['12.2025', '', 'Олена  Коваль', 1100, '', '']
+  ]);
+  env.call('PLAN_BONUS_MULTIPLIERS.push({ from: 100, multiplier: 1.1 })');
+
+  env.call("startFetchJob(getMonthDateRange(12, 2025), 'created_between', 'pipeline')");
+
+  // Іван виконав усі показники (найменше — 100%), тому бонус 220 × 1.1; Олена — лише половину плану маржі
+  const performance = env.spreadsheet.getSheetByName('Виконання 12.2025').dump();
+  assert.deepEqual(performance.map(row => row.slice(5, 10)).slice(2), [
+    ['Іван Петренко', 'Р2', 80, 242, 322],
+    ['Олена Коваль', 'Р1', 0, 275, 275]
+  ]);
+  assert.deepEqual(performance.map(row => row.slice(16)), [
+    ['Виконання плану', '', '', '', '', '', '', '', '', '', '', '', ''],
+    [
+      'ПІБ', 'Маржа: план', 'Маржа: факт', 'Маржа: %', 'Допродажі: план', 'Допродажі: факт', 'Допродажі: %',
+      'Частка допродажів: план', 'Частка допродажів: факт', 'Частка допродажів: %', 'Виконання, %', 'Коефіцієнт бонусу', 'Бонус до коефіцієнта'
+    ],
+    ['Іван Петренко', 2000, 2400, 120, 1, 1, 100, 50, 100, 200, 100, 1.1, 220],
+    ['Олена Коваль', 1100, 550, 50, '', 0, '', '', 0, '', 50, 1, 275]
+  ]);
+});
+
+test('відсутній лист "Виконання" створюється з шаблону з канонічною назвою', () => {
+  const env = createEnvironment({ keycrm: replayKeycrm(loadFixture('orders_12_2025')) });
+  env.spreadsheet.insertSheet('Менеджери').getRange(1, 1, 3, 4).setValues([
+    ['ID менеджера', 'ПІБ', 'Рівень', 'Діє з'],
+    [7, 'Іван Петренко', 2, ''],
+    [8, 'Олена Коваль', 1, '']
+  ]);
+  const template = env.spreadsheet.insertSheet('Шаблон Виконання');
+  template.getRange(1, 1, 2, 2).setValues([['План', ''], ['Факт', '']]);
+  template.hideSheet();
+
+  env.call("startFetchJob(getMonthDateRange(12, 2025), 'created_between', 'pipeline')");
+  env.call("startFetchJob(getMonthDateRange(12, 2025), 'created_between', 'pipeline')");
+
+  const created = env.spreadsheet.getSheets().filter(sheet => sheet.getName().startsWith('Виконання'));
+  assert.deepEqual(created.map(sheet => [sheet.getName(), sheet.isSheetHidden()]), [['Виконання 12.2025', false]]);
+  assert.deepEqual(created[0].dump(), [
+    ['План', '', '', '', '', 'ЗП менеджерів з продажу', '', '', '', ''],
+    ['Факт', '', '', '', '', 'ПІБ', 'Рівень', 'Ставка', 'Бонуси', 'Разом'],
+    ['', '', '', '', '', 'Іван Петренко', 'Р2', 80, 220, 300],
+    ['', '', '', '', '', 'Олена Коваль', 'Р1', 0, 275, 275]
+  ]);
+  assert.deepEqual(template.dump(), [['План'], ['Факт']]);
+  assert.ok(env.logs.includes('📄 Створено лист "Виконання 12.2025" з шаблону "Шаблон Виконання"'));
+});
+
+test('таблиця ЗП прив\'язана до іменованого діапазону і не зачіпає чужі дані', () => {
+  const env = createDecemberEnvironment();
+  env.call("startFetchJob(getMonthDateRange(12, 2025), 'created_between', 'pipeline')");
+
+  const performance = env.spreadsheet.getSheetByName('Виконання 12.2025');
+  assert.equal(env.spreadsheet.getRangeByName('PayrollSummary_12_2025').getA1Notation(), 'F1:J4');
+
+  // Нотатка під таблицею переживає повторний запуск (раніше очищалися 150 рядків)
+  performance.getRange(6, 6).setValue('Нотатка керівника');
+  env.call("startFetchJob(getMonthDateRange(12, 2025), 'created_between', 'pipeline')");
+  assert.equal(performance.getRange(6, 6).getValue(), 'Нотатка керівника');
+
+  // Таблиця, що виросла на рядок, не перезаписує чужу клітинку одразу під попередніми межами
+  const named = env.spreadsheet.getNamedRanges().find(item => item.getName() === 'PayrollSummary_12_2025');
+  named.setRange(performance.getRange(1, 6, 3, 5));
+  performance.getRange(4, 6, 1, 5).setValues([['Чужі дані', '', '', '', '']]);
+  assert.throws(
+    () => env.call("startFetchJob(getMonthDateRange(12, 2025), 'created_between', 'pipeline')"),
+    /таблиця "ЗП менеджерів з продажу" \(F1:J4\) зачепить чужі дані в клітинках F4/
+  );
+  assert.equal(performance.getRange(4, 6).getValue(), 'Чужі дані');
+  assert.equal(performance.getRange(3, 6).getValue(), 'Іван Петренко');
+});
+
+test('дата нарахування "paid": замовлення потрапляє в місяць повної оплати', () => {
+  const order = (id, createdAt, payments) => ({
+    id: id,
+    created_at: createdAt,
+    updated_at: '2026-01-05 09:00:00',
+    grand_total: 1000,
+    status: { id: 12, name: 'Виконано', group_id: 5 },
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    tags: [],
+    payments: payments,
+    products: [{ id: 1, name: `Товар ${id}`, price_sold: 1000, purchased_price: 400, quantity: 1, upsale: true }]
+  });
+  const orders = [
+    // Створене в листопаді, доплачене 10.12 — грудень
+    order(2001, '2025-11-20 10:00:00', [
+      { amount: 300, status: 'paid', payment_date: '2025-11-20 10:05:00' },
+      { amount: 700, status: 'paid', payment_date: '2025-12-10 08:00:00' }
+    ]),
+    // Оплачене частково — ще не нараховується
+    order(2002, '2025-12-02 10:00:00', [
+      { amount: 500, status: 'paid', payment_date: '2025-12-02 10:05:00' },
+      { amount: 500, status: 'not_paid', payment_date: '2025-12-03 10:00:00' }
+    ]),
+    // Оплачене в січні — поза періодом
+    order(2003, '2025-12-03 10:00:00', [{ amount: 1000, status: 'paid', payment_date: '2026-01-02 12:00:00' }])
+  ];
+  const env = createEnvironment({ keycrm: ordersKeycrm(orders) });
+  env.spreadsheet.insertSheet('Налаштування').getRange(1, 1, 2, 2).setValues([['Параметр', 'Значення'], ['ATTRIBUTION_DATE', 'paid']]);
+  env.spreadsheet.insertSheet('Менеджери').getRange(1, 1, 2, 4).setValues([
+    ['ID менеджера', 'ПІБ', 'Рівень', 'Діє з'],
+    [7, 'Іван Петренко', 2, '']
+  ]);
+
+  env.call("startFetchJob(getMonthDateRange(12, 2025), getAttributionFilterField(), 'pipeline')");
+
+  assert.ok(env.requests[0].includes('include=products.offer,manager,tags,status,custom_fields,payments&'));
+  assert.ok(env.requests[0].includes('&filter[updated_between]=2025-11-30 22:00:00, '));
+  const rows = env.spreadsheet.getSheetByName('Розрахунок МП 12.2025').dump().slice(1);
+  assert.deepEqual(rows.filter(row => row[3] === 'Допродаж').map(row => [row[0], row[11]]), [['10.12.2025 10:00', 2001]]);
+  assert.equal(env.spreadsheet.getSheetByName('Розрахунок МП 1.2026'), null);
+  assert.deepEqual(env.call('getOrderMonthKeys(' + JSON.stringify(orders[1]) + ')'), []);
+  assert.deepEqual(env.call('getOrderMonthKeys(' + JSON.stringify(orders[2]) + ')'), ['1.2026']);
+});
+
+test('політика статусів: замовлення в роботі очікує виконання і нараховується в місяці виконання', () => {
+  const order = (id, createdAt, status, statusChangedAt) => ({
+    id: id,
+    created_at: createdAt,
+    updated_at: statusChangedAt,
+    status_changed_at: statusChangedAt,
+    grand_total: 1000,
+    status: status,
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    tags: [],
+    products: [{ id: 1, name: `Товар ${id}`, price_sold: 1000, purchased_price: 400, quantity: 1, upsale: true }]
+  });
+  const inProgress = { id: 3, name: 'В роботі', group_id: 3 };
+  const completed = { id: 12, name: 'Виконано', group_id: 5 };
+  const orders = [
+    order(3001, '2025-12-05 10:00:00', inProgress, '2025-12-05 10:00:00'),
+    // Створене в листопаді, виконане 02.12 — нараховується в грудні
+    order(3002, '2025-11-25 10:00:00', completed, '2025-12-02 10:00:00'),
+    order(3003, '2025-12-06 10:00:00', { id: 21, name: 'Повернення', group_id: 4 }, '2025-12-06 10:00:00')
+  ];
+  const env = createEnvironment({ keycrm: ordersKeycrm(orders) });
+  env.spreadsheet.insertSheet('Менеджери').getRange(1, 1, 2, 4).setValues([
+    ['ID менеджера', 'ПІБ', 'Рівень', 'Діє з'],
+    [7, 'Іван Петренко', 2, '']
+  ]);
+  env.call("Object.assign(STATUS_POLICY, { groups: { 1: 'hold', 3: 'hold', 5: 'pay' }, statuses: { 21: 'skip' } })");
+
+  env.call("startFetchJob(getMonthDateRange(12, 2025), getAttributionFilterField(), 'pipeline')");
+
+  assert.ok(env.requests[0].includes('&filter[updated_between]=2025-11-30 22:00:00, '));
+  const december = env.spreadsheet.getSheetByName('Розрахунок МП 12.2025').dump();
+  assert.deepEqual(december.slice(1).map(row => [row[0], row[3], row[7], row[10], row[11]]), [
+    ['02.12.2025 12:00', 'Допродаж', 600, 330, 3002],
+    ['ПІДСУМОК', 'Підсумок', 600, 330, ''],
+    ['ЗАГАЛЬНИЙ ПІДСУМОК', '', 600, 330, ''],
+    ['', '', '', '', ''],
+    ['ОЧІКУЮТЬ', '', '', '', ''],
+    ['05.12.2025 12:00', 'Допродаж', 600, 330, 3001]
+  ]);
+  assert.equal(december[5][1], 'ЗП нарахується в місяці виконання замовлення');
+  assert.ok(env.logs.includes('⏳ Очікують виконання 1 замовлень — ЗП за ними в секції "ОЧІКУЮТЬ"'));
+  // Очікувані замовлення не входять у підсумок менеджера і в реєстр виплат
+  assert.deepEqual(env.call('premiyaRowsFromSheetValues(' + JSON.stringify(december) + ').map(row => row.orderId)'), [3002]);
+
+  // Замовлення виконано в січні: у грудні воно зникає з "Очікують", у січні нараховується
+  orders[0] = order(3001, '2025-12-05 10:00:00', completed, '2026-01-03 09:00:00');
+  env.call("startFetchJob(getMonthDateRange(12, 2025), getAttributionFilterField(), 'pipeline')");
+  assert.deepEqual(env.spreadsheet.getSheetByName('Розрахунок МП 12.2025').dump().slice(1).map(row => row[11]).filter(Boolean), [3002]);
+  env.call("startFetchJob(getMonthDateRange(1, 2026), getAttributionFilterField(), 'pipeline')");
+  assert.deepEqual(env.spreadsheet.getSheetByName('Розрахунок МП 1.2026').dump().slice(1).map(row => [row[0], row[10], row[11]]), [
+    ['03.01.2026 11:00', 330, 3001],
+    ['ПІДСУМОК', 330, ''],
+    ['ЗАГАЛЬНИЙ ПІДСУМОК', 330, '']
+  ]);
+});
+
+test('дата нарахування "completed" з політикою статусів: невиконане замовлення показується в "Очікують"', () => {
+  const order = (id, createdAt, status, statusChangedAt) => ({
+    id: id,
+    created_at: createdAt,
+    updated_at: statusChangedAt,
+    status_changed_at: statusChangedAt,
+    grand_total: 1000,
+    status: status,
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    tags: [],
+    products: [{ id: 1, name: `Товар ${id}`, price_sold: 1000, purchased_price: 400, quantity: 1, upsale: true }]
+  });
+  const orders = [
+    // Ще в роботі: дати виконання немає, в "Очікують" — на дату зміни статусу
+    order(3101, '2025-12-05 10:00:00', { id: 3, name: 'В роботі', group_id: 3 }, '2025-12-07 10:00:00'),
+    order(3102, '2025-12-04 10:00:00', { id: 12, name: 'Виконано', group_id: 5 }, '2025-12-08 10:00:00')
+  ];
+  const env = createEnvironment({ keycrm: ordersKeycrm(orders) });
+  env.spreadsheet.insertSheet('Налаштування').getRange(1, 1, 2, 2).setValues([['Параметр', 'Значення'], ['ATTRIBUTION_DATE', 'completed']]);
+  env.spreadsheet.insertSheet('Менеджери').getRange(1, 1, 2, 4).setValues([
+    ['ID менеджера', 'ПІБ', 'Рівень', 'Діє з'],
+    [7, 'Іван Петренко', 2, '']
+  ]);
+  env.call("Object.assign(STATUS_POLICY, { groups: { 3: 'hold', 5: 'pay' } })");
+
+  env.call("startFetchJob(getMonthDateRange(12, 2025), getAttributionFilterField(), 'pipeline')");
+
+  assert.deepEqual(env.spreadsheet.getSheetByName('Розрахунок МП 12.2025').dump().slice(1).map(row => [row[0], row[3], row[10], row[11]]), [
+    ['08.12.2025 12:00', 'Допродаж', 330, 3102],
+    ['ПІДСУМОК', 'Підсумок', 330, ''],
+    ['ЗАГАЛЬНИЙ ПІДСУМОК', '', 330, ''],
+    ['', '', '', ''],
+    ['ОЧІКУЮТЬ', '', '', ''],
+    ['07.12.2025 12:00', 'Допродаж', 330, 3101]
+  ]);
+});
+
+test('політика оплати scale: у грудні — оплачена частка, залишок очікує і нараховується в місяці доплати', () => {
+  const order = (id, createdAt, payments) => ({
+    id: id,
+    created_at: createdAt,
+    updated_at: createdAt,
+    grand_total: 1000,
+    status: { id: 12, name: 'Виконано', group_id: 5 },
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    tags: [],
+    payments: payments,
+    products: [{ id: 1, name: `Товар ${id}`, price_sold: 1000, purchased_price: 400, quantity: 1, upsale: true }]
+  });
+  const orders = [
+    order(4001, '2025-12-05 10:00:00', [{ amount: 400, status: 'paid', payment_date: '2025-12-05 10:05:00' }]),
+    order(4002, '2025-12-06 10:00:00', [{ amount: 1000, status: 'paid', payment_date: '2025-12-06 10:05:00' }])
+  ];
+  const env = createEnvironment({ keycrm: ordersKeycrm(orders) });
+  env.spreadsheet.insertSheet('Налаштування').getRange(1, 1, 2, 2).setValues([['Параметр', 'Значення'], ['PAYMENT_POLICY', 'scale']]);
+  env.spreadsheet.insertSheet('Менеджери').getRange(1, 1, 2, 4).setValues([
+    ['ID менеджера', 'ПІБ', 'Рівень', 'Діє з'],
+    [7, 'Іван Петренко', 2, '']
+  ]);
+  const rowsOf = sheetName => env.spreadsheet.getSheetByName(sheetName).dump().slice(1)
+    .map(row => [row[0], row[7], row[9], row[11], row[12]]);
+
+  env.call("startFetchJob(getMonthDateRange(12, 2025), getAttributionFilterField(), 'pipeline')");
+
+  assert.ok(env.requests[0].includes('include=products.offer,manager,tags,status,custom_fields,payments&'));
+  assert.ok(env.requests[0].includes('&filter[updated_between]=2025-11-30 22:00:00, '));
+  assert.equal(env.spreadsheet.getSheetByName('Розрахунок МП 12.2025').dump()[0][9], 'Оплата');
+  assert.deepEqual(rowsOf('Розрахунок МП 12.2025'), [
+    ['05.12.2025 12:05', 240, 'Оплачено 40%', 132, 4001],
+    ['06.12.2025 12:05', 600, '', 330, 4002],
+    ['ПІДСУМОК', 840, '', 462, ''],
+    ['ЗАГАЛЬНИЙ ПІДСУМОК', 840, '', 462, ''],
+    ['', '', '', '', ''],
+    ['ОЧІКУЮТЬ', '', '', '', ''],
+    ['05.12.2025 12:05', 360, 'Не оплачено 60%', 198, 4001]
+  ]);
+  assert.ok(env.logs.includes('💳 Замовлень з частковою оплатою: 1 — частку оплати видно в стовпці "Оплата"'));
+
+  // Доплата в січні нараховується в січні; частина, оплачена в грудні, січневий розрахунок не змінює
+  orders[0] = order(4001, '2025-12-05 10:00:00', [
+    { amount: 400, status: 'paid', payment_date: '2025-12-05 10:05:00' },
+    { amount: 600, status: 'paid', payment_date: '2026-01-08 09:00:00' }
+  ]);
+  env.call("startFetchJob(getMonthDateRange(1, 2026), getAttributionFilterField(), 'pipeline')");
+  assert.deepEqual(rowsOf('Розрахунок МП 1.2026'), [
+    ['08.01.2026 11:00', 360, 'Доплата 60%', 198, 4001],
+    ['ПІДСУМОК', 360, '', 198, ''],
+    ['ЗАГАЛЬНИЙ ПІДСУМОК', 360, '', 198, '']
+  ]);
+  // Кожна частина оплати — окремий запис реєстру зі своїм місяцем
+  const ledgerRows = () => env.spreadsheet.getSheetByName('_Реєстр виплат').dump().slice(1).map(row => [row[0], row[2], row[10]]);
+  assert.deepEqual(ledgerRows(), [
+    ['4001', '12.2025', 132],
+    ['4002', '12.2025', 330],
+    ['4001', '1.2026', 198]
+  ]);
+
+  // Перерахунок грудня прибирає залишок із "Очікують" і не зачіпає січневу частину в реєстрі
+  env.call("startFetchJob(getMonthDateRange(12, 2025), getAttributionFilterField(), 'pipeline')");
+  assert.deepEqual(rowsOf('Розрахунок МП 12.2025').map(row => row[4]).filter(Boolean), [4001, 4002]);
+  assert.deepEqual(ledgerRows(), [
+    ['4001', '12.2025', 132],
+    ['4002', '12.2025', 330],
+    ['4001', '1.2026', 198]
+  ]);
+
+  // Скасування повертає обидві частини: 132 за грудень і 198 за січень
+  assert.deepEqual(env.call(`(() => {
+    const ledger = readPayoutLedger();
+    markClawbacks(ledger, [{ orderId: 4001, statusName: 'Скасовано' }]);
+    return processClawbacksForMonth(ledger.filter(entry => entry.clawbackMonth))
+      .filter(row => row.typeLabel === 'Повернення')
+      .map(row => [row.originalMonth, row.payout]);
+  })()`), [['12.2025', -132], ['1.2026', -198]]);
+});
+
+test('розподіл між менеджерами: рядок на частку кожного менеджера, реєстр виплат — запис на менеджера', () => {
+  const orders = [{
+    id: 5001,
+    created_at: '2025-12-05 10:00:00',
+    updated_at: '2025-12-05 10:00:00',
+    grand_total: 10000,
+    status: { id: 12, name: 'Виконано', group_id: 5 },
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    tags: [],
+    custom_fields: [{ uuid: 'OR_1001', name: 'Допродаж зробив', value: '8' }],
+    products: [{ id: 1, name: 'Смартфон', price_sold: 10000, purchased_price: 8000, quantity: 1 }]
+  }];
+  const env = createEnvironment({ keycrm: ordersKeycrm(orders) });
+  env.spreadsheet.insertSheet('Менеджери').getRange(1, 1, 3, 4).setValues([
+    ['ID менеджера', 'ПІБ', 'Рівень', 'Діє з'],
+    [7, 'Іван Петренко', 2, ''],
+    [8, 'Олена Коваль', 1, '']
+  ]);
+  env.call(`CREDIT_RULES.push({ name: 'Спільний продаж', match: {}, shares: [
+    { from: 'order', percent: 70 }, { from: 'customField', field: 'Допродаж зробив', percent: 30 }
+  ] })`);
+
+  env.call("startFetchJob(getMonthDateRange(12, 2025), getAttributionFilterField(), 'pipeline')");
+
+  const december = env.spreadsheet.getSheetByName('Розрахунок МП 12.2025').dump();
+  assert.equal(december[0][9], 'Частка');
+  assert.deepEqual(december.slice(1).map(row => [row[0], row[1], row[7], row[9], row[11], row[12]]), [
+    ['05.12.2025 12:00', 'Іван Петренко', 1400, 'Частка 70%', 56, 5001],
+    ['05.12.2025 12:00', 'Менеджер 8', 600, 'Частка 30%', 18, 5001],
+    ['ПІДСУМОК', 'Іван Петренко', 1400, '', 56, ''],
+    ['ПІДСУМОК', 'Менеджер 8', 600, '', 18, ''],
+    ['ЗАГАЛЬНИЙ ПІДСУМОК', '', 2000, '', 74, '']
+  ]);
+  assert.deepEqual(env.spreadsheet.getSheetByName('_Реєстр виплат').dump().slice(1).map(row => [row[0], row[3], row[10]]), [
+    ['5001', 7, 56],
+    ['5001', 8, 18]
+  ]);
+
+  // Без поля вся заслуга повертається менеджеру замовлення, запис другого менеджера зникає з реєстру
+  orders[0].custom_fields = [];
+  env.call("startFetchJob(getMonthDateRange(12, 2025), getAttributionFilterField(), 'pipeline')");
+  assert.deepEqual(env.spreadsheet.getSheetByName('_Реєстр виплат').dump().slice(1).map(row => [row[0], row[3], row[10]]), [
+    ['5001', 7, 80]
+  ]);
+});
+
+test('розподіл між менеджерами: рядки з різною часткою одного менеджера складаються в один запис реєстру', () => {
+  const orders = [{
+    id: 5101,
+    created_at: '2025-12-05 10:00:00',
+    updated_at: '2025-12-05 10:00:00',
+    grand_total: 1900,
+    status: { id: 12, name: 'Виконано', group_id: 5 },
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    tags: [],
+    products: [
+      { id: 1, name: 'Чохол', price_sold: 1000, purchased_price: 600, quantity: 1, upsale: true, manager_id: 8 },
+      { id: 2, name: 'Скло', price_sold: 900, purchased_price: 500, quantity: 1, upsale: true }
+    ]
+  }];
+  const env = createEnvironment({ keycrm: ordersKeycrm(orders) });
+  env.spreadsheet.insertSheet('Менеджери').getRange(1, 1, 3, 4).setValues([
+    ['ID менеджера', 'ПІБ', 'Рівень', 'Діє з'],
+    [7, 'Іван Петренко', 2, ''],
+    [8, 'Олена Коваль', 1, '']
+  ]);
+  env.call(`CREDIT_RULES.push({ name: 'Менеджер позиції', categories: ['upsell'], match: {}, shares: [
+    { from: 'product', field: 'manager_id', percent: 50 }, { from: 'order', percent: 50 }
+  ] })`);
+
+  env.call("startFetchJob(getMonthDateRange(12, 2025), getAttributionFilterField(), 'pipeline')");
+
+  // Іван: половина чохла (200) і все скло (400) — один запис
+  assert.deepEqual(env.spreadsheet.getSheetByName('_Реєстр виплат').dump().slice(1).map(row => [row[0], row[3], row[5], row[10]]), [
+    ['5101', 8, 200, 100],
+    ['5101', 7, 600, 330]
+  ]);
+});
+
+test('інкрементальна синхронізація не стартує з періодом "all"', () => {
+  const env = createEnvironment({ keycrm: ordersKeycrm([]) });
+  env.spreadsheet.insertSheet('Налаштування').getRange(1, 1, 2, 2).setValues([['Параметр', 'Значення'], ['DATE_FILTER', 'all']]);
+
+  assert.throws(() => env.call('mainIncremental()'), /не підтримує DATE_FILTER = 'all'/);
+  assert.equal(env.requests.length, 0);
+  assert.equal(env.properties.KEYCRM_SYNC_CURSOR, undefined);
+});
+
+test('мережеві помилки повторюються з паузою лише між спробами', () => {
+  const env = createEnvironment({
+    keycrm: () => {
+      throw new Error('Timeout');
+    }
+  });
+
+  assert.throws(() => env.call("keycrmRequest(API_BASE_URL + '/order?limit=1')"), /KEYCRM API недоступний після 6 спроб \(Error: Timeout\)/);
+  assert.equal(env.requests.length, 6);
+  // Після останньої спроби помилка повертається одразу, без ще однієї паузи
+  assert.equal(env.sleeps.length, 5);
+});
+
+test('скасування замовлення минулого місяця дає рядок "Повернення" в поточному місяці', () => {
+  const orders = [{
+    id: 8001,
+    created_at: '2025-12-05 10:00:00',
+    updated_at: '2025-12-05 10:00:00',
+    grand_total: 10000,
+    status: { id: 12, name: 'Виконано', group_id: 5 },
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    tags: [],
+    products: [{ id: 1, name: 'Смартфон', price_sold: 10000, purchased_price: 8000, quantity: 1 }]
+  }];
+  // Запит пізніх скасувань (filter[status_id]) отримує лише скасовані замовлення
+  const env = createEnvironment({
+    keycrm: url => {
+      const cancelledOnly = decodeURIComponent(url).includes('filter[status_id]');
+      const data = orders.filter(order => (order.status.group_id === 6) === cancelledOnly);
+      return { code: 200, body: { data: data, meta: { current_page: 1, last_page: 1, total: data.length } } };
+    }
+  });
+  env.spreadsheet.insertSheet('Менеджери').getRange(1, 1, 2, 4).setValues([
+    ['ID менеджера', 'ПІБ', 'Рівень', 'Діє з'],
+    [7, 'Іван Петренко', 2, '']
+  ]);
+
+  env.call("startFetchJob(getMonthDateRange(12, 2025), getAttributionFilterField(), 'pipeline')");
+  assert.deepEqual(env.spreadsheet.getSheetByName('_Реєстр виплат').dump().slice(1).map(row => [row[0], row[2], row[10], row[12]]), [
+    ['8001', '12.2025', 80, '']
+  ]);
+
+  // Замовлення скасовано вже в поточному місяці; у поточному місяці є й нове замовлення
+  const currentMonthKey = env.call('getCurrentMonthKey()');
+  const [month, year] = currentMonthKey.split('.');
+  orders[0].status = { id: 15, name: 'Скасовано', group_id: 6 };
+  orders.push({
+    id: 8002,
+    created_at: `${year}-${month.padStart(2, '0')}-01 12:00:00`,
+    updated_at: `${year}-${month.padStart(2, '0')}-01 12:00:00`,
+    grand_total: 500,
+    status: { id: 12, name: 'Виконано', group_id: 5 },
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    tags: [],
+    products: [{ id: 2, name: 'Захисне скло', price_sold: 500, purchased_price: 100, quantity: 1, upsale: true }]
+  });
+  env.call(`startFetchJob(getMonthDateRange(${month}, ${year}), getAttributionFilterField(), 'pipeline')`);
+
+  const rows = env.spreadsheet.getSheetByName(`Розрахунок МП ${currentMonthKey}`).dump();
+  assert.deepEqual(rows.filter(row => row[3] === 'Повернення').map(row => [row[1], row[4], row[7], row[10], row[11]]), [
+    ['Іван Петренко', 'Повернення за 12.2025: Скасовано', -2000, -80, '8001']
+  ]);
+  assert.ok(rows.some(row => row[11] === 8002));
+  assert.deepEqual(env.spreadsheet.getSheetByName('_Реєстр виплат').dump().slice(1)
+    .filter(row => row[0] === '8001')
+    .map(row => [row[2], row[10], row[12], row[13]]), [
+    ['12.2025', 80, currentMonthKey, 'Скасовано']
+  ]);
+});
+
+test('закритий місяць не перезаписується, розбіжності потрапляють у "Коригування"', () => {
+  const orders = [{
+    id: 9001,
+    created_at: '2025-12-05 10:00:00',
+    updated_at: '2025-12-05 10:00:00',
+    grand_total: 10000,
+    status: { id: 12, name: 'Виконано', group_id: 5 },
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    tags: [],
+    products: [{ id: 1, name: 'Смартфон', price_sold: 10000, purchased_price: 8000, quantity: 1 }]
+  }];
+  const env = createEnvironment({ keycrm: ordersKeycrm(orders) });
+  env.spreadsheet.insertSheet('Менеджери').getRange(1, 1, 2, 4).setValues([
+    ['ID менеджера', 'ПІБ', 'Рівень', 'Діє з'],
+    [7, 'Іван Петренко', 2, '']
+  ]);
+
+  env.call("startFetchJob(getMonthDateRange(12, 2025), getAttributionFilterField(), 'pipeline')");
+  const closedRows = env.spreadsheet.getSheetByName('Розрахунок МП 12.2025').dump();
+  env.call('closeMonth(12, 2025)');
+  assert.deepEqual(env.spreadsheet.getSheetByName('Знімок МП 12.2025').dump(), closedRows);
+  assert.deepEqual(Object.keys(env.call('getClosedMonths()')), ['12.2025']);
+
+  // Ціну змінено після закриття: лист місяця лишається як був, різниця — в коригуваннях
+  orders[0].grand_total = 11000;
+  orders[0].products[0].price_sold = 11000;
+  env.call("startFetchJob(getMonthDateRange(12, 2025), getAttributionFilterField(), 'pipeline')");
+
+  assert.deepEqual(env.spreadsheet.getSheetByName('Розрахунок МП 12.2025').dump(), closedRows);
+  assert.equal(env.call('verifyClosedMonth(12, 2025)'), true);
+  assert.deepEqual(env.spreadsheet.getSheetByName('Коригування').dump().slice(1).map(row => row.slice(1)), [
+    ['12.2025', 'Іван Петренко', 9001, 'Вхідне замовлення', 'Смартфон', 'Змінено', 2000, 3000, 80, 120, 40, '']
+  ]);
+});
+
+test('завантаження, перерване лімітом часу, продовжується тригером у наступному виконанні', () => {
+  const pages = [
+    [{
+      id: 6001,
+      created_at: '2025-12-05 10:00:00',
+      updated_at: '2025-12-05 10:00:00',
+      grand_total: 10000,
+      status: { id: 12, name: 'Виконано', group_id: 5 },
+      manager: { id: 7, full_name: 'Іван Петренко' },
+      tags: [],
+      products: [{ id: 1, name: 'Смартфон', price_sold: 10000, purchased_price: 8000, quantity: 1 }]
+    }],
+    [{
+      id: 6002,
+      created_at: '2025-12-12 10:00:00',
+      updated_at: '2025-12-12 10:00:00',
+      grand_total: 500,
+      status: { id: 12, name: 'Виконано', group_id: 5 },
+      manager: { id: 7, full_name: 'Іван Петренко' },
+      tags: [],
+      products: [{ id: 2, name: 'Захисне скло', price_sold: 500, purchased_price: 100, quantity: 1, upsale: true }]
+    }]
+  ];
+  const pagedKeycrm = onPage => url => {
+    const decoded = decodeURIComponent(url);
+    if (decoded.includes('filter[status_id]')) {
+      return { code: 200, body: { data: [], meta: { current_page: 1, last_page: 1, total: 0 } } };
+    }
+    const page = parseInt(decoded.match(/page=(\d+)/)[1], 10);
+    onPage(page);
+    return { code: 200, body: { data: pages[page - 1], meta: { current_page: page, last_page: pages.length, total: 2 } } };
+  };
+
+  // Еталон: те саме завантаження за одне виконання
+  const reference = createEnvironment({ keycrm: pagedKeycrm(() => {}) });
+  reference.call("startFetchJob(getMonthDateRange(12, 2025), getAttributionFilterField(), 'pipeline')");
+
+  // Після першої сторінки годинник скрипта переводиться за MAX_EXECUTION_MS
+  let env = null;
+  env = createEnvironment({
+    keycrm: pagedKeycrm(page => {
+      if (page === 1) env.call('void (Date.now = (frozen => () => frozen)(Date.now() + MAX_EXECUTION_MS + 1))');
+    })
+  });
+
+  assert.equal(env.call("startFetchJob(getMonthDateRange(12, 2025), getAttributionFilterField(), 'pipeline')"), false);
+  assert.deepEqual(env.triggers.map(trigger => trigger.getHandlerFunction()), ['resumeFetchJob']);
+  const job = JSON.parse(env.properties.KEYCRM_FETCH_JOB);
+  assert.equal(job.nextPage, 2);
+  assert.equal(job.fetchedCount, 1);
+  assert.equal(env.spreadsheet.getSheetByName('Розрахунок МП 12.2025'), null);
+
+  env.call('resumeFetchJob()');
+
+  assert.equal(env.triggers.length, 0);
+  assert.equal(env.properties.KEYCRM_FETCH_JOB, undefined);
+  assert.deepEqual(env.spreadsheet.getSheetByName('_Буфер завантаження').dump().flat().filter(Boolean), []);
+  assert.deepEqual(env.spreadsheet.getSheetByName('Розрахунок МП 12.2025').dump(),
+    reference.spreadsheet.getSheetByName('Розрахунок МП 12.2025').dump());
+});
+
+test('429 і 5xx повторюються з паузою з Retry-After, обмеженою API_RETRY_MAX_DELAY_MS', () => {
+  const responses = [
+    { code: 429, headers: { 'Retry-After': '2' }, body: {} },
+    { code: 503, headers: { 'retry-after': '120' }, body: {} },
+    { code: 200, body: { data: [], meta: { current_page: 1, last_page: 1, total: 0 } } }
+  ];
+  const env = createEnvironment({ keycrm: () => responses.shift() });
+
+  assert.deepEqual(env.call("keycrmRequest(API_BASE_URL + '/order?limit=1')"), { data: [], meta: { current_page: 1, last_page: 1, total: 0 } });
+  assert.equal(env.requests.length, 3);
+  assert.deepEqual(env.sleeps, [2000, 60000]);
+});
+
+test('інкрементальна синхронізація: перший запуск наповнює кеш, наступний перераховує лише змінені місяці', () => {
+  const orders = [{
+    id: 7001,
+    created_at: '2025-11-10 10:00:00',
+    updated_at: '2025-11-10 10:00:00',
+    grand_total: 10000,
+    status: { id: 12, name: 'Виконано', group_id: 5 },
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    tags: [],
+    products: [{ id: 1, name: 'Смартфон', price_sold: 10000, purchased_price: 8000, quantity: 1 }]
+  }, {
+    id: 7002,
+    created_at: '2025-12-05 10:00:00',
+    updated_at: '2025-12-05 10:00:00',
+    grand_total: 10000,
+    status: { id: 12, name: 'Виконано', group_id: 5 },
+    manager: { id: 7, full_name: 'Іван Петренко' },
+    tags: [],
+    products: [{ id: 1, name: 'Смартфон', price_sold: 10000, purchased_price: 8000, quantity: 1 }]
+  }];
+  let changed = [];
+  const allOrders = ordersKeycrm(orders);
+  const env = createEnvironment({
+    keycrm: url => (decodeURIComponent(url).includes('filter[updated_between]') ? ordersKeycrm(changed)(url) : allOrders(url))
+  });
+  env.spreadsheet.insertSheet('Налаштування').getRange(1, 1, 4, 2).setValues([
+    ['Параметр', 'Значення'],
+    ['DATE_FILTER', 'custom'],
+    ['CUSTOM_START_DATE', '2025-11-01 00:00:00'],
+    ['CUSTOM_END_DATE', '2025-12-31 23:59:59']
+  ]);
+  const marginOf = (sheetName, orderId) => env.spreadsheet.getSheetByName(sheetName).dump().find(row => row[11] === orderId)[7];
+
+  env.call('mainIncremental()');
+
+  assert.deepEqual(JSON.parse(env.properties.KEYCRM_SYNC_MONTHS), ['11.2025', '12.2025']);
+  assert.ok(env.properties.KEYCRM_SYNC_CURSOR);
+  assert.deepEqual(Object.keys(env.call('readOrderStore()')).sort(), ['7001', '7002']);
+  assert.equal(marginOf('Розрахунок МП 11.2025', 7001), 2000);
+  assert.equal(marginOf('Розрахунок МП 12.2025', 7002), 2000);
+
+  // Змінилось лише грудневе замовлення: один запит змін, листопад не перераховується
+  orders[1].products[0].price_sold = 11000;
+  orders[1].grand_total = 11000;
+  changed = [orders[1]];
+  const requestsBefore = env.requests.length;
+  env.spreadsheet.getSheetByName('Розрахунок МП 11.2025').getRange(1, 20).setValue('позначка');
+
+  env.call('mainIncremental()');
+
+  assert.equal(env.requests.length - requestsBefore, 1);
+  assert.match(env.requests[requestsBefore], /filter\[updated_between\]=/);
+  assert.ok(env.logs.includes('✅ Перераховано місяці: 12.2025'));
+  assert.equal(marginOf('Розрахунок МП 12.2025', 7002), 3000);
+  assert.equal(env.spreadsheet.getSheetByName('Розрахунок МП 11.2025').getRange(1, 20).getValue(), 'позначка');
+});
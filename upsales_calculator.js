@@ -8,7 +8,7 @@
  * 1. Відкрийте Google Таблицю
  * 2. Перейдіть до Розширення > Apps Script
  * 3. Вставте цей код
- * 4. Налаштуйте константи внизу файлу (API_KEY)
+ * 4. Додайте API ключ у властивість скрипта KEYCRM_API_KEY і заповніть лист "Налаштування" (setupSettingsSheet)
  * 5. Запустіть функцію main() або налаштуйте тригер
  */
 
@@ -18,29 +18,1019 @@
  */
 function main() {
   try {
-    const dateRange = getDateRange(DATE_FILTER);
-    const { upsales, incomingOrders } = fetchOrdersFromKeyCRM(dateRange);
+    const dateRange = getDateRange(getSettings().dateFilter);
+    // Завантаження відновлюване: якщо не встигне до ліміту часу виконання,
+    // продовжиться тригером, а розрахунок запуститься після останньої сторінки
+    startFetchJob(dateRange, getAttributionFilterField(), 'pipeline');
     
-    if ((!upsales || upsales.length === 0) && (!incomingOrders || incomingOrders.length === 0)) {
-      Logger.log('Замовлення не знайдено за вказаний період');
+  } catch (error) {
+    Logger.log('Помилка: ' + error.toString());
+    throw error;
+  }
+}
+
+/**
+ * Пробний розрахунок за періодом з налаштувань: таблиці не змінюються,
+ * відмінності від поточних листів записуються на лист "Перегляд змін"
+ */
+function mainDryRun() {
+  try {
+    startFetchJob(getDateRange(getSettings().dateFilter), getAttributionFilterField(), 'preview');
+  } catch (error) {
+    Logger.log('Помилка: ' + error.toString());
+    throw error;
+  }
+}
+
+/**
+ * Розрахунок за минулий місяць
+ */
+function mainLastMonth() {
+  runForPeriod('last_month');
+}
+
+/**
+ * Розрахунок за поточний місяць
+ */
+function mainThisMonth() {
+  runForPeriod('this_month');
+}
+
+/**
+ * Розрахунок за останні 30 днів
+ */
+function mainLast30Days() {
+  runForPeriod('last_30_days');
+}
+
+/**
+ * Розрахунок за всі замовлення без фільтрації за датою
+ */
+function mainAll() {
+  runForPeriod('all');
+}
+
+/**
+ * Запускає відновлюване завантаження та розрахунок за періодом getDateRange
+ * @param {string} period - Період ('last_month', 'this_month', 'last_30_days', 'all' тощо)
+ * @returns {boolean} true, якщо розрахунок завершено в цьому виконанні
+ */
+function runForPeriod(period) {
+  try {
+    return startFetchJob(getDateRange(period), getAttributionFilterField(), 'pipeline');
+  } catch (error) {
+    Logger.log('Помилка: ' + error.toString());
+    throw error;
+  }
+}
+
+/**
+ * Перевіряє підключення до KEYCRM API: один запит на першу сторінку замовлень
+ * @returns {number} Загальна кількість замовлень у KEYCRM
+ */
+function testConnection() {
+  const data = keycrmRequest(`${API_BASE_URL}/order?limit=1&page=1`);
+  const total = data.meta ? data.meta.total : (data.data || []).length;
+  Logger.log(`✅ Підключення до KEYCRM працює, замовлень: ${total}`);
+  return total;
+}
+
+/**
+ * Розраховує ЗП за завантаженими замовленнями та записує результати
+ * в таблиці "Розрахунок МП MM.YY" та "Виконання MM.YYYY"
+ * @param {Array} orders - Масив замовлень у форматі API
+ * @param {Object} dateRange - Період завантаження (для пошуку пізніх скасувань)
+ */
+function runPayrollPipeline(orders, dateRange) {
+  const { upsales, incomingOrders, cancelledOrders, excludedOrders } = classifyOrders(orders || [], getPeriodFilter(dateRange));
+  
+  if (CLAWBACK_ENABLED) {
+    // Скасування старіших замовлень не потрапляють у вибірку за датою створення,
+    // тому окремо шукаємо замовлення, переведені в скасовані статуси за період
+    const lateCancelled = classifyOrders(fetchRecentlyCancelledOrders(dateRange)).cancelledOrders;
+    registerClawbacks([...cancelledOrders, ...lateCancelled]);
+  }
+  
+  if ((!upsales || upsales.length === 0) && (!incomingOrders || incomingOrders.length === 0)) {
+    Logger.log('Замовлення не знайдено за вказаний період');
+    return;
+  }
+  
+  // Обробляємо ВСІ замовлення (допродажі + з тегами + вхідні) та записуємо в таблиці "Розрахунок МП MM.YY"
+  const allResults = processAndWriteAllOrdersToPremiya(upsales || [], incomingOrders || [], [], excludedOrders);
+  
+  // Записуємо підсумок (ставка + бонус) в єдину таблицю "Виконання MM.YYYY"
+  // Всі дані беруться з allResults (таблиця "Розрахунок МП"), без подвійного розрахунку
+  writeManagerSummaryToPerformanceSheets(allResults);
+  
+  const upsalesCount = upsales ? upsales.length : 0;
+  const incomingCount = incomingOrders ? incomingOrders.length : 0;
+  Logger.log(`✅ Обробка завершена: ${upsalesCount} позицій для премій та ${incomingCount} вхідних позицій`);
+}
+
+// ========== МЕНЮ ТА БІЧНА ПАНЕЛЬ ==========
+const SIDEBAR_FILE = 'sidebar';
+
+/**
+ * Додає меню калькулятора до таблиці (простий тригер)
+ */
+function onOpen() {
+  SpreadsheetApp.getUi()
+    .createMenu('Калькулятор ЗП')
+    .addItem('Обрати період…', 'showPeriodSidebar')
+    .addSeparator()
+    .addItem('Минулий місяць', 'mainLastMonth')
+    .addItem('Поточний місяць', 'mainThisMonth')
+    .addItem('Останні 30 днів', 'mainLast30Days')
+    .addItem('Всі замовлення', 'mainAll')
+    .addItem('Перегляд змін без запису', 'mainDryRun')
+    .addSeparator()
+    .addItem('Закрити минулий місяць', 'closeLastMonth')
+    .addItem('Імпортувати курси НБУ', 'importNbuRatesLastMonth')
+    .addItem('Створити лист налаштувань', 'setupSettingsSheet')
+    .addItem('Перевірити налаштування', 'validateSettings')
+    .addItem('Перевірити підключення', 'testConnection')
+    .addToUi();
+}
+
+/**
+ * Відкриває бічну панель вибору періоду
+ */
+function showPeriodSidebar() {
+  const html = HtmlService.createHtmlOutputFromFile(SIDEBAR_FILE).setTitle('Розрахунок ЗП');
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Перетворює вибір з бічної панелі на діапазон дат для API
+ * @param {Object} request - { mode: 'month', month: 'YYYY-MM' } або { mode: 'range', start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' }
+ * @returns {Object} Об'єкт з полями start та end
+ */
+function getSidebarDateRange(request) {
+  const parse = value => {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/);
+    if (!match) {
+      throw new Error(`Некоректна дата: "${value}"`);
+    }
+    return match.slice(1).map(part => (part ? parseInt(part, 10) : null));
+  };
+
+  if (request.mode === 'month') {
+    const [year, month] = parse(request.month);
+    return getMonthDateRange(month, year);
+  }
+
+  if (request.mode === 'range') {
+    const [startYear, startMonth, startDay] = parse(request.start);
+    const [endYear, endMonth, endDay] = parse(request.end);
+    const startDate = zonedTimeToUtc({ year: startYear, month: startMonth, day: startDay }, DATES_TIMEZONE);
+    const endDate = zonedTimeToUtc({ year: endYear, month: endMonth, day: endDay, hour: 23, minute: 59, second: 59 }, DATES_TIMEZONE);
+    if (startDate > endDate) {
+      throw new Error('Початок періоду пізніше за кінець');
+    }
+    return {
+      start: formatDateForAPI(startDate),
+      end: formatDateForAPI(endDate)
+    };
+  }
+
+  throw new Error(`Невідомий режим вибору періоду: ${request.mode}`);
+}
+
+/**
+ * Попередній перегляд для бічної панелі: кількість замовлень за період (один запит до API)
+ * Для дати нарахування, відмінної від created, це кількість замовлень, змінених з початку періоду
+ * @param {Object} request - Вибір періоду (див. getSidebarDateRange)
+ * @returns {Object} { start, end, totalOrders, months, closedMonths }
+ */
+function previewSidebarPeriod(request) {
+  const dateRange = getSidebarDateRange(request);
+  const filterField = getAttributionFilterField();
+  const fetchRange = getAttributionFetchRange(dateRange, filterField);
+  const filter = `&filter[${filterField}]=${encodeURIComponent(`${fetchRange.start}, ${fetchRange.end}`)}`;
+  const data = keycrmRequest(`${API_BASE_URL}/order?limit=1&page=1${filter}`);
+  const months = getMonthKeysForDateRange(dateRange);
+  const closedMonths = getClosedMonths();
+
+  return {
+    start: dateRange.start,
+    end: dateRange.end,
+    totalOrders: data.meta ? data.meta.total : (data.data || []).length,
+    months: months,
+    closedMonths: months.filter(key => closedMonths[key])
+  };
+}
+
+/**
+ * Запускає розрахунок за періодом, обраним у бічній панелі
+ * @param {Object} request - Вибір періоду (див. getSidebarDateRange); dryRun: true — лише звіт змін
+ * @returns {Object} { completed, dryRun } — completed: false, якщо завантаження продовжить тригер
+ */
+function runSidebarPeriod(request) {
+  const dateRange = getSidebarDateRange(request);
+  const dryRun = Boolean(request.dryRun);
+  Logger.log(`▶️ Запуск з бічної панелі${dryRun ? ' (без запису)' : ''}: ${dateRange.start} — ${dateRange.end}`);
+  return {
+    completed: startFetchJob(dateRange, getAttributionFilterField(), dryRun ? 'preview' : 'pipeline'),
+    dryRun: dryRun
+  };
+}
+
+// ========== ВІДНОВЛЮВАНЕ ЗАВАНТАЖЕННЯ ==========
+const FETCH_JOB_PROPERTY = 'KEYCRM_FETCH_JOB';
+const FETCH_CONTINUATION_HANDLER = 'resumeFetchJob';
+
+/**
+ * Починає нове завантаження замовлень з контрольними точками.
+ * Стан пагінації (сторінка, діапазон дат) зберігається у властивостях скрипта,
+ * вже завантажені сторінки — на прихованому листі FETCH_BUFFER_SHEET_NAME.
+ * @param {Object} dateRange - Об'єкт з полями start та end (null — всі замовлення)
+ * @param {string} filterField - Поле фільтра KEYCRM (getAttributionFilterField(): 'created_between' або 'updated_between')
+ * @param {string} onComplete - Дія після останньої сторінки ('pipeline' — розрахунок ЗП, 'preview' — звіт змін без запису)
+ * @returns {boolean} true, якщо завантаження завершено в цьому виконанні
+ */
+function startFetchJob(dateRange, filterField, onComplete) {
+  if (loadFetchJob()) {
+    Logger.log('⚠️ Попереднє незавершене завантаження скасовано, починаємо нове');
+  }
+  deleteFetchContinuationTriggers();
+
+  const bufferSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(FETCH_BUFFER_SHEET_NAME);
+  if (bufferSheet) {
+    bufferSheet.clearContents();
+  }
+
+  const job = {
+    dateRange: dateRange,
+    fetchRange: getAttributionFetchRange(dateRange, filterField),
+    filterField: filterField,
+    onComplete: onComplete,
+    nextPage: 1,
+    fetchedCount: 0,
+    startedAt: new Date().toISOString()
+  };
+  saveFetchJob(job);
+  return runFetchJob(job);
+}
+
+/**
+ * Продовжує незавершене завантаження (викликається тригером або вручну)
+ */
+function resumeFetchJob() {
+  try {
+    deleteFetchContinuationTriggers();
+
+    const job = loadFetchJob();
+    if (!job) {
+      Logger.log('Незавершених завантажень немає');
       return;
     }
-    
-    // Обробляємо ВСІ замовлення (допродажі + з тегами + вхідні) та записуємо в таблиці "Розрахунок МП MM.YY"
-    const allResults = processAndWriteAllOrdersToPremiya(upsales || [], incomingOrders || []);
-    
-    // Записуємо підсумок (ставка + бонус) в єдину таблицю "Виконання MM.YYYY"
-    // Всі дані беруться з allResults (таблиця "Розрахунок МП"), без подвійного розрахунку
-    writeManagerSummaryToPerformanceSheets(allResults);
-    
-    const upsalesCount = upsales ? upsales.length : 0;
-    const incomingCount = incomingOrders ? incomingOrders.length : 0;
-    Logger.log(`✅ Обробка завершена: ${upsalesCount} позицій для премій та ${incomingCount} вхідних позицій`);
-    
-  } catch (error) {
-    Logger.log('Помилка: ' + error.toString());
-    throw error;
+
+    Logger.log(`🔁 Продовжуємо завантаження зі сторінки ${job.nextPage} (вже отримано ${job.fetchedCount} замовлень)`);
+    runFetchJob(job);
+
+  } catch (error) {
+    Logger.log('Помилка продовження завантаження: ' + error.toString());
+    throw error;
+  }
+}
+
+/**
+ * Завантажує сторінки, поки не скінчаться дані або час виконання.
+ * Після кожної сторінки зберігає контрольну точку; якщо часу не вистачає —
+ * планує продовження тригером і завершується.
+ * @param {Object} job - Стан завантаження
+ * @returns {boolean} true, якщо завантаження завершено
+ */
+function runFetchJob(job) {
+  const executionStartedAt = Date.now();
+  let hasMore = true;
+
+  while (hasMore) {
+    if (Date.now() - executionStartedAt > MAX_EXECUTION_MS) {
+      scheduleFetchContinuation();
+      Logger.log(`⏸️ Ліміт часу: завантажено ${job.fetchedCount} замовлень, продовження зі сторінки ${job.nextPage} заплановано`);
+      return false;
+    }
+
+    const pageResult = fetchOrdersPage(job.fetchRange || job.dateRange, job.filterField, job.nextPage);
+    appendOrdersToStore(pageResult.orders, FETCH_BUFFER_SHEET_NAME);
+
+    job.nextPage++;
+    job.fetchedCount += pageResult.orders.length;
+    hasMore = pageResult.hasMore;
+
+    if (hasMore && job.nextPage > MAX_API_PAGES) {
+      throw new Error(`Досягнуто максимум сторінок (${MAX_API_PAGES}), дані періоду неповні`);
+    }
+
+    saveFetchJob(job);
+  }
+
+  completeFetchJob(job);
+  return true;
+}
+
+/**
+ * Виконує дію після отримання останньої сторінки і очищає стан завантаження.
+ * Якщо дія завершиться помилкою, стан залишається — resumeFetchJob() повторить її.
+ * @param {Object} job - Стан завантаження
+ */
+function completeFetchJob(job) {
+  const fetchedOrders = Object.values(readOrderStore(FETCH_BUFFER_SHEET_NAME));
+  const orders = filterOrdersByAttributionDate(fetchedOrders, job.dateRange);
+  Logger.log(`📥 Завантаження завершено: ${fetchedOrders.length} замовлень` +
+    (orders.length !== fetchedOrders.length ? `, з датою нарахування в періоді — ${orders.length}` : ''));
+
+  switch (job.onComplete) {
+    case 'pipeline':
+      runPayrollPipeline(orders, job.dateRange);
+      break;
+    case 'preview':
+      runPayrollPreview(orders, job.dateRange);
+      break;
+    default:
+      Logger.log(`⚠️ Невідома дія після завантаження: ${job.onComplete}`);
+  }
+
+  PropertiesService.getScriptProperties().deleteProperty(FETCH_JOB_PROPERTY);
+  const bufferSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(FETCH_BUFFER_SHEET_NAME);
+  if (bufferSheet) {
+    bufferSheet.clearContents();
+  }
+}
+
+/**
+ * Зчитує стан незавершеного завантаження
+ * @returns {Object|null} Стан завантаження або null
+ */
+function loadFetchJob() {
+  const json = PropertiesService.getScriptProperties().getProperty(FETCH_JOB_PROPERTY);
+  return json ? JSON.parse(json) : null;
+}
+
+/**
+ * Зберігає контрольну точку завантаження
+ * @param {Object} job - Стан завантаження
+ */
+function saveFetchJob(job) {
+  PropertiesService.getScriptProperties().setProperty(FETCH_JOB_PROPERTY, JSON.stringify(job));
+}
+
+/**
+ * Планує запуск resumeFetchJob через CONTINUATION_DELAY_MS
+ */
+function scheduleFetchContinuation() {
+  deleteFetchContinuationTriggers();
+  ScriptApp.newTrigger(FETCH_CONTINUATION_HANDLER)
+    .timeBased()
+    .after(CONTINUATION_DELAY_MS)
+    .create();
+}
+
+/**
+ * Видаляє тригери продовження завантаження
+ */
+function deleteFetchContinuationTriggers() {
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === FETCH_CONTINUATION_HANDLER) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+}
+
+// ========== ІНКРЕМЕНТАЛЬНА СИНХРОНІЗАЦІЯ ==========
+const SYNC_CURSOR_PROPERTY = 'KEYCRM_SYNC_CURSOR';
+const SYNC_MONTHS_PROPERTY = 'KEYCRM_SYNC_MONTHS';
+const ORDER_STORE_CHUNK_SIZE = 45000; // Ліміт клітинки — 50 000 символів
+
+/**
+ * Інкрементальна обробка: завантажує тільки замовлення, змінені (updated_at)
+ * з моменту попередньої синхронізації, оновлює кеш замовлень
+ * і перераховує лише місяці, яких стосуються зміни.
+ * Пізні зміни статусу (наприклад, скасування після закриття місяця)
+ * перераховують лист "Розрахунок МП" місяця, до якого належить замовлення.
+ */
+function mainIncremental() {
+  try {
+    const properties = PropertiesService.getScriptProperties();
+    const cursor = properties.getProperty(SYNC_CURSOR_PROPERTY);
+    const syncStartedAt = new Date();
+    const store = readOrderStore();
+    const affectedMonths = new Set();
+
+    if (!cursor) {
+      // Перший запуск: наповнюємо кеш повними місяцями з періоду з налаштувань.
+      // Період 'all' не має меж — кеш отримав би лише поточний місяць, а попередні ніколи б не перераховувались
+      const dateFilter = getSettings().dateFilter;
+      if (dateFilter === 'all') {
+        throw new Error("Інкрементальна синхронізація не підтримує DATE_FILTER = 'all': задайте обмежений період для першого запуску");
+      }
+      getMonthKeysForDateRange(getDateRange(dateFilter)).forEach(key => affectedMonths.add(key));
+      Logger.log(`🔄 Перша синхронізація, місяці: ${[...affectedMonths].join(', ')}`);
+    } else {
+      const syncRange = { start: cursor, end: formatDateForAPI(syncStartedAt) };
+      const changedOrders = fetchRawOrdersFromKeyCRM(syncRange, 'updated_between');
+      Logger.log(`🔄 Змінених замовлень з ${cursor}: ${changedOrders.length}`);
+
+      changedOrders.forEach(order => {
+        const previous = store[order.id];
+        if (previous) {
+          getOrderMonthKeys(previous).forEach(key => affectedMonths.add(key));
+        }
+        getOrderMonthKeys(order).forEach(key => affectedMonths.add(key));
+        store[order.id] = order;
+      });
+
+      // Скасування вже виплачених замовлень повертаються в поточному місяці
+      if (CLAWBACK_ENABLED && registerClawbacks(classifyOrders(changedOrders).cancelledOrders) > 0) {
+        affectedMonths.add(getCurrentMonthKey());
+      }
+    }
+
+    // Місяці, яких ще немає в кеші, довантажуємо повністю,
+    // інакше перерахунок записав би в лист лише змінені замовлення
+    const syncedMonths = JSON.parse(properties.getProperty(SYNC_MONTHS_PROPERTY) || '[]');
+    affectedMonths.forEach(key => {
+      if (syncedMonths.includes(key)) return;
+      const [month, year] = key.split('.').map(part => parseInt(part, 10));
+      const filterField = getAttributionFilterField();
+      const monthOrders = fetchRawOrdersFromKeyCRM(getAttributionFetchRange(getMonthDateRange(month, year), filterField), filterField);
+      monthOrders.forEach(order => {
+        store[order.id] = order;
+      });
+      syncedMonths.push(key);
+      Logger.log(`📥 Місяць ${key} завантажено в кеш: ${monthOrders.length} замовлень`);
+    });
+
+    if (affectedMonths.size > 0) {
+      writeOrderStore(store);
+
+      const monthOrders = Object.values(store).filter(order => getOrderMonthKeys(order).some(key => affectedMonths.has(key)));
+      const { upsales, incomingOrders, excludedOrders } = classifyOrders(monthOrders, date => affectedMonths.has(getDateMonthKey(date)));
+      const allResults = processAndWriteAllOrdersToPremiya(upsales, incomingOrders, [...affectedMonths], excludedOrders);
+      writeManagerSummaryToPerformanceSheets(allResults);
+      Logger.log(`✅ Перераховано місяці: ${[...affectedMonths].join(', ')}`);
+    } else {
+      Logger.log('Змін з моменту попередньої синхронізації немає');
+    }
+
+    // Курсор зберігаємо тільки після успішного запису
+    const nextCursor = new Date(syncStartedAt.getTime() - SYNC_OVERLAP_MINUTES * 60 * 1000);
+    properties.setProperty(SYNC_MONTHS_PROPERTY, JSON.stringify(syncedMonths));
+    properties.setProperty(SYNC_CURSOR_PROPERTY, formatDateForAPI(nextCursor));
+
+  } catch (error) {
+    Logger.log('Помилка інкрементальної синхронізації: ' + error.toString());
+    throw error;
+  }
+}
+
+/**
+ * Скидає курсор інкрементальної синхронізації та кеш замовлень.
+ * Наступний запуск mainIncremental() завантажить дані заново.
+ */
+function resetIncrementalSync() {
+  const properties = PropertiesService.getScriptProperties();
+  properties.deleteProperty(SYNC_CURSOR_PROPERTY);
+  properties.deleteProperty(SYNC_MONTHS_PROPERTY);
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(ORDER_STORE_SHEET_NAME);
+  if (sheet) {
+    sheet.clearContents();
+  }
+  Logger.log('✅ Курсор синхронізації та кеш замовлень скинуто');
+}
+
+/**
+ * Повертає ключі місяців "M.YYYY", до яких належить замовлення (за датами нарахування;
+ * з PAYMENT_POLICY = 'scale' частини оплати можуть припадати на різні місяці)
+ * @param {Object} order - Замовлення у форматі API
+ * @returns {Array<string>} Ключі місяців ([] — зокрема, якщо дати нарахування ще немає)
+ */
+function getOrderMonthKeys(order) {
+  if (!order || !order.created_at) {
+    return [];
+  }
+  const keys = getOrderPayrollDates(order).map(getDateMonthKey).filter(Boolean);
+  return [...new Set(keys)];
+}
+
+/**
+ * Ключ місяця "M.YYYY" для дати
+ * @param {string} date - Дата у форматі ISO
+ * @returns {string|null} Ключ місяця або null
+ */
+function getDateMonthKey(date) {
+  const { month, year } = getMonthYearFromDateString(date, DATES_TIMEZONE);
+  return month && year ? `${month}.${year}` : null;
+}
+
+/**
+ * Повертає ключі місяців "M.YYYY", які охоплює діапазон дат API
+ * @param {Object|null} dateRange - Об'єкт з полями start та end (null — поточний місяць)
+ * @returns {Array<string>} Масив ключів місяців
+ */
+function getMonthKeysForDateRange(dateRange) {
+  const now = new Date();
+  const startDate = dateRange ? parseApiDateTime(dateRange.start) : now;
+  const endDate = dateRange ? parseApiDateTime(dateRange.end) : now;
+
+  const keys = [];
+  const { month: startMonth, year: startYear } = getMonthYearFromDateString(startDate.toISOString(), DATES_TIMEZONE);
+  const { month: endMonth, year: endYear } = getMonthYearFromDateString(endDate.toISOString(), DATES_TIMEZONE);
+  let month = startMonth;
+  let year = startYear;
+  while (year < endYear || (year === endYear && month <= endMonth)) {
+    keys.push(`${month}.${year}`);
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+  return keys;
+}
+
+/**
+ * Зчитує кеш замовлень з прихованого листа
+ * @param {string} sheetName - Назва листа (за замовчуванням ORDER_STORE_SHEET_NAME)
+ * @returns {Object} Об'єкт { [orderId]: order }
+ */
+function readOrderStore(sheetName = ORDER_STORE_SHEET_NAME) {
+  const store = {};
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return store;
+  }
+
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, sheet.getLastColumn()).getValues();
+  values.forEach((row, index) => {
+    // JSON замовлення може займати кілька клітинок (стовпці D, E, ...)
+    const json = row.slice(3).join('');
+    if (!json) return;
+    try {
+      const order = JSON.parse(json);
+      store[order.id] = order;
+    } catch (e) {
+      Logger.log(`⚠️ Лист "${sheetName}", рядок ${index + 2}: некоректний JSON (${e.toString()})`);
+    }
+  });
+
+  return store;
+}
+
+/**
+ * Перезаписує кеш замовлень на прихованому листі
+ * @param {Object} store - Об'єкт { [orderId]: order }
+ * @param {string} sheetName - Назва листа (за замовчуванням ORDER_STORE_SHEET_NAME)
+ */
+function writeOrderStore(store, sheetName = ORDER_STORE_SHEET_NAME) {
+  const sheet = getOrCreateHiddenSheet(sheetName);
+  sheet.clearContents();
+  writeOrderStoreRows(sheet, 1, [['ID', 'created_at', 'updated_at', 'JSON'], ...Object.values(store).map(orderToStoreRow)]);
+}
+
+/**
+ * Дописує замовлення в кінець листа-сховища (без перевірки дублікатів;
+ * дублікати за ID відкидаються під час читання readOrderStore)
+ * @param {Array} orders - Масив замовлень у форматі API
+ * @param {string} sheetName - Назва листа
+ */
+function appendOrdersToStore(orders, sheetName) {
+  if (!orders || orders.length === 0) {
+    return;
+  }
+  const sheet = getOrCreateHiddenSheet(sheetName);
+  const lastRow = sheet.getLastRow();
+  const rows = orders.map(orderToStoreRow);
+  if (lastRow === 0) {
+    rows.unshift(['ID', 'created_at', 'updated_at', 'JSON']);
+  }
+  writeOrderStoreRows(sheet, lastRow + 1, rows);
+}
+
+/**
+ * Перетворює замовлення на рядок листа-сховища: ID | created_at | updated_at | JSON...
+ * JSON довший за ліміт клітинки розбивається на кілька стовпців
+ * @param {Object} order - Замовлення у форматі API
+ * @returns {Array} Рядок для запису
+ */
+function orderToStoreRow(order) {
+  const json = JSON.stringify(order);
+  const chunks = [];
+  for (let i = 0; i < json.length; i += ORDER_STORE_CHUNK_SIZE) {
+    chunks.push(json.slice(i, i + ORDER_STORE_CHUNK_SIZE));
+  }
+  return [order.id, order.created_at || '', order.updated_at || '', ...chunks];
+}
+
+/**
+ * Записує рядки сховища, вирівнюючи їх до однакової ширини
+ * @param {Sheet} sheet - Лист-сховище
+ * @param {number} startRow - Перший рядок для запису
+ * @param {Array} rows - Рядки з orderToStoreRow
+ */
+function writeOrderStoreRows(sheet, startRow, rows) {
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 4);
+  const data = rows.map(row => row.concat(new Array(width - row.length).fill('')));
+  const range = sheet.getRange(startRow, 1, data.length, width);
+  range.setNumberFormat('@'); // Зберігаємо як текст, щоб дати не перетворювалися
+  range.setValues(data);
+}
+
+/**
+ * Отримує або створює прихований службовий лист
+ * @param {string} sheetName - Назва листа
+ * @returns {Sheet} Об'єкт листа
+ */
+function getOrCreateHiddenSheet(sheetName) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(sheetName);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(sheetName);
+    sheet.hideSheet();
+  }
+  return sheet;
+}
+
+// ========== НАЛАШТУВАННЯ ==========
+const API_KEY_PROPERTY = 'KEYCRM_API_KEY';
+const DATE_FILTER_OPTIONS = ['last_month', 'this_month', 'this_month_to_yesterday', 'last_30_days', 'custom', 'all'];
+const BRACKET_MODE_OPTIONS = ['marginal', 'whole'];
+let settingsCache = null;
+
+/**
+ * Повертає API ключ KEYCRM з властивостей скрипта
+ * (API_KEY з config.js — лише запасний варіант для старих установок)
+ * @returns {string} API ключ
+ */
+function getApiKey() {
+  const apiKey = PropertiesService.getScriptProperties().getProperty(API_KEY_PROPERTY) || API_KEY;
+  if (!apiKey) {
+    throw new Error(`API ключ KEYCRM не задано: додайте властивість скрипта ${API_KEY_PROPERTY} (Налаштування проєкту → Властивості скрипта)`);
+  }
+  return apiKey;
+}
+
+/**
+ * Повертає опис параметрів листа "Налаштування" зі значеннями за замовчуванням з config.js
+ * @returns {Array} Масив { key, type, description, defaultValue, ... }
+ */
+function getSettingsDefinitions() {
+  const definitions = [
+    { key: 'DATE_FILTER', type: 'enum', options: DATE_FILTER_OPTIONS, defaultValue: DATE_FILTER,
+      description: `Період розрахунку: ${DATE_FILTER_OPTIONS.join(', ')}` },
+    { key: 'CUSTOM_START_DATE', type: 'datetime', defaultValue: CUSTOM_START_DATE,
+      description: 'Початок періоду для custom (РРРР-ММ-ДД ГГ:ХХ:СС)' },
+    { key: 'CUSTOM_END_DATE', type: 'datetime', defaultValue: CUSTOM_END_DATE,
+      description: 'Кінець періоду для custom (РРРР-ММ-ДД ГГ:ХХ:СС)' },
+    { key: 'ATTRIBUTION_DATE', type: 'enum', options: ATTRIBUTION_DATE_SOURCES, defaultValue: ATTRIBUTION_DATE,
+      description: 'Дата нарахування: created — створення, completed — виконання, closed — закриття, paid — повна оплата' },
+    { key: 'PAYMENT_POLICY', type: 'enum', options: PAYMENT_POLICIES, defaultValue: PAYMENT_POLICY,
+      description: 'Оплата замовлення: ignore — не враховується, scale — ЗП пропорційно до оплаченої частки, defer — після повної оплати' },
+    { key: 'FULL_ORDER_TAGS', type: 'list', defaultValue: FULL_ORDER_TAGS,
+      description: 'Теги замовлень, які рахуються повністю (через кому)' },
+    { key: 'CANCELED_STATUS_IDS', type: 'idList', defaultValue: CANCELED_STATUS_IDS,
+      description: 'ID статусів KEYCRM, які вважаються скасованими (через кому)' }
+  ];
+
+  for (let level = 1; level <= 3; level++) {
+    const config = MANAGER_LEVELS[level];
+    const prefix = `LEVEL_${level}_`;
+    definitions.push(
+      { key: `${prefix}NAME`, type: 'text', level: level, field: 'name', defaultValue: config.name,
+        description: `Назва рівня ${level}` },
+      { key: `${prefix}RATE`, type: 'number', level: level, field: 'rate', min: 0, max: 100, defaultValue: config.rate,
+        description: `Рівень ${level}: ставка, % від маржі вхідних замовлень` },
+      { key: `${prefix}BONUS`, type: 'number', level: level, field: 'bonus', min: 0, max: 100, defaultValue: config.bonus,
+        description: `Рівень ${level}: бонус, % від маржі допродажів` },
+      { key: `${prefix}THRESHOLD`, type: 'number', level: level, field: 'threshold', min: 0, defaultValue: config.threshold,
+        description: `Рівень ${level}: поріг маржі для бонусу, грн` },
+      { key: `${prefix}BONUS_BRACKETS`, type: 'brackets', level: level, field: 'bonusBrackets', defaultValue: config.bonusBrackets || [],
+        description: `Рівень ${level}: шкала бонусу "від:відсоток; ..." (порожньо — поріг і бонус вище)` },
+      { key: `${prefix}BONUS_BRACKET_MODE`, type: 'enum', level: level, field: 'bonusBracketMode', options: BRACKET_MODE_OPTIONS,
+        defaultValue: config.bonusBracketMode || 'marginal',
+        description: `Рівень ${level}: marginal — відсоток на частину маржі в діапазоні, whole — на всю маржу` },
+      { key: `${prefix}RATE_BRACKETS`, type: 'brackets', level: level, field: 'rateBrackets', defaultValue: config.rateBrackets || [],
+        description: `Рівень ${level}: шкала ставки "від:відсоток; ..." (порожньо — ставка вище)` },
+      { key: `${prefix}RATE_BRACKET_MODE`, type: 'enum', level: level, field: 'rateBracketMode', options: BRACKET_MODE_OPTIONS,
+        defaultValue: config.rateBracketMode || 'marginal',
+        description: `Рівень ${level}: режим шкали ставки (marginal або whole)` }
+    );
+  }
+
+  return definitions;
+}
+
+/**
+ * Повертає чинні налаштування: значення з листа "Налаштування",
+ * для відсутніх параметрів — значення з config.js. Кешується на час виконання.
+ * @returns {Object} { dateFilter, customStartDate, customEndDate, attributionDate, fullOrderTags, canceledStatusIds, managerLevels }
+ */
+function getSettings() {
+  if (!settingsCache) {
+    settingsCache = loadSettings();
+  }
+  return settingsCache;
+}
+
+/**
+ * Збирає правила для рушія розрахунку (payroll_engine.js) з налаштувань і призначень рівнів
+ * @returns {Object} { managerLevels, fullOrderTags, canceledStatusIds, statusPolicy, paymentPolicy, attributionDate, completedStatusIds, bonusRules,
+ *   bonusCategories, creditRules, costComponents, baseCurrency, exchangeRates, maxRateAgeDays, assignments, defaultLevel, managerPlans, planMultipliers, timezone }
+ */
+function getPayrollRules() {
+  const settings = getSettings();
+  const rules = {
+    managerLevels: settings.managerLevels,
+    fullOrderTags: settings.fullOrderTags,
+    canceledStatusIds: settings.canceledStatusIds,
+    statusPolicy: STATUS_POLICY,
+    paymentPolicy: settings.paymentPolicy,
+    attributionDate: settings.attributionDate,
+    completedStatusIds: COMPLETED_STATUS_IDS,
+    bonusRules: BONUS_RULES,
+    bonusCategories: BONUS_CATEGORIES,
+    creditRules: CREDIT_RULES,
+    costComponents: COST_COMPONENTS,
+    baseCurrency: BASE_CURRENCY,
+    exchangeRates: getExchangeRates(),
+    maxRateAgeDays: MAX_RATE_AGE_DAYS,
+    assignments: getManagerAssignments(),
+    defaultLevel: DEFAULT_MANAGER_LEVEL,
+    managerPlans: getManagerPlans(),
+    planMultipliers: PLAN_BONUS_MULTIPLIERS,
+    timezone: DATES_TIMEZONE
+  };
+
+  const errors = validateBonusRules(getBonusRules(rules), getBonusCategories(rules));
+  if (errors.length > 0) {
+    throw new Error(`Помилки в правилах нарахування (BONUS_RULES / BONUS_CATEGORIES):\n${errors.join('\n')}`);
+  }
+  const creditErrors = validateCreditRules(rules.creditRules, getBonusCategories(rules));
+  if (creditErrors.length > 0) {
+    throw new Error(`Помилки в правилах розподілу між менеджерами (CREDIT_RULES):\n${creditErrors.join('\n')}`);
+  }
+  const costErrors = validateCostComponents(rules.costComponents);
+  if (costErrors.length > 0) {
+    throw new Error(`Помилки в складових витрат (COST_COMPONENTS):\n${costErrors.join('\n')}`);
+  }
+  const policyErrors = validateStatusPolicy(rules.statusPolicy);
+  if (policyErrors.length > 0) {
+    throw new Error(`Помилки в політиці статусів (STATUS_POLICY):\n${policyErrors.join('\n')}`);
+  }
+  const multiplierErrors = validatePlanMultipliers(rules.planMultipliers);
+  if (multiplierErrors.length > 0) {
+    throw new Error(`Помилки в коефіцієнтах плану (PLAN_BONUS_MULTIPLIERS):\n${multiplierErrors.join('\n')}`);
+  }
+  return rules;
+}
+
+/**
+ * Зчитує та перевіряє лист "Налаштування"
+ * Усі помилки збираються в одне повідомлення з номерами рядків
+ * @returns {Object} Налаштування (див. getSettings)
+ */
+function loadSettings() {
+  const definitions = getSettingsDefinitions();
+  const values = {};
+  definitions.forEach(definition => {
+    values[definition.key] = definition.defaultValue;
+  });
+
+  const errors = [];
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SETTINGS_SHEET_NAME);
+  if (sheet && sheet.getLastRow() > 1) {
+    const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues();
+    const seen = {};
+    rows.forEach((row, index) => {
+      const key = String(row[0]).trim();
+      if (!key) return;
+      const location = `рядок ${index + 2} (${key})`;
+      const definition = definitions.find(item => item.key === key);
+      if (!definition) {
+        errors.push(`${location}: невідомий параметр`);
+        return;
+      }
+      if (seen[key]) {
+        errors.push(`${location}: параметр уже задано в рядку ${seen[key]}`);
+        return;
+      }
+      seen[key] = index + 2;
+
+      try {
+        values[key] = parseSettingValue(definition, row[1]);
+      } catch (error) {
+        errors.push(`${location}: ${error.message}`);
+      }
+    });
+  }
+
+  const settings = {
+    dateFilter: values.DATE_FILTER,
+    customStartDate: values.CUSTOM_START_DATE,
+    customEndDate: values.CUSTOM_END_DATE,
+    attributionDate: values.ATTRIBUTION_DATE,
+    paymentPolicy: values.PAYMENT_POLICY,
+    fullOrderTags: values.FULL_ORDER_TAGS,
+    canceledStatusIds: values.CANCELED_STATUS_IDS,
+    managerLevels: {}
+  };
+  definitions.filter(definition => definition.level).forEach(definition => {
+    if (!settings.managerLevels[definition.level]) {
+      settings.managerLevels[definition.level] = {};
+    }
+    settings.managerLevels[definition.level][definition.field] = values[definition.key];
+  });
+
+  // Перевірки, що стосуються кількох параметрів
+  if (settings.dateFilter === 'custom' && settings.customStartDate > settings.customEndDate) {
+    errors.push('CUSTOM_START_DATE пізніше за CUSTOM_END_DATE');
+  }
+  Object.keys(settings.managerLevels).forEach(level => {
+    ['bonus', 'rate'].forEach(kind => {
+      try {
+        getLevelBrackets(settings.managerLevels[level], kind);
+      } catch (error) {
+        errors.push(`LEVEL_${level}: ${error.message}`);
+      }
+    });
+  });
+
+  if (errors.length > 0) {
+    errors.forEach(error => Logger.log(`❌ Налаштування: ${error}`));
+    throw new Error(`Помилки в листі "${SETTINGS_SHEET_NAME}":\n${errors.join('\n')}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Перетворює значення клітинки листа "Налаштування" відповідно до типу параметра
+ * @param {Object} definition - Опис параметра з getSettingsDefinitions
+ * @param {*} raw - Значення клітинки
+ * @returns {*} Перевірене значення
+ */
+function parseSettingValue(definition, raw) {
+  const text = raw instanceof Date ? '' : String(raw === null || raw === undefined ? '' : raw).trim();
+
+  switch (definition.type) {
+    case 'text':
+      if (!text) throw new Error('значення не може бути порожнім');
+      return text;
+
+    case 'enum':
+      if (definition.options.indexOf(text) === -1) {
+        throw new Error(`очікується одне з: ${definition.options.join(', ')}; отримано "${text}"`);
+      }
+      return text;
+
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : parseFloat(text.replace(',', '.'));
+      if (isNaN(value) || !isFinite(value)) {
+        throw new Error(`очікується число; отримано "${text}"`);
+      }
+      if (definition.min !== undefined && value < definition.min) {
+        throw new Error(`значення ${value} менше за ${definition.min}`);
+      }
+      if (definition.max !== undefined && value > definition.max) {
+        throw new Error(`значення ${value} більше за ${definition.max}`);
+      }
+      return value;
+    }
+
+    case 'datetime': {
+      // Таблиця могла перетворити рядок на дату — повертаємо його до формату API
+      const value = raw instanceof Date ? Utilities.formatDate(raw, DATES_TIMEZONE, 'yyyy-MM-dd HH:mm:ss') : text;
+      const match = value.match(/^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})$/);
+      if (!match || parseInt(match[2], 10) < 1 || parseInt(match[2], 10) > 12 || parseInt(match[3], 10) < 1 ||
+          parseInt(match[3], 10) > 31 || parseInt(match[4], 10) > 23 || parseInt(match[5], 10) > 59 || parseInt(match[6], 10) > 59) {
+        throw new Error(`очікується дата у форматі РРРР-ММ-ДД ГГ:ХХ:СС; отримано "${value}"`);
+      }
+      return value;
+    }
+
+    case 'list':
+      return text.split(',').map(item => item.trim()).filter(Boolean);
+
+    case 'idList': {
+      const ids = text.split(',').map(item => item.trim()).filter(Boolean);
+      if (ids.length === 0) throw new Error('потрібен хоча б один ID');
+      return ids.map(item => {
+        if (!/^\d+$/.test(item) || parseInt(item, 10) === 0) {
+          throw new Error(`"${item}" не є додатним цілим ID`);
+        }
+        return parseInt(item, 10);
+      });
+    }
+
+    case 'brackets':
+      if (!text) return [];
+      return text.split(';').map(item => item.trim()).filter(Boolean).map(item => {
+        const parts = item.split(':').map(part => part.trim().replace(',', '.'));
+        const from = parseFloat(parts[0]);
+        const percent = parseFloat(parts[1]);
+        if (parts.length !== 2 || isNaN(from) || isNaN(percent)) {
+          throw new Error(`діапазон "${item}" має бути у форматі від:відсоток`);
+        }
+        if (percent < 0 || percent > 100) {
+          throw new Error(`відсоток ${percent} поза межами 0–100`);
+        }
+        return { from: from, percent: percent };
+      });
+
+    default:
+      throw new Error(`невідомий тип параметра ${definition.type}`);
+  }
+}
+
+/**
+ * Перетворює значення параметра на текст для листа "Налаштування"
+ * @param {Object} definition - Опис параметра
+ * @param {*} value - Значення
+ * @returns {string|number} Значення клітинки
+ */
+function formatSettingValue(definition, value) {
+  switch (definition.type) {
+    case 'list':
+    case 'idList':
+      return value.join(', ');
+    case 'brackets':
+      return value.map(bracket => `${bracket.from}:${bracket.percent}`).join('; ');
+    default:
+      return value;
+  }
+}
+
+/**
+ * Створює або доповнює лист "Налаштування" значеннями з config.js.
+ * Наявні значення не змінюються — додаються лише відсутні параметри.
+ */
+function setupSettingsSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(SETTINGS_SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SETTINGS_SHEET_NAME);
+  }
+  setupSheetHeadersGeneric(sheet, ['Ключ', 'Значення', 'Опис'], [220, 260, 520]);
+
+  const lastRow = sheet.getLastRow();
+  const existingKeys = lastRow > 1
+    ? sheet.getRange(2, 1, lastRow - 1, 1).getValues().map(row => String(row[0]).trim())
+    : [];
+  const missing = getSettingsDefinitions().filter(definition => existingKeys.indexOf(definition.key) === -1);
+  if (missing.length === 0) {
+    Logger.log(`✅ Лист "${SETTINGS_SHEET_NAME}" містить усі параметри`);
+    return;
+  }
+
+  const startRow = lastRow + 1;
+  const data = missing.map(definition => [
+    definition.key,
+    formatSettingValue(definition, definition.defaultValue),
+    definition.description
+  ]);
+  // Значення як текст, щоб таблиця не перетворювала дати й списки ID
+  sheet.getRange(startRow, 2, data.length, 1).setNumberFormat('@');
+  sheet.getRange(startRow, 1, data.length, 3).setValues(data);
+
+  missing.forEach((definition, index) => {
+    if (definition.type !== 'enum') return;
+    const rule = SpreadsheetApp.newDataValidation().requireValueInList(definition.options, true).build();
+    sheet.getRange(startRow + index, 2).setDataValidation(rule);
+  });
+
+  Logger.log(`✅ Додано ${missing.length} параметрів у лист "${SETTINGS_SHEET_NAME}"`);
+}
+
+/**
+ * Перевіряє налаштування, API ключ і наявність скасованих статусів у KEYCRM
+ * @returns {boolean} true, якщо помилок не знайдено
+ */
+function validateSettings() {
+  settingsCache = null;
+  const settings = getSettings();
+  Logger.log(`✅ Лист "${SETTINGS_SHEET_NAME}" без помилок (період: ${settings.dateFilter})`);
+
+  const knownIds = fetchOrderStatusesFromKeyCRM().map(status => status.id);
+  const unknownIds = settings.canceledStatusIds.filter(id => knownIds.indexOf(id) === -1);
+  if (unknownIds.length > 0) {
+    Logger.log(`❌ CANCELED_STATUS_IDS: статусів ${unknownIds.join(', ')} немає в KEYCRM`);
+    return false;
+  }
+
+  Logger.log(`✅ Усі ${settings.canceledStatusIds.length} скасованих статусів знайдено в KEYCRM`);
+
+  const rules = getPayrollRules();
+  Logger.log(`✅ Правил нарахування: ${getBonusRules(rules).length}${BONUS_RULES.length > 0 ? '' : ' (типовий набір)'}`);
+  if (rules.creditRules.length > 0) {
+    Logger.log(`👥 Правил розподілу між менеджерами: ${rules.creditRules.length}`);
+  }
+  if (rules.exchangeRates) {
+    Logger.log(`💱 Курси на листі "${RATES_SHEET_NAME}": ${Object.keys(rules.exchangeRates).map(currency => `${currency} — ${rules.exchangeRates[currency].length}`).join(', ') || 'немає'}`);
   }
+  return true;
 }
 
 // ========== РОБОТА З KEYCRM API ==========
@@ -53,413 +1043,402 @@ function main() {
  * @returns {Object} Об'єкт { upsales: Array, incomingOrders: Array }
  */
 function fetchOrdersFromKeyCRM(dateRange) {
-  const url = `${API_BASE_URL}/order`;
+  const filterField = getAttributionFilterField();
+  const orders = fetchRawOrdersFromKeyCRM(getAttributionFetchRange(dateRange, filterField), filterField);
+  return classifyOrders(filterOrdersByAttributionDate(orders, dateRange), getPeriodFilter(dateRange));
+}
+
+/**
+ * Поле фільтра KEYCRM для завантаження за періодом відповідно до дати нарахування (ATTRIBUTION_DATE).
+ * Для created — created_between; виконання, закриття й оплата змінюють updated_at замовлення,
+ * тому для решти (і з політикою статусів чи оплати, що переносять нарахування в місяць виконання
+ * або доплати) — updated_between
+ * @returns {string} 'created_between' або 'updated_between'
+ */
+function getAttributionFilterField() {
+  const rules = getAttributionRules();
+  return rules.attributionDate === 'created' && !isStatusPolicyEnabled(rules) && rules.paymentPolicy === 'ignore'
+    ? 'created_between'
+    : 'updated_between';
+}
+
+/**
+ * Діапазон запиту до API для періоду: для updated_between кінець подовжується до поточного моменту,
+ * бо замовлення, оплачене чи виконане в періоді, могло змінитися й пізніше
+ * @param {Object|null} dateRange - Період (start, end)
+ * @param {string} filterField - Поле фільтра KEYCRM
+ * @returns {Object|null} Діапазон для фільтра API
+ */
+function getAttributionFetchRange(dateRange, filterField) {
+  if (!dateRange || filterField !== 'updated_between') {
+    return dateRange;
+  }
+  return { start: dateRange.start, end: formatDateForAPI(new Date()) };
+}
+
+/**
+ * Залишає замовлення, одна з дат нарахування яких (getOrderPayrollDates) потрапляє в період
+ * (для created_between фільтр API вже відібрав саме їх)
+ * @param {Array} orders - Замовлення у форматі API
+ * @param {Object|null} dateRange - Період (null — без обмежень)
+ * @returns {Array} Замовлення періоду
+ */
+function filterOrdersByAttributionDate(orders, dateRange) {
+  if (!dateRange || getAttributionFilterField() === 'created_between') {
+    return orders;
+  }
+  return orders.filter(order => getOrderPayrollDates(order).some(date => isDateInRange(date, dateRange)));
+}
+
+/**
+ * Правила визначення дати нарахування (частина getPayrollRules без читання призначень і курсів)
+ * @returns {Object} { attributionDate, completedStatusIds, canceledStatusIds, statusPolicy, paymentPolicy, timezone }
+ */
+function getAttributionRules() {
+  const settings = getSettings();
+  return {
+    attributionDate: settings.attributionDate,
+    completedStatusIds: COMPLETED_STATUS_IDS,
+    canceledStatusIds: settings.canceledStatusIds,
+    statusPolicy: STATUS_POLICY,
+    paymentPolicy: settings.paymentPolicy,
+    timezone: DATES_TIMEZONE
+  };
+}
+
+/**
+ * Дати нарахування замовлення: по одній на кожну частину оплати (getOrderPaymentTranches)
+ * @param {Object} order - Замовлення у форматі API
+ * @returns {Array<string>} Дати у форматі ISO ([] — дати нарахування ще немає)
+ */
+function getOrderPayrollDates(order) {
+  return getOrderPaymentTranches(order, getAttributionRules()).map(tranche => tranche.date);
+}
+
+/**
+ * Фільтр дат позицій для classifyOrders: частини оплати з датами поза періодом не рахуються
+ * (для created_between фільтр API вже відібрав замовлення періоду, тож позиції не фільтруються)
+ * @param {Object|null} dateRange - Період (start, end)
+ * @returns {Function|null} Функція (date) → boolean або null без обмежень
+ */
+function getPeriodFilter(dateRange) {
+  if (!dateRange || getAttributionFilterField() === 'created_between') {
+    return null;
+  }
+  return date => isDateInRange(date, dateRange);
+}
+
+/**
+ * Чи потрапляє дата в період
+ * @param {string|null} date - Дата у форматі ISO
+ * @param {Object|null} dateRange - Період (start, end); null — без обмежень
+ * @returns {boolean}
+ */
+function isDateInRange(date, dateRange) {
+  if (!dateRange) {
+    return true;
+  }
+  const time = date ? new Date(date).getTime() : NaN;
+  // Кінець періоду задано з точністю до секунди (23:59:59)
+  return time >= parseApiDateTime(dateRange.start).getTime() && time <= parseApiDateTime(dateRange.end).getTime() + 999;
+}
+
+/**
+ * Завантажує "сирі" замовлення з KEYCRM посторінково
+ * @param {Object} dateRange - Об'єкт з полями start та end (опціонально)
+ * @param {string} filterField - Поле фільтра KEYCRM: 'created_between' (за замовчуванням) або 'updated_between'
+ * @param {Array<string>} extraParams - Додаткові параметри запиту (опціонально)
+ * @returns {Array} Масив замовлень у форматі API
+ */
+function fetchRawOrdersFromKeyCRM(dateRange, filterField = 'created_between', extraParams = []) {
+  const allOrders = [];
+  let page = 1;
+  let hasMore = true;
+  
+  // Помилки не перехоплюємо: неповний період не повинен потрапити в розрахунок ЗП
+  while (hasMore) {
+    const pageResult = fetchOrdersPage(dateRange, filterField, page, extraParams);
+    allOrders.push(...pageResult.orders);
+    hasMore = pageResult.hasMore;
+    
+    page++;
+    
+    if (hasMore && page > MAX_API_PAGES) {
+      throw new Error(`Досягнуто максимум сторінок (${MAX_API_PAGES}), дані періоду неповні`);
+    }
+  }
   
+  return allOrders;
+}
+
+// Час останніх запитів у поточному виконанні (для ліміту запитів на хвилину)
+const keycrmRequestTimes = [];
+
+/**
+ * Отримує список статусів замовлень KEYCRM
+ * @returns {Array} Масив статусів { id, name, group_id, ... }
+ */
+function fetchOrderStatusesFromKeyCRM() {
+  const statuses = [];
+  let page = 1;
+  let hasMore = true;
+
+  while (hasMore && page <= MAX_API_PAGES) {
+    const data = keycrmRequest(`${API_BASE_URL}/order/status?limit=${API_LIMIT}&page=${page}`);
+    statuses.push(...(data.data || []));
+    hasMore = Boolean(data.meta && data.meta.current_page < data.meta.last_page);
+    page++;
+  }
+
+  return statuses;
+}
+
+/**
+ * Виконує GET-запит до KEYCRM API з дотриманням ліміту запитів,
+ * повторами з експоненційною затримкою та урахуванням Retry-After.
+ * Повторюються відповіді 429, 5xx та мережеві помилки; 401 та інші 4xx — одразу помилка.
+ * Якщо спроби вичерпано, кидає виняток — неповні дані не повинні потрапити в розрахунок.
+ * @param {string} requestUrl - Повний URL запиту
+ * @returns {Object} Розібрана JSON-відповідь
+ */
+function keycrmRequest(requestUrl) {
   const options = {
     'method': 'get',
     'headers': {
-      'Authorization': `Bearer ${API_KEY}`,
+      'Authorization': `Bearer ${getApiKey()}`,
       'Accept': 'application/json'
     },
     'muteHttpExceptions': true
   };
-  
-  let allUpsales = [];
-  let incomingOrders = [];
-  let page = 1;
-  let hasMore = true;
-  
-  while (hasMore) {
+
+  let lastError = '';
+
+  for (let attempt = 0; attempt <= API_MAX_RETRIES; attempt++) {
+    waitForKeycrmRateLimit();
+
+    let response;
     try {
-      const params = [
-        `page=${page}`,
-        `limit=${API_LIMIT}`,
-        'include=products.offer,manager,tags,status'
-      ];
-      
-      if (dateRange && dateRange.start && dateRange.end) {
-        const dateFilter = `${dateRange.start}, ${dateRange.end}`;
-        params.push(`filter[created_between]=${encodeURIComponent(dateFilter)}`);
-      }
-      
-      const requestUrl = `${url}?${params.join('&')}`;
-      const response = UrlFetchApp.fetch(requestUrl, options);
-      const responseCode = response.getResponseCode();
-      const responseText = response.getContentText();
-      
-      if (responseCode !== 200) {
-        Logger.log(`❌ Помилка API: ${responseCode}`);
-        if (responseCode === 401) {
-          throw new Error('Помилка авторизації. Перевірте API ключ.');
-        }
-        break;
+      response = UrlFetchApp.fetch(requestUrl, options);
+    } catch (networkError) {
+      // Таймаут, DNS тощо — повторюємо
+      lastError = networkError.toString();
+      Logger.log(`⚠️ Мережева помилка (спроба ${attempt + 1}): ${lastError}`);
+      if (attempt < API_MAX_RETRIES) {
+        sleepBeforeRetry(attempt, null);
       }
-      
-      let data;
+      continue;
+    }
+
+    const responseCode = response.getResponseCode();
+
+    if (responseCode === 200) {
       try {
-        data = JSON.parse(responseText);
+        return JSON.parse(response.getContentText());
       } catch (parseError) {
         Logger.log(`❌ Помилка парсингу JSON: ${parseError.toString()}`);
         throw parseError;
       }
-      
-      let orders = [];
-      if (data.data && Array.isArray(data.data)) {
-        orders = data.data;
-      } else if (Array.isArray(data)) {
-        orders = data;
-      } else {
-        Logger.log('Невідома структура відповіді API');
-        break;
-      }
-      
-      orders.forEach((order) => {
-        const statusId = parseInt(order.status?.id || order.status_id || 0, 10);
-        const statusGroupId = order.status?.group_id ? parseInt(order.status.group_id, 10) : null;
-        if ((statusGroupId && statusGroupId === 6) || (statusId && CANCELED_STATUS_IDS.indexOf(statusId) !== -1)) {
-          return; // Пропускаємо скасовані / невдалі замовлення
-        }
+    }
 
-        const managerId = order.manager?.id || order.manager_id || null;
-        const rawManagerName = order.manager?.full_name || order.manager?.name || order.manager_name || 'Невідомий менеджер';
-        const { displayName: managerName, key: managerKey } = normalizeManagerName(rawManagerName);
-        
-        // Перевіряємо, чи замовлення має один із спецтегів (Стара база, Відгук тощо)
-        const matchedSpecialTag = getOrderTagName(order, FULL_ORDER_TAGS);
-        const hasSpecialTag = Boolean(matchedSpecialTag);
-        
-        const productsArray = Array.isArray(order.products) ? order.products : [];
-        const orderTotalDiscount = parseFloat(order.total_discount || 0);
-        
-        // Якщо замовлення має спеціальний тег, рахуємо ВСІ товари як повторне замовлення
-        if (hasSpecialTag) {
-          // Проходимо по всіх товарах в замовленні
-          const orderProducts = [];
-          let totalOrderValue = 0;
-          
-          productsArray.forEach(product => {
-            const quantity = parseFloat(product.quantity || 1);
-            const priceSold = getProductPriceSold(product);
-            const purchasedPrice = getProductPurchasedPrice(product);
-            const productDiscount = parseFloat(product.total_discount || 0);
-
-            if (priceSold > 0) {
-              const productTotalValue = priceSold * quantity;
-              totalOrderValue += productTotalValue;
-              const productMargin = (priceSold - purchasedPrice) * quantity;
-
-              orderProducts.push({
-                orderId: order.id,
-                productId: product.id || product.product_id || order.id,
-                name: getProductName(product),
-                priceSold: priceSold,
-                purchasedPrice: purchasedPrice,
-                quantity: quantity,
-                productDiscount: productDiscount,
-                productMargin: productMargin,
-                productTotalValue: productTotalValue
-              });
-            }
-          });
-          
-          // Розподіляємо знижку замовлення пропорційно до ціни продажу кожного товару
-          // grand_total вже містить знижку на замовлення, тому розраховуємо різницю
-          const grandTotal = parseFloat(order.grand_total || 0);
-          const actualOrderDiscount = totalOrderValue > grandTotal ? totalOrderValue - grandTotal : 0;
-          
-          let totalMargin = 0;
-          orderProducts.forEach(product => {
-            const orderDiscountPart = totalOrderValue > 0 
-              ? actualOrderDiscount * (product.productTotalValue / totalOrderValue)
-              : 0;
-            const finalMargin = product.productMargin - orderDiscountPart;
-            totalMargin += finalMargin;
-            
-            allUpsales.push({
-              orderId: order.id,
-              upsellId: product.productId,
-              name: product.name,
-              salePrice: product.priceSold * product.quantity,
-              costPrice: product.purchasedPrice * product.quantity + orderDiscountPart,
-              managerId: managerId,
-              managerName: managerName,
-              managerKey: managerKey,
-              date: normalizeApiDate(order.created_at),
-              quantity: product.quantity,
-              isSpecialTag: true,
-              specialTagName: matchedSpecialTag || 'Спеціальний тег',
-              productDiscount: product.productDiscount,
-              orderDiscountPart: orderDiscountPart,
-              margin: finalMargin
-            });
-          });
-        } else {
-          // Якщо немає тегів, обробляємо товари окремо: допродажі → бонуси, стандартні → вхідні
-          let totalUpsellValue = 0;
-          const upsellProducts = [];
-
-          productsArray.forEach(product => {
-            const quantity = parseFloat(product.quantity || 1);
-            const priceSold = getProductPriceSold(product);
-
-            if (priceSold <= 0) return;
-
-            const purchasedPrice = getProductPurchasedPrice(product);
-            const productMargin = (priceSold - purchasedPrice) * quantity;
-
-            if (isProductUpsell(product)) {
-              // Допродаж - рахуємо маржу
-              const productDiscount = parseFloat(product.total_discount || 0);
-              const productTotalValue = priceSold * quantity;
-              totalUpsellValue += productTotalValue;
-
-              upsellProducts.push({
-                orderId: order.id,
-                productId: product.id || product.product_id || order.id,
-                name: getProductName(product, 'Невідома допродажа'),
-                priceSold: priceSold,
-                purchasedPrice: purchasedPrice,
-                quantity: quantity,
-                productDiscount: productDiscount,
-                productMargin: productMargin,
-                productTotalValue: productTotalValue
-              });
-            } else {
-              // Вхідний товар (не допродаж) - для ставки 3% від маржі
-              incomingOrders.push({
-                orderId: order.id,
-                name: getProductName(product, 'Вхідне замовлення'),
-                salePrice: priceSold,
-                purchasedPrice: purchasedPrice,
-                quantity: quantity,
-                productMargin: productMargin,
-                managerId: managerId,
-                managerName: managerName,
-                managerKey: managerKey,
-                date: normalizeApiDate(order.created_at),
-                isSpecialTag: false,
-                grandTotal: parseFloat(order.grand_total || 0),
-                totalUpsellValue: totalUpsellValue
-              });
-            }
-          });
-          
-          // Знижка на замовлення НЕ застосовується до допродажів
-          // Маржа допродажів = ціна продажу - ціна закупівлі (без знижки на замовлення)
-          const grandTotal = parseFloat(order.grand_total || 0);
-          
-          upsellProducts.forEach(product => {
-            // Маржа = ціна продажу - ціна закупівлі (без знижки на замовлення)
-            const finalMargin = product.productMargin;
-            
-            allUpsales.push({
-              orderId: order.id,
-              upsellId: product.productId,
-              name: product.name,
-              salePrice: product.priceSold * product.quantity,
-              costPrice: product.purchasedPrice * product.quantity, // БЕЗ orderDiscountPart
-              managerId: managerId,
-              managerName: managerName,
-              managerKey: managerKey,
-              date: normalizeApiDate(order.created_at),
-              quantity: product.quantity,
-              isSpecialTag: false,
-              productDiscount: product.productDiscount,
-              orderDiscountPart: 0, // Знижка не застосовується
-              margin: finalMargin // БЕЗ віднімання orderDiscountPart
-            });
-          });
-        }
-      });
-      
-      if (data.meta) {
-        const currentPage = data.meta.current_page || page;
-        const lastPage = data.meta.last_page;
-        const total = data.meta.total || 0;
-
-        if (lastPage !== undefined && lastPage !== null && total > 0) {
-          hasMore = currentPage < lastPage;
-        } else {
-          hasMore = orders.length > 0;
-        }
-      } else {
-        hasMore = orders.length > 0;
-      }
-      
-      page++;
-      
-      if (page > 1000) {
-        Logger.log('Досягнуто максимум сторінок (1000)');
-        break;
-      }
+    if (responseCode === 401) {
+      throw new Error('Помилка авторизації. Перевірте API ключ.');
+    }
 
-      if (hasMore) {
-        Utilities.sleep(1100);
-      }
-      
-    } catch (error) {
-      Logger.log(`Помилка при отриманні сторінки ${page}: ${error.toString()}`);
-      hasMore = false;
+    if (responseCode !== 429 && responseCode < 500) {
+      throw new Error(`Помилка API: ${responseCode} (${response.getContentText().slice(0, 200)})`);
+    }
+
+    lastError = `HTTP ${responseCode}`;
+    Logger.log(`⚠️ Помилка API: ${responseCode} (спроба ${attempt + 1} з ${API_MAX_RETRIES + 1})`);
+    if (attempt < API_MAX_RETRIES) {
+      sleepBeforeRetry(attempt, getResponseHeader(response, 'Retry-After'));
     }
   }
-  
-  return {
-    upsales: allUpsales,
-    incomingOrders: incomingOrders
-  };
+
+  throw new Error(`KEYCRM API недоступний після ${API_MAX_RETRIES + 1} спроб (${lastError}). Розрахунок зупинено, щоб не записати неповні дані.`);
 }
 
-// ========== ОБРОБКА ДАНИХ ==========
 /**
- * Обробляє допродажі та розраховує маржу та бонуси
- * Якщо в одному замовленні кілька допродажів, їх суми та собівартості складаються
- * Бонус розраховується від загальної суми допродажів в замовленні
- * @param {Array} upsales - Масив допродажів
- * @returns {Array} Масив оброблених результатів
+ * Чекає, якщо за останню хвилину вже виконано API_REQUESTS_PER_MINUTE запитів
  */
-function processUpsales(upsales) {
-  const results = [];
-  const managerTotals = {};
-  const ordersMap = {};
+function waitForKeycrmRateLimit() {
+  const windowMs = 60 * 1000;
+  const now = Date.now();
+  while (keycrmRequestTimes.length > 0 && now - keycrmRequestTimes[0] >= windowMs) {
+    keycrmRequestTimes.shift();
+  }
 
-  upsales.forEach((upsell) => {
-    const orderId = upsell.orderId;
-    const quantity = upsell.quantity || 1;
-    const productSalePrice = upsell.salePrice || 0;
-    const productCostPrice = upsell.costPrice || 0;
-    
-    if (!ordersMap[orderId]) {
-      ordersMap[orderId] = {
-        orderId: orderId,
-        products: [],
-        totalSalePrice: 0,
-        totalCostPrice: 0,
-        totalMargin: 0,
-        managerId: upsell.managerId,
-        managerName: upsell.managerName,
-        managerKey: upsell.managerKey,
-        date: upsell.date
-      };
-    }
-    
-    // Використовуємо готову маржу, якщо вона є (з урахуванням знижок), інакше рахуємо
-    const productMargin = upsell.margin !== undefined 
-      ? upsell.margin 
-      : (productSalePrice - productCostPrice);
-    
-    ordersMap[orderId].products.push({
-      name: upsell.name,
-      salePrice: productSalePrice,
-      costPrice: productCostPrice,
-      quantity: quantity,
-      margin: productMargin,
-      isSpecialTag: upsell.isSpecialTag || false,
-      specialTagName: upsell.specialTagName || null
-    });
-    
-    ordersMap[orderId].totalSalePrice += productSalePrice;
-    ordersMap[orderId].totalCostPrice += productCostPrice;
-    ordersMap[orderId].totalMargin += productMargin;
-  });
+  if (keycrmRequestTimes.length >= API_REQUESTS_PER_MINUTE) {
+    const waitMs = windowMs - (now - keycrmRequestTimes[0]) + 100;
+    Logger.log(`⏳ Ліміт ${API_REQUESTS_PER_MINUTE} запитів/хв, чекаємо ${Math.ceil(waitMs / 1000)} с`);
+    Utilities.sleep(waitMs);
+    keycrmRequestTimes.shift();
+  }
+
+  keycrmRequestTimes.push(Date.now());
+}
+
+/**
+ * Затримка перед повтором: Retry-After, якщо сервер його вказав, інакше експоненційна
+ * @param {number} attempt - Номер спроби (з 0)
+ * @param {string|null} retryAfter - Значення заголовка Retry-After (секунди або HTTP-дата)
+ */
+function sleepBeforeRetry(attempt, retryAfter) {
+  let delayMs = null;
 
-  Object.values(ordersMap).forEach((orderData) => {
-    // Використовуємо загальну маржу, яка вже враховує знижки
-    const margin = orderData.totalMargin;
-    // Розраховуємо бонуси для всіх 3 рівнів
-    const bonuses = calculateBonusForAllLevels(margin);
-
-    // Перевіряємо, чи це замовлення з одним із спецтегів
-    const specialProduct = orderData.products.find(p => p.isSpecialTag === true);
-    const specialTagName = specialProduct ? specialProduct.specialTagName : null;
-    const isSpecialTag = Boolean(specialTagName);
-
-    const productNames = orderData.products.map(p => p.name).join(', ');
-    const productsCount = orderData.products.length;
-    let upsellName;
-    let typeLabel;
-
-    if (isSpecialTag) {
-      upsellName = specialTagName || 'Замовлення за тегом';
-      typeLabel = 'За тегом';
-    } else if (productsCount > 1) {
-      upsellName = `${productsCount} допродажів: ${productNames}`;
-      typeLabel = 'Допродаж';
+  if (retryAfter) {
+    const seconds = parseInt(retryAfter, 10);
+    if (!isNaN(seconds)) {
+      delayMs = seconds * 1000;
     } else {
-      upsellName = productNames;
-      typeLabel = 'Допродаж';
+      const retryDate = new Date(retryAfter).getTime();
+      if (!isNaN(retryDate)) {
+        delayMs = Math.max(0, retryDate - Date.now());
+      }
     }
+  }
 
-    // Визначаємо місяць і рік з дати замовлення
-    const { month, year } = getMonthYearFromDateString(orderData.date);
-    const managerKey = orderData.managerId || orderData.managerKey || orderData.managerName || 'Без менеджера';
+  if (delayMs === null) {
+    // 1 с, 2 с, 4 с, ... + випадковий зсув, щоб не повторювати одночасно
+    delayMs = API_RETRY_BASE_DELAY_MS * Math.pow(2, attempt) + Math.floor(Math.random() * 250);
+  }
 
-    results.push({
-      date: formatDate(orderData.date),
-      managerName: orderData.managerName,
-      managerId: orderData.managerId,
-      managerKey: managerKey,
-      upsellName: upsellName,
-      salePrice: orderData.totalSalePrice,
-      costPrice: orderData.totalCostPrice,
-      margin: margin,
-      bonusLevel1: bonuses.bonusLevel1,
-      bonusLevel2: bonuses.bonusLevel2,
-      bonusLevel3: bonuses.bonusLevel3,
-      orderId: orderData.orderId,
-      upsellId: orderData.orderId,
-      quantity: productsCount,
-      typeLabel: typeLabel,
-      month: month,
-      year: year
-    });
+  Utilities.sleep(Math.min(delayMs, API_RETRY_MAX_DELAY_MS));
+}
 
-    // Групуємо по менеджерах і місяцях
-    const monthYearKey = `${month}.${year}`;
-    const totalsKey = `${managerKey}_${monthYearKey}`;
+/**
+ * Повертає заголовок відповіді без урахування регістру назви
+ * @param {HTTPResponse} response - Відповідь UrlFetchApp
+ * @param {string} name - Назва заголовка
+ * @returns {string|null} Значення заголовка або null
+ */
+function getResponseHeader(response, name) {
+  const headers = response.getHeaders ? response.getHeaders() : {};
+  const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name.toLowerCase());
+  return key ? String(headers[key]) : null;
+}
 
-    if (!managerTotals[totalsKey]) {
-      managerTotals[totalsKey] = {
-        managerName: orderData.managerName,
-        managerId: orderData.managerId,
-        managerKey: managerKey,
-        month: month,
-        year: year,
-        totalMargin: 0,
-        totalBonusLevel1: 0,
-        totalBonusLevel2: 0,
-        totalBonusLevel3: 0,
-        count: 0
-      };
+/**
+ * Зв'язані дані замовлення для параметра include
+ * Платежі, доставка та витрати запитуються лише тоді, коли їх потребують складові COST_COMPONENTS,
+ * дата нарахування (paid — дата повної оплати) або політика оплати (PAYMENT_POLICY)
+ * @returns {Array<string>} Перелік для include
+ */
+function getOrderIncludes() {
+  const includes = ['products.offer', 'manager', 'tags', 'status', 'custom_fields'];
+  const settings = getSettings();
+  if (settings.attributionDate === 'paid' || settings.paymentPolicy !== 'ignore') {
+    includes.push('payments');
+  }
+  COST_COMPONENTS.forEach(component => {
+    const include = component.from === 'payments' ? 'payments'
+      : component.from === 'expenses' ? 'expenses'
+      : component.by === 'delivery' ? 'shipping'
+      : null;
+    if (include && includes.indexOf(include) === -1) {
+      includes.push(include);
     }
-
-    managerTotals[totalsKey].totalMargin += margin;
-    managerTotals[totalsKey].totalBonusLevel1 += bonuses.bonusLevel1;
-    managerTotals[totalsKey].totalBonusLevel2 += bonuses.bonusLevel2;
-    managerTotals[totalsKey].totalBonusLevel3 += bonuses.bonusLevel3;
-    managerTotals[totalsKey].count += productsCount;
   });
+  return includes;
+}
 
-  Object.values(managerTotals).forEach(total => {
-    results.push({
-      date: 'ПІДСУМОК',
-      managerName: total.managerName,
-      managerId: total.managerId,
-      upsellName: `Всього: ${total.count} допродажів`,
-      salePrice: '',
-      costPrice: '',
-      margin: total.totalMargin,
-      bonusLevel1: total.totalBonusLevel1,
-      bonusLevel2: total.totalBonusLevel2,
-      bonusLevel3: total.totalBonusLevel3,
-      orderId: '',
-      upsellId: '',
-      typeLabel: 'Підсумок',
-      month: total.month,
-      year: total.year
-    });
+/**
+ * Завантажує одну сторінку замовлень з KEYCRM
+ * @param {Object} dateRange - Об'єкт з полями start та end (опціонально)
+ * @param {string} filterField - Поле фільтра KEYCRM ('created_between' або 'updated_between')
+ * @param {number} page - Номер сторінки (з 1)
+ * @param {Array<string>} extraParams - Додаткові параметри запиту, наприклад фільтр статусів (опціонально)
+ * @returns {Object} Об'єкт { orders: Array, hasMore: boolean }
+ */
+function fetchOrdersPage(dateRange, filterField, page, extraParams = []) {
+  const url = `${API_BASE_URL}/order`;
+  
+  const params = [
+    `page=${page}`,
+    `limit=${API_LIMIT}`,
+    `include=${getOrderIncludes().join(',')}`
+  ];
+  
+  if (dateRange && dateRange.start && dateRange.end) {
+    const dateFilter = `${dateRange.start}, ${dateRange.end}`;
+    params.push(`filter[${filterField}]=${encodeURIComponent(dateFilter)}`);
+  }
+  params.push(...extraParams);
+  
+  const requestUrl = `${url}?${params.join('&')}`;
+  const data = keycrmRequest(requestUrl);
+  
+  let orders = [];
+  if (data.data && Array.isArray(data.data)) {
+    orders = data.data;
+  } else if (Array.isArray(data)) {
+    orders = data;
+  } else {
+    throw new Error(`Невідома структура відповіді API (сторінка ${page})`);
+  }
+  
+  let hasMore;
+  if (data.meta) {
+    const currentPage = data.meta.current_page || page;
+    const lastPage = data.meta.last_page;
+    const total = data.meta.total || 0;
+
+    if (lastPage !== undefined && lastPage !== null && total > 0) {
+      hasMore = currentPage < lastPage;
+    } else {
+      hasMore = orders.length > 0;
+    }
+  } else {
+    hasMore = orders.length > 0;
+  }
+  
+  return { orders: orders, hasMore: hasMore };
+}
+
+// ========== ОБРОБКА ДАНИХ ==========
+// Сам розрахунок — у payroll_engine.js; тут лише передаємо йому чинні правила
+
+/**
+ * Розбиває замовлення KEYCRM на допродажі/замовлення з тегами та вхідні замовлення
+ * @param {Array} orders - Масив замовлень у форматі API
+ * @param {Function} isInPeriod - Чи потрапляє дата позиції в період перерахунку (опціонально):
+ *   частини оплати замовлення з датами інших місяців відкидаються, щоб не перезаписати ними листи цих місяців
+ * @returns {Object} Об'єкт { upsales: Array, incomingOrders: Array, cancelledOrders: Array, excludedOrders: Array }
+ */
+function classifyOrders(orders, isInPeriod) {
+  const classified = classifyKeycrmOrders(orders, getPayrollRules());
+  if (isInPeriod) {
+    classified.upsales = classified.upsales.filter(item => isInPeriod(item.date));
+    classified.incomingOrders = classified.incomingOrders.filter(item => isInPeriod(item.date));
+  }
+  const missingRates = classified.excludedOrders.filter(order => order.missingRate).length;
+  if (missingRates > 0) {
+    Logger.log(`⚠️ Не враховано ${missingRates} замовлень: немає курсу валюти на дату замовлення (лист "${RATES_SHEET_NAME}")`);
+  }
+  const heldOrders = new Set([...classified.upsales, ...classified.incomingOrders].filter(item => item.held).map(item => item.orderId));
+  if (heldOrders.size > 0) {
+    Logger.log(`⏳ Очікують виконання ${heldOrders.size} замовлень — ЗП за ними в секції "${PENDING_SECTION_TITLE}"`);
+  }
+  const partlyPaidOrders = new Set([...classified.upsales, ...classified.incomingOrders].filter(item => item.paymentLabel).map(item => item.orderId));
+  if (partlyPaidOrders.size > 0) {
+    Logger.log(`💳 Замовлень з частковою оплатою: ${partlyPaidOrders.size} — частку оплати видно в стовпці "Оплата"`);
+  }
+  return classified;
+}
+
+/**
+ * Будує рядки "Розрахунок МП" за чинними правилами
+ * і повідомляє в журналі про менеджерів без призначеного рівня
+ * @param {Array} allOrders - Допродажі та замовлення з тегами
+ * @param {Array} incomingOrders - Вхідні замовлення
+ * @returns {Object} { lines: рядки розрахунку, heldLines: рядки замовлень, що очікують виконання }
+ */
+function calculatePayrollLines(allOrders, incomingOrders) {
+  const { lines, heldLines, unassignedManagers } = buildPayrollLines(allOrders, incomingOrders, getPayrollRules());
+  unassignedManagers.forEach(manager => {
+    Logger.log(`⚠️ Менеджеру "${manager.managerName}" (ID ${manager.managerId || '—'}) не призначено рівень, використовуємо ${DEFAULT_MANAGER_LEVEL ? 'Р' + DEFAULT_MANAGER_LEVEL : 'нульову ЗП'}`);
   });
-  
-  return results;
+  return { lines: lines, heldLines: heldLines };
 }
 
 // ========== РОБОТА З GOOGLE ТАБЛИЦЕЮ ==========
@@ -607,241 +1586,921 @@ function writeResultsToSheet(sheet, results) {
   }
 }
 
-// ========== ОБРОБКА ЗАМОВЛЕНЬ ДЛЯ ПРЕМІЙ ==========
+// ========== ОБРОБКА ЗАМОВЛЕНЬ ДЛЯ ПРЕМІЙ ==========
+// Заголовок секції замовлень, що очікують виконання (політика статусів 'hold')
+const PENDING_SECTION_TITLE = 'ОЧІКУЮТЬ';
+
+/**
+ * Обробляє ВСІ замовлення (допродажі + з тегами + вхідні) та записує їх в таблиці "Розрахунок МП MM.YY"
+ * @param {Array} allOrders - Масив всіх замовлень (допродажі та з тегами)
+ * @param {Array} incomingOrders - Масив вхідних замовлень (для ставки 1.5%)
+ * @param {Array<string>} monthKeys - Місяці "M.YYYY", які треба перезаписати навіть без результатів (опціонально)
+ * @param {Array} excludedOrders - Не враховані (скасовані) замовлення для листа "Аудит" (опціонально)
+ */
+function processAndWriteAllOrdersToPremiya(allOrders, incomingOrders, monthKeys = [], excludedOrders = []) {
+  try {
+    const ledger = CLAWBACK_ENABLED ? readPayoutLedger() : [];
+    const { allResults, resultsByMonth } = computePremiyaMonths(allOrders, incomingOrders, monthKeys, ledger);
+    
+    // Закриті місяці не перезаписуємо — розбіжності зі знімком ідуть у список коригувань
+    const closedMonths = getClosedMonths();
+    Object.keys(resultsByMonth).forEach(key => {
+      if (!closedMonths[key]) return;
+      recordAdjustmentsForClosedMonth(key, resultsByMonth[key].results, ledger);
+      delete resultsByMonth[key];
+    });
+    const writtenResults = allResults.filter(result => !closedMonths[`${result.month}.${result.year}`]);
+    
+    // Трасування розрахунку кожного замовлення для листів "Аудит"
+    const auditByMonth = AUDIT_ENABLED
+      ? groupByMonthKey(buildAuditRows(allResults, excludedOrders, getPayrollRules()))
+      : {};
+    
+  // Записуємо в таблиці для кожного місяця
+    Object.values(resultsByMonth).forEach(monthData => {
+      const { month, year, results, held } = monthData;
+    const sheetName = `Розрахунок МП ${month}.${year}`;
+      
+    Logger.log(`📝 Обробка місяця ${month}.${year}: ${results.length} замовлень (допродажі + з тегами)`);
+      
+      const sheet = getOrCreatePremiyaSheet(sheetName);
+      writeTaggedOrdersToSheet(sheet, results, month, year, held);
+      
+      Logger.log(`✅ Записано ${results.length} рядків в "${sheetName}"`);
+      
+      if (AUDIT_ENABLED) {
+        writeAuditSheet(`${AUDIT_SHEET_PREFIX} ${month}.${year}`, auditByMonth[`${month}.${year}`] || []);
+      }
+    });
+    
+    // Запам'ятовуємо, які замовлення нараховано в якому місяці
+    if (CLAWBACK_ENABLED) {
+      recordPaidOrders(ledger, writtenResults);
+    }
+    
+    // Повертаємо результати незакритих місяців для запису на листи "Виконання"
+    return writtenResults;
+    
+  } catch (error) {
+    Logger.log('❌ Помилка обробки замовлень для премій: ' + error.toString());
+    throw error;
+  }
+}
+
+/**
+ * Рахує рядки "Розрахунок МП" і розкладає їх по місяцях (без запису в таблицю)
+ * @param {Array} allOrders - Допродажі та замовлення з тегами
+ * @param {Array} incomingOrders - Вхідні замовлення
+ * @param {Array<string>} monthKeys - Місяці "M.YYYY", які треба включити навіть без результатів
+ * @param {Array} ledger - Реєстр виплат (джерело рядків повернень)
+ * Рядки замовлень, що очікують виконання, не входять в allResults — вони лише в held свого місяця
+ * @returns {Object} { allResults: Array, resultsByMonth: { "M.YYYY": { month, year, results, held } } }
+ */
+function computePremiyaMonths(allOrders, incomingOrders, monthKeys, ledger) {
+  // Рахуємо всі рядки (допродажі, замовлення з тегами, вхідні)
+  const { lines: allResults, heldLines } = calculatePayrollLines(allOrders, incomingOrders);
+  
+  // Групуємо по місяцях для запису
+  const resultsByMonth = {};
+  const monthEntry = (month, year) => {
+    const monthYearKey = `${month}.${year}`;
+    if (!resultsByMonth[monthYearKey]) {
+      resultsByMonth[monthYearKey] = {
+        month: month,
+        year: year,
+        results: [],
+        held: []
+      };
+    }
+    return resultsByMonth[monthYearKey];
+  };
+  allResults.forEach(result => {
+    if (!result.month || !result.year) return;
+    monthEntry(result.month, result.year).results.push(result);
+  });
+  heldLines.forEach(result => {
+    if (!result.month || !result.year) return;
+    monthEntry(result.month, result.year).held.push(result);
+  });
+  
+  // Місяці без жодного результату (наприклад, усі замовлення скасовано) — очищаємо лист
+  (monthKeys || []).forEach(key => {
+    if (resultsByMonth[key]) return;
+    const [month, year] = key.split('.').map(part => parseInt(part, 10));
+    monthEntry(month, year);
+  });
+  
+  // Додаємо рядки повернень бонусів, віднесені до місяців, що перезаписуються
+  if (CLAWBACK_ENABLED) {
+    Object.keys(resultsByMonth).forEach(key => {
+      const clawbackResults = processClawbacksForMonth(ledger.filter(entry => entry.clawbackMonth === key));
+      resultsByMonth[key].results.push(...clawbackResults);
+      allResults.push(...clawbackResults);
+    });
+  }
+  
+  return { allResults: allResults, resultsByMonth: resultsByMonth };
+}
+
+/**
+ * Отримує або створює лист для розрахунку МП
+ * @param {string} sheetName - Назва листа
+ * @returns {Sheet} Об'єкт листа
+ */
+function getOrCreatePremiyaSheet(sheetName) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(sheetName);
+  
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(sheetName);
+    setupPremiyaSheetHeaders(sheet);
+    Logger.log(`✅ Створено новий лист "${sheetName}"`);
+  } else if (!hasPremiyaSheetHeaders(sheet)) {
+    setupPremiyaSheetHeaders(sheet);
+  }
+  
+  return sheet;
+}
+
+/**
+ * Повертає опис стовпців таблиці "Розрахунок МП"
+ * У звичайному режимі — одна ЗП за призначеним рівнем,
+ * у режимі "що-якщо" (SHOW_ALL_LEVELS) — ЗП для всіх трьох рівнів
+ * @returns {Array} Масив { key, header, width, currency, total }
+ */
+function getPremiyaSheetColumns() {
+  const columns = [
+    { key: 'date', header: 'Дата', width: 120 },
+    { key: 'managerName', header: 'Менеджер', width: 150 },
+    { key: 'managerId', header: 'ID Менеджера', width: 100 },
+    { key: 'typeLabel', header: 'Тип', width: 140 },
+    { key: 'orderName', header: 'Назва замовлення', width: 220 },
+    { key: 'salePrice', header: 'Ціна продажу (грн)', width: 130, currency: true },
+    { key: 'costPrice', header: 'Собівартість (грн)', width: 130, currency: true },
+    { key: 'margin', header: 'Маржа (грн)', width: 120, currency: true, total: true },
+    { key: 'discountLabel', header: 'Знижка замовлення', width: 180 }
+  ];
+
+  // Складові витрат стоять перед маржею, з якої вони вже відняті
+  const costColumns = COST_COMPONENTS.map(component => ({
+    key: `cost_${component.key}`,
+    header: component.header,
+    width: 120,
+    currency: true,
+    total: true
+  }));
+  columns.splice(columns.findIndex(column => column.key === 'margin'), 0, ...costColumns);
+
+  // З політикою оплати показуємо частку оплати рядка ("Оплачено 40%", "Доплата 60%", "Не оплачено 60%")
+  if (getSettings().paymentPolicy !== 'ignore') {
+    columns.push({ key: 'paymentLabel', header: 'Оплата', width: 160 });
+  }
+  // З правилами розподілу — частку замовлення, що належить менеджеру рядка ("Частка 30%")
+  if (CREDIT_RULES.length > 0) {
+    columns.push({ key: 'creditLabel', header: 'Частка', width: 100 });
+  }
+
+  // З листом "Курси" поруч із сумами в грн показуємо оригінальну валюту, суми в ній і курс
+  if (isMultiCurrencyEnabled()) {
+    columns.splice(columns.findIndex(column => column.key === 'salePrice'), 0,
+      { key: 'currencyLabel', header: 'Валюта', width: 80 },
+      { key: 'originalSalePrice', header: 'Ціна продажу (валюта)', width: 130 },
+      { key: 'originalCostPrice', header: 'Собівартість (валюта)', width: 130 },
+      { key: 'exchangeRate', header: 'Курс', width: 90 }
+    );
+  }
+
+  if (SHOW_ALL_LEVELS) {
+    for (let level = 1; level <= 3; level++) {
+      const config = getSettings().managerLevels[level];
+      columns.push({
+        key: `zpLevel${level}`,
+        header: `ЗП Р${level} (${describeLevelPercent(config, 'rate')}/${describeLevelPercent(config, 'bonus')})`,
+        width: 120,
+        currency: true,
+        total: true
+      });
+    }
+  } else {
+    columns.push({ key: 'levelLabel', header: 'Рівень', width: 90 });
+    columns.push({ key: 'payout', header: 'ЗП (грн)', width: 120, currency: true, total: true });
+  }
+
+  columns.push({ key: 'orderId', header: 'ID Замовлення', width: 120 });
+  return columns;
+}
+
+/**
+ * Повертає значення клітинки таблиці "Розрахунок МП" для рядка результату
+ * Для допродажів/тегів ЗП рівня — це bonusLevel, для вхідних — rateLevel
+ * @param {Object} result - Рядок результату
+ * @param {string} key - Ключ стовпця з getPremiyaSheetColumns
+ * @returns {*} Значення клітинки
+ */
+function getPremiyaCellValue(result, key) {
+  const levelMatch = key.match(/^zpLevel(\d)$/);
+  if (levelMatch) {
+    const level = levelMatch[1];
+    return result[`bonusLevel${level}`] !== undefined
+      ? result[`bonusLevel${level}`]
+      : (result[`rateLevel${level}`] || 0);
+  }
+
+  const costMatch = key.match(/^cost_(.+)$/);
+  if (costMatch) {
+    return result.costs ? (result.costs[costMatch[1]] || 0) : '';
+  }
+
+  switch (key) {
+    case 'managerId':
+    case 'orderId':
+    case 'salePrice':
+    case 'costPrice':
+      return result[key] || '';
+    case 'typeLabel':
+      return result.typeLabel || 'Допродаж';
+    case 'orderName':
+      return result.orderName || result.upsellName || 'Замовлення';
+    case 'payout':
+      return result.payout || 0;
+    default:
+      return result[key] !== undefined ? result[key] : '';
+  }
+}
+
+/**
+ * Перевіряє, чи заголовки листа "Розрахунок МП" відповідають поточному набору стовпців
+ * @param {Sheet} sheet - Лист таблиці
+ * @returns {boolean} true, якщо заголовки актуальні
+ */
+function hasPremiyaSheetHeaders(sheet) {
+  const headers = getPremiyaSheetColumns().map(column => column.header);
+  const firstRow = sheet.getRange(1, 1, 1, headers.length).getValues()[0];
+  return headers.every((header, index) => firstRow[index] === header);
+}
+
+/**
+ * Налаштовує заголовки таблиці для премій
+ * @param {Sheet} sheet - Лист таблиці
+ */
+function setupPremiyaSheetHeaders(sheet) {
+  const columns = getPremiyaSheetColumns();
+  // Прибираємо заголовки попереднього набору стовпців (наприклад, після зміни режиму)
+  const lastCol = sheet.getLastColumn();
+  if (lastCol > columns.length) {
+    sheet.getRange(1, columns.length + 1, 1, lastCol - columns.length).clear();
+  }
+  const headers = columns.map(column => column.header);
+  const widths = columns.map(column => column.width);
+  setupSheetHeadersGeneric(sheet, headers, widths);
+}
+
+/**
+ * Записує замовлення з тегами в таблицю
+ * Порожній масив результатів лише очищає попередні дані листа.
+ * Замовлення, що очікують виконання, записуються нижче загального підсумку в секцію "ОЧІКУЮТЬ"
+ * з ЗП, яку буде нараховано після виконання (у підсумки не входять)
+ * @param {Sheet} sheet - Лист таблиці
+ * @param {Array} results - Масив результатів
+ * @param {number} month - Місяць
+ * @param {number} year - Рік
+ * @param {Array} heldResults - Рядки замовлень в очікуванні (опціонально)
+ */
+function writeTaggedOrdersToSheet(sheet, results, month, year, heldResults = []) {
+  if (!hasPremiyaSheetHeaders(sheet)) {
+    setupPremiyaSheetHeaders(sheet);
+  }
+
+  const columns = getPremiyaSheetColumns();
+  const colCount = columns.length;
+  const data = results.map(result => columns.map(column => getPremiyaCellValue(result, column.key)));
+
+  // Очищаємо старі дані (враховуємо ширину попереднього набору стовпців)
+  const lastRow = sheet.getLastRow();
+  if (lastRow > 1) {
+    const rowsToClear = Math.min(lastRow - 1, 1000);
+    if (rowsToClear > 0) {
+      const clearRange = sheet.getRange(2, 1, rowsToClear, Math.max(colCount, sheet.getLastColumn()));
+      clearRange.clearContent();
+      clearRange.clearFormat();
+    }
+  }
+
+  // Записуємо нові дані
+  if (data.length > 0) {
+    const range = sheet.getRange(2, 1, data.length, colCount);
+    range.setValues(data);
+
+    const lastDataRow = data.length + 1;
+
+    // Форматуємо грошові стовпці (Ціна, Собівартість, Маржа, ЗП)
+    const currencyColumns = [];
+    columns.forEach((column, index) => {
+      if (column.currency) currencyColumns.push(index + 1);
+    });
+    formatCurrencyColumns(sheet, 2, currencyColumns, data.length);
+
+    // Форматуємо підсумкові рядки
+    results.forEach((result, index) => {
+      if (result.date === 'ПІДСУМОК') {
+        const row = index + 2;
+        sheet.getRange(row, 1, 1, colCount).setBackground('#e8f0fe');
+        sheet.getRange(row, 1, 1, colCount).setFontWeight('bold');
+      }
+    });
+
+    // Додаємо загальний підсумок (сума підсумкових рядків по менеджерах)
+    const totalRow = lastDataRow + 1;
+    const totals = sumPayrollSubtotals(results);
+    sheet.getRange(totalRow, 1).setValue('ЗАГАЛЬНИЙ ПІДСУМОК');
+    columns.forEach((column, index) => {
+      if (!column.total) return;
+      sheet.getRange(totalRow, index + 1).setValue(totals[column.key]);
+      sheet.getRange(totalRow, index + 1).setNumberFormat('#,##0.00" грн"');
+    });
+    sheet.getRange(totalRow, 1, 1, colCount).setBackground('#1a73e8');
+    sheet.getRange(totalRow, 1, 1, colCount).setFontColor('#ffffff');
+    sheet.getRange(totalRow, 1, 1, colCount).setFontWeight('bold');
+  }
+
+  if (heldResults.length > 0) {
+    writePendingSection(sheet, data.length > 0 ? data.length + 4 : 2, heldResults, columns);
+  }
+}
+
+/**
+ * Записує секцію "ОЧІКУЮТЬ": заголовок і рядки замовлень, ЗП за якими нарахується в місяці виконання
+ * (з політикою оплати — і неоплачених частин замовлень)
+ * @param {Sheet} sheet - Лист "Розрахунок МП"
+ * @param {number} startRow - Рядок заголовка секції
+ * @param {Array} heldResults - Рядки замовлень в очікуванні
+ * @param {Array} columns - Стовпці з getPremiyaSheetColumns
+ */
+function writePendingSection(sheet, startRow, heldResults, columns) {
+  const colCount = columns.length;
+  const title = [PENDING_SECTION_TITLE, getSettings().paymentPolicy !== 'ignore'
+    ? 'ЗП нарахується в місяці виконання та оплати замовлення'
+    : 'ЗП нарахується в місяці виконання замовлення'];
+  sheet.getRange(startRow, 1, 1, colCount).setValues([title.concat(new Array(colCount - title.length).fill(''))]);
+  sheet.getRange(startRow, 1, 1, colCount).setBackground('#fce8b2');
+  sheet.getRange(startRow, 1, 1, colCount).setFontWeight('bold');
+
+  const data = heldResults.map(result => columns.map(column => getPremiyaCellValue(result, column.key)));
+  sheet.getRange(startRow + 1, 1, data.length, colCount).setValues(data);
+  sheet.getRange(startRow + 1, 1, data.length, colCount).setFontColor('#80868b');
+
+  const currencyColumns = [];
+  columns.forEach((column, index) => {
+    if (column.currency) currencyColumns.push(index + 1);
+  });
+  formatCurrencyColumns(sheet, startRow + 1, currencyColumns, data.length);
+}
+
+// ========== АУДИТ РОЗРАХУНКУ ==========
+const AUDIT_COLUMNS = [
+  { key: 'orderId', header: 'ID Замовлення', width: 110 },
+  { key: 'date', header: 'Дата', width: 120 },
+  { key: 'managerName', header: 'Менеджер', width: 150 },
+  { key: 'typeLabel', header: 'Тип', width: 140 },
+  { key: 'step', header: 'Крок', width: 100 },
+  { key: 'name', header: 'Позиція', width: 200 },
+  { key: 'quantity', header: 'К-сть', width: 60 },
+  { key: 'salePrice', header: 'Ціна продажу (грн)', width: 120, currency: true },
+  { key: 'costPrice', header: 'Собівартість (грн)', width: 120, currency: true },
+  { key: 'currencyLabel', header: 'Валюта', width: 80, multiCurrency: true },
+  { key: 'originalSalePrice', header: 'Ціна продажу (валюта)', width: 120, multiCurrency: true },
+  { key: 'exchangeRate', header: 'Курс', width: 90, multiCurrency: true },
+  { key: 'discountShare', header: 'Частка знижки (грн)', width: 120, currency: true },
+  { key: 'margin', header: 'Маржа (грн)', width: 110, currency: true },
+  { key: 'priceSource', header: 'Поле ціни', width: 110 },
+  { key: 'costSource', header: 'Поле собівартості', width: 130 },
+  { key: 'reason', header: 'Класифікація', width: 240 },
+  { key: 'status', header: 'Статус', width: 120 },
+  { key: 'rule', header: 'Поріг / шкала рівнів', width: 420 },
+  { key: 'levelLabel', header: 'Рівень', width: 80 },
+  { key: 'payout', header: 'ЗП (грн)', width: 100, currency: true }
+];
+
+/**
+ * Повертає стовпці листа "Аудит"; валютні (multiCurrency) — лише з листом "Курси"
+ * @returns {Array} Масив { key, header, width, currency }
+ */
+function getAuditColumns() {
+  const multiCurrency = isMultiCurrencyEnabled();
+  return AUDIT_COLUMNS.filter(column => !column.multiCurrency || multiCurrency);
+}
+
+/**
+ * Перезаписує лист "Аудит M.YYYY": по рядку на кожну позицію та крок розрахунку.
+ * На заголовках — фільтр, щоб відібрати одне замовлення за ID
+ * @param {string} sheetName - Назва листа
+ * @param {Array} rows - Рядки з buildAuditRows за місяць
+ */
+function writeAuditSheet(sheetName, rows) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const columns = getAuditColumns();
+  const sheet = spreadsheet.getSheetByName(sheetName) || spreadsheet.insertSheet(sheetName);
+  const existingFilter = sheet.getFilter();
+  if (existingFilter) {
+    existingFilter.remove();
+  }
+  sheet.clear();
+
+  setupSheetHeadersGeneric(
+    sheet,
+    columns.map(column => column.header),
+    columns.map(column => column.width)
+  );
+
+  if (rows.length > 0) {
+    const data = rows.map(row => columns.map(column => {
+      const value = row[column.key];
+      return value === undefined || value === null ? '' : value;
+    }));
+    sheet.getRange(2, 1, data.length, columns.length).setValues(data);
+
+    const currencyColumns = [];
+    columns.forEach((column, index) => {
+      if (column.currency) currencyColumns.push(index + 1);
+    });
+    formatCurrencyColumns(sheet, 2, currencyColumns, data.length);
+  }
+
+  sheet.getRange(1, 1, rows.length + 1, columns.length).createFilter();
+  Logger.log(`🔎 Аудит: ${rows.length} рядків у "${sheetName}"`);
+}
+
+// ========== ПЕРЕГЛЯД ЗМІН (ПРОБНИЙ ЗАПУСК) ==========
+const PREVIEW_ORDER_HEADERS = [
+  'Місяць', 'Зміна', 'ID Замовлення', 'Менеджер', 'Тип', 'Назва замовлення',
+  'Маржа було', 'Маржа стало', 'ЗП було', 'ЗП стало', 'Різниця ЗП', 'Примітка'
+];
+const PREVIEW_MANAGER_HEADERS = [
+  'Місяць', 'Менеджер', 'Рівень', 'Ставка було', 'Ставка стало', 'Різниця ставки',
+  'Бонуси було', 'Бонуси стало', 'Різниця бонусів', 'Різниця разом'
+];
+
+/**
+ * Рахує все, як runPayrollPipeline, але нічого не перезаписує:
+ * порівнює результат з поточними листами "Розрахунок МП" і "Виконання"
+ * та записує звіт на лист PREVIEW_SHEET_NAME
+ * @param {Array} orders - Масив замовлень у форматі API
+ * @param {Object} dateRange - Період завантаження (для пошуку пізніх скасувань)
+ * @returns {Object} { orderChanges, managerChanges } — кількість відмінностей
+ */
+function runPayrollPreview(orders, dateRange) {
+  const { upsales, incomingOrders, cancelledOrders } = classifyOrders(orders || [], getPeriodFilter(dateRange));
+
+  // Повернення позначаємо лише в копії реєстру в пам'яті
+  const ledger = CLAWBACK_ENABLED ? readPayoutLedger() : [];
+  if (CLAWBACK_ENABLED) {
+    const lateCancelled = classifyOrders(fetchRecentlyCancelledOrders(dateRange)).cancelledOrders;
+    markClawbacks(ledger, [...cancelledOrders, ...lateCancelled]);
+  }
+
+  const { resultsByMonth } = computePremiyaMonths(upsales, incomingOrders, [], ledger);
+  const closedMonths = getClosedMonths();
+  const orderChanges = [];
+  const managerChanges = [];
+
+  Object.keys(resultsByMonth).forEach(key => {
+    const { month, year, results } = resultsByMonth[key];
+    const closed = closedMonths[key];
+
+    // Закритий місяць не перезаписується — порівнюємо зі знімком, як для листа коригувань
+    const currentValues = readSheetValues(closed ? closed.sheetName : `Розрахунок МП ${month}.${year}`);
+    diffPremiyaRows(premiyaRowsFromSheetValues(currentValues), premiyaRowsFromSheetValues(getPremiyaSheetValues(results)))
+      .forEach(change => {
+        orderChanges.push(Object.assign({ monthKey: key, note: closed ? 'Місяць закрито — зміна піде в "Коригування"' : '' }, change));
+      });
+
+    if (closed) return;
+    const summaries = summarizePayrollByManager(results, getPayrollRules())[key] || [];
+    diffManagerSummaryRows(readManagerSummaryFromPerformanceSheet(month, year), getManagerSummaryLevelRows(summaries))
+      .forEach(change => {
+        managerChanges.push(Object.assign({ monthKey: key }, change));
+      });
+  });
+
+  writePreviewReport(orderChanges, managerChanges);
+  Logger.log(`🔍 Пробний запуск: змін у замовленнях — ${orderChanges.length}, у підсумках менеджерів — ${managerChanges.length}. Таблиці не змінено.`);
+  return { orderChanges: orderChanges.length, managerChanges: managerChanges.length };
+}
+
+/**
+ * Розкладає підсумки по менеджерах на рядки "менеджер + рівень" у форматі листа "Виконання":
+ * у режимі SHOW_ALL_LEVELS — по рядку на кожен рівень, інакше — один рядок за призначеним рівнем
+ * @param {Array} summaries - Підсумки з summarizePayrollByManager за місяць
+ * @returns {Array} Масив { managerName, slot, levelLabel, rate, bonus }
+ */
+function getManagerSummaryLevelRows(summaries) {
+  const rows = [];
+  summaries.forEach(item => {
+    const managerName = item.managerName || 'Невідомий менеджер';
+    if (SHOW_ALL_LEVELS) {
+      for (let level = 1; level <= 3; level++) {
+        rows.push({
+          managerName: managerName,
+          slot: `Р${level}`,
+          levelLabel: `Р${level}`,
+          rate: round2(item[`rateLevel${level}`] || 0),
+          bonus: round2(item[`bonusLevel${level}`] || 0)
+        });
+      }
+    } else {
+      rows.push({
+        managerName: managerName,
+        slot: '',
+        levelLabel: formatLevelLabel(item.levels),
+        rate: round2(item.rate || 0),
+        bonus: round2(item.bonus || 0)
+      });
+    }
+  });
+  return rows;
+}
+
+/**
+ * Зчитує поточну таблицю "ЗП менеджерів з продажу" з листа "Виконання M.YYYY" (без змін на листі)
+ * Формат визначається за підзаголовками: "Ставка Р1…" (усі рівні) або "Рівень | Ставка | Бонуси"
+ * @param {number} month - Місяць
+ * @param {number} year - Рік
+ * @returns {Array} Масив { managerName, slot, levelLabel, rate, bonus }
+ */
+function readManagerSummaryFromPerformanceSheet(month, year) {
+  const sheet = findPerformanceSheetByMonthYear(month, year);
+  const block = sheet ? findManagerSummaryBlock(sheet, month, year) : null;
+  if (!block || block.getNumRows() < 3) {
+    return [];
+  }
+
+  const [, subHeaderValues, ...values] = block.getValues();
+  const subHeaders = subHeaderValues.map(value => String(value));
+  const column = header => subHeaders.indexOf(header);
+  const amount = (row, header) => (column(header) >= 0 ? round2(parseFloat(row[column(header)]) || 0) : 0);
+  const perLevel = column('Ставка Р1') >= 0;
+  const rows = [];
+
+  for (let row of values) {
+    const managerName = String(row[0] || '').trim();
+    if (!managerName) break;
+
+    if (perLevel) {
+      for (let level = 1; level <= 3; level++) {
+        rows.push({
+          managerName: managerName,
+          slot: `Р${level}`,
+          levelLabel: `Р${level}`,
+          rate: amount(row, `Ставка Р${level}`),
+          bonus: amount(row, `Бонуси Р${level}`)
+        });
+      }
+    } else {
+      rows.push({
+        managerName: managerName,
+        slot: '',
+        levelLabel: column('Рівень') >= 0 ? String(row[column('Рівень')]) : '',
+        rate: amount(row, 'Ставка'),
+        bonus: amount(row, 'Бонуси')
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Порівнює підсумки по менеджерах (було / стало); рядки без різниці пропускаються
+ * @param {Array} before - Рядки з readManagerSummaryFromPerformanceSheet
+ * @param {Array} after - Рядки з getManagerSummaryLevelRows
+ * @returns {Array} Зміни { managerName, levelLabel, rateBefore, rateAfter, rateDelta, bonusBefore, bonusAfter, bonusDelta, totalDelta }
+ */
+function diffManagerSummaryRows(before, after) {
+  const rowKey = row => `${normalizeManagerName(row.managerName).key}|${row.slot}`;
+  const merged = {};
+  before.forEach(row => {
+    merged[rowKey(row)] = { before: row, after: null };
+  });
+  after.forEach(row => {
+    const key = rowKey(row);
+    merged[key] = Object.assign(merged[key] || { before: null }, { after: row });
+  });
+
+  const changes = [];
+  Object.values(merged).forEach(({ before: previous, after: current }) => {
+    const rateBefore = previous ? previous.rate : 0;
+    const rateAfter = current ? current.rate : 0;
+    const bonusBefore = previous ? previous.bonus : 0;
+    const bonusAfter = current ? current.bonus : 0;
+    const rateDelta = round2(rateAfter - rateBefore);
+    const bonusDelta = round2(bonusAfter - bonusBefore);
+    const levelChanged = previous && current && previous.levelLabel !== current.levelLabel;
+    if (rateDelta === 0 && bonusDelta === 0 && !levelChanged) return;
+
+    changes.push({
+      managerName: (current || previous).managerName,
+      levelLabel: levelChanged ? `${previous.levelLabel} → ${current.levelLabel}` : (current || previous).levelLabel,
+      rateBefore: rateBefore,
+      rateAfter: rateAfter,
+      rateDelta: rateDelta,
+      bonusBefore: bonusBefore,
+      bonusAfter: bonusAfter,
+      bonusDelta: bonusDelta,
+      totalDelta: round2(rateDelta + bonusDelta)
+    });
+  });
+  return changes;
+}
+
+/**
+ * Перезаписує лист звіту пробного запуску: зміни замовлень, під ними — зміни підсумків менеджерів
+ * @param {Array} orderChanges - Зміни з diffPremiyaRows (з monthKey та note)
+ * @param {Array} managerChanges - Зміни з diffManagerSummaryRows (з monthKey)
+ */
+function writePreviewReport(orderChanges, managerChanges) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = spreadsheet.getSheetByName(PREVIEW_SHEET_NAME) || spreadsheet.insertSheet(PREVIEW_SHEET_NAME);
+  sheet.clear();
+
+  const orderRows = orderChanges.map(change => [
+    change.monthKey, change.change, change.orderId, change.managerName, change.typeLabel, change.orderName,
+    change.marginBefore, change.marginAfter, change.payoutBefore, change.payoutAfter, change.payoutDelta, change.note || ''
+  ]);
+  const managerRows = managerChanges.map(change => [
+    change.monthKey, change.managerName, change.levelLabel, change.rateBefore, change.rateAfter, change.rateDelta,
+    change.bonusBefore, change.bonusAfter, change.bonusDelta, change.totalDelta
+  ]);
+
+  const generatedAt = formatDate(new Date().toISOString());
+  let row = writePreviewSection(sheet, 1, `Зміни замовлень (пробний запуск ${generatedAt}, таблиці не змінено)`, PREVIEW_ORDER_HEADERS, orderRows, [7, 8, 9, 10, 11]);
+  writePreviewSection(sheet, row + 1, 'Зміни підсумків по менеджерах ("Виконання")', PREVIEW_MANAGER_HEADERS, managerRows, [4, 5, 6, 7, 8, 9, 10]);
+}
+
+/**
+ * Записує розділ звіту: назва, заголовки, рядки (або "Змін немає")
+ * @param {Sheet} sheet - Лист звіту
+ * @param {number} startRow - Перший рядок розділу
+ * @param {string} title - Назва розділу
+ * @param {Array<string>} headers - Заголовки стовпців
+ * @param {Array<Array>} rows - Рядки
+ * @param {Array<number>} currencyColumns - Номери грошових стовпців (з 1)
+ * @returns {number} Номер останнього зайнятого рядка
+ */
+function writePreviewSection(sheet, startRow, title, headers, rows, currencyColumns) {
+  const titleRange = sheet.getRange(startRow, 1);
+  titleRange.setValue(title);
+  titleRange.setFontWeight('bold');
+
+  const headerRange = sheet.getRange(startRow + 1, 1, 1, headers.length);
+  headerRange.setValues([headers]);
+  headerRange.setFontWeight('bold');
+  headerRange.setBackground('#4285f4');
+  headerRange.setFontColor('#ffffff');
+
+  if (rows.length === 0) {
+    sheet.getRange(startRow + 2, 1).setValue('Змін немає');
+    return startRow + 2;
+  }
+
+  sheet.getRange(startRow + 2, 1, rows.length, 1).setNumberFormat('@'); // Ключ місяця як текст
+  sheet.getRange(startRow + 2, 1, rows.length, headers.length).setValues(rows);
+  formatCurrencyColumns(sheet, startRow + 2, currencyColumns, rows.length);
+  return startRow + 1 + rows.length;
+}
+
+// ========== ПОВЕРНЕННЯ БОНУСІВ ==========
+const PAYOUT_LEDGER_HEADERS = [
+  'ID Замовлення', 'Вид', 'Місяць', 'ID Менеджера', 'Менеджер', 'Маржа',
+  'ЗП Р1', 'ЗП Р2', 'ЗП Р3', 'Рівень', 'ЗП', 'Записано', 'Повернення в', 'Причина повернення', 'Дата повернення'
+];
+
 /**
- * Обробляє ВСІ замовлення (допродажі + з тегами + вхідні) та записує їх в таблиці "Розрахунок МП MM.YY"
- * @param {Array} allOrders - Масив всіх замовлень (допродажі та з тегами)
- * @param {Array} incomingOrders - Масив вхідних замовлень (для ставки 1.5%)
+ * Повертає ключ поточного місяця "M.YYYY"
+ * @returns {string} Ключ місяця
  */
-function processAndWriteAllOrdersToPremiya(allOrders, incomingOrders) {
-  try {
-    // Розділяємо на допродажі та замовлення з тегами
-    const regularUpsales = allOrders.filter(u => !u.isSpecialTag);
-    const taggedOrders = allOrders.filter(u => u.isSpecialTag);
-    
-    // Обробляємо допродажі (групуємо по замовленнях)
-    const upsalesResults = processUpsales(regularUpsales);
-    
-    // Обробляємо замовлення з тегами (групуємо товари по замовленнях)
-    const taggedResults = [];
-    if (taggedOrders.length > 0) {
-      // Групуємо товари по замовленнях
-      const ordersMap = {};
-      taggedOrders.forEach(item => {
-        const orderId = item.orderId;
-        if (!ordersMap[orderId]) {
-          ordersMap[orderId] = {
-            orderId: orderId,
-            managerId: item.managerId,
-            managerName: item.managerName,
-            managerKey: item.managerKey,
-            date: item.date,
-            specialTagName: item.specialTagName,
-            products: []
-          };
-        }
-        ordersMap[orderId].products.push(item);
-      });
-      
-      // Групуємо по місяцях
-      const ordersByMonth = {};
-      Object.values(ordersMap).forEach(order => {
-        const { month, year } = getMonthYearFromDateString(order.date);
-        if (!month || !year) return;
-        const monthYearKey = `${month}.${year}`;
-        if (!ordersByMonth[monthYearKey]) {
-          ordersByMonth[monthYearKey] = [];
-        }
-        ordersByMonth[monthYearKey].push(order);
-      });
-      
-      Object.values(ordersByMonth).forEach(monthData => {
-        const processed = processTaggedOrdersForMonth(monthData);
-        taggedResults.push(...processed);
-      });
-    }
-    
-    // Обробляємо вхідні замовлення (для ставки 1.5%)
-    const incomingResults = [];
-    if (incomingOrders && incomingOrders.length > 0) {
-      const incomingByMonth = {};
-      incomingOrders.forEach(order => {
-        const { month, year } = getMonthYearFromDateString(order.date);
-        if (!month || !year) return;
-        const monthYearKey = `${month}.${year}`;
-        if (!incomingByMonth[monthYearKey]) {
-          incomingByMonth[monthYearKey] = [];
-        }
-        incomingByMonth[monthYearKey].push(order);
-      });
-      
-      Object.values(incomingByMonth).forEach(monthData => {
-        const processed = processIncomingOrdersForMonth(monthData);
-        incomingResults.push(...processed);
-      });
-    }
-    
-    // Об'єднуємо всі результати
-    const allResults = [...upsalesResults, ...taggedResults, ...incomingResults];
-    
-    // Групуємо по місяцях для запису
-    const resultsByMonth = {};
-    allResults.forEach(result => {
-      const month = result.month;
-      const year = result.year;
-      if (!month || !year) return;
-      
-      const monthYearKey = `${month}.${year}`;
-      if (!resultsByMonth[monthYearKey]) {
-        resultsByMonth[monthYearKey] = {
-          month: month,
-          year: year,
-          results: []
-        };
-      }
-      resultsByMonth[monthYearKey].results.push(result);
-    });
-    
-  // Записуємо в таблиці для кожного місяця
-    Object.values(resultsByMonth).forEach(monthData => {
-      const { month, year, results } = monthData;
-    const sheetName = `Розрахунок МП ${month}.${year}`;
-      
-    Logger.log(`📝 Обробка місяця ${month}.${year}: ${results.length} замовлень (допродажі + з тегами)`);
-      
-      const sheet = getOrCreatePremiyaSheet(sheetName);
-      writeTaggedOrdersToSheet(sheet, results, month, year);
-      
-      Logger.log(`✅ Записано ${results.length} рядків в "${sheetName}"`);
-    });
-    
-    // Повертаємо всі результати для запису на листи "Виконання"
-    return allResults;
-    
-  } catch (error) {
-    Logger.log('❌ Помилка обробки замовлень для премій: ' + error.toString());
-    throw error;
+function getCurrentMonthKey() {
+  const { month, year } = getMonthYearFromDateString(new Date().toISOString(), DATES_TIMEZONE);
+  return `${month}.${year}`;
+}
+
+/**
+ * Перетворює ключ місяця "M.YYYY" на число для порівняння
+ * @param {string} key - Ключ місяця
+ * @returns {number} Порядковий номер місяця
+ */
+function monthKeyToIndex(key) {
+  const [month, year] = String(key).split('.').map(part => parseInt(part, 10));
+  return year * 12 + month;
+}
+
+/**
+ * Завантажує замовлення, переведені в скасовані статуси за період (за updated_at)
+ * @param {Object|null} dateRange - Період запуску (null — всі замовлення вже завантажено)
+ * @returns {Array} Масив замовлень у форматі API
+ */
+function fetchRecentlyCancelledOrders(dateRange) {
+  if (!dateRange) {
+    return [];
   }
+  const statusFilter = `filter[status_id]=${getSettings().canceledStatusIds.join(',')}`;
+  return fetchRawOrdersFromKeyCRM(dateRange, 'updated_between', [statusFilter]);
 }
 
 /**
- * Отримує або створює лист для розрахунку МП
- * @param {string} sheetName - Назва листа
- * @returns {Sheet} Об'єкт листа
+ * Позначає для повернення бонуси скасованих замовлень, нарахованих у минулих місяцях.
+ * Повернення відноситься до поточного місяця; замовлення поточного місяця
+ * просто випадають з розрахунку при перерахунку.
+ * @param {Array} cancelledOrders - Скасовані замовлення з classifyOrders
+ * @returns {number} Кількість нових повернень
  */
-function getOrCreatePremiyaSheet(sheetName) {
-  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
-  let sheet = spreadsheet.getSheetByName(sheetName);
-  
-  if (!sheet) {
-    sheet = spreadsheet.insertSheet(sheetName);
-    setupPremiyaSheetHeaders(sheet);
-    Logger.log(`✅ Створено новий лист "${sheetName}"`);
-  } else {
-    const firstRow = sheet.getRange(1, 1, 1, 10).getValues()[0];
-    const hasHeaders = firstRow[0] === 'Дата' && firstRow[1] === 'Менеджер';
-    
-    if (!hasHeaders) {
-      setupPremiyaSheetHeaders(sheet);
-    }
+function registerClawbacks(cancelledOrders) {
+  if (!cancelledOrders || cancelledOrders.length === 0) {
+    return 0;
   }
-  
-  return sheet;
+
+  const ledger = readPayoutLedger();
+  const count = markClawbacks(ledger, cancelledOrders);
+  if (count > 0) {
+    writePayoutLedger(ledger);
+  }
+  return count;
 }
 
 /**
- * Налаштовує заголовки таблиці для премій
- * @param {Sheet} sheet - Лист таблиці
+ * Позначає повернення в записах реєстру (лише в пам'яті, без запису на лист)
+ * @param {Array} ledger - Реєстр з readPayoutLedger
+ * @param {Array} cancelledOrders - Скасовані замовлення з classifyOrders
+ * @returns {number} Кількість нових повернень
  */
-function setupPremiyaSheetHeaders(sheet) {
-  const headers = [
-    'Дата', 'Менеджер', 'ID Менеджера', 'Тип', 'Назва замовлення',
-    'Ціна продажу (грн)', 'Собівартість (грн)', 'Маржа (грн)',
-    'ЗП Р1 (3%/50%)', 'ЗП Р2 (4%/55%)', 'ЗП Р3 (5%/60%)', 'ID Замовлення'
-  ];
-  const widths = [120, 150, 100, 140, 220, 130, 130, 120, 120, 120, 120, 120];
-  setupSheetHeadersGeneric(sheet, headers, widths);
+function markClawbacks(ledger, cancelledOrders) {
+  const currentMonthKey = getCurrentMonthKey();
+  const currentIndex = monthKeyToIndex(currentMonthKey);
+  const cancelledById = {};
+  cancelledOrders.forEach(order => {
+    cancelledById[String(order.orderId)] = order;
+  });
+
+  let count = 0;
+  ledger.forEach(entry => {
+    const cancelled = cancelledById[entry.orderId];
+    if (!cancelled || entry.clawbackMonth) return;
+    if (monthKeyToIndex(entry.month) >= currentIndex) return;
+
+    entry.clawbackMonth = currentMonthKey;
+    entry.clawbackReason = cancelled.statusName || `Статус ${cancelled.statusId}`;
+    entry.clawbackAt = new Date().toISOString();
+    count++;
+    Logger.log(`↩️ Повернення: замовлення #${entry.orderId} (${entry.month}, ${entry.managerName}) — ${entry.clawbackReason}`);
+  });
+
+  return count;
+}
+
+/**
+ * Оновлює реєстр виплат: які замовлення нараховано в якому місяці і на яку суму.
+ * Один запис — на замовлення, вид ЗП, менеджера (з правилами розподілу замовлення ділиться між кількома)
+ * і місяць (з політикою оплати частини замовлення нараховуються в різних місяцях — кожна має свій запис);
+ * кілька рядків з тим самим ключем (різні категорії чи частки менеджера) складаються в один запис.
+ * Записи менеджерів, яких у замовленні за цей місяць більше немає, видаляються; замовлення, нараховане
+ * повністю в одному місяці, прибирає свої записи з інших місяців.
+ * Замовлення, по якому вже зроблено повернення, не змінюється.
+ * @param {Array} ledger - Поточний реєстр з readPayoutLedger
+ * @param {Array} results - Результати розрахунку (рядки замовлень і підсумки)
+ */
+function recordPaidOrders(ledger, results) {
+  const orderKindKey = (orderId, kind) => `${orderId}|${kind}`;
+  const managerOf = item => String(item.managerId || item.managerName);
+  const paidResults = results
+    .filter(result => result.orderId && result.date !== 'ПІДСУМОК' && result.typeLabel !== 'Повернення')
+    .map(result => ({ result: result, kind: result.bonusLevel1 !== undefined ? 'bonus' : 'rate', month: `${result.month}.${result.year}` }));
+
+  const clawedBack = {};
+  ledger.forEach(entry => {
+    if (entry.clawbackMonth) clawedBack[orderKindKey(entry.orderId, entry.kind)] = true;
+  });
+  const currentManagers = {};
+  const wholeOrderMonths = {};
+  paidResults.forEach(({ result, kind, month }) => {
+    const key = `${orderKindKey(result.orderId, kind)}|${month}`;
+    currentManagers[key] = (currentManagers[key] || []).concat(managerOf(result));
+    // Без позначки оплати рядок містить усе замовлення — інших частин у інших місяцях немає
+    if (!result.paymentLabel) {
+      wholeOrderMonths[`${orderKindKey(result.orderId, kind)}|${managerOf(result)}`] = month;
+    }
+  });
+  for (let i = ledger.length - 1; i >= 0; i--) {
+    const entry = ledger[i];
+    if (entry.clawbackMonth) continue;
+    const managers = currentManagers[`${orderKindKey(entry.orderId, entry.kind)}|${entry.month}`];
+    const wholeOrderMonth = wholeOrderMonths[`${orderKindKey(entry.orderId, entry.kind)}|${managerOf(entry)}`];
+    if ((managers && managers.indexOf(managerOf(entry)) === -1) || (wholeOrderMonth && wholeOrderMonth !== entry.month)) {
+      ledger.splice(i, 1);
+    }
+  }
+
+  const byKey = {};
+  ledger.forEach(entry => {
+    byKey[`${orderKindKey(entry.orderId, entry.kind)}|${managerOf(entry)}|${entry.month}`] = entry;
+  });
+
+  const recordedAt = new Date().toISOString();
+  // Кілька рядків одного замовлення, менеджера і місяця (різні категорії чи частки менеджера) складаються в один запис
+  const recordedKeys = {};
+  paidResults.forEach(({ result, kind, month }) => {
+    if (clawedBack[orderKindKey(result.orderId, kind)]) return;
+
+    const key = `${orderKindKey(result.orderId, kind)}|${managerOf(result)}|${month}`;
+    const existing = byKey[key];
+    const entry = existing || { orderId: String(result.orderId), kind: kind, clawbackMonth: '', clawbackReason: '', clawbackAt: '' };
+    const base = recordedKeys[key] ? entry : { margin: 0, zpLevel1: 0, zpLevel2: 0, zpLevel3: 0, payout: 0 };
+    entry.month = month;
+    entry.managerId = result.managerId || '';
+    entry.managerName = result.managerName;
+    entry.margin = round2(base.margin + (result.margin || 0));
+    entry.zpLevel1 = round2(base.zpLevel1 + (result[`${kind}Level1`] || 0));
+    entry.zpLevel2 = round2(base.zpLevel2 + (result[`${kind}Level2`] || 0));
+    entry.zpLevel3 = round2(base.zpLevel3 + (result[`${kind}Level3`] || 0));
+    entry.level = result.level || '';
+    entry.payout = round2(base.payout + (result.payout || 0));
+    entry.recordedAt = recordedAt;
+    recordedKeys[key] = true;
+
+    if (!existing) {
+      ledger.push(entry);
+      byKey[key] = entry;
+    }
+  });
+
+  writePayoutLedger(ledger);
 }
 
 /**
- * Обробляє замовлення з тегами для конкретного місяця
- * @param {Array} orders - Масив замовлень з тегами
- * @returns {Array} Масив оброблених результатів
+ * Формує від'ємні рядки "Повернення" для місяця, в якому виявлено скасування
+ * @param {Array} entries - Записи реєстру з clawbackMonth, що дорівнює місяцю
+ * @returns {Array} Масив результатів (рядки повернень і підсумки по менеджерах)
  */
-function processTaggedOrdersForMonth(orders) {
+function processClawbacksForMonth(entries) {
   const results = [];
   const managerTotals = {};
-  
-  orders.forEach(order => {
-    // Підсумовуємо маржі всіх товарів в замовленні
-    let totalSalePrice = 0;
-    let totalCostPrice = 0;
-    let totalMargin = 0;
-    
-    order.products.forEach(product => {
-      const salePrice = product.salePrice || 0;
-      const costPrice = product.costPrice || 0;
-      const margin = product.margin !== undefined 
-        ? product.margin 
-        : (salePrice - costPrice);
-      
-      totalSalePrice += salePrice;
-      totalCostPrice += costPrice;
-      totalMargin += margin;
-    });
-    
-    // Розраховуємо бонуси для всіх 3 рівнів
-    const bonuses = calculateBonusForAllLevels(totalMargin);
 
-    const { month, year } = getMonthYearFromDateString(order.date);
-    const managerKey = order.managerId || order.managerKey || order.managerName || 'Без менеджера';
+  entries.forEach(entry => {
+    const [month, year] = entry.clawbackMonth.split('.').map(part => parseInt(part, 10));
+    const prefix = entry.kind === 'bonus' ? 'bonus' : 'rate';
+    const level = entry.level ? parseInt(entry.level, 10) : null;
+    const managerId = entry.managerId || null;
+    const managerKey = managerId || normalizeManagerName(entry.managerName).key;
 
-    // Записуємо замовлення як один рядок
     results.push({
-      date: formatDate(order.date),
-      managerName: order.managerName,
-      managerId: order.managerId,
+      date: formatDate(entry.clawbackAt),
+      managerName: entry.managerName,
+      managerId: managerId,
       managerKey: managerKey,
-      typeLabel: 'За тегом',
-      orderName: order.specialTagName || 'Замовлення за тегом',
-      salePrice: totalSalePrice,
-      costPrice: totalCostPrice,
-      margin: totalMargin,
-      bonusLevel1: bonuses.bonusLevel1,
-      bonusLevel2: bonuses.bonusLevel2,
-      bonusLevel3: bonuses.bonusLevel3,
-      orderId: order.orderId,
+      typeLabel: 'Повернення',
+      orderName: `Повернення за ${entry.month}: ${entry.clawbackReason}`,
+      salePrice: '',
+      costPrice: '',
+      margin: -entry.margin,
+      [`${prefix}Level1`]: -entry.zpLevel1,
+      [`${prefix}Level2`]: -entry.zpLevel2,
+      [`${prefix}Level3`]: -entry.zpLevel3,
+      level: level,
+      levelLabel: formatLevelLabel(level),
+      payout: -entry.payout,
+      orderId: entry.orderId,
+      originalMonth: entry.month,
       month: month,
       year: year
     });
 
-    // Групуємо по менеджерах
-    const monthYearKey = `${month}.${year}`;
-    const totalsKey = `${managerKey}_${monthYearKey}`;
-
+    // Окремі підсумки для бонусів і ставки, щоб повернення потрапили у відповідні колонки "Виконання"
+    const totalsKey = `${managerKey}_${prefix}`;
     if (!managerTotals[totalsKey]) {
       managerTotals[totalsKey] = {
-        managerName: order.managerName,
-        managerId: order.managerId,
+        managerName: entry.managerName,
+        managerId: managerId,
         managerKey: managerKey,
+        prefix: prefix,
         month: month,
         year: year,
         totalMargin: 0,
-        totalBonusLevel1: 0,
-        totalBonusLevel2: 0,
-        totalBonusLevel3: 0,
+        totalLevel1: 0,
+        totalLevel2: 0,
+        totalLevel3: 0,
+        totalPayout: 0,
+        levels: [],
         count: 0
       };
     }
 
-    managerTotals[totalsKey].totalMargin += totalMargin;
-    managerTotals[totalsKey].totalBonusLevel1 += bonuses.bonusLevel1;
-    managerTotals[totalsKey].totalBonusLevel2 += bonuses.bonusLevel2;
-    managerTotals[totalsKey].totalBonusLevel3 += bonuses.bonusLevel3;
-    managerTotals[totalsKey].count += 1;
+    const total = managerTotals[totalsKey];
+    total.totalMargin -= entry.margin;
+    total.totalLevel1 -= entry.zpLevel1;
+    total.totalLevel2 -= entry.zpLevel2;
+    total.totalLevel3 -= entry.zpLevel3;
+    total.totalPayout -= entry.payout;
+    addLevelToList(total.levels, level);
+    total.count += 1;
   });
 
-  // Додаємо підсумки
   Object.values(managerTotals).forEach(total => {
     results.push({
       date: 'ПІДСУМОК',
@@ -849,344 +2508,812 @@ function processTaggedOrdersForMonth(orders) {
       managerId: total.managerId,
       managerKey: total.managerKey,
       typeLabel: 'Підсумок',
-      orderName: `Всього: ${total.count} замовлень за тегами`,
+      orderName: `Всього: ${total.count} повернень`,
       salePrice: '',
       costPrice: '',
-      margin: total.totalMargin,
-      bonusLevel1: total.totalBonusLevel1,
-      bonusLevel2: total.totalBonusLevel2,
-      bonusLevel3: total.totalBonusLevel3,
+      margin: round2(total.totalMargin),
+      [`${total.prefix}Level1`]: round2(total.totalLevel1),
+      [`${total.prefix}Level2`]: round2(total.totalLevel2),
+      [`${total.prefix}Level3`]: round2(total.totalLevel3),
+      levels: total.levels,
+      levelLabel: formatLevelLabel(total.levels),
+      payout: round2(total.totalPayout),
       orderId: '',
       month: total.month,
       year: total.year
     });
   });
-  
+
   return results;
 }
 
 /**
- * Обробляє вхідні замовлення для конкретного місяця (для ставки 3% від маржі)
- * Групує товари по замовленнях перед записом
- * @param {Array} orders - Масив вхідних замовлень (товарів)
- * @returns {Array} Масив оброблених результатів
+ * Зчитує реєстр виплат з прихованого листа
+ * @returns {Array} Масив записів реєстру
+ */
+function readPayoutLedger() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PAYOUT_LEDGER_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return [];
+  }
+
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, PAYOUT_LEDGER_HEADERS.length).getValues();
+  return values
+    .filter(row => row[0] !== '' && row[0] !== null)
+    .map(row => ({
+      orderId: String(row[0]),
+      kind: row[1],
+      month: String(row[2]),
+      managerId: row[3],
+      managerName: row[4],
+      margin: parseFloat(row[5]) || 0,
+      zpLevel1: parseFloat(row[6]) || 0,
+      zpLevel2: parseFloat(row[7]) || 0,
+      zpLevel3: parseFloat(row[8]) || 0,
+      level: row[9],
+      payout: parseFloat(row[10]) || 0,
+      recordedAt: row[11],
+      clawbackMonth: row[12] ? String(row[12]) : '',
+      clawbackReason: row[13] || '',
+      clawbackAt: row[14] || ''
+    }));
+}
+
+/**
+ * Перезаписує реєстр виплат на прихованому листі
+ * @param {Array} ledger - Масив записів реєстру
+ */
+function writePayoutLedger(ledger) {
+  const sheet = getOrCreateHiddenSheet(PAYOUT_LEDGER_SHEET_NAME);
+  const data = [PAYOUT_LEDGER_HEADERS, ...ledger.map(entry => [
+    entry.orderId, entry.kind, entry.month, entry.managerId, entry.managerName, entry.margin,
+    entry.zpLevel1, entry.zpLevel2, entry.zpLevel3, entry.level, entry.payout,
+    entry.recordedAt, entry.clawbackMonth, entry.clawbackReason, entry.clawbackAt
+  ])];
+
+  sheet.clearContents();
+  // Ключі місяців ("12.2025") зберігаємо як текст, щоб таблиця не перетворила їх на числа
+  sheet.getRange(1, 3, data.length, 1).setNumberFormat('@');
+  sheet.getRange(1, 13, data.length, 1).setNumberFormat('@');
+  sheet.getRange(1, 1, data.length, PAYOUT_LEDGER_HEADERS.length).setValues(data);
+}
+
+// ========== ЗАКРИТТЯ МІСЯЦІВ ==========
+const CLOSED_MONTHS_PROPERTY = 'KEYCRM_CLOSED_MONTHS';
+const ADJUSTMENTS_HEADERS = [
+  'Виявлено', 'Місяць', 'Менеджер', 'ID Замовлення', 'Тип', 'Назва замовлення', 'Зміна',
+  'Маржа було (грн)', 'Маржа стало (грн)', 'ЗП було (грн)', 'ЗП стало (грн)', 'Різниця ЗП (грн)', 'Примітка'
+];
+
+/**
+ * Закриває минулий місяць (для запуску з редактора або тригера)
+ */
+function closeLastMonth() {
+  const { month, year } = getZonedDateParts(new Date(), DATES_TIMEZONE);
+  closeMonth(month === 1 ? 12 : month - 1, month === 1 ? year - 1 : year);
+}
+
+/**
+ * Закриває місяць: копіює лист "Розрахунок МП" у захищений знімок,
+ * зберігає хеш вмісту та час закриття. Після цього основний розрахунок
+ * не перезаписує місяць, а записує розбіжності в лист коригувань.
+ * @param {number} month - Місяць (1-12)
+ * @param {number} year - Рік
+ * @returns {Object} Запис про закриття { closedAt, hash, sheetName, rows }
+ */
+function closeMonth(month, year) {
+  const key = `${month}.${year}`;
+  const closedMonths = getClosedMonths();
+  if (closedMonths[key]) {
+    throw new Error(`Місяць ${key} вже закрито ${closedMonths[key].closedAt}`);
+  }
+
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sourceSheet = spreadsheet.getSheetByName(`Розрахунок МП ${key}`);
+  if (!sourceSheet || sourceSheet.getLastRow() < 2) {
+    throw new Error(`Лист "Розрахунок МП ${key}" не знайдено або він порожній — спочатку виконайте розрахунок`);
+  }
+
+  const values = sourceSheet.getDataRange().getValues();
+  const hash = computeSnapshotHash(values);
+  const closedAt = new Date().toISOString();
+  const snapshotName = `${SNAPSHOT_SHEET_PREFIX} ${key}`;
+
+  if (spreadsheet.getSheetByName(snapshotName)) {
+    throw new Error(`Лист "${snapshotName}" вже існує — видаліть або перейменуйте його перед закриттям`);
+  }
+  const snapshot = spreadsheet.insertSheet(snapshotName);
+  snapshot.getRange(1, 1, values.length, values[0].length).setValues(values);
+  snapshot.getRange(1, 1).setNote(`Закрито: ${closedAt}\nSHA-256: ${hash}`);
+  protectSnapshotSheet(snapshot, `Закритий місяць ${key}`);
+
+  const entry = { closedAt: closedAt, hash: hash, sheetName: snapshotName, rows: values.length };
+  closedMonths[key] = entry;
+  saveClosedMonths(closedMonths);
+
+  Logger.log(`🔒 Місяць ${key} закрито: знімок "${snapshotName}", ${values.length} рядків, SHA-256 ${hash}`);
+  return entry;
+}
+
+/**
+ * Перевіряє, що знімок закритого місяця не змінювався після закриття
+ * @param {number} month - Місяць (1-12)
+ * @param {number} year - Рік
+ * @returns {boolean} true, якщо хеш знімка збігається із збереженим
+ */
+function verifyClosedMonth(month, year) {
+  const key = `${month}.${year}`;
+  const entry = getClosedMonths()[key];
+  if (!entry) {
+    throw new Error(`Місяць ${key} не закрито`);
+  }
+
+  const values = readSheetValues(entry.sheetName);
+  const valid = values !== null && computeSnapshotHash(values) === entry.hash;
+  Logger.log(valid
+    ? `✅ Знімок "${entry.sheetName}" не змінювався з ${entry.closedAt}`
+    : `❌ Знімок "${entry.sheetName}" змінено або видалено після закриття ${entry.closedAt}`);
+  return valid;
+}
+
+/**
+ * Повторно відкриває місяць: знімає блокування, видаляє знімок і коригування місяця.
+ * Наступний запуск знову перезапише лист "Розрахунок МП".
+ * @param {number} month - Місяць (1-12)
+ * @param {number} year - Рік
+ */
+function reopenMonth(month, year) {
+  const key = `${month}.${year}`;
+  const closedMonths = getClosedMonths();
+  const entry = closedMonths[key];
+  if (!entry) {
+    throw new Error(`Місяць ${key} не закрито`);
+  }
+
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const snapshot = spreadsheet.getSheetByName(entry.sheetName);
+  if (snapshot) {
+    spreadsheet.deleteSheet(snapshot);
+  }
+  writeAdjustmentsForMonth(key, []);
+
+  delete closedMonths[key];
+  saveClosedMonths(closedMonths);
+  Logger.log(`🔓 Місяць ${key} відкрито повторно (закритий ${entry.closedAt}, SHA-256 ${entry.hash})`);
+}
+
+/**
+ * Повертає реєстр закритих місяців з властивостей скрипта
+ * @returns {Object} Мапа "M.YYYY" → { closedAt, hash, sheetName, rows }
+ */
+function getClosedMonths() {
+  const json = PropertiesService.getScriptProperties().getProperty(CLOSED_MONTHS_PROPERTY);
+  return json ? JSON.parse(json) : {};
+}
+
+/**
+ * Зберігає реєстр закритих місяців
+ * @param {Object} closedMonths - Мапа "M.YYYY" → запис про закриття
+ */
+function saveClosedMonths(closedMonths) {
+  PropertiesService.getScriptProperties().setProperty(CLOSED_MONTHS_PROPERTY, JSON.stringify(closedMonths));
+}
+
+/**
+ * Обчислює SHA-256 вмісту листа (hex)
+ * @param {Array<Array>} values - Значення клітинок
+ * @returns {string} Хеш у шістнадцятковому вигляді
+ */
+function computeSnapshotHash(values) {
+  const bytes = Utilities.computeDigest(
+    Utilities.DigestAlgorithm.SHA_256,
+    JSON.stringify(values),
+    Utilities.Charset.UTF_8
+  );
+  return bytes.map(byte => ((byte & 0xff) + 0x100).toString(16).slice(1)).join('');
+}
+
+/**
+ * Захищає лист від редагування всіма, крім власника таблиці
+ * @param {Sheet} sheet - Лист знімка
+ * @param {string} description - Опис захисту
+ */
+function protectSnapshotSheet(sheet, description) {
+  const protection = sheet.protect().setDescription(description);
+  protection.removeEditors(protection.getEditors());
+  if (protection.canDomainEdit()) {
+    protection.setDomainEdit(false);
+  }
+}
+
+/**
+ * Зчитує значення листа (знімка або поточного "Розрахунок МП")
+ * @param {string} sheetName - Назва листа
+ * @returns {Array<Array>|null} Значення клітинок або null, якщо лист не знайдено
+ */
+function readSheetValues(sheetName) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet || sheet.getLastRow() < 1) {
+    return null;
+  }
+  return sheet.getDataRange().getValues();
+}
+
+/**
+ * Порівнює перерахований закритий місяць зі знімком і оновлює список коригувань
+ * @param {string} monthKey - Місяць "M.YYYY"
+ * @param {Array} results - Нові результати розрахунку місяця
+ * @param {Array} ledger - Реєстр виплат (для позначки вже зроблених повернень)
+ */
+function recordAdjustmentsForClosedMonth(monthKey, results, ledger) {
+  const entry = getClosedMonths()[monthKey];
+  const snapshotValues = readSheetValues(entry.sheetName);
+  if (!snapshotValues) {
+    throw new Error(`Знімок закритого місяця "${entry.sheetName}" не знайдено`);
+  }
+
+  const changes = diffPremiyaRows(
+    premiyaRowsFromSheetValues(snapshotValues),
+    premiyaRowsFromSheetValues(getPremiyaSheetValues(results))
+  );
+
+  // Скасування, які вже повернуто окремим рядком у пізнішому місяці, лише позначаємо
+  const clawbacks = {};
+  (ledger || []).forEach(item => {
+    if (item.clawbackMonth) clawbacks[item.orderId] = item.clawbackMonth;
+  });
+  changes.forEach(change => {
+    const clawbackMonth = clawbacks[String(change.orderId)];
+    change.note = clawbackMonth ? `Враховано поверненням у ${clawbackMonth}` : '';
+  });
+
+  writeAdjustmentsForMonth(monthKey, changes);
+  Logger.log(`🔒 Місяць ${monthKey} закрито — лист не перезаписується, розбіжностей зі знімком: ${changes.length}`);
+}
+
+/**
+ * Значення, які writeTaggedOrdersToSheet записала б на лист "Розрахунок МП" (заголовки + рядки)
+ * @param {Array} results - Результати розрахунку місяця
+ * @returns {Array<Array>} Значення клітинок
+ */
+function getPremiyaSheetValues(results) {
+  const columns = getPremiyaSheetColumns();
+  return [
+    columns.map(column => column.header),
+    ...results.map(result => columns.map(column => getPremiyaCellValue(result, column.key)))
+  ];
+}
+
+/**
+ * Перетворює значення листа "Розрахунок МП" на рядки замовлень для порівняння
+ * Підсумкові рядки та секція "ОЧІКУЮТЬ" пропускаються; стовпці шукаються за заголовками
+ * @param {Array<Array>} values - Значення листа (перший рядок — заголовки)
+ * @returns {Array} Масив { key, orderId, managerName, typeLabel, orderName, margin, payout }
+ */
+function premiyaRowsFromSheetValues(values) {
+  if (!values || values.length < 2) {
+    return [];
+  }
+
+  const headers = values[0].map(header => String(header));
+  const column = header => headers.indexOf(header);
+  const cell = (row, header) => (column(header) >= 0 ? row[column(header)] : '');
+  const seen = {};
+  const pendingIndex = values.findIndex(row => row[0] === PENDING_SECTION_TITLE);
+
+  return values.slice(1, pendingIndex > 0 ? pendingIndex : values.length)
+    .filter(row => row[0] !== 'ПІДСУМОК' && row[0] !== 'ЗАГАЛЬНИЙ ПІДСУМОК' && row.some(value => value !== ''))
+    .map(row => {
+      const orderId = cell(row, 'ID Замовлення');
+      const typeLabel = cell(row, 'Тип');
+      const orderName = cell(row, 'Назва замовлення');
+      // Одне замовлення може мати кілька рядків з однаковою назвою — нумеруємо повтори
+      const baseKey = `${orderId}|${typeLabel}|${orderName}`;
+      seen[baseKey] = (seen[baseKey] || 0) + 1;
+
+      return {
+        key: `${baseKey}|${seen[baseKey]}`,
+        orderId: orderId,
+        managerName: cell(row, 'Менеджер'),
+        typeLabel: typeLabel,
+        orderName: orderName,
+        margin: parseFloat(cell(row, 'Маржа (грн)')) || 0,
+        payout: parseFloat(cell(row, 'ЗП (грн)')) || 0
+      };
+    });
+}
+
+/**
+ * Порівнює два набори рядків "Розрахунок МП"
+ * @param {Array} before - Рядки з premiyaRowsFromSheetValues (було)
+ * @param {Array} after - Рядки з premiyaRowsFromSheetValues (стало)
+ * @returns {Array} Зміни { orderId, managerName, typeLabel, orderName, change, marginBefore, marginAfter, payoutBefore, payoutAfter, payoutDelta }
+ */
+function diffPremiyaRows(before, after) {
+  const beforeByKey = {};
+  before.forEach(row => {
+    beforeByKey[row.key] = row;
+  });
+  const afterKeys = {};
+  const changes = [];
+  const toChange = (row, change, previous, current) => ({
+    orderId: row.orderId,
+    managerName: row.managerName,
+    typeLabel: row.typeLabel,
+    orderName: row.orderName,
+    change: change,
+    marginBefore: previous ? previous.margin : 0,
+    marginAfter: current ? current.margin : 0,
+    payoutBefore: previous ? previous.payout : 0,
+    payoutAfter: current ? current.payout : 0,
+    payoutDelta: round2((current ? current.payout : 0) - (previous ? previous.payout : 0))
+  });
+
+  after.forEach(row => {
+    afterKeys[row.key] = true;
+    const previous = beforeByKey[row.key];
+    if (!previous) {
+      changes.push(toChange(row, 'Додано', null, row));
+    } else if (Math.abs(previous.margin - row.margin) >= 0.01 || Math.abs(previous.payout - row.payout) >= 0.01) {
+      changes.push(toChange(row, 'Змінено', previous, row));
+    }
+  });
+
+  before.forEach(row => {
+    if (!afterKeys[row.key]) {
+      changes.push(toChange(row, 'Видалено', row, null));
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Замінює рядки місяця в листі коригувань.
+ * Для розбіжностей, що вже були в списку, зберігається дата першого виявлення.
+ * @param {string} monthKey - Місяць "M.YYYY"
+ * @param {Array} changes - Зміни з diffPremiyaRows (з полем note)
+ */
+function writeAdjustmentsForMonth(monthKey, changes) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(ADJUSTMENTS_SHEET_NAME);
+  if (!sheet) {
+    if (changes.length === 0) return;
+    sheet = spreadsheet.insertSheet(ADJUSTMENTS_SHEET_NAME);
+    setupSheetHeadersGeneric(sheet, ADJUSTMENTS_HEADERS, [130, 80, 150, 110, 110, 220, 90, 120, 120, 110, 110, 120, 220]);
+  }
+
+  const colCount = ADJUSTMENTS_HEADERS.length;
+  const lastRow = sheet.getLastRow();
+  const existing = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, colCount).getValues() : [];
+  const rowKey = row => [row[1], row[3], row[4], row[5], row[6], row[11]].join('|');
+
+  const detectedAt = {};
+  existing.forEach(row => {
+    if (String(row[1]) === monthKey) detectedAt[rowKey(row)] = row[0];
+  });
+
+  const now = formatDate(new Date().toISOString());
+  const newRows = changes.map(change => {
+    const row = [
+      '', monthKey, change.managerName, change.orderId, change.typeLabel, change.orderName, change.change,
+      change.marginBefore, change.marginAfter, change.payoutBefore, change.payoutAfter, change.payoutDelta, change.note || ''
+    ];
+    row[0] = detectedAt[rowKey(row)] || now;
+    return row;
+  });
+  const data = [...existing.filter(row => String(row[1]) !== monthKey), ...newRows];
+
+  if (lastRow > 1) {
+    sheet.getRange(2, 1, lastRow - 1, colCount).clearContent();
+  }
+  if (data.length > 0) {
+    sheet.getRange(2, 2, data.length, 1).setNumberFormat('@'); // Ключ місяця як текст
+    sheet.getRange(2, 1, data.length, colCount).setValues(data);
+    formatCurrencyColumns(sheet, 2, [8, 9, 10, 11, 12], data.length);
+  }
+}
+
+// ========== ПРИЗНАЧЕННЯ РІВНІВ МЕНЕДЖЕРІВ ==========
+let managerAssignmentsCache = null;
+
+/**
+ * Повертає реєстр призначень рівнів: MANAGER_ASSIGNMENTS + лист "Менеджери"
+ * Результат кешується на час виконання скрипта
+ * @returns {Array} Масив записів { managerId, managerKey, level, from }
  */
-function processIncomingOrdersForMonth(orders) {
-  const results = [];
-  const managerTotals = {};
+function getManagerAssignments() {
+  if (managerAssignmentsCache) {
+    return managerAssignmentsCache;
+  }
 
-  // Групуємо товари по замовленнях
-  const ordersMap = {};
-  orders.forEach(item => {
-    const orderId = item.orderId;
-    const quantity = parseFloat(item.quantity || 1);
-    const salePrice = parseFloat(item.salePrice || 0);
-    const purchasedPrice = parseFloat(item.purchasedPrice || 0);
-    const totalAmount = salePrice * quantity;
-    const totalCost = purchasedPrice * quantity;
-    // Використовуємо вже пораховану маржу, або рахуємо
-    const productMargin = item.productMargin !== undefined
-      ? item.productMargin
-      : (salePrice - purchasedPrice) * quantity;
+  const assignments = [];
 
-    if (!ordersMap[orderId]) {
-      ordersMap[orderId] = {
-        orderId: orderId,
-        managerId: item.managerId,
-        managerName: item.managerName,
-        managerKey: item.managerKey,
-        date: item.date,
-        totalAmount: 0,
-        totalCost: 0,
-        totalMargin: 0,
-        productNames: []
-      };
-    }
+  Object.keys(MANAGER_ASSIGNMENTS || {}).forEach(managerId => {
+    const entries = Array.isArray(MANAGER_ASSIGNMENTS[managerId])
+      ? MANAGER_ASSIGNMENTS[managerId]
+      : [MANAGER_ASSIGNMENTS[managerId]];
 
-    ordersMap[orderId].totalAmount += totalAmount;
-    ordersMap[orderId].totalCost += totalCost;
-    ordersMap[orderId].totalMargin += productMargin;
-    if (item.name && !ordersMap[orderId].productNames.includes(item.name)) {
-      ordersMap[orderId].productNames.push(item.name);
-    }
+    entries.forEach(entry => {
+      const assignment = createManagerAssignment(managerId, null, entry && entry.level, entry && entry.from);
+      if (assignment) {
+        assignments.push(assignment);
+      }
+    });
   });
 
-  // Створюємо один рядок на замовлення
-  Object.values(ordersMap).forEach(order => {
-    // Розраховуємо ставки для всіх 3 рівнів
-    const rates = calculateRateForAllLevels(order.totalMargin);
+  assignments.push(...readManagerAssignmentsFromSheet());
 
-    const { month, year } = getMonthYearFromDateString(order.date);
-    const managerKey = order.managerId || order.managerKey || order.managerName || 'Без менеджера';
+  managerAssignmentsCache = assignments;
+  return assignments;
+}
 
-    // Формуємо назву замовлення з назв товарів
-    const orderName = order.productNames.length > 0
-      ? (order.productNames.length === 1
-          ? order.productNames[0]
-          : `${order.productNames.length} товарів: ${order.productNames.slice(0, 3).join(', ')}${order.productNames.length > 3 ? '...' : ''}`)
-      : 'Вхідне замовлення';
+/**
+ * Зчитує призначення рівнів з листа "Менеджери" (якщо він існує)
+ * Формат: ID менеджера | ПІБ | Рівень | Діє з
+ * @returns {Array} Масив записів призначень
+ */
+function readManagerAssignmentsFromSheet() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(MANAGERS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return [];
+  }
 
-    results.push({
-      date: formatDate(order.date),
-      managerName: order.managerName,
-      managerId: order.managerId,
-      managerKey: managerKey,
-      typeLabel: 'Вхідне замовлення',
-      orderName: orderName,
-      salePrice: order.totalAmount,
-      costPrice: order.totalCost,
-      margin: order.totalMargin,
-      rateLevel1: rates.rateLevel1,
-      rateLevel2: rates.rateLevel2,
-      rateLevel3: rates.rateLevel3,
-      orderId: order.orderId,
-      month: month,
-      year: year
-    });
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, 4).getValues();
+  const assignments = [];
 
-    // Групуємо по менеджерах
-    const monthYearKey = `${month}.${year}`;
-    const totalsKey = `${managerKey}_${monthYearKey}`;
+  values.forEach((row, index) => {
+    const [managerId, managerName, level, from] = row;
+    if (!managerId && !managerName) return;
 
-    if (!managerTotals[totalsKey]) {
-      managerTotals[totalsKey] = {
-        managerName: order.managerName,
-        managerId: order.managerId,
-        managerKey: managerKey,
-        month: month,
-        year: year,
-        totalIncoming: 0,
-        totalCost: 0,
-        totalMargin: 0,
-        totalRateLevel1: 0,
-        totalRateLevel2: 0,
-        totalRateLevel3: 0,
-        count: 0
-      };
+    const assignment = createManagerAssignment(managerId, managerName, level, from);
+    if (assignment) {
+      assignments.push(assignment);
+    } else {
+      Logger.log(`⚠️ Лист "${MANAGERS_SHEET_NAME}", рядок ${index + 2}: некоректний рівень "${level}"`);
     }
-
-    managerTotals[totalsKey].totalIncoming += order.totalAmount;
-    managerTotals[totalsKey].totalCost += order.totalCost;
-    managerTotals[totalsKey].totalMargin += order.totalMargin;
-    managerTotals[totalsKey].totalRateLevel1 += rates.rateLevel1;
-    managerTotals[totalsKey].totalRateLevel2 += rates.rateLevel2;
-    managerTotals[totalsKey].totalRateLevel3 += rates.rateLevel3;
-    managerTotals[totalsKey].count += 1;
   });
 
-  // Додаємо підсумки
-  Object.values(managerTotals).forEach(total => {
-    results.push({
-      date: 'ПІДСУМОК',
-      managerName: total.managerName,
-      managerId: total.managerId,
-      managerKey: total.managerKey,
-      typeLabel: 'Підсумок',
-      orderName: `Всього: ${total.count} вхідних замовлень`,
-      salePrice: total.totalIncoming,
-      costPrice: total.totalCost,
-      margin: total.totalMargin,
-      rateLevel1: total.totalRateLevel1,
-      rateLevel2: total.totalRateLevel2,
-      rateLevel3: total.totalRateLevel3,
-      orderId: '',
-      month: total.month,
-      year: total.year
-    });
-  });
+  return assignments;
+}
 
-  return results;
+/**
+ * Створює запис призначення рівня з перевіркою значень
+ * @param {string|number} managerId - ID менеджера в KEYCRM (може бути порожнім)
+ * @param {string} managerName - ПІБ менеджера (використовується, якщо немає ID)
+ * @param {number|string} level - Номер рівня з getSettings().managerLevels
+ * @param {string|Date} from - Дата, з якої діє рівень (порожня — діє завжди)
+ * @returns {Object|null} Запис призначення або null, якщо рівень некоректний
+ */
+function createManagerAssignment(managerId, managerName, level, from) {
+  const levelNumber = parseInt(level, 10);
+  if (!getSettings().managerLevels[levelNumber]) {
+    return null;
+  }
+
+  const fromTime = from ? parseSheetDate(from) : null;
+
+  const hasId = managerId !== undefined && managerId !== null && managerId !== '';
+  return {
+    managerId: hasId ? String(managerId) : null,
+    managerKey: !hasId && managerName ? normalizeManagerName(managerName).key : null,
+    level: levelNumber,
+    from: isNaN(fromTime) ? null : fromTime
+  };
 }
 
 /**
- * Записує замовлення з тегами в таблицю
- * @param {Sheet} sheet - Лист таблиці
- * @param {Array} results - Масив результатів
- * @param {number} month - Місяць
- * @param {number} year - Рік
+ * Перетворює дату з клітинки листа на мітку часу (початок дня в часовому поясі DATES_TIMEZONE)
+ * @param {string|Date} value - Дата з таблиці або рядок у форматі YYYY-MM-DD чи DD.MM.YYYY
+ * @returns {number} Мітка часу в мс (NaN, якщо дату не розпізнано)
  */
-function writeTaggedOrdersToSheet(sheet, results, month, year) {
-  if (results.length === 0) {
-    return;
+function parseSheetDate(value) {
+  let year, month, day;
+  if (value instanceof Date) {
+    // Клітинка з датою — північ календарного дня в часовому поясі таблиці (DATES_TIMEZONE); беремо лише сам день
+    ({ year, month, day } = getZonedDateParts(value, DATES_TIMEZONE));
+  } else {
+    const parts = value.toString().trim().split(/[-.]/).map(part => parseInt(part, 10));
+    // Підтримуємо формати YYYY-MM-DD та DD.MM.YYYY
+    [year, month, day] = parts[0] > 31 ? parts : [parts[2], parts[1], parts[0]];
+  }
+  if (!year || !month || !day) {
+    return NaN;
   }
+  return zonedTimeToUtc({ year: year, month: month, day: day }, DATES_TIMEZONE).getTime();
+}
 
-  const firstRow = sheet.getRange(1, 1, 1, 12).getValues()[0];
-  if (firstRow[0] !== 'Дата' || firstRow[1] !== 'Менеджер') {
-    setupPremiyaSheetHeaders(sheet);
+// ========== КУРСИ ВАЛЮТ ==========
+let exchangeRatesCache = null;
+
+/**
+ * Повертає таблицю курсів з листа "Курси" для рушія розрахунку
+ * Без листа мультивалютність вимкнена — суми замовлень не переводяться. Кешується на час виконання.
+ * @returns {Object|null} { 'USD': [{ from: мс, rate }] } за зростанням дати або null, якщо листа немає
+ */
+function getExchangeRates() {
+  if (exchangeRatesCache !== null) {
+    return exchangeRatesCache || null;
   }
 
-  // Для кожного результату визначаємо ЗП для 3 рівнів
-  // Для допродажів/тегів - це bonusLevel, для вхідних - rateLevel
-  const data = results.map(result => {
-    const zpLevel1 = result.bonusLevel1 !== undefined ? result.bonusLevel1 : (result.rateLevel1 || 0);
-    const zpLevel2 = result.bonusLevel2 !== undefined ? result.bonusLevel2 : (result.rateLevel2 || 0);
-    const zpLevel3 = result.bonusLevel3 !== undefined ? result.bonusLevel3 : (result.rateLevel3 || 0);
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(RATES_SHEET_NAME);
+  if (!sheet) {
+    exchangeRatesCache = false;
+    return null;
+  }
 
-    return [
-      result.date,
-      result.managerName,
-      result.managerId || '',
-      result.typeLabel || 'Допродаж',
-      result.orderName || result.upsellName || 'Замовлення',
-      result.salePrice || '',
-      result.costPrice || '',
-      result.margin,
-      zpLevel1,
-      zpLevel2,
-      zpLevel3,
-      result.orderId || ''
-    ];
+  const rates = {};
+  readRatesSheet(sheet).forEach(entry => {
+    if (!rates[entry.currency]) rates[entry.currency] = [];
+    rates[entry.currency].push({ from: entry.from, rate: entry.rate });
   });
+  Object.keys(rates).forEach(currency => rates[currency].sort((a, b) => a.from - b.from));
 
-  // Очищаємо старі дані (12 стовпців)
-  const lastRow = sheet.getLastRow();
-  if (lastRow > 1) {
-    const rowsToClear = Math.min(lastRow - 1, 1000);
-    if (rowsToClear > 0) {
-      const clearRange = sheet.getRange(2, 1, rowsToClear, 12);
-      clearRange.clearContent();
-      clearRange.clearFormat();
-    }
+  exchangeRatesCache = rates;
+  return rates;
+}
+
+/**
+ * Чи переводяться суми замовлень у базову валюту (є лист "Курси")
+ * @returns {boolean} true, якщо мультивалютність увімкнена
+ */
+function isMultiCurrencyEnabled() {
+  return getExchangeRates() !== null;
+}
+
+/**
+ * Зчитує записи листа "Курси": Дата | Валюта | Курс (рядок 1 — заголовки)
+ * Некоректні рядки пропускаються з попередженням у журналі
+ * @param {Sheet} sheet - Лист курсів
+ * @returns {Array} Масив { from, currency, rate }
+ */
+function readRatesSheet(sheet) {
+  if (sheet.getLastRow() < 2) {
+    return [];
   }
 
-  // Записуємо нові дані
-  if (data.length > 0) {
-    const range = sheet.getRange(2, 1, data.length, data[0].length);
-    range.setValues(data);
+  const entries = [];
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues().forEach((row, index) => {
+    const [date, currency, rate] = row;
+    if (!date && !currency) return;
 
-    const lastDataRow = data.length + 1;
+    const from = date ? parseSheetDate(date) : NaN;
+    const code = normalizeCurrencyCode(currency);
+    const value = typeof rate === 'number' ? rate : parseFloat(String(rate).replace(',', '.'));
+    if (isNaN(from) || !code || !(value > 0)) {
+      Logger.log(`⚠️ Лист "${RATES_SHEET_NAME}", рядок ${index + 2}: некоректний курс "${date} | ${currency} | ${rate}"`);
+      return;
+    }
+    entries.push({ from: from, currency: code, rate: value });
+  });
+  return entries;
+}
 
-    // Форматуємо числові стовпці (6-11: Ціна, Собівартість, Маржа, ЗП Р1, ЗП Р2, ЗП Р3)
-    sheet.getRange(2, 6, data.length, 1).setNumberFormat('#,##0.00" грн"');
-    sheet.getRange(2, 7, data.length, 1).setNumberFormat('#,##0.00" грн"');
-    sheet.getRange(2, 8, data.length, 1).setNumberFormat('#,##0.00" грн"');
-    sheet.getRange(2, 9, data.length, 1).setNumberFormat('#,##0.00" грн"');
-    sheet.getRange(2, 10, data.length, 1).setNumberFormat('#,##0.00" грн"');
-    sheet.getRange(2, 11, data.length, 1).setNumberFormat('#,##0.00" грн"');
+/**
+ * Розбирає курси у форматі НБУ (JSON: cc, exchangedate "ДД.ММ.РРРР", rate або rate_per_unit та units)
+ * @param {string} text - Вміст відповіді API або файлу НБУ
+ * @returns {Array} Масив { from, currency, rate }
+ */
+function parseNbuRates(text) {
+  let records;
+  try {
+    records = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Курси НБУ: очікується JSON (${error.message})`);
+  }
+  if (!Array.isArray(records)) {
+    throw new Error('Курси НБУ: очікується масив записів');
+  }
 
-    // Форматуємо підсумкові рядки
-    results.forEach((result, index) => {
-      if (result.date === 'ПІДСУМОК') {
-        const row = index + 2;
-        sheet.getRange(row, 1, 1, 12).setBackground('#e8f0fe');
-        sheet.getRange(row, 1, 1, 12).setFontWeight('bold');
-      }
-    });
+  return records.map((record, index) => {
+    const currency = normalizeCurrencyCode(record.cc);
+    const rate = record.rate_per_unit
+      ? parseFloat(record.rate_per_unit)
+      : parseFloat(record.rate) / (parseFloat(record.units) || 1);
+    const from = record.exchangedate ? parseSheetDate(record.exchangedate) : NaN;
+    if (!currency || isNaN(from) || !(rate > 0)) {
+      throw new Error(`Курси НБУ: запис ${index + 1} без валюти, дати або курсу`);
+    }
+    return { from: from, currency: currency, rate: rate };
+  });
+}
 
-    // Додаємо загальний підсумок
-    let totalMargin = 0;
-    let totalZpLevel1 = 0;
-    let totalZpLevel2 = 0;
-    let totalZpLevel3 = 0;
-    results.forEach(result => {
-      if (result.date === 'ПІДСУМОК') {
-        totalMargin += result.margin || 0;
-        totalZpLevel1 += (result.bonusLevel1 !== undefined ? result.bonusLevel1 : result.rateLevel1) || 0;
-        totalZpLevel2 += (result.bonusLevel2 !== undefined ? result.bonusLevel2 : result.rateLevel2) || 0;
-        totalZpLevel3 += (result.bonusLevel3 !== undefined ? result.bonusLevel3 : result.rateLevel3) || 0;
-      }
-    });
+/**
+ * Додає курси на лист "Курси" (створює його за потреби)
+ * Курс на ту саму дату й валюту замінюється новим; лист сортується за валютою та датою
+ * @param {Array} entries - Масив { from, currency, rate }
+ * @returns {number} Кількість записів на листі
+ */
+function mergeRatesIntoSheet(entries) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = spreadsheet.getSheetByName(RATES_SHEET_NAME) || spreadsheet.insertSheet(RATES_SHEET_NAME);
 
-    const totalRow = lastDataRow + 1;
-    sheet.getRange(totalRow, 1).setValue('ЗАГАЛЬНИЙ ПІДСУМОК');
-    sheet.getRange(totalRow, 8).setValue(totalMargin);
-    sheet.getRange(totalRow, 9).setValue(totalZpLevel1);
-    sheet.getRange(totalRow, 10).setValue(totalZpLevel2);
-    sheet.getRange(totalRow, 11).setValue(totalZpLevel3);
-    sheet.getRange(totalRow, 1, 1, 12).setBackground('#1a73e8');
-    sheet.getRange(totalRow, 1, 1, 12).setFontColor('#ffffff');
-    sheet.getRange(totalRow, 1, 1, 12).setFontWeight('bold');
-    sheet.getRange(totalRow, 8, 1, 4).setNumberFormat('#,##0.00" грн"');
+  const byKey = {};
+  [...readRatesSheet(sheet), ...entries].forEach(entry => {
+    byKey[`${entry.currency}_${entry.from}`] = entry;
+  });
+  const merged = Object.values(byKey).sort((a, b) => a.currency.localeCompare(b.currency) || a.from - b.from);
+
+  sheet.clearContents();
+  setupSheetHeadersGeneric(sheet, ['Дата', 'Валюта', 'Курс'], [110, 80, 110]);
+  if (merged.length > 0) {
+    sheet.getRange(2, 1, merged.length, 3).setValues(merged.map(entry => [new Date(entry.from), entry.currency, entry.rate]));
+    sheet.getRange(2, 1, merged.length, 1).setNumberFormat('dd.mm.yyyy');
   }
+
+  exchangeRatesCache = null;
+  return merged.length;
 }
 
-// ========== ДОПОМІЖНІ ФУНКЦІЇ ==========
+/**
+ * Імпортує курси НБУ RATE_CURRENCIES за минулий і поточний місяць
+ * (з запасом MAX_RATE_AGE_DAYS днів на вихідні перед першим числом)
+ */
+function importNbuRatesLastMonth() {
+  const now = new Date();
+  const today = getZonedDateParts(now, DATES_TIMEZONE);
+  // Місяць 0 і день ≤ 0 нормалізуються як у Date.UTC
+  const start = zonedTimeToUtc({ year: today.year, month: today.month - 1, day: 1 - MAX_RATE_AGE_DAYS }, DATES_TIMEZONE);
+  importNbuRatesForPeriod(start, now);
+}
 
 /**
- * Округлює число до 2 знаків після коми
- * @param {number} value - Число для округлення
- * @returns {number} Округлене число
+ * Завантажує курси НБУ RATE_CURRENCIES за період і додає їх на лист "Курси"
+ * Дні періоду визначаються за DATES_TIMEZONE, а не за часовим поясом скрипта
+ * @param {Date} start - Перший день періоду
+ * @param {Date} end - Останній день періоду
+ * @returns {number} Кількість завантажених курсів
  */
-function round2(value) {
-  return Math.round((value || 0) * 100) / 100;
+function importNbuRatesForPeriod(start, end) {
+  const entries = [];
+
+  RATE_CURRENCIES.forEach(currency => {
+    const url = `${NBU_RATES_API_URL}?start=${Utilities.formatDate(start, DATES_TIMEZONE, 'yyyyMMdd')}` +
+      `&end=${Utilities.formatDate(end, DATES_TIMEZONE, 'yyyyMMdd')}&valcode=${currency.toLowerCase()}&sort=exchangedate&order=asc&json`;
+    const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
+    if (response.getResponseCode() !== 200) {
+      throw new Error(`Курси НБУ для ${currency}: HTTP ${response.getResponseCode()}`);
+    }
+    entries.push(...parseNbuRates(response.getContentText()));
+  });
+
+  const total = mergeRatesIntoSheet(entries);
+  Logger.log(`💱 Імпортовано ${entries.length} курсів НБУ (${RATE_CURRENCIES.join(', ')}), на листі "${RATES_SHEET_NAME}" — ${total}`);
+  return entries.length;
 }
 
 /**
- * Розраховує бонус для всіх трьох рівнів менеджерів
- * Бонус = відсоток від маржі, якщо маржа > порогу
- * @param {number} margin - Маржа замовлення/допродажу
- * @returns {Object} Об'єкт з бонусами для кожного рівня
+ * Імпортує курси з JSON-файлу у форматі НБУ на Google Drive
+ * @param {string} fileId - ID файлу на Google Drive
+ * @returns {number} Кількість імпортованих курсів
  */
-function calculateBonusForAllLevels(margin) {
-  const result = {};
-  for (let level = 1; level <= 3; level++) {
-    const config = MANAGER_LEVELS[level];
-    result[`bonusLevel${level}`] = margin > config.threshold
-      ? round2(margin * (config.bonus / 100))
-      : 0;
-  }
-  return result;
+function importNbuRatesFromFile(fileId) {
+  const entries = parseNbuRates(DriveApp.getFileById(fileId).getBlob().getDataAsString());
+  const total = mergeRatesIntoSheet(entries);
+  Logger.log(`💱 Імпортовано ${entries.length} курсів з файлу, на листі "${RATES_SHEET_NAME}" — ${total}`);
+  return entries.length;
 }
 
+// ========== ПЛАНИ МЕНЕДЖЕРІВ ==========
+let managerPlansCache = null;
+
 /**
- * Розраховує ставку для всіх трьох рівнів менеджерів
- * Ставка = відсоток від маржі вхідних замовлень (без порогу)
- * @param {number} margin - Маржа вхідного замовлення
- * @returns {Object} Об'єкт зі ставками для кожного рівня
+ * Повертає плани менеджерів: MANAGER_PLANS + лист "Плани". Кешується на час виконання
+ * @returns {Array} Масив { managerId, managerKey, managerName, month, margin, upsellCount, upsellShare }
  */
-function calculateRateForAllLevels(margin) {
-  const result = {};
-  for (let level = 1; level <= 3; level++) {
-    const config = MANAGER_LEVELS[level];
-    result[`rateLevel${level}`] = round2(margin * (config.rate / 100));
+function getManagerPlans() {
+  if (managerPlansCache) {
+    return managerPlansCache;
   }
-  return result;
+
+  const plans = [];
+  Object.keys(MANAGER_PLANS || {}).forEach(managerId => {
+    const plan = createManagerPlan(managerId, null, null, MANAGER_PLANS[managerId] || {});
+    if (plan) plans.push(plan);
+  });
+  plans.push(...readManagerPlansFromSheet());
+
+  managerPlansCache = plans;
+  return plans;
 }
 
 /**
- * Отримує ціну продажу товару з різних можливих полів
- * @param {Object} product - Об'єкт товару
- * @returns {number} Ціна продажу
+ * Зчитує плани з листа "Плани" (якщо він існує)
+ * Формат: Місяць | ID менеджера | ПІБ | Маржа | Допродажі | Частка допродажів (%)
+ * @returns {Array} Масив планів
  */
-function getProductPriceSold(product) {
-  const offer = product.offer || {};
-  return parseFloat(
-    product.price_sold ||
-    product.price ||
-    product.sale_price ||
-    offer.price ||
-    offer.sale_price ||
-    0
-  );
+function readManagerPlansFromSheet() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PLANS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return [];
+  }
+
+  const plans = [];
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, 6).getValues().forEach((row, index) => {
+    const [month, managerId, managerName, margin, upsellCount, upsellShare] = row;
+    if (!managerId && !managerName) return;
+
+    const plan = createManagerPlan(managerId, managerName, month, { margin: margin, upsellCount: upsellCount, upsellShare: upsellShare });
+    if (plan) {
+      plans.push(plan);
+    } else {
+      Logger.log(`⚠️ Лист "${PLANS_SHEET_NAME}", рядок ${index + 2}: некоректний місяць або показник плану`);
+    }
+  });
+  return plans;
 }
 
 /**
- * Отримує закупівельну ціну товару з різних можливих полів
- * @param {Object} product - Об'єкт товару
- * @returns {number} Закупівельна ціна
+ * Створює запис плану з перевіркою значень
+ * @param {string|number} managerId - ID менеджера в KEYCRM (може бути порожнім)
+ * @param {string} managerName - ПІБ менеджера (використовується, якщо немає ID)
+ * @param {string|Date} month - Місяць плану (MM.YYYY, YYYY-MM або дата; порожній — кожен місяць)
+ * @param {Object} values - Показники { margin, upsellCount, upsellShare } (порожні — не плануються)
+ * @returns {Object|null} План або null, якщо місяць чи показник некоректні
  */
-function getProductPurchasedPrice(product) {
-  const offer = product.offer || {};
-  return parseFloat(
-    product.purchased_price ||
-    offer.purchased_price ||
-    product.cost ||
-    product.cost_price ||
-    offer.cost ||
-    offer.cost_price ||
-    0
-  );
+function createManagerPlan(managerId, managerName, month, values) {
+  let monthKey = null;
+  if (month instanceof Date) {
+    // Клітинка з датою — північ першого числа за DATES_TIMEZONE, а не за поясом скрипта
+    const parts = getZonedDateParts(month, DATES_TIMEZONE);
+    monthKey = `${parts.month}.${parts.year}`;
+  } else if (month) {
+    const parts = month.toString().trim().split(/[-.]/).map(part => parseInt(part, 10));
+    const [monthNumber, year] = parts[0] > 12 ? [parts[1], parts[0]] : parts;
+    if (parts.length !== 2 || !(monthNumber >= 1 && monthNumber <= 12) || !(year > 2000)) return null;
+    monthKey = `${monthNumber}.${year}`;
+  }
+
+  const plan = {};
+  for (let key of ['margin', 'upsellCount', 'upsellShare']) {
+    const raw = values[key];
+    if (raw === undefined || raw === null || raw === '') continue;
+    const value = typeof raw === 'number' ? raw : parseFloat(String(raw).replace(',', '.'));
+    if (isNaN(value) || value < 0) return null;
+    plan[key] = value;
+  }
+
+  const hasId = managerId !== undefined && managerId !== null && managerId !== '';
+  return Object.assign(plan, {
+    managerId: hasId ? String(managerId) : null,
+    managerKey: !hasId && managerName ? normalizeManagerName(managerName).key : null,
+    managerName: managerName ? normalizeManagerName(managerName).displayName : null,
+    month: monthKey
+  });
 }
 
 /**
- * Отримує назву товару з різних можливих полів
- * @param {Object} product - Об'єкт товару
- * @param {string} defaultName - Назва за замовчуванням
- * @returns {string} Назва товару
+ * Записує таблицю "Виконання плану" на місце попередньої або праворуч від таблиці "ЗП менеджерів з продажу"
+ * План / факт / % за кожним показником, загальне виконання, коефіцієнт і бонус до коефіцієнта
+ * @param {Sheet} sheet - Лист "Виконання"
+ * @param {number} month - Місяць
+ * @param {number} year - Рік
+ * @param {Range} summaryBlock - Діапазон таблиці "ЗП менеджерів з продажу"
+ * @param {Array} rows - Підсумки менеджерів з планом (з полем plan)
  */
-function getProductName(product, defaultName = 'Товар') {
-  const offer = product.offer || {};
-  return product.name || product.product_name || offer.name || defaultName;
+function writeManagerPlanBlock(sheet, month, year, summaryBlock, rows) {
+  const subHeaders = ['ПІБ'];
+  PLAN_METRICS.forEach(metric => subHeaders.push(`${metric.label}: план`, `${metric.label}: факт`, `${metric.label}: %`));
+  subHeaders.push('Виконання, %', 'Коефіцієнт бонусу', 'Бонус до коефіцієнта');
+
+  const blank = value => (value === null ? '' : value);
+  const data = rows.map(item => {
+    const row = [item.managerName || 'Невідомий менеджер'];
+    item.plan.metrics.forEach(metric => row.push(blank(metric.plan), metric.actual, blank(metric.completion)));
+    row.push(blank(item.plan.completion), item.plan.multiplier, item.bonusBeforePlan);
+    return row;
+  });
+
+  const name = getOutputBlockName(PLAN_BLOCK_NAME_PREFIX, month, year);
+  const previous = findOutputBlock(sheet, name);
+  // Таблиця ЗП займає до SUMMARY_BLOCK_MAX_COLUMNS стовпців, після неї — один порожній
+  const anchor = previous
+    ? { row: previous.getRow(), col: previous.getColumn() }
+    : { row: summaryBlock.getRow(), col: summaryBlock.getColumn() + SUMMARY_BLOCK_MAX_COLUMNS + 1 };
+  const block = writeOutputBlock(sheet, name, anchor, [padBlockRow([PLAN_BLOCK_TITLE], subHeaders.length), subHeaders, ...data], previous);
+
+  formatOutputBlock(sheet, block, [subHeaders.length - 1]);
+  Logger.log(`🎯 Виконання плану записано на лист "${sheet.getName()}" (${data.length} менеджерів)`);
 }
 
 /**
@@ -1220,257 +3347,62 @@ function clearAndWriteData(sheet, startRow, startCol, data, clearRows = 100) {
  * @param {number} rowCount - Кількість рядків
  */
 function formatCurrencyColumns(sheet, startRow, columns, rowCount) {
-  columns.forEach(col => {
-    sheet.getRange(startRow, col, rowCount, 1).setNumberFormat('#,##0.00" грн"');
-  });
-}
-
-/**
- * Нормалізує дату з API: якщо рядок без мітки часового поясу, трактуємо як UTC.
- * KeyCRM повертає created_at в UTC у форматі "2025-12-31 23:44:00" (без Z).
- * Без нормалізації JavaScript парсить такий рядок як локальний час,
- * що зсуває дату на 2-3 години і може змінити місяць/рік.
- * @param {string} dateString - Дата з API
- * @returns {string} Нормалізована дата у форматі ISO з міткою UTC
- */
-function normalizeApiDate(dateString) {
-  if (!dateString) return new Date().toISOString();
-  if (typeof dateString !== 'string') return dateString;
-  // Якщо вже є мітка часового поясу — не чіпаємо
-  if (dateString.includes('Z') || dateString.includes('+') || /T\d{2}:\d{2}:\d{2}[+-]/.test(dateString)) {
-    return dateString;
-  }
-  // Додаємо 'T' і 'Z' щоб JavaScript коректно парсив як UTC
-  return dateString.replace(' ', 'T') + 'Z';
-}
-
-function isProductUpsell(product) {
-  if (product.upsale === true) {
-    return true;
-  }
-  
-  if (product.upsell === true || product.is_upsell === true) {
-    return true;
-  }
-  
-  const offer = product.offer || {};
-  if (offer.upsale === true || offer.upsell === true || offer.is_upsell === true) {
-    return true;
-  }
-  
-  return false;
-}
-
-function normalizeManagerName(name) {
-  const fallback = 'Невідомий менеджер';
-  if (name === undefined || name === null) {
-    return { displayName: fallback, key: fallback.toLowerCase() };
-  }
-  
-  const collapsed = name.toString().trim().replace(/\s+/g, ' ');
-  const displayName = collapsed || fallback;
-  const key = displayName.toLowerCase();
-  
-  return { displayName, key };
-}
-
-function normalizeTagValue(value) {
-  if (value === undefined || value === null) return '';
-  return value.toString().trim().toLowerCase();
-}
-
-/**
- * Повертає назву першого тегу замовлення, що збігається з переліком
- * @param {Object} order - Об'єкт замовлення
- * @param {string|Array<string>} tagNames - Назви тегів для пошуку
- * @returns {string|null} Назва знайденого тегу або null
- */
-function getOrderTagName(order, tagNames) {
-  if (!order || !tagNames) {
-    return null;
-  }
-
-  const targets = Array.isArray(tagNames) ? tagNames : [tagNames];
-  const normalizedTargets = targets.map(normalizeTagValue).filter(Boolean);
-  if (normalizedTargets.length === 0) {
-    return null;
-  }
-  
-  // Отримуємо теги з різних можливих полів
-  const tagsRaw = order.tags;
-  if (!tagsRaw) {
-    return null;
-  }
-  
-  // Переконуємося, що tags - це масив
-  const tagsArray = Array.isArray(tagsRaw) ? tagsRaw : [tagsRaw];
-  if (tagsArray.length === 0) {
-    return null;
-  }
-  
-  // Проходимо по всіх тегах
-  for (let tag of tagsArray) {
-    if (!tag) continue;
-    
-    // Якщо тег - це рядок, перевіряємо його напряму
-    if (typeof tag === 'string') {
-      const normalized = normalizeTagValue(tag);
-      if (normalized && normalizedTargets.includes(normalized)) {
-        // Знаходимо відповідний target за індексом
-        const targetIndex = normalizedTargets.indexOf(normalized);
-        return targets[targetIndex] || tag;
-      }
-    } 
-    // Якщо тег - це об'єкт (структура KEYCRM: {id, name, alias, color, ...})
-    else if (tag && typeof tag === 'object') {
-      // Перевіряємо name (основна назва тегу)
-      if (tag.name) {
-        const normalizedName = normalizeTagValue(tag.name);
-        if (normalizedName && normalizedTargets.includes(normalizedName)) {
-          // Повертаємо оригінальну назву з targets (щоб зберегти точну назву)
-          const targetIndex = normalizedTargets.indexOf(normalizedName);
-          return targets[targetIndex] || tag.name;
-        }
-      }
-      
-      // Перевіряємо alias (системна назва, може бути латиницею)
-      // Якщо в targets є кирилична назва "Відгук", а alias = "vidguk", 
-      // то збігу не буде, але це нормально - ми шукаємо по name
-      if (tag.alias) {
-        const normalizedAlias = normalizeTagValue(tag.alias);
-        if (normalizedAlias && normalizedTargets.includes(normalizedAlias)) {
-          const targetIndex = normalizedTargets.indexOf(normalizedAlias);
-          return targets[targetIndex] || tag.name || tag.alias;
-        }
-      }
-    }
-  }
-  
-  return null;
-}
-
-/**
- * Перевіряє, чи замовлення має вказаний тег або один з переліку
- * @param {Object} order - Об'єкт замовлення
- * @param {string|Array<string>} tagName - Назва(и) тегу для пошуку
- * @returns {boolean} true, якщо замовлення має тег
- */
-function hasOrderTag(order, tagName) {
-  return Boolean(getOrderTagName(order, tagName));
+  columns.forEach(col => {
+    sheet.getRange(startRow, col, rowCount, 1).setNumberFormat('#,##0.00" грн"');
+  });
 }
 
 /**
  * Отримує діапазон дат для фільтрації замовлень
+ * Межі періоду будуються в часовому поясі DATES_TIMEZONE за реальними правилами поясу
+ * (zonedTimeToUtc), тому дні переходу на літній/зимовий час не зсувають межі на годину.
  * @param {string} period - Період: 'last_month', 'this_month', 'this_month_to_yesterday', 'last_30_days', 'custom', 'all'
  * @returns {Object} Об'єкт з полями start та end (або null для 'all')
  */
 function getDateRange(period) {
   const now = new Date();
-  const timezone = Session.getScriptTimeZone();
+  const today = getZonedDateParts(now, DATES_TIMEZONE);
+  // Місяць 0 нормалізується в грудень попереднього року (як у Date.UTC)
+  const lastMonth = getZonedMonthRange(today.month - 1, today.year, DATES_TIMEZONE);
   let startDate, endDate;
-
-  const formatDateForAPI = (date, useUTC = CONVERT_DATES_TO_UTC_FOR_API) => {
-    if (useUTC) {
-      const year = date.getUTCFullYear();
-      const month = String(date.getUTCMonth() + 1).padStart(2, '0');
-      const day = String(date.getUTCDate()).padStart(2, '0');
-      const hours = String(date.getUTCHours()).padStart(2, '0');
-      const minutes = String(date.getUTCMinutes()).padStart(2, '0');
-      const seconds = String(date.getUTCSeconds()).padStart(2, '0');
-      return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
-    } else {
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const day = String(date.getDate()).padStart(2, '0');
-      const hours = String(date.getHours()).padStart(2, '0');
-      const minutes = String(date.getMinutes()).padStart(2, '0');
-      const seconds = String(date.getSeconds()).padStart(2, '0');
-      return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
-    }
-  };
   
   switch (period) {
     case 'last_month':
-      startDate = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-      endDate = new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59);
+      startDate = lastMonth.start;
+      endDate = lastMonth.end;
       break;
       
     case 'this_month':
-      startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-      endDate = new Date(now);
+      startDate = zonedTimeToUtc({ year: today.year, month: today.month, day: 1 }, DATES_TIMEZONE);
+      endDate = now;
       break;
       
     case 'this_month_to_yesterday':
-      if (now.getDate() === 1) {
+      if (today.day === 1) {
         // Сьогодні 1-е число — "вчора" це останній день минулого місяця
         // Беремо весь попередній місяць
-        startDate = new Date(now.getFullYear(), now.getMonth() - 1, 1, 0, 0, 0);
-        endDate = new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59);
+        startDate = lastMonth.start;
+        endDate = lastMonth.end;
       } else {
-        startDate = new Date(now.getFullYear(), now.getMonth(), 1, 0, 0, 0);
-        endDate = new Date(now);
-        endDate.setDate(endDate.getDate() - 1);
-        endDate.setHours(23, 59, 59, 999);
+        startDate = zonedTimeToUtc({ year: today.year, month: today.month, day: 1 }, DATES_TIMEZONE);
+        endDate = zonedTimeToUtc({ year: today.year, month: today.month, day: today.day - 1, hour: 23, minute: 59, second: 59 }, DATES_TIMEZONE);
       }
       break;
       
     case 'last_30_days':
-      startDate = new Date(now);
-      startDate.setDate(startDate.getDate() - 30);
-      startDate.setHours(0, 0, 0, 0);
-      endDate = new Date(now);
+      startDate = zonedTimeToUtc({ year: today.year, month: today.month, day: today.day - 30 }, DATES_TIMEZONE);
+      endDate = now;
       break;
       
     case 'custom':
       try {
-        const timezone = DATES_TIMEZONE || Session.getScriptTimeZone();
-        const startParts = CUSTOM_START_DATE.split(/[- :]/);
-        const endParts = CUSTOM_END_DATE.split(/[- :]/);
-
-        const startYear = parseInt(startParts[0]);
-        const startMonth = parseInt(startParts[1]) - 1;
-        const startDay = parseInt(startParts[2]);
-        const startHour = parseInt(startParts[3]);
-        const startMinute = parseInt(startParts[4]);
-        const startSecond = parseInt(startParts[5]);
-
-        const endYear = parseInt(endParts[0]);
-        const endMonth = parseInt(endParts[1]) - 1;
-        const endDay = parseInt(endParts[2]);
-        const endHour = parseInt(endParts[3]);
-        const endMinute = parseInt(endParts[4]);
-        const endSecond = parseInt(endParts[5]);
-
-        // Визначаємо offset для Ukraine (Europe/Kiev)
-        // Літній час (березень-жовтень): UTC+3
-        // Зимовий час (листопад-лютий): UTC+2
-        const getUkraineOffset = (year, month, day) => {
-          if (month >= 2 && month <= 9) {
-            return 3; // UTC+3 (літній час)
-          }
-          return 2; // UTC+2 (зимовий час)
-        };
-
-        const startOffset = getUkraineOffset(startYear, startMonth, startDay);
-        const endOffset = getUkraineOffset(endYear, endMonth, endDay);
-
-        // Створюємо дати як локальний час у часовому поясі Europe/Kiev
-        // Використовуємо Date.UTC для створення UTC timestamp з локальних параметрів
-        // Потім віднімаємо offset, щоб отримати правильний UTC час для API
-        // Наприклад: якщо користувач вводить "2025-11-30 00:00:00" (Kyiv, UTC+2),
-        // то в UTC це буде "2025-10-29 22:00:00"
-        // Але для фільтра нам потрібно включити весь день 2025-11-30 в Києві,
-        // тому додаємо offset до початку і кінця діапазону
-        const startLocalUTC = Date.UTC(startYear, startMonth, startDay, startHour, startMinute, startSecond);
-        const endLocalUTC = Date.UTC(endYear, endMonth, endDay, endHour, endMinute, endSecond);
-
-        // Віднімаємо offset, щоб конвертувати з локального часу Ukraine в UTC
-        startDate = new Date(startLocalUTC - (startOffset * 60 * 60 * 1000));
-        endDate = new Date(endLocalUTC - (endOffset * 60 * 60 * 1000));
+        // Користувач вводить дати як місцевий час у DATES_TIMEZONE ("2025-11-30 00:00:00")
+        startDate = parseZonedDateTime(getSettings().customStartDate);
+        endDate = parseZonedDateTime(getSettings().customEndDate);
       } catch (e) {
         Logger.log('Помилка парсингу кастомних дат: ' + e.toString());
-        startDate = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-        endDate = new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59);
+        startDate = lastMonth.start;
+        endDate = lastMonth.end;
       }
       break;
       
@@ -1478,8 +3410,8 @@ function getDateRange(period) {
       return null;
       
     default:
-      startDate = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-      endDate = new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59);
+      startDate = lastMonth.start;
+      endDate = lastMonth.end;
   }
 
   return {
@@ -1489,7 +3421,55 @@ function getDateRange(period) {
 }
 
 /**
- * Форматує дату для відображення
+ * Перетворює рядок "YYYY-MM-DD HH:mm:ss" (місцевий час у DATES_TIMEZONE) на момент UTC
+ * @param {string} value - Дата й час; час можна не вказувати (00:00:00)
+ * @returns {Date} Момент UTC
+ */
+function parseZonedDateTime(value) {
+  const [year, month, day, hour, minute, second] = value.toString().trim().split(/[- :T]/).map(part => parseInt(part, 10));
+  if (!year || !month || !day) {
+    throw new Error(`Некоректна дата "${value}", очікується формат YYYY-MM-DD HH:mm:ss`);
+  }
+  return zonedTimeToUtc({ year: year, month: month, day: day, hour: hour || 0, minute: minute || 0, second: second || 0 }, DATES_TIMEZONE);
+}
+
+/**
+ * Форматує дату у формат фільтрів KEYCRM API ("YYYY-MM-DD HH:mm:ss")
+ * @param {Date} date - Дата
+ * @param {boolean} useUTC - Чи конвертувати в UTC (за замовчуванням CONVERT_DATES_TO_UTC_FOR_API); інакше — час у DATES_TIMEZONE
+ * @returns {string} Відформатована дата
+ */
+function formatDateForAPI(date, useUTC = CONVERT_DATES_TO_UTC_FOR_API) {
+  const parts = useUTC ? getZonedDateParts(date, 'UTC') : getZonedDateParts(date, DATES_TIMEZONE);
+  const pad = value => String(value).padStart(2, '0');
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`;
+}
+
+/**
+ * Перетворює дату з фільтра API ("YYYY-MM-DD HH:mm:ss", див. formatDateForAPI) на момент часу
+ * @param {string} value - Дата у форматі API
+ * @returns {Date} Момент часу
+ */
+function parseApiDateTime(value) {
+  return CONVERT_DATES_TO_UTC_FOR_API ? new Date(normalizeApiDate(value)) : parseZonedDateTime(value);
+}
+
+/**
+ * Повертає діапазон дат для API, що охоплює весь календарний місяць у DATES_TIMEZONE
+ * @param {number} month - Місяць (1-12)
+ * @param {number} year - Рік
+ * @returns {Object} Об'єкт з полями start та end
+ */
+function getMonthDateRange(month, year) {
+  const range = getZonedMonthRange(month, year, DATES_TIMEZONE);
+  return {
+    start: formatDateForAPI(range.start),
+    end: formatDateForAPI(range.end)
+  };
+}
+
+/**
+ * Форматує дату для відображення в часовому поясі DATES_TIMEZONE
  * @param {string} dateString - Дата в форматі ISO
  * @returns {string} Відформатована дата
  */
@@ -1498,7 +3478,7 @@ function formatDate(dateString) {
   
   try {
     const date = new Date(dateString);
-    return Utilities.formatDate(date, Session.getScriptTimeZone(), 'dd.MM.yyyy HH:mm');
+    return Utilities.formatDate(date, DATES_TIMEZONE, 'dd.MM.yyyy HH:mm');
   } catch (e) {
     return dateString;
   }
@@ -1686,63 +3666,10 @@ function writeManagerBaseRatesToPerformanceSheets(incomingOrders) {
  */
 function writeManagerSummaryToPerformanceSheets(allResults) {
   try {
-    // Витягуємо бонуси з результатів (допродажі та замовлення за тегами)
-    const bonusesRaw = getManagerBonusesFromResults(allResults || []);
-    
-    // Логування для діагностики
-    Logger.log(`📊 Знайдено ${bonusesRaw.length} підсумків бонусів:`);
-    bonusesRaw.forEach(b => {
-      Logger.log(`  - ${b.managerName}: ${b.bonus} грн (місяць ${b.month}.${b.year})`);
-    });
-    
-    const bonusesByMonth = {};
-    const aggregatedBonuses = aggregateBonusesByManager(bonusesRaw);
-    
-    // Логування після агрегації
-    Logger.log(`📊 Після агрегації: ${aggregatedBonuses.length} менеджерів:`);
-    aggregatedBonuses.forEach(b => {
-      Logger.log(`  - ${b.managerName}: ${b.bonus} грн (місяць ${b.month}.${b.year})`);
-    });
-    
-    aggregatedBonuses.forEach(bonus => {
-      if (!bonus.month || !bonus.year) return;
-      const key = `${bonus.month}.${bonus.year}`;
-      if (!bonusesByMonth[key]) {
-        bonusesByMonth[key] = [];
-      }
-      bonusesByMonth[key].push(bonus);
-    });
-    
-    // Витягуємо ставки з результатів (вхідні замовлення) - без перерахунку!
-    const ratesRaw = getManagerRatesFromResults(allResults || []);
-    
-    // Логування для діагностики
-    Logger.log(`📊 Знайдено ${ratesRaw.length} підсумків ставок:`);
-    ratesRaw.forEach(r => {
-      Logger.log(`  - ${r.managerName}: ${r.rateAmount} грн (місяць ${r.month}.${r.year})`);
-    });
-    
-    const ratesByMonth = {};
-    const aggregatedRates = aggregateRatesByManager(ratesRaw);
-    
-    // Логування після агрегації
-    Logger.log(`📊 Після агрегації ставок: ${aggregatedRates.length} менеджерів:`);
-    aggregatedRates.forEach(r => {
-      Logger.log(`  - ${r.managerName}: ${r.rateAmount} грн (місяць ${r.month}.${r.year})`);
-    });
-    
-    aggregatedRates.forEach(rate => {
-      if (!rate.month || !rate.year) return;
-      const key = `${rate.month}.${rate.year}`;
-      if (!ratesByMonth[key]) {
-        ratesByMonth[key] = [];
-      }
-      ratesByMonth[key].push(rate);
-    });
-    
-    // Обходимо всі місяці, що зустрічаються в бонусах або ставках
-    const monthKeys = new Set([...Object.keys(bonusesByMonth), ...Object.keys(ratesByMonth)]);
-    if (monthKeys.size === 0) {
+    // Підсумки ставок і бонусів по менеджерах за кожен місяць — без перерахунку
+    const summaries = summarizePayrollByManager(allResults || [], getPayrollRules());
+    const monthKeys = Object.keys(summaries);
+    if (monthKeys.length === 0) {
       Logger.log('Немає даних для запису підсумкової таблиці по менеджерах');
       return;
     }
@@ -1751,30 +3678,20 @@ function writeManagerSummaryToPerformanceSheets(allResults) {
       const [monthStr, yearStr] = key.split('.');
       const month = parseInt(monthStr, 10);
       const year = parseInt(yearStr, 10);
-      const performanceSheet = findPerformanceSheetByMonthYear(month, year);
+      const performanceSheet = getOrCreatePerformanceSheet(month, year);
       if (!performanceSheet) {
-        Logger.log(`Лист "Виконання ${key}" не знайдено для підсумків`);
         return;
       }
       
-      const summaryRows = combineRatesAndBonuses(
-        ratesByMonth[key] || [],
-        bonusesByMonth[key] || []
-      );
-      
-      let headerCell = findUpsalesBonusHeader(performanceSheet);
-      if (!headerCell) {
-        Logger.log(`⚠️ Заголовок підсумкової таблиці не знайдено, створюємо...`);
-        headerCell = createPremiyaHeadersOnPerformanceSheet(performanceSheet);
-      } else {
-        headerCell = updatePremiyaHeadersIfNeeded(performanceSheet, headerCell);
-      }
+      const summaryRows = summaries[key];
+      summaryRows.forEach(row => {
+        Logger.log(`  - ${row.managerName}: ставка ${row.rate} грн, бонус ${row.bonus} грн (місяць ${key})`);
+      });
       
-      if (headerCell) {
-        writeManagerSummaryRows(performanceSheet, headerCell, summaryRows);
-        Logger.log(`✅ Підсумкова таблиця записана на лист "${performanceSheet.getName()}" (${summaryRows.length} менеджерів)`);
-      } else {
-        Logger.log(`❌ Не вдалося створити заголовки підсумкової таблиці на "${performanceSheet.getName()}"`);
+      const summaryBlock = writeManagerSummaryBlock(performanceSheet, month, year, summaryRows);
+      Logger.log(`✅ Підсумкова таблиця записана на лист "${performanceSheet.getName()}" (${summaryRows.length} менеджерів)`);
+      if (summaryRows.some(row => row.plan)) {
+        writeManagerPlanBlock(performanceSheet, month, year, summaryBlock, summaryRows.filter(row => row.plan));
       }
     });
     
@@ -1784,157 +3701,6 @@ function writeManagerSummaryToPerformanceSheets(allResults) {
   }
 }
 
-/**
- * Отримує бонуси менеджерів з результатів (рядки з "ПІДСУМОК")
- * Зберігає інформацію про місяць і рік для групування
- * @param {Array} results - Масив результатів
- * @returns {Array} Масив об'єктів з бонусами менеджерів
- */
-function getManagerBonusesFromResults(results) {
-  const bonuses = [];
-
-  results.forEach(result => {
-    // Беремо ТІЛЬКИ рядки з "ПІДСУМОК" та типом "Підсумок"
-    // Ігноруємо вхідні замовлення - вони мають rateLevel замість bonusLevel
-    const isIncomingOrder = (
-      result.orderName &&
-      typeof result.orderName === 'string' &&
-      result.orderName.toLowerCase().includes('вхідних замовлень')
-    ) || (
-      result.rateLevel1 !== undefined // Вхідні мають rateLevel, а не bonusLevel
-    );
-
-    // Перевіряємо, чи є бонуси хоча б на одному рівні
-    const hasBonuses = (result.bonusLevel1 > 0 || result.bonusLevel2 > 0 || result.bonusLevel3 > 0);
-
-    if (result.date === 'ПІДСУМОК' &&
-        result.typeLabel === 'Підсумок' &&
-        !isIncomingOrder &&
-        hasBonuses) {
-      bonuses.push({
-        managerName: result.managerName,
-        managerId: result.managerId,
-        bonusLevel1: result.bonusLevel1 || 0,
-        bonusLevel2: result.bonusLevel2 || 0,
-        bonusLevel3: result.bonusLevel3 || 0,
-        margin: result.margin,
-        month: result.month,
-        year: result.year
-      });
-    }
-  });
-
-  return bonuses;
-}
-
-/**
- * Агрегує бонуси по менеджеру, щоб допродажі і замовлення з тегами
- * записувалися одним рядком на лист "Виконання"
- * @param {Array} bonuses - Масив бонусів за місяць
- * @returns {Array} Масив агрегованих бонусів по кожному менеджеру
- */
-function aggregateBonusesByManager(bonuses) {
-  const aggregated = {};
-
-  bonuses.forEach(bonus => {
-    const managerName = bonus.managerName || 'Невідомий менеджер';
-    const { key: normalizedKey } = normalizeManagerName(managerName);
-    const managerKey = bonus.managerId || normalizedKey || managerName;
-
-    if (!aggregated[managerKey]) {
-      aggregated[managerKey] = {
-        managerName: managerName,
-        managerId: bonus.managerId,
-        bonusLevel1: 0,
-        bonusLevel2: 0,
-        bonusLevel3: 0,
-        margin: 0,
-        month: bonus.month,
-        year: bonus.year
-      };
-    }
-
-    aggregated[managerKey].bonusLevel1 = round2(aggregated[managerKey].bonusLevel1 + (bonus.bonusLevel1 || 0));
-    aggregated[managerKey].bonusLevel2 = round2(aggregated[managerKey].bonusLevel2 + (bonus.bonusLevel2 || 0));
-    aggregated[managerKey].bonusLevel3 = round2(aggregated[managerKey].bonusLevel3 + (bonus.bonusLevel3 || 0));
-    aggregated[managerKey].margin = round2(aggregated[managerKey].margin + (bonus.margin || 0));
-  });
-
-  return Object.values(aggregated);
-}
-
-/**
- * Отримує ставки менеджерів з результатів (рядки з "ПІДСУМОК" для вхідних замовлень)
- * Зберігає інформацію про місяць і рік для групування
- * @param {Array} results - Масив результатів
- * @returns {Array} Масив об'єктів зі ставками менеджерів
- */
-function getManagerRatesFromResults(results) {
-  const rates = [];
-
-  results.forEach(result => {
-    // Беремо ТІЛЬКИ рядки з "ПІДСУМОК" для вхідних замовлень
-    // Вони мають rateLevel1/2/3 замість bonusLevel1/2/3
-    const isIncomingOrder = result.rateLevel1 !== undefined;
-
-    // Перевіряємо, чи є ставки хоча б на одному рівні
-    const hasRates = (result.rateLevel1 > 0 || result.rateLevel2 > 0 || result.rateLevel3 > 0);
-
-    if (result.date === 'ПІДСУМОК' &&
-        result.typeLabel === 'Підсумок' &&
-        isIncomingOrder &&
-        hasRates) {
-      rates.push({
-        managerName: result.managerName,
-        managerId: result.managerId,
-        totalIncoming: result.salePrice || 0,
-        rateLevel1: result.rateLevel1 || 0,
-        rateLevel2: result.rateLevel2 || 0,
-        rateLevel3: result.rateLevel3 || 0,
-        month: result.month,
-        year: result.year
-      });
-    }
-  });
-
-  return rates;
-}
-
-/**
- * Агрегує ставки по менеджеру
- * @param {Array} rates - Масив ставок за місяць
- * @returns {Array} Масив агрегованих ставок по кожному менеджеру
- */
-function aggregateRatesByManager(rates) {
-  const aggregated = {};
-
-  rates.forEach(rate => {
-    const managerName = rate.managerName || 'Невідомий менеджер';
-    const { key: normalizedKey } = normalizeManagerName(managerName);
-    const managerKey = rate.managerId || normalizedKey || managerName;
-
-    if (!aggregated[managerKey]) {
-      aggregated[managerKey] = {
-        managerName: managerName,
-        managerId: rate.managerId,
-        totalIncoming: 0,
-        rateLevel1: 0,
-        rateLevel2: 0,
-        rateLevel3: 0,
-        month: rate.month,
-        year: rate.year
-      };
-    }
-
-    aggregated[managerKey].totalIncoming = round2(aggregated[managerKey].totalIncoming + (rate.totalIncoming || 0));
-    aggregated[managerKey].rateLevel1 = round2(aggregated[managerKey].rateLevel1 + (rate.rateLevel1 || 0));
-    aggregated[managerKey].rateLevel2 = round2(aggregated[managerKey].rateLevel2 + (rate.rateLevel2 || 0));
-    aggregated[managerKey].rateLevel3 = round2(aggregated[managerKey].rateLevel3 + (rate.rateLevel3 || 0));
-  });
-
-  return Object.values(aggregated);
-}
-
 /**
  * Агрегує вхідні замовлення по менеджеру та місяцю для розрахунку ставки 3% від маржі
  * @param {Array} incomingOrders - Масив вхідних замовлень (без тегів/допродажів)
@@ -1972,7 +3738,7 @@ function aggregateIncomingOrdersForRates(incomingOrders) {
 
   // Розраховуємо ставки для всіх 3 рівнів
   const ordersWithRates = Object.values(ordersMap).map(order => {
-    const rates = calculateRateForAllLevels(order.totalMargin);
+    const rates = calculateRateForAllLevels(order.totalMargin, getSettings().managerLevels);
 
     return {
       orderId: order.orderId,
@@ -1991,7 +3757,7 @@ function aggregateIncomingOrdersForRates(incomingOrders) {
   const aggregated = {};
 
   ordersWithRates.forEach(order => {
-    const { month, year } = getMonthYearFromDateString(order.date);
+    const { month, year } = getMonthYearFromDateString(order.date, DATES_TIMEZONE);
     if (!month || !year) {
       return;
     }
@@ -2038,52 +3804,6 @@ function aggregateIncomingOrdersForRates(incomingOrders) {
   });
 }
 
-/**
- * Визначає місяць і рік з дати (ISO string або інший формат)
- * @param {string} dateString - Дата в різних форматах
- * @returns {Object} Об'єкт з полями month та year
- */
-function getMonthYearFromDateString(dateString) {
-  if (!dateString) {
-    return { month: null, year: null };
-  }
-  
-  try {
-    let date;
-    
-    // Спробуємо парсити ISO формат
-    if (typeof dateString === 'string' && dateString.includes('T')) {
-      date = new Date(dateString);
-    } else if (typeof dateString === 'string' && dateString.includes('.')) {
-      // Формат "dd.MM.yyyy HH:mm"
-      const parts = dateString.split(' ');
-      const datePart = parts[0]; // "dd.MM.yyyy"
-      const dateParts = datePart.split('.');
-      
-      if (dateParts.length === 3) {
-        const day = parseInt(dateParts[0]);
-        const month = parseInt(dateParts[1]);
-        const year = parseInt(dateParts[2]);
-        
-        return { month: month, year: year };
-      }
-    } else {
-      date = new Date(dateString);
-    }
-    
-    if (date && !isNaN(date.getTime())) {
-      const month = date.getMonth() + 1; // getMonth() повертає 0-11
-      const year = date.getFullYear();
-      
-      return { month: month, year: year };
-    }
-  } catch (e) {
-    Logger.log('Помилка парсингу дати: ' + e.toString());
-  }
-  
-  return { month: null, year: null };
-}
-
 /**
  * Знаходить лист "Виконання MM.YYYY" для конкретного місяця і року
  * @param {number} month - Місяць (1-12)
@@ -2124,6 +3844,34 @@ function findPerformanceSheetByMonthYear(month, year) {
   return null;
 }
 
+/**
+ * Повертає лист "Виконання" за місяць, а якщо його немає — створює копію листа-шаблону
+ * з канонічною назвою "Виконання MM.YYYY"
+ * @param {number} month - Місяць (1-12)
+ * @param {number} year - Рік (наприклад, 2025)
+ * @returns {Sheet|null} Лист або null, якщо листа немає і шаблону теж
+ */
+function getOrCreatePerformanceSheet(month, year) {
+  const existing = findPerformanceSheetByMonthYear(month, year);
+  if (existing) {
+    return existing;
+  }
+
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const template = spreadsheet.getSheetByName(PERFORMANCE_TEMPLATE_SHEET_NAME);
+  if (!template) {
+    Logger.log(`⚠️ Лист "Виконання ${month}.${year}" не знайдено, шаблону "${PERFORMANCE_TEMPLATE_SHEET_NAME}" немає — підсумки за місяць не записано`);
+    return null;
+  }
+
+  const sheetName = `Виконання ${String(month).padStart(2, '0')}.${year}`;
+  const sheet = spreadsheet.insertSheet(sheetName, { template: template });
+  // Шаблон зазвичай прихований, а копія має бути видимою
+  sheet.showSheet();
+  Logger.log(`📄 Створено лист "${sheetName}" з шаблону "${PERFORMANCE_TEMPLATE_SHEET_NAME}"`);
+  return sheet;
+}
+
 /**
  * Оновлює заголовок та створює підзаголовки, якщо їх немає
  * @param {Sheet} sheet - Лист для оновлення
@@ -2136,12 +3884,10 @@ function updatePremiyaHeadersIfNeeded(sheet, headerCell) {
   const currentHeaderValue = sheet.getRange(headerRow, headerCol).getValue();
   const subHeaderRow = headerRow + 1;
 
-  // Перевіряємо підзаголовки (очікується 10 колонок для 3 рівнів)
+  // Перевіряємо підзаголовки (набір залежить від режиму SHOW_ALL_LEVELS)
+  const expectedSubHeaders = getManagerSummarySubHeaders();
   const subHeaderValues = sheet.getRange(subHeaderRow, headerCol, 1, 10).getValues()[0];
-  const h1 = subHeaderValues[0];
-
-  // Перевіряємо, чи є нові заголовки з рівнями (Р1, Р2, Р3)
-  const hasNewHeaders = subHeaderValues.some(h => h && h.toString().includes('Р1'));
+  const hasActualHeaders = expectedSubHeaders.every((header, index) => subHeaderValues[index] === header);
 
   // Оновлюємо основний заголовок, якщо він старий
   const normalizedHeader = currentHeaderValue ? currentHeaderValue.toString().toLowerCase() : '';
@@ -2153,19 +3899,14 @@ function updatePremiyaHeadersIfNeeded(sheet, headerCell) {
     sheet.getRange(headerRow, headerCol).setFontSize(11);
   }
 
-  // Якщо підзаголовків немає або вони старі (без рівнів), створюємо нові
-  if (!h1 || !hasNewHeaders) {
-    Logger.log(`⚠️ Підзаголовки не знайдено або застарілі, створюємо нові для 3 рівнів...`);
+  // Якщо підзаголовків немає або вони від іншого режиму, створюємо нові
+  if (!hasActualHeaders) {
+    Logger.log(`⚠️ Підзаголовки не знайдено або застарілі, створюємо нові...`);
 
-    const newSubHeaders = [
-      'ПІБ',
-      'Ставка Р1', 'Бонуси Р1', 'Разом Р1',
-      'Ставка Р2', 'Бонуси Р2', 'Разом Р2',
-      'Ставка Р3', 'Бонуси Р3', 'Разом Р3'
-    ];
-    sheet.getRange(subHeaderRow, headerCol, 1, newSubHeaders.length).setValues([newSubHeaders]);
-    sheet.getRange(subHeaderRow, headerCol, 1, newSubHeaders.length).setFontWeight('bold');
-    sheet.getRange(subHeaderRow, headerCol, 1, newSubHeaders.length).setBackground('#e8f0fe');
+    sheet.getRange(subHeaderRow, headerCol, 1, 10).clear();
+    sheet.getRange(subHeaderRow, headerCol, 1, expectedSubHeaders.length).setValues([expectedSubHeaders]);
+    sheet.getRange(subHeaderRow, headerCol, 1, expectedSubHeaders.length).setFontWeight('bold');
+    sheet.getRange(subHeaderRow, headerCol, 1, expectedSubHeaders.length).setBackground('#e8f0fe');
   }
 
   return headerCell;
@@ -2217,13 +3958,8 @@ function createPremiyaHeadersOnPerformanceSheet(sheet) {
     sheet.getRange(headerRow, targetCol).setFontWeight('bold');
     sheet.getRange(headerRow, targetCol).setFontSize(11);
 
-    // Підзаголовки - розгорнутий формат для 3 рівнів
-    const subHeaders = [
-      'ПІБ',
-      'Ставка Р1', 'Бонуси Р1', 'Разом Р1',
-      'Ставка Р2', 'Бонуси Р2', 'Разом Р2',
-      'Ставка Р3', 'Бонуси Р3', 'Разом Р3'
-    ];
+    // Підзаголовки - за призначеним рівнем або розгорнутий формат для 3 рівнів
+    const subHeaders = getManagerSummarySubHeaders();
     sheet.getRange(subHeaderRow, targetCol, 1, subHeaders.length).setValues([subHeaders]);
 
     // Форматуємо підзаголовки
@@ -2232,7 +3968,7 @@ function createPremiyaHeadersOnPerformanceSheet(sheet) {
 
     // Налаштовуємо ширину стовпців
     sheet.setColumnWidth(targetCol, 180); // ПІБ
-    for (let i = 1; i <= 9; i++) {
+    for (let i = 1; i < subHeaders.length; i++) {
       sheet.setColumnWidth(targetCol + i, 100); // Колонки даних
     }
     
@@ -2464,165 +4200,288 @@ function writeManagerRatesToSheet(sheet, headerCell, rates) {
 }
 
 /**
- * Об'єднує ставки та бонуси по менеджеру для одного місяця
- * @param {Array} rates - Агреговані ставки (вхідні замовлення)
- * @param {Array} bonuses - Агреговані бонуси (допродажі/теги)
- * @returns {Array} Масив з підсумком по менеджеру
+ * Повертає підзаголовки підсумкової таблиці "ЗП менеджерів з продажу"
+ * @returns {Array<string>} ПІБ + колонки за призначеним рівнем або для всіх 3 рівнів (SHOW_ALL_LEVELS)
  */
-function combineRatesAndBonuses(rates, bonuses) {
-  const map = {};
+function getManagerSummarySubHeaders() {
+  if (SHOW_ALL_LEVELS) {
+    return [
+      'ПІБ',
+      'Ставка Р1', 'Бонуси Р1', 'Разом Р1',
+      'Ставка Р2', 'Бонуси Р2', 'Разом Р2',
+      'Ставка Р3', 'Бонуси Р3', 'Разом Р3'
+    ];
+  }
+  return ['ПІБ', 'Рівень', 'Ставка', 'Бонуси', 'Разом'];
+}
 
-  const addIfMissing = (key, name, id) => {
-    if (!map[key]) {
-      map[key] = {
-        managerName: name || 'Невідомий менеджер',
-        managerId: id || null,
-        // Ставки для 3 рівнів
-        rateLevel1: 0,
-        rateLevel2: 0,
-        rateLevel3: 0,
-        // Бонуси для 3 рівнів
-        bonusLevel1: 0,
-        bonusLevel2: 0,
-        bonusLevel3: 0
-      };
-    }
-  };
+/**
+ * Формує рядки таблиці "ЗП менеджерів з продажу"
+ * У звичайному режимі — суми за призначеним рівнем, у режимі "що-якщо" — для всіх 3 рівнів
+ * @param {Array} rows - Дані по менеджерах
+ * @returns {Object} { data: Array<Array>, moneyColumns: Array<number> } (номери стовпців від 0)
+ */
+function getManagerSummaryValues(rows) {
+  if (SHOW_ALL_LEVELS) {
+    // Розгорнутий формат: ПІБ + 9 колонок для 3 рівнів
+    // Ставка Р1 | Бонуси Р1 | Разом Р1 | Ставка Р2 | Бонуси Р2 | Разом Р2 | Ставка Р3 | Бонуси Р3 | Разом Р3
+    const data = rows.map(item => {
+      const row = [item.managerName || 'Невідомий менеджер'];
+      for (let level = 1; level <= 3; level++) {
+        const rate = round2(item[`rateLevel${level}`] || 0);
+        const bonus = round2(item[`bonusLevel${level}`] || 0);
+        row.push(rate, bonus, round2(rate + bonus));
+      }
+      return row;
+    });
+    return { data: data, moneyColumns: [1, 2, 3, 4, 5, 6, 7, 8, 9] };
+  }
 
-  rates.forEach(rate => {
-    const { key: normalizedKey } = normalizeManagerName(rate.managerName || '');
-    const mapKey = rate.managerId || normalizedKey || rate.managerName || 'unknown';
-    addIfMissing(mapKey, rate.managerName, rate.managerId);
-    map[mapKey].rateLevel1 = round2(map[mapKey].rateLevel1 + (rate.rateLevel1 || 0));
-    map[mapKey].rateLevel2 = round2(map[mapKey].rateLevel2 + (rate.rateLevel2 || 0));
-    map[mapKey].rateLevel3 = round2(map[mapKey].rateLevel3 + (rate.rateLevel3 || 0));
+  // ПІБ | Рівень | Ставка | Бонуси | Разом — суми за призначеним рівнем
+  const data = rows.map(item => {
+    const rate = round2(item.rate || 0);
+    const bonus = round2(item.bonus || 0);
+    return [
+      item.managerName || 'Невідомий менеджер',
+      formatLevelLabel(item.levels),
+      rate,
+      bonus,
+      round2(rate + bonus)
+    ];
   });
+  return { data: data, moneyColumns: [2, 3, 4] };
+}
 
-  bonuses.forEach(bonus => {
-    const { key: normalizedKey } = normalizeManagerName(bonus.managerName || '');
-    const mapKey = bonus.managerId || normalizedKey || bonus.managerName || 'unknown';
-    addIfMissing(mapKey, bonus.managerName, bonus.managerId);
-    map[mapKey].bonusLevel1 = round2(map[mapKey].bonusLevel1 + (bonus.bonusLevel1 || 0));
-    map[mapKey].bonusLevel2 = round2(map[mapKey].bonusLevel2 + (bonus.bonusLevel2 || 0));
-    map[mapKey].bonusLevel3 = round2(map[mapKey].bonusLevel3 + (bonus.bonusLevel3 || 0));
-  });
+// ========== ТАБЛИЦІ НА ЛИСТАХ "ВИКОНАННЯ" ==========
+// Кожна таблиця скрипта на листі "Виконання" — іменований діапазон рівно її розміру.
+// Діапазон зсувається разом зі вставленими рядками й стовпцями, тож таблицю не треба шукати за текстом,
+// а запис змінює лише клітинки попередньої таблиці та ті, які вона займе тепер.
+const SUMMARY_BLOCK_TITLE = 'ЗП менеджерів з продажу';
+const SUMMARY_BLOCK_NAME_PREFIX = 'PayrollSummary';
+const PLAN_BLOCK_TITLE = 'Виконання плану';
+const PLAN_BLOCK_NAME_PREFIX = 'PayrollPlan';
+const SUMMARY_BLOCK_MAX_COLUMNS = 10; // Найширша таблиця ЗП — режим SHOW_ALL_LEVELS
+const SUMMARY_BLOCK_DEFAULT_COLUMN = 6; // Нова таблиця ЗП — у стовпці F
 
-  return Object.values(map);
+/**
+ * Записує таблицю "ЗП менеджерів з продажу" на місце попередньої (або на вільне місце в стовпці F)
+ * @param {Sheet} sheet - Лист "Виконання"
+ * @param {number} month - Місяць
+ * @param {number} year - Рік
+ * @param {Array} rows - Підсумки по менеджерах
+ * @returns {Range} Діапазон записаної таблиці
+ */
+function writeManagerSummaryBlock(sheet, month, year, rows) {
+  const subHeaders = getManagerSummarySubHeaders();
+  const { data, moneyColumns } = getManagerSummaryValues(rows || []);
+  const values = [padBlockRow([SUMMARY_BLOCK_TITLE], subHeaders.length), subHeaders, ...data];
+
+  const previous = findManagerSummaryBlock(sheet, month, year);
+  const anchor = previous
+    ? { row: previous.getRow(), col: previous.getColumn() }
+    : findFreeBlockAnchor(sheet, SUMMARY_BLOCK_DEFAULT_COLUMN, values.length, subHeaders.length);
+  const block = writeOutputBlock(sheet, getOutputBlockName(SUMMARY_BLOCK_NAME_PREFIX, month, year), anchor, values, previous);
+
+  formatOutputBlock(sheet, block, moneyColumns);
+  if (!previous) {
+    sheet.setColumnWidth(anchor.col, 180); // ПІБ
+    for (let i = 1; i < subHeaders.length; i++) {
+      sheet.setColumnWidth(anchor.col + i, 100);
+    }
+  }
+  return block;
 }
 
 /**
- * Записує об'єднану таблицю (ставка + бонус) для 3 рівнів під заголовком
- * @param {Sheet} sheet - Лист для запису
- * @param {Range} headerCell - Клітинка з заголовком
- * @param {Array} rows - Дані по менеджерах
+ * Знаходить таблицю "ЗП менеджерів з продажу" за місяць: іменований діапазон, а на листах,
+ * заповнених до появи іменованих діапазонів, — клітинку з точним заголовком і рядки під нею до першого порожнього ПІБ
+ * @param {Sheet} sheet - Лист "Виконання"
+ * @param {number} month - Місяць
+ * @param {number} year - Рік
+ * @returns {Range|null} Діапазон таблиці або null
  */
-function writeManagerSummaryRows(sheet, headerCell, rows) {
-  const headerRow = headerCell.getRow();
-  const headerCol = headerCell.getColumn();
-  const startRow = headerRow + 2; // після підзаголовків
+function findManagerSummaryBlock(sheet, month, year) {
+  const named = findOutputBlock(sheet, getOutputBlockName(SUMMARY_BLOCK_NAME_PREFIX, month, year));
+  if (named) {
+    return named;
+  }
 
-  // Очищаємо старі дані (10 стовпців для 3 рівнів, запас 150 рядків)
-  const clearRange = sheet.getRange(startRow, headerCol, 150, 10);
-  clearRange.clearContent();
-  clearRange.clearFormat();
+  const title = SUMMARY_BLOCK_TITLE.toLowerCase();
+  const titleCell = findHeaderByPredicate(
+    sheet,
+    value => typeof value === 'string' && value.trim().toLowerCase() === title,
+    SUMMARY_BLOCK_DEFAULT_COLUMN,
+    SUMMARY_BLOCK_TITLE
+  );
+  return titleCell ? getLegacyBlockRange(sheet, titleCell, SUMMARY_BLOCK_MAX_COLUMNS) : null;
+}
 
-  if (!rows || rows.length === 0) {
-    return;
+/**
+ * Межі таблиці без іменованого діапазону: заголовок, рядок підзаголовків до першого порожнього
+ * і рядки даних до першої порожньої клітинки в першому стовпці
+ * @param {Sheet} sheet - Лист
+ * @param {Range} titleCell - Клітинка заголовка таблиці
+ * @param {number} maxColumns - Найбільша можлива ширина таблиці
+ * @returns {Range} Діапазон таблиці
+ */
+function getLegacyBlockRange(sheet, titleCell, maxColumns) {
+  const row = titleCell.getRow();
+  const col = titleCell.getColumn();
+  const isEmpty = value => value === '' || value === null || value === undefined;
+
+  const subHeaders = sheet.getRange(row + 1, col, 1, maxColumns).getValues()[0];
+  let width = 0;
+  while (width < subHeaders.length && !isEmpty(subHeaders[width])) width++;
+
+  let height = 2;
+  const lastRow = sheet.getLastRow();
+  if (lastRow > row + 1) {
+    const names = sheet.getRange(row + 2, col, lastRow - row - 1, 1).getValues();
+    for (let value of names) {
+      if (isEmpty(value[0])) break;
+      height++;
+    }
   }
+  return sheet.getRange(row, col, height, Math.max(width, 1));
+}
 
-  // Розгорнутий формат: ПІБ + 9 колонок для 3 рівнів
-  // Ставка Р1 | Бонуси Р1 | Разом Р1 | Ставка Р2 | Бонуси Р2 | Разом Р2 | Ставка Р3 | Бонуси Р3 | Разом Р3
-  const data = rows.map(item => {
-    const rate1 = round2(item.rateLevel1 || 0);
-    const bonus1 = round2(item.bonusLevel1 || 0);
-    const total1 = round2(rate1 + bonus1);
+/**
+ * Назва іменованого діапазону таблиці за місяць, наприклад "PayrollSummary_12_2025"
+ * @param {string} prefix - Префікс таблиці
+ * @param {number} month - Місяць
+ * @param {number} year - Рік
+ * @returns {string} Назва діапазону
+ */
+function getOutputBlockName(prefix, month, year) {
+  return `${prefix}_${month}_${year}`;
+}
 
-    const rate2 = round2(item.rateLevel2 || 0);
-    const bonus2 = round2(item.bonusLevel2 || 0);
-    const total2 = round2(rate2 + bonus2);
+/**
+ * Повертає іменований діапазон таблиці, якщо він є і вказує на цей лист
+ * @param {Sheet} sheet - Лист
+ * @param {string} name - Назва іменованого діапазону
+ * @returns {Range|null} Діапазон або null
+ */
+function findOutputBlock(sheet, name) {
+  const range = SpreadsheetApp.getActiveSpreadsheet().getRangeByName(name);
+  return range && range.getSheet().getName() === sheet.getName() ? range : null;
+}
 
-    const rate3 = round2(item.rateLevel3 || 0);
-    const bonus3 = round2(item.bonusLevel3 || 0);
-    const total3 = round2(rate3 + bonus3);
+/**
+ * Шукає в стовпцях таблиці перший рядок, з якого вона поміститься на порожні клітинки
+ * @param {Sheet} sheet - Лист
+ * @param {number} col - Перший стовпець таблиці
+ * @param {number} numRows - Висота таблиці
+ * @param {number} numCols - Ширина таблиці
+ * @returns {Object} { row, col } — ліва верхня клітинка
+ */
+function findFreeBlockAnchor(sheet, col, numRows, numCols) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow === 0) {
+    return { row: 1, col: col };
+  }
 
-    return [
-      item.managerName || 'Невідомий менеджер',
-      rate1, bonus1, total1,
-      rate2, bonus2, total2,
-      rate3, bonus3, total3
-    ];
-  });
+  const values = sheet.getRange(1, col, lastRow, numCols).getValues();
+  const isEmptyRow = index => index >= values.length || values[index].every(value => value === '' || value === null);
+  // Нижче останнього заповненого рядка місце є завжди
+  for (let row = 0; row <= values.length; row++) {
+    let free = true;
+    for (let offset = 0; offset < numRows && free; offset++) {
+      free = isEmptyRow(row + offset);
+    }
+    if (free) return { row: row + 1, col: col };
+  }
+  return { row: values.length + 1, col: col };
+}
 
-  const range = sheet.getRange(startRow, headerCol, data.length, 10);
-  range.setValues(data);
+/**
+ * Записує таблицю в межах anchor + розмір values і оновлює її іменований діапазон.
+ * Попередня таблиця очищається рівно в своїх межах; якщо нова таблиця зачепить
+ * непорожні клітинки поза попередньою, запис скасовується з помилкою
+ * @param {Sheet} sheet - Лист
+ * @param {string} name - Назва іменованого діапазону
+ * @param {Object} anchor - Ліва верхня клітинка { row, col }
+ * @param {Array<Array>} values - Рядки таблиці (заголовок, підзаголовки, дані)
+ * @param {Range|null} previous - Попередня таблиця
+ * @returns {Range} Діапазон записаної таблиці
+ */
+function writeOutputBlock(sheet, name, anchor, values, previous) {
+  const target = sheet.getRange(anchor.row, anchor.col, values.length, values[0].length);
+  const foreignCells = findForeignCells(sheet, target, previous);
+  if (foreignCells.length > 0) {
+    throw new Error(`Лист "${sheet.getName()}": таблиця "${values[0][0]}" (${target.getA1Notation()}) зачепить чужі дані в клітинках ` +
+      `${foreignCells.slice(0, 5).join(', ')}${foreignCells.length > 5 ? '…' : ''}. Перенесіть ці дані або таблицю — запис скасовано`);
+  }
 
-  // Формати для всіх числових стовпців (колонки 2-10)
-  for (let col = 1; col <= 9; col++) {
-    sheet.getRange(startRow, headerCol + col, data.length, 1).setNumberFormat('#,##0.00" грн"');
+  if (previous) {
+    previous.clearContent();
+    previous.clearFormat();
   }
+  target.setValues(values);
+
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const named = spreadsheet.getNamedRanges().find(item => item.getName() === name);
+  if (named) {
+    named.setRange(target);
+  } else {
+    spreadsheet.setNamedRange(name, target);
+  }
+  return target;
 }
 
-// ========== ЛОГУВАННЯ ==========
 /**
- * Логує детальну інформацію про замовлення в файл
- * @param {Object} order - Об'єкт замовлення з KEYCRM
- * @param {Object} calculations - Об'єкт з розрахунками
+ * Непорожні клітинки цільового діапазону, що не належать попередній таблиці
+ * @param {Sheet} sheet - Лист
+ * @param {Range} target - Діапазон нової таблиці
+ * @param {Range|null} previous - Попередня таблиця
+ * @returns {Array<string>} Адреси клітинок у нотації A1
  */
-function logOrderDetails(order, calculations) {
-  try {
-    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
-    const logFileName = `Логи розрахунків ${Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd')}.txt`;
-    
-    // Шукаємо файл логів в папці таблиці
-    let logFile;
-    const files = DriveApp.getFilesByName(logFileName);
-    if (files.hasNext()) {
-      logFile = files.next();
-    } else {
-      // Створюємо новий файл
-      const folder = DriveApp.getFileById(spreadsheet.getId()).getParents().next();
-      logFile = folder.createFile(logFileName, '', MimeType.PLAIN_TEXT);
-    }
-    
-    let logContent = logFile.getBlob().getDataAsString();
-    const timestamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm:ss');
-    
-    logContent += `\n\n========== ЗАМОВЛЕННЯ #${order.id} - ${timestamp} ==========\n`;
-    logContent += `Дата: ${order.created_at || 'Невідома'}\n`;
-    logContent += `Менеджер: ${order.manager?.full_name || order.manager_name || 'Невідомий'}\n`;
-    logContent += `Теги: ${order.tags ? order.tags.map(t => typeof t === 'string' ? t : t.name).join(', ') : 'Немає'}\n`;
-    logContent += `Grand Total: ${order.grand_total || 0} грн\n`;
-    logContent += `Total Discount: ${order.total_discount || 0} грн\n`;
-    
-    if (calculations.products && calculations.products.length > 0) {
-      logContent += `\n--- ТОВАРИ ---\n`;
-      calculations.products.forEach((product, index) => {
-        logContent += `\nТовар ${index + 1}: ${product.name}\n`;
-        logContent += `  Price Sold: ${product.priceSold} грн\n`;
-        logContent += `  Purchased Price: ${product.purchasedPrice} грн\n`;
-        logContent += `  Quantity: ${product.quantity}\n`;
-        logContent += `  Product Discount: ${product.productDiscount || 0} грн\n`;
-        logContent += `  Product Margin: ${product.productMargin || 0} грн\n`;
-        logContent += `  Order Discount Part: ${product.orderDiscountPart || 0} грн\n`;
-        logContent += `  Final Margin: ${product.finalMargin || 0} грн\n`;
-      });
-    }
-    
-    if (calculations.totalMargin !== undefined) {
-      logContent += `\n--- ПІДСУМОК ---\n`;
-      logContent += `Загальна маржа: ${calculations.totalMargin} грн\n`;
-      logContent += `Бонус (50%): ${calculations.bonus || 0} грн\n`;
-    }
-    
-    if (calculations.totalIncoming !== undefined) {
-      logContent += `\n--- ПІДСУМОК ВХІДНИХ ---\n`;
-      logContent += `Загальна сума: ${calculations.totalIncoming} грн\n`;
-      logContent += `Ставка (1.5%): ${calculations.rateAmount || 0} грн\n`;
-    }
-    
-    logFile.setContent(logContent);
-    Logger.log(`✅ Лог записано для замовлення #${order.id}`);
-  } catch (error) {
-    Logger.log(`❌ Помилка логування: ${error.toString()}`);
+function findForeignCells(sheet, target, previous) {
+  const insidePrevious = (row, col) => Boolean(previous) &&
+    row >= previous.getRow() && row < previous.getRow() + previous.getNumRows() &&
+    col >= previous.getColumn() && col < previous.getColumn() + previous.getNumColumns();
+
+  const cells = [];
+  target.getValues().forEach((line, i) => {
+    line.forEach((value, j) => {
+      const row = target.getRow() + i;
+      const col = target.getColumn() + j;
+      if (value !== '' && value !== null && !insidePrevious(row, col)) {
+        cells.push(sheet.getRange(row, col).getA1Notation());
+      }
+    });
+  });
+  return cells;
+}
+
+/**
+ * Оформлює таблицю: жирний заголовок, підзаголовки на тлі, грошовий формат стовпців даних
+ * @param {Sheet} sheet - Лист
+ * @param {Range} block - Діапазон таблиці
+ * @param {Array<number>} moneyColumns - Грошові стовпці (від 0)
+ */
+function formatOutputBlock(sheet, block, moneyColumns) {
+  const row = block.getRow();
+  const col = block.getColumn();
+  sheet.getRange(row, col).setFontWeight('bold');
+  sheet.getRange(row, col).setFontSize(11);
+  sheet.getRange(row + 1, col, 1, block.getNumColumns()).setFontWeight('bold');
+  sheet.getRange(row + 1, col, 1, block.getNumColumns()).setBackground('#e8f0fe');
+
+  const dataRows = block.getNumRows() - 2;
+  if (dataRows > 0) {
+    moneyColumns.forEach(column => {
+      sheet.getRange(row + 2, col + column, dataRows, 1).setNumberFormat('#,##0.00" грн"');
+    });
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Доповнює рядок порожніми клітинками до ширини таблиці
+ * @param {Array} row - Рядок
+ * @param {number} width - Ширина таблиці
+ * @returns {Array} Рядок завширшки width
+ */
+function padBlockRow(row, width) {
+  return row.concat(new Array(Math.max(width - row.length, 0)).fill(''));
+}